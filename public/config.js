@@ -0,0 +1,8 @@
+// Runtime configuration, read by src/api/config.js. Deployments can overwrite
+// this file to point the app at different services without rebuilding.
+// Leave a key out to fall back to the build-time REACT_APP_* value.
+window.__APP_CONFIG__ = window.__APP_CONFIG__ || {
+  // analysisApiUrl: 'https://groupchat-wrapped-analysis.fly.dev',
+  // connectorApiUrl: 'http://localhost:3001',
+  // slides: { order: ['manic', 'novelist'], disabled: ['swears'] }
+};
@@ -1,34 +1,36 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import html2canvas from 'html2canvas';
 import { Camera, Copy } from 'lucide-react';
-
-
-import {
-  Chart as ChartJS,
-  CategoryScale,
-  LinearScale,
-  PointElement,
-  LineElement,
-  BarElement,
-  Title,
-  Tooltip,
-  Legend
-} from 'chart.js';
-import { Bar, Line } from 'react-chartjs-2';
-
-ChartJS.register(
-  CategoryScale,
-  LinearScale,
-  PointElement,
-  LineElement,
-  BarElement,
-  Title,
-  Tooltip,
-  Legend
-);
-
-const analysisApiUrl = 'https://groupchat-wrapped-analysis.fly.dev';
-
+import { validateChatFile } from './parsers/chatFile';
+import { getSources, getSource } from './sources';
+import './sources/connectors';
+import { createChatWorker } from './workers/chatWorkerClient';
+import { createResultCache } from './analysis/resultCache';
+import { buildComparisonDeck } from './analysis/comparison';
+import { describePeriod, describeWrapTitle, spanFromYears } from './analysis/periods';
+import { membersOf, rankMember, closestPartner } from './analysis/profile';
+import { restoreNames } from './analysis/anonymize';
+import { fetchAvailableYears, fetchAnalysis, describeApiError } from './api/client';
+import { isCancelled } from './errors';
+import LoadingScreen, { describeProgress } from './components/LoadingScreen';
+import SourcePicker from './components/SourcePicker';
+import SourceUpload from './components/SourceUpload';
+import UnavailableStatCard from './components/UnavailableStatCard';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import { buildSlides } from './slides';
+import { OPTIONAL_SECTIONS, validateAnalysis } from './analysis/schema';
+import { CHART_TYPES, memberAt } from './components/chartTypes';
+import MemberProfile from './components/MemberProfile';
+import ParticipantManager from './components/ParticipantManager';
+import DayChatLogsDrawer from './components/DayChatLogsDrawer';
+import ExploreView from './components/ExploreView';
+import TrackerManager from './components/TrackerManager';
+import RedactionPreview from './components/RedactionPreview';
+import RecentWraps from './components/RecentWraps';
+import PeriodPicker from './components/PeriodPicker';
+import CompareYearsPicker from './components/CompareYearsPicker';
+import { isStorageAvailable, describeGroupName, saveWrap, listWraps, getWrap, wrapPeriod, deleteWrap } from './storage/recentWraps';
+import { loadTrackers, saveTrackers } from './storage/trackers';
 
 // ScrollIndicator component
 const ScrollIndicator = ({ showIndicator }) => {
@@ -57,108 +59,13 @@ const ScrollIndicator = ({ showIndicator }) => {
   );
 };
 
-// Whataspp connector
-const WhatsAppConnector = ({ onChatSelected }) => {
-  const [sessionId, setSessionId] = useState(null);
-  const [qrCode, setQrCode] = useState(null);
-  const [status, setStatus] = useState('idle');
-  const [error, setError] = useState(null);
-
-  const initializeConnection = async () => {
-    console.log('Initializing WhatsApp connection...');
-    try {
-      setStatus('connecting');
-      const response = await fetch('http://localhost:3001/connect-whatsapp', {
-        method: 'POST'
-      });
-      
-      if (!response.ok) throw new Error('Failed to connect to WhatsApp');
-      
-      const data = await response.json();
-      console.log('WhatsApp connect response:', data);
-      
-      if (data.qrCode && data.sessionId) {
-        setQrCode(data.qrCode);
-        setSessionId(data.sessionId);
-        setStatus('awaiting_scan');
-      } else {
-        throw new Error('No QR code or sessionId returned');
-      }
-    } catch (error) {
-      console.error('WhatsApp connect error:', error);
-      setError(error.message);
-      setStatus('error');
-    }
-  };
-
-  return (
-    <div className="space-y-4">
-      {error && (
-        <div className="p-4 bg-red-50 text-red-700 rounded-lg">
-          {error}
-        </div>
-      )}
-
-      {qrCode ? (
-        <div className="text-center">
-          <img 
-            src={`data:image/png;base64,${qrCode}`} 
-            alt="WhatsApp QR Code"
-            className="mx-auto mb-4"
-          />
-          <p className="text-sm text-gray-600">
-            Scan this QR code with WhatsApp
-          </p>
-        </div>
-      ) : (
-        <button
-          onClick={initializeConnection}
-          disabled={status === 'connecting'}
-          className="w-full px-4 py-3 bg-green-600 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-green-700 transition-colors"
-        >
-          {status === 'connecting' ? 'Connecting...' : 'Connect to WhatsApp'}
-        </button>
-      )}
-    </div>
-  );
-};
-
-
 // Helper functions
-const isValidArray = (arr) => Array.isArray(arr) && arr.length > 0;
-
-const safeGet = (obj, path, defaultValue = '') => {
-  try {
-    return path.split('.').reduce((acc, part) => acc?.[part], obj) ?? defaultValue;
-  } catch {
-    return defaultValue;
-  }
-};
-const sortBarData = (labels, data) => {
-  if (!isValidArray(labels) || !isValidArray(data) || labels.length !== data.length) {
-    return { sortedLabels: labels || [], sortedData: data || [] };
-  }
-  const pairs = labels.map((label, i) => [label, data[i]]);
-  pairs.sort((a, b) => b[1] - a[1]);
-  return {
-    sortedLabels: pairs.map(pair => pair[0]),
-    sortedData: pairs.map(pair => pair[1])
-  };
-};
 const getRandomColor = () => {
   const r = Math.floor(Math.random() * 255);
   const g = Math.floor(Math.random() * 255);
   const b = Math.floor(Math.random() * 255);
   return `rgba(${r}, ${g}, ${b}, 0.6)`;
 };
-const generateDistinctColors = (count) => {
-  const hueStep = 360 / count;
-  return Array.from({ length: count }, (_, i) => {
-    const hue = i * hueStep;
-    return `hsla(${hue}, 70%, 60%, 0.6)`;
-  });
-};
-
 const wrapText = (ctx, text, x, y, maxWidth, lineHeight) => {
   console.log('Wrapping text:', text); // Debug the input text
   const words = text.split(' ');
@@ -191,39 +98,6 @@ const wrapText = (ctx, text, x, y, maxWidth, lineHeight) => {
 
 
 
-const groupBySender = (data, dateField='date', valueField='message_count') => {
-  if (!isValidArray(data)) return { dates: [], datasets: [] };
-  
-  try {
-    const senders = [...new Set(data.map(d => safeGet(d, 'sender')))].filter(Boolean);
-    const dates = [...new Set(data.map(d => safeGet(d, dateField)))].filter(Boolean).sort();
-    const colors = generateDistinctColors(senders.length);
-
-    const datasets = senders.map((sender, index) => {
-      const senderData = data.filter(d => safeGet(d, 'sender') === sender);
-      const values = dates.map(dt => {
-        const entry = senderData.find(x => safeGet(x, dateField) === dt);
-        return safeGet(entry, valueField, 0);
-      });
-      
-      const color = colors[index];
-      
-      return {
-        label: sender,
-        data: values,
-        borderColor: color,
-        backgroundColor: color,
-        fill: true
-      };
-    });
-
-    return { dates, datasets };
-  } catch (error) {
-    console.error('Error in groupBySender:', error);
-    return { dates: [], datasets: [] };
-  }
-};
-
 const downloadCanvas = (canvas, filename) => {
   const link = document.createElement('a');
   link.download = `${filename}.png`;
@@ -232,7 +106,9 @@ const downloadCanvas = (canvas, filename) => {
 };
 
 
-const handleExport = async (elementId, type) => {
+// `snapshot` exports the whole element as rendered (e.g. a member profile with
+// several charts) instead of redrawing its one chart
+const handleExport = async (elementId, type, { snapshot = false } = {}) => {
   const element = document.getElementById(elementId);
   if (!element) return;
 
@@ -242,7 +118,7 @@ const handleExport = async (elementId, type) => {
     await new Promise(resolve => setTimeout(resolve, 100));
 
     // Check if this is a chart (has canvas element)
-    const isChart = element.querySelector('canvas') !== null;
+    const isChart = !snapshot && element.querySelector('canvas') !== null;
 
     if (isChart) {
       const chartCanvas = element.querySelector('canvas');
@@ -270,7 +146,8 @@ const handleExport = async (elementId, type) => {
         (exportCanvas.height / resolutionScale - padding * 2) / chartCanvas.height
       );
 
-      // Draw the chart canvas centered and scaled
+      // Draw the chart canvas centered and scaled. Square charts (doughnut,
+      // radar) are narrower than the card, so this also centers them.
       const x = (exportCanvas.width / resolutionScale - chartCanvas.width * scale) / 2;
       const y = padding / resolutionScale + 50; // Offset slightly below the title
 
@@ -299,9 +176,11 @@ const handleExport = async (elementId, type) => {
           exportCanvas.width / (2 * resolutionScale),
           contentOffsetY
         );
-        contentOffsetY += 500; // Move down after title for next elements
       }
 
+      // Commentary goes under the chart, whatever its shape
+      contentOffsetY = y + chartCanvas.height * scale + 40;
+
       if (commentaryElement) {
         const commentaryStyle = window.getComputedStyle(commentaryElement);
         ctx.font = `${commentaryStyle.fontWeight} ${parseInt(commentaryStyle.fontSize) * resolutionScale}px ${commentaryStyle.fontFamily}`;
@@ -432,7 +311,8 @@ const TextSummaryCard = ({ title, summary, isVisible }) => {
   );
 };
 
-const AnimatedChart = ({ chart, isVisible, index }) => {
+// `onMemberClick(name)` makes members clickable (bars, labels, slices...)
+const AnimatedChart = ({ chart, isVisible, index, members, onMemberClick }) => {
   const chartRef = useRef(null);
 
   useEffect(() => {
@@ -445,29 +325,20 @@ const AnimatedChart = ({ chart, isVisible, index }) => {
 
   if (!chart || !chart.data) return null;
 
-  const options = {
-    responsive: true,
-    maintainAspectRatio: true,
-    scales: {
-      x: {
-        type: 'category',
-        display: true,
+  const chartType = CHART_TYPES[chart.type];
+  const ChartComponent = chartType?.component;
+  const clickable = onMemberClick && members && members.size > 0;
+  const options = chartType && {
+    ...chartType.options(chart),
+    ...(clickable && {
+      onClick: (event, elements, chartInstance) => {
+        const member = memberAt(chartInstance, event, elements, members);
+        if (member) onMemberClick(member);
       },
-      y: {
-        type: 'linear',
-        display: true,
+      onHover: (event, elements, chartInstance) => {
+        event.native.target.style.cursor = memberAt(chartInstance, event, elements, members) ? 'pointer' : 'default';
       }
-    },
-    plugins: {
-      legend: {
-        position: 'top',
-        labels: { font: { family: 'Inter' } }
-      }
-    },
-    animation: {
-      duration: 1000,
-      easing: 'easeInOutQuart'
-    }
+    })
   };
 
   return (
@@ -476,18 +347,13 @@ const AnimatedChart = ({ chart, isVisible, index }) => {
         <div className="relative p-8">
           <div id={`chart-${index}`}>
             <h2 className="text-2xl font-bold mb-6 text-center">{chart.title}</h2>
-            <div className="w-full aspect-[16/9]">
-              {chart.type === "Bar" ? (
-                <Bar 
-                  ref={chartRef}
-                  data={chart.data}
-                  options={options}
-                />
-              ) : chart.type === "Line" ? (
-                <Line 
+            <div className={chartType?.frame || 'w-full aspect-[16/9]'}>
+              {ChartComponent ? (
+                <ChartComponent
                   ref={chartRef}
                   data={chart.data}
                   options={options}
+                  plugins={chartType.plugins}
                 />
               ) : (
                 <div>Unsupported chart type</div>
@@ -520,44 +386,6 @@ const AnimatedChart = ({ chart, isVisible, index }) => {
   );
 };
 
-const DayChatLogsDrawer = ({ isOpen, logs, onClose }) => {
-  return (
-    <div
-      className={`fixed top-0 right-0 h-full bg-white shadow-xl transform transition-transform ${
-        isOpen ? 'translate-x-0' : 'translate-x-full'
-      }`}
-      style={{ width: '33.3333%', maxWidth: '400px' }} // 1/3 page or up to 400px
-    >
-      {/* Close button + Title */}
-      <div className="flex justify-between items-center p-4 border-b bg-gray-50">
-        <h2 className="text-lg font-bold">Chat Logs</h2>
-        <button 
-          className="text-gray-600 hover:text-gray-800"
-          onClick={onClose}
-        >
-          Close
-        </button>
-      </div>
-
-      {/* Log listing */}
-      <div className="p-4 overflow-y-auto h-full">
-        {isValidArray(logs) ? (
-          logs.map((msg, idx) => (
-            <div key={idx} className="mb-4">
-              <div className="text-sm text-gray-600">
-                <strong>{msg.sender}</strong> <em>{msg.date}</em>
-              </div>
-              <div>{msg.message}</div>
-            </div>
-          ))
-        ) : (
-          <p className="text-gray-500">No chat logs found for this day.</p>
-        )}
-      </div>
-    </div>
-  );
-};
-
 const DaySummariesGrid = ({ summaries, isVisible, onDayClick }) => {
   if (!summaries || summaries.length === 0) return null;
   
@@ -608,425 +436,660 @@ const DaySummariesGrid = ({ summaries, isVisible, onDayClick }) => {
   );
 };
 
-// Build chart datasets from analysisData
-const buildChartDataSets = (analysisData) => {
-  if (!analysisData) return [];
-
-  const chartDataSets = [];
-
-  try {
-    // Day of Week Chart
-    if (isValidArray(analysisData.day_of_week.data)) {
-      const labels = analysisData.day_of_week.data.map(d => safeGet(d, 'day_of_week'));
-      const values = analysisData.day_of_week.data.map(d => safeGet(d, 'avg_messages', 0));
-      const { sortedLabels, sortedData } = sortBarData(labels, values);
-      
-      chartDataSets.push({
-        title: "Average Messages by Day of Week",
-        type: "Bar",
-        data: {
-          labels: sortedLabels,
-          datasets: [{
-            label: 'Avg Messages by Day of Week',
-            data: sortedData,
-            backgroundColor: 'rgba(54, 162, 235, 0.6)',
-          }]
-        },
-        commentary: analysisData.day_of_week.caption
-      });
-    }
+// Deck item type -> component. Slides (see ./slides) pick one of these by
+// `kind`; every renderer gets { item, index, onDayClick, members,
+// onMemberClick }. Every chart type in ./components/chartTypes renders
+// through AnimatedChart.
+const ChartSlide = ({ item, index, members, onMemberClick }) => (
+  <AnimatedChart chart={item} isVisible index={index} members={members} onMemberClick={onMemberClick} />
+);
 
-    // Monthly Messages Chart
-    if (isValidArray(analysisData.monthly_messages.data)) {
-      chartDataSets.push({
-        title: "Monthly Message Count",
-        type: "Line",
-        data: {
-          labels: analysisData.monthly_messages.data.map(d => safeGet(d, 'date')),
-          datasets: [{
-            label: 'Messages per Month',
-            data: analysisData.monthly_messages.data.map(d => safeGet(d, 'message_count', 0)),
-            borderColor: 'rgba(255, 99, 132, 1)',
-            fill: false
-          }]
-        },
-        commentary: analysisData.monthly_messages.caption
-      });
-    }
+const SLIDE_RENDERERS = {
+  ...Object.fromEntries(Object.keys(CHART_TYPES).map(kind => [kind, ChartSlide])),
+  SummaryGrid: ({ item, onDayClick }) => (
+    <DaySummariesGrid summaries={item.summaries} isVisible onDayClick={onDayClick} />
+  ),
+  TextSummaryCard: ({ item }) => <TextSummaryCard title={item.title} summary={item.summary} isVisible />,
+  UnavailableCard: ({ item }) => <UnavailableStatCard title={item.title} isVisible />
+};
 
-    // Average Messages Sent Chart
-    if (isValidArray(analysisData.avg_messages_sent.data)) {
-      chartDataSets.push({
-        title: "Average Messages Sent per Month",
-        type: "Line",
-        data: {
-          labels: analysisData.avg_messages_sent.data.map(d => safeGet(d, 'month')),
-          datasets: [{
-            label: 'Avg Messages per Month',
-            data: analysisData.avg_messages_sent.data.map(d => safeGet(d, 'avg_messages_sent', 0)),
-            borderColor: 'rgba(75, 192, 192, 1)',
-            fill: false
-          }]
-        },
-        commentary: analysisData.avg_messages_sent.caption
-      });
-    }
+// Anonymize what's sent for analysis by default; minimization is opt-in
+const DEFAULT_PRIVACY = { anonymize: true, terms: [], minimize: false };
 
-    // Quarterly Contribution Chart
-    if (isValidArray(analysisData.quarterly_contribution.data)) {
-      const quarterData = groupBySender(analysisData.quarterly_contribution.data, 'date', 'message_count');
-      if (quarterData.dates.length > 0 && quarterData.datasets.length > 0) {
-        chartDataSets.push({
-          title: "Quarterly Message Contribution by Sender",
-          type: "Line",
-          data: {
-            labels: quarterData.dates,
-            datasets: quarterData.datasets
-          },
-          commentary: analysisData.quarterly_contribution.caption
-        });
-      }
-    }
+// Slides are matched across years by id (comparison items have only a title)
+const slideKey = (item) => item.id || item.title || item.type;
 
-    // Yearly Comparison Chart
-    if (isValidArray(analysisData.yearly_comparison.data)) {
-      const labels = analysisData.yearly_comparison.data.map(d => safeGet(d, 'sender'));
-      const values = analysisData.yearly_comparison.data.map(d => safeGet(d, 'percent_change', 0));
-      const { sortedLabels, sortedData } = sortBarData(labels, values);
-      
-      chartDataSets.push({
-        title: "Year-Over-Year Message Change",
-        type: "Bar",
-        data: {
-          labels: sortedLabels,
-          datasets: [{
-            label: 'YoY % Change',
-            data: sortedData,
-            backgroundColor: 'rgba(153, 102, 255, 0.6)'
-          }]
-        },
-        commentary: analysisData.yearly_comparison.caption
-      });
-    }
+const findMatchingSlide = (item, chartDataSets) => {
+  if (!item) return 0;
+  return Math.max(0, chartDataSets.findIndex(other => slideKey(other) === slideKey(item)));
+};
 
-    // Top Ten Days Chart
-    if (isValidArray(analysisData.top_ten_days.data)) {
-      const labels = analysisData.top_ten_days.data.map(d => safeGet(d, 'day'));
-      const values = analysisData.top_ten_days.data.map(d => safeGet(d, 'chats', 0));
-      const { sortedLabels, sortedData } = sortBarData(labels, values);
-      
-      chartDataSets.push({
-        title: "Top 10 Most Active Days",
-        type: "Bar",
-        data: {
-          labels: sortedLabels,
-          datasets: [{
-            label: 'Number of Messages',
-            data: sortedData,
-            backgroundColor: 'rgba(255, 206, 86, 0.6)'
-          }]
-        },
-        commentary: analysisData.top_ten_days.caption
-      });
+const App = () => {
+  const [phase, setPhase] = useState('upload');
+  const [connectionMethod, setConnectionMethod] = useState(null);
+  const [analysisData, setAnalysisData] = useState(null);
+  const [availableYears, setAvailableYears] = useState([]);
+  // A year or date range key from analysis/periods
+  const [selectedPeriod, setSelectedPeriod] = useState(null);
+  // { start, end } days of the chat, for resolving range presets
+  const [chatSpan, setChatSpan] = useState(null);
+  // Comparison mode: [{ year, analysis }] for the picked years, or null
+  const [comparison, setComparison] = useState(null);
+  const [selectedFile, setSelectedFile] = useState(null);
+  const [chatFile, setChatFile] = useState(null);
+  // What the chat worker parsed out of the picked file (see summarizeTranscript),
+  // plus its years and span; the messages themselves stay in the worker
+  const [chatSummary, setChatSummary] = useState(null);
+  const [isReadingFile, setIsReadingFile] = useState(false);
+  // Renamed, merged and excluded senders (see analysis/participants)
+  const [participantMap, setParticipantMap] = useState({});
+  // What the analysis API gets: anonymized (see analysis/anonymize), with
+  // `pseudonyms` to map its names back and `redactions` ({ counts, preview })
+  // to show, and/or minimized to metadata rows (analysis/minimize)
+  const [privacy, setPrivacy] = useState(DEFAULT_PRIVACY);
+  const [pseudonyms, setPseudonyms] = useState(null);
+  const [redactions, setRedactions] = useState(null);
+  const [minimizedPreview, setMinimizedPreview] = useState(null);
+  // The worker is rebuilding the outgoing transcript (participants or privacy changed)
+  const [preparingTranscript, setPreparingTranscript] = useState(false);
+  // JSON-encoded transcript Blob from the chat worker, spliced into API request bodies
+  const [transcriptJson, setTranscriptJson] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [currentChartIndex, setCurrentChartIndex] = useState(0);
+  const [isScrolling, setIsScrolling] = useState(false);
+  const [error, setError] = useState(null);
+  const [createAiSummaries, setCreateAiSummaries] = useState(true);
+  const [offlineMode, setOfflineMode] = useState(false);
+  // 'api' or 'local', so the deck can say where its numbers came from
+  const [analysisSource, setAnalysisSource] = useState('api');
+  // Why we fell back to on-device analysis, if we did
+  const [fallbackReason, setFallbackReason] = useState(null);
+
+  // Opt-in "Recent wraps" persistence (IndexedDB, this device only)
+  const [saveOnDevice, setSaveOnDevice] = useState(false);
+  const [recentWraps, setRecentWraps] = useState([]);
+  // { id?, groupName, sourceId, span } of the chat on screen, for saving later periods
+  const [wrapDetails, setWrapDetails] = useState(null);
 
-    }
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  // The notable day the drawer opened on, and [{ day, logs }] for it plus any
+  // days loaded around it
+  const [drawerDay, setDrawerDay] = useState(null);
+  const [dayLogs, setDayLogs] = useState([]);
+  // Set when the drawer opens on an Explore hit: { query, position }
+  const [drawerHit, setDrawerHit] = useState(null);
+  const [exploring, setExploring] = useState(false);
+  // Custom keyword trackers (see analysis/trackers), their results for the
+  // period on screen, and whether the browser refused to save them
+  const [trackers, setTrackers] = useState(loadTrackers);
+  const [trackerResults, setTrackerResults] = useState(null);
+  const [trackersUnsaved, setTrackersUnsaved] = useState(false);
+  const [managingTrackers, setManagingTrackers] = useState(false);
+  // Member profile overlay: { member, activity, loading, error }, or null
+  const [profile, setProfile] = useState(null);
+
+  const chatWorkerRef = useRef(null);
+  const runIdRef = useRef(0);
+  const requestControllerRef = useRef(null);
+  // Per-year results for the current transcript, and the signal its background
+  // prefetches run under; both are replaced whenever a new transcript loads
+  const analysisCacheRef = useRef(null);
+  const prefetchControllerRef = useRef(null);
+  // Bumped per profile request so a slow one can't replace a newer one
+  const profileRequestRef = useRef(0);
+
+  const getChatWorker = () => {
+    if (!chatWorkerRef.current) chatWorkerRef.current = createChatWorker();
+    return chatWorkerRef.current;
+  };
 
-   
-    // Top 3 days summaries
-
-    if (analysisData.top_ten_days?.day_summaries && 
-      Array.isArray(analysisData.top_ten_days.day_summaries)) {
-      const summaries = analysisData.top_ten_days.day_summaries.map(dayData => ({
-        title: String(dayData.date || ''),
-        summary: String(dayData.content.summary || ''),
-        // If each dayData includes chat_logs, you could store them here:
-        chat_logs: dayData.chat_logs || [] 
-      })).filter(summary => summary.title && summary.summary);
-      
-      if (summaries.length > 0) {
-        chartDataSets.push({
-          type: "SummaryGrid",
-          summaries: summaries
-        });
-      }
-    }
+  useEffect(() => () => {
+    if (chatWorkerRef.current) chatWorkerRef.current.terminate();
+  }, []);
 
+  const refreshRecentWraps = () => {
+    if (!isStorageAvailable()) return;
+    listWraps()
+      .then(setRecentWraps)
+      .catch(error => console.warn('Could not read saved wraps:', error));
+  };
 
-    // Manic Data Chart
-    if (isValidArray(analysisData.manic.data)) {
-      const labels = analysisData.manic.data.map(d => safeGet(d, 'sender'));
-      const values = analysisData.manic.data.map(d => safeGet(d, 'percent_manic', 0));
-      const { sortedLabels, sortedData } = sortBarData(labels, values);
-      
-      chartDataSets.push({
-        title: "Most Manic Award",
-        type: "Bar",
-        data: {
-          labels: sortedLabels,
-          datasets: [{
-            label: '% Messages (10pm-4am)',
-            data: sortedData,
-            backgroundColor: 'rgba(54, 162, 235, 0.6)'
-          }]
-        },
-        commentary: analysisData.manic.caption
-      });
-    }
+  useEffect(refreshRecentWraps, []);
 
-    // Most Ignored Chart
-    if (isValidArray(analysisData.most_ignored.data)) {
-      const labels = analysisData.most_ignored.data.map(d => safeGet(d, 'sender'));
-      const values = analysisData.most_ignored.data.map(d => safeGet(d, 'average_time_to_respond', 0));
-      const { sortedLabels, sortedData } = sortBarData(labels, values);
-      
-      chartDataSets.push({
-        title: "Most Ignored Member :(",
-        type: "Bar",
-        data: {
-          labels: sortedLabels,
-          datasets: [{
-            label: 'Average Minutes Until Response',
-            data: sortedData,
-            backgroundColor: 'rgba(54, 162, 235, 0.6)'
-          }]
-        },
-        commentary: analysisData.most_ignored.caption
-      });
+  // Tracker slides are counted on device, however the deck was analyzed
+  useEffect(() => {
+    if (phase !== 'visualize' || !selectedPeriod || trackers.length === 0) {
+      setTrackerResults(null);
+      return undefined;
     }
-
-    // Novelist Award
-    if (isValidArray(analysisData.novelist.data)) {
-      const labels = analysisData.novelist.data.map(d => safeGet(d, 'sender'));
-      const values = analysisData.novelist.data.map(d => safeGet(d, 'average_message_length', 0));
-      const { sortedLabels, sortedData } = sortBarData(labels, values);
-      
-      chartDataSets.push({
-        title: "Groupchat Novelist Award",
-        type: "Bar",
-        data: {
-          labels: sortedLabels,
-          datasets: [{
-            label: 'Average Characters per Message',
-            data: sortedData,
-            backgroundColor: 'rgba(54, 162, 235, 0.6)'
-          }]
-        },
-        commentary: analysisData.novelist.caption
+    let current = true;
+    getChatWorker().trackers(selectedPeriod, trackers)
+      .then(results => {
+        if (current) setTrackerResults(results);
+      })
+      .catch(error => {
+        if (current && !isCancelled(error)) console.error('Counting tracker keywords failed:', error);
       });
-    }
+    return () => {
+      current = false;
+    };
+  }, [phase, selectedPeriod, trackers]);
+
+  // Only ever called for members who ticked "save on this device"
+  const persistWrap = (details, period, analysis, source) => {
+    if (!saveOnDevice || !details) return;
+    saveWrap({
+      availableYears,
+      ...details,
+      transcriptJson,
+      period,
+      analysisData: analysis,
+      analysisSource: source,
+      pseudonyms,
+      privacy,
+      aiSummaries: source === 'api' && createAiSummaries,
+      offline: offlineMode
+    })
+      .then(id => {
+        // Remember the id so saving later years doesn't re-hash the transcript
+        setWrapDetails(current => (current && !current.id ? { ...current, id } : current));
+        refreshRecentWraps();
+      })
+      .catch(error => console.warn('Could not save this wrap:', error));
+  };
 
+  // Each load/analysis run gets an id and a fresh AbortController; starting a
+  // new run (or cancelling) aborts the previous request and drops late results
+  const startRun = () => {
+    if (requestControllerRef.current) requestControllerRef.current.abort();
+    requestControllerRef.current = new AbortController();
+    return ++runIdRef.current;
+  };
+  const isStaleRun = (runId) => runId !== runIdRef.current;
+  const requestSignal = () => requestControllerRef.current.signal;
+  const reportRetry = ({ attempt, retries }) =>
+    setProgress({ stage: 'api', label: `The analysis server is waking up... (retry ${attempt} of ${retries})` });
+
+  const handleCancel = () => {
+    startRun();
+    getChatWorker().cancel();
+    setProgress(null);
+    setIsReadingFile(false);
+    setPhase(analysisData ? 'visualize' : 'upload');
+  };
 
-    // Swear Data Chart
-    if (isValidArray(analysisData.swears.data)) {
-      const labels = analysisData.swears.data.map(d => safeGet(d, 'sender'));
-      const values = analysisData.swears.data.map(d => safeGet(d, 'swears_per_message', 0));
-      const { sortedLabels, sortedData } = sortBarData(labels, values);
-      
-      chartDataSets.push({
-        title: "Swear Word Frequency",
-        type: "Bar",
-        data: {
-          labels: sortedLabels,
-          datasets: [{
-            label: 'Swears per Message',
-            data: sortedData,
-            backgroundColor: 'rgba(255, 99, 132, 0.6)'
-          }]
-        },
-        commentary: analysisData.swears.caption
-      });
+  const handleFileChange = async (file) => {
+    console.log('File selected:', file.name);
+    setSelectedFile(null);
+    setChatFile(null);
+    setChatSummary(null);
+    setTranscriptJson(null);
+    setParticipantMap({});
+    setPseudonyms(null);
+    setRedactions(null);
+    setMinimizedPreview(null);
+    setError(null);
+
+    const source = getSource(connectionMethod);
+    const validationError = validateChatFile(file, { accept: source.accept });
+    if (validationError) {
+      setError(validationError);
+      return;
     }
 
-    // Hangout Data Chart
-    if (isValidArray(analysisData.hangout.data)) {
-      const labels = analysisData.hangout.data.map(d => safeGet(d, 'sender'));
-      const values = analysisData.hangout.data.map(d => safeGet(d, 'hangouts_per_message', 0));
-      const { sortedLabels, sortedData } = sortBarData(labels, values);
-      
-      chartDataSets.push({
-        title: "Hangout Discussion Frequency",
-        type: "Bar",
-        data: {
-          labels: sortedLabels,
-          datasets: [{
-            label: 'Hangout References per Message',
-            data: sortedData,
-            backgroundColor: 'rgba(75, 192, 192, 0.6)'
-          }]
-        },
-        commentary: analysisData.hangout.caption
-      });
+    const runId = startRun();
+    setSelectedFile(file);
+    setIsReadingFile(true);
+    try {
+      // Parse in the worker first so a wrong or unsupported file gets a specific message
+      const { exported, summary, transcriptJson: encodedTranscript, availableYears: years, span } =
+        await getChatWorker().load(source.id, file, setProgress);
+      const prepared = privacy.anonymize || privacy.minimize ? await getChatWorker().setPrivacy(privacy) : null;
+      if (isStaleRun(runId)) return;
+
+      setChatFile(exported);
+      setChatSummary({ ...summary, availableYears: years, span });
+      setTranscriptJson(encodedTranscript);
+      if (prepared) showOutgoing(prepared);
+    } catch (error) {
+      if (isCancelled(error) || isStaleRun(runId)) return;
+      console.error('Error reading file:', error);
+      setError(error.message || 'Failed to read file');
+      setSelectedFile(null);
+    } finally {
+      if (!isStaleRun(runId)) {
+        setIsReadingFile(false);
+        setProgress(null);
+      }
     }
+  };
 
-  chartDataSets.push({
-    type: "TextSummaryCard",
-    title: "That's all folks!",
-    summary: "We wish you and your groupchat the happiest of New Years! We like to have fun around here but all jokes aside, everyone in the groupchat is special, whether it's the guy who always posts videos you're not going to watch, or the old college bud with three kids that hasn't posted since the last one was born (cute pics though.) Shoot 'em a message and let em know you care. Share this Wrapped. Help us keep the lights on <3"
-  });
-    
-
-  } catch (error) {
-    console.error('Error building chart datasets:', error);
-  }
-
-  return chartDataSets;
-};
+  // What the worker says the analysis API should get from now on
+  const showOutgoing = ({ transcriptJson: outgoing, availableYears: years, span, pseudonyms: names, redactions: redacted, minimized }) => {
+    setTranscriptJson(outgoing);
+    setChatSummary(current => current && { ...current, availableYears: years, span });
+    setPseudonyms(names);
+    setRedactions(redacted);
+    setMinimizedPreview(minimized);
+  };
 
+  // Participant and privacy changes are applied in the worker, which rebuilds
+  // the outgoing transcript, so both ways of analyzing see the same people
+  const prepareTranscript = async (apply, failure) => {
+    const runId = startRun();
+    setPreparingTranscript(true);
+    try {
+      const outgoing = await apply(getChatWorker());
+      if (!isStaleRun(runId)) showOutgoing(outgoing);
+    } catch (error) {
+      if (isCancelled(error) || isStaleRun(runId)) return;
+      console.error(`${failure}:`, error);
+      setError(error.message || failure);
+    } finally {
+      if (!isStaleRun(runId)) setPreparingTranscript(false);
+    }
+  };
 
+  const handleParticipantsChange = (mapping) => {
+    setParticipantMap(mapping);
+    prepareTranscript(worker => worker.setParticipants(mapping), 'Could not apply those participant changes');
+  };
 
+  const handlePrivacyChange = (options) => {
+    setPrivacy(options);
+    if (!chatSummary) return;
+    prepareTranscript(worker => worker.setPrivacy(options), 'Could not anonymize the chat');
+  };
 
+  const resetAnalysisCache = () => {
+    if (prefetchControllerRef.current) prefetchControllerRef.current.abort();
+    prefetchControllerRef.current = new AbortController();
+    analysisCacheRef.current = createResultCache();
+  };
 
-const App = () => {
-  const [phase, setPhase] = useState('upload');
-  const [connectionMethod, setConnectionMethod] = useState(null);
-  const [analysisData, setAnalysisData] = useState(null);
-  const [availableYears, setAvailableYears] = useState([]);
-  const [selectedYear, setSelectedYear] = useState(null);
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [transcript, setTranscript] = useState(null);
-  const [currentChartIndex, setCurrentChartIndex] = useState(0);
-  const [isScrolling, setIsScrolling] = useState(false);
-  const [error, setError] = useState(null);
-  const [createAiSummaries, setCreateAiSummaries] = useState(true);
+  // Sections the server didn't send (e.g. emoji stats) are computed on device
+  // from the same transcript; if that fails the deck just goes without them
+  const fillMissingSections = async (analysis, period) => {
+    const missing = OPTIONAL_SECTIONS.filter(key => analysis[key] === undefined);
+    if (missing.length === 0) return analysis;
+    try {
+      const local = await getChatWorker().analyze(period, undefined, { only: missing });
+      return { ...analysis, ...Object.fromEntries(missing.map(key => [key, local[key]])) };
+    } catch (error) {
+      if (isCancelled(error)) throw error;
+      console.warn('Computing the extra sections on device failed:', error);
+      return analysis;
+    }
+  };
 
-  const [drawerOpen, setDrawerOpen] = useState(false);
-  const [dayLogs, setDayLogs] = useState([]);
+  // The API request for one period: the transcript, or with data minimization
+  // the metadata rows plus the text of the days the AI summarizes
+  const requestAnalysis = async (period, options) => {
+    if (!privacy.minimize) return fetchAnalysis(transcriptJson, { period, span: chatSpan, createAiSummaries, ...options });
+    const { metadataJson, dayWindows } = await getChatWorker().minimized({ period, windows: createAiSummaries });
+    return fetchAnalysis(metadataJson, { period, span: chatSpan, createAiSummaries, minimized: true, dayWindows, ...options });
+  };
 
-  const handleFileChange = (e) => {
-    if (e.target.files && e.target.files[0]) {
-      console.log('File selected:', e.target.files[0].name);
-      setSelectedFile(e.target.files[0]);
-    }
+  // One period's analysis, from the cache (or an in-flight prefetch) when possible
+  const loadAnalysis = (period, source, { signal, onRetry, onProgress } = {}) =>
+    analysisCacheRef.current.fetch({ period, source, aiSummaries: createAiSummaries }, () => (
+      source === 'api'
+        ? requestAnalysis(period, { signal, onRetry })
+          .then(analysis => fillMissingSections(restoreNames(analysis, pseudonyms), period))
+        : getChatWorker().analyze(period, onProgress)
+    ));
+
+  // Warm the cache with the years either side of the one on screen (ranges
+  // have no neighbours)
+  const prefetchAdjacentYears = (period, source, years) => {
+    const index = years.findIndex(y => String(y) === String(period));
+    if (index === -1) return;
+    [years[index - 1], years[index + 1]]
+      .filter(neighbour => neighbour !== undefined)
+      .forEach(neighbour => {
+        loadAnalysis(neighbour, source, { signal: prefetchControllerRef.current.signal })
+          .catch(error => {
+            if (!isCancelled(error)) console.warn(`Prefetching ${neighbour} failed:`, error);
+          });
+      });
   };
 
   const handleFileUpload = async () => {
-    if (!selectedFile) {
+    if (!transcriptJson || !chatSummary) {
       console.warn('No file selected when attempting upload.');
       return;
     }
 
-    console.log('Starting file read and available-years fetch...');
+    const runId = startRun();
     setPhase('loading');
-    const reader = new FileReader();
-
-    reader.onload = async (ev) => {
-      try {
-        const fileTranscript = ev.target.result;
-        setTranscript(fileTranscript);
-
-        // Fetch available years
-        const yearsResponse = await fetch(`${analysisApiUrl}/available-years`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ transcript: fileTranscript })
-        });
+    setProgress(null);
+    setError(null);
+
+    const details = { groupName: describeGroupName(chatFile, chatSummary), sourceId: connectionMethod, span: chatSummary.span };
+    setWrapDetails(details);
+    setChatSpan(chatSummary.span);
+    setComparison(null);
+    resetAnalysisCache();
+
+    const runLocally = async () => {
+      const years = chatSummary.availableYears;
+      if (!years || years.length === 0) throw new Error('No available years found');
+
+      const analysis = await loadAnalysis(years[0], 'local', { onProgress: setProgress });
+      if (isStaleRun(runId)) return;
+
+      setAvailableYears(years);
+      setSelectedPeriod(years[0]);
+      setAnalysisData(analysis);
+      setAnalysisSource('local');
+      setPhase('visualize');
+      setCurrentChartIndex(0);
+      persistWrap({ ...details, availableYears: years }, years[0], analysis, 'local');
+      prefetchAdjacentYears(years[0], 'local', years);
+    };
 
-        if (!yearsResponse.ok) throw new Error('Available years fetch not ok');
+    const failLocally = (apiError) => (error) => {
+      if (isCancelled(error) || isStaleRun(runId)) return;
+      console.error('On-device analysis failed:', error);
+      setError(apiError ? describeApiError(apiError) : 'Analysis failed');
+      setPhase('upload');
+    };
 
-        const yearsJson = await yearsResponse.json();
-        console.log('Available years received:', yearsJson.available_years);
+    if (offlineMode) {
+      setFallbackReason(null);
+      await runLocally().catch(failLocally(null));
+      return;
+    }
 
-        console.log('Full response:', yearsJson);
-        console.log('Type of yearsJson.available_years:', typeof yearsJson.available_years);
-        console.log('Is array?', Array.isArray(yearsJson.available_years));
-        
-        if (!yearsJson.available_years || !Array.isArray(yearsJson.available_years) || yearsJson.available_years.length === 0) {
-          throw new Error('No available years found');
-        }
+    console.log('Starting available-years fetch...');
+    try {
+      setProgress({ stage: 'api', label: 'Finding years in your chat...' });
+
+      const years = privacy.minimize
+        ? await fetchAvailableYears((await getChatWorker().minimized()).metadataJson,
+          { minimized: true, signal: requestSignal(), onRetry: reportRetry })
+        : await fetchAvailableYears(transcriptJson, { signal: requestSignal(), onRetry: reportRetry });
+      if (isStaleRun(runId)) return;
+      console.log('Available years received:', years);
+
+      setAvailableYears(years);
+      const initialYear = years[0];
+      setSelectedPeriod(initialYear);
+
+      // Now fetch the analysis for the initial year
+      setProgress({ stage: 'api', label: createAiSummaries ? 'Analyzing and writing summaries...' : 'Analyzing...' });
+      const analysisJson = await loadAnalysis(initialYear, 'api', { signal: requestSignal(), onRetry: reportRetry });
+      if (isStaleRun(runId)) return;
+      console.log('Initial analysis data received:', analysisJson);
+
+      setAnalysisData(analysisJson);
+      setAnalysisSource('api');
+      setPhase('visualize');
+      setCurrentChartIndex(0);
+      persistWrap({ ...details, availableYears: years }, initialYear, analysisJson, 'api');
+      prefetchAdjacentYears(initialYear, 'api', years);
+    } catch (error) {
+      if (isCancelled(error) || isStaleRun(runId)) return;
+      console.error('Error processing file, falling back to on-device analysis:', error);
+      setFallbackReason(describeApiError(error));
+      await runLocally().catch(failLocally(error));
+    }
+  };
 
-        setAvailableYears(yearsJson.available_years);
-        const initialYear = yearsJson.available_years[0];
-        setSelectedYear(initialYear);
+  // The payload with its sections unboxed and typed, for member profiles
+  const normalizedAnalysis = useMemo(() => (analysisData ? validateAnalysis(analysisData).analysis : null), [analysisData]);
+
+  // The slides on screen (the comparison deck, or the single-period one) and
+  // the validation issues behind them. Built once per payload: laying out the
+  // reply network is too slow to redo on every render and wheel event.
+  const deck = useMemo(() => {
+    const diagnostics = [];
+    const slides = comparison
+      ? buildComparisonDeck(comparison)
+      : buildSlides(analysisData, diagnostics, { trackerResults });
+    return { slides, diagnostics };
+  }, [analysisData, comparison, trackerResults]);
+
+  const handleTrackersChange = (next) => {
+    setTrackers(next);
+    setTrackersUnsaved(!saveTrackers(next));
+  };
 
-        // Now fetch the analysis for the initial year
-        const analyzeResponse = await fetch(`${analysisApiUrl}/analyze`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ transcript: fileTranscript, year: initialYear, create_ai_summaries: createAiSummaries })
-        });
+  const handlePeriodChange = async (period) => {
+    console.log('Period selected:', period);
+    const runId = startRun();
+    const currentSlide = deck.slides[Math.min(currentChartIndex, deck.slides.length - 1)];
+    setSelectedPeriod(period);
+    setComparison(null);
 
-        if (!analyzeResponse.ok) throw new Error('Initial analysis fetch not ok');
+    const show = (analysis, source) => {
+      setAnalysisData(analysis);
+      setAnalysisSource(source);
+      setPhase('visualize');
+      // Stay on the same slide in the new deck
+      setCurrentChartIndex(findMatchingSlide(currentSlide, buildSlides(analysis, [], { trackerResults })));
+      persistWrap(wrapDetails, period, analysis, source);
+      prefetchAdjacentYears(period, source, availableYears);
+    };
 
-        const analysisJson = await analyzeResponse.json();
-        console.log('Initial analysis data received:', analysisJson);
+    // Already viewed or prefetched: switch straight away, no loading screen
+    const cached = analysisCacheRef.current.get({ period, source: analysisSource, aiSummaries: createAiSummaries });
+    if (cached) {
+      show(cached, analysisSource);
+      return;
+    }
 
-        setAnalysisData(analysisJson);
-        setPhase('visualize');
-        setCurrentChartIndex(0);
-      } catch (error) {
-        console.error('Error processing file:', error);
-        setError('Analysis failed');
-        setPhase('upload');
-      }
+    setProgress(null);
+    setPhase('loading');
+
+    const showLocalAnalysis = async () => {
+      const analysis = await loadAnalysis(period, 'local', { onProgress: setProgress });
+      if (isStaleRun(runId)) return;
+      show(analysis, 'local');
     };
 
-    reader.onerror = () => {
-      console.error('Error reading file');
-      setError('Failed to read file');
-      setPhase('upload');
+    const fail = (error) => {
+      if (isCancelled(error) || isStaleRun(runId)) return;
+      console.error('Error fetching data for period:', error);
+      setError('Failed to fetch data for that period');
+      setPhase('error');
     };
 
-    reader.readAsText(selectedFile);
+    if (analysisSource === 'local') {
+      await showLocalAnalysis().catch(fail);
+      return;
+    }
+
+    try {
+      setProgress({ stage: 'api', label: `Analyzing ${describePeriod(period)}...` });
+      const json = await loadAnalysis(period, 'api', { signal: requestSignal(), onRetry: reportRetry });
+      if (isStaleRun(runId)) return;
+      console.log('Analysis data for selected period:', json);
+      show(json, 'api');
+    } catch (error) {
+      if (isCancelled(error) || isStaleRun(runId)) return;
+      console.error('Error fetching data for period, falling back to on-device analysis:', error);
+      setFallbackReason(describeApiError(error));
+      await showLocalAnalysis().catch(fail);
+    }
   };
 
-  const handleYearChange = async (year) => {
-    console.log('Year selected:', year);
-    setSelectedYear(year);
+  const handleCompareYears = async (years) => {
+    const runId = startRun();
+    setProgress(null);
     setPhase('loading');
 
+    // One at a time through the cache, so years already viewed are free
+    const loadAll = async (source) => {
+      const results = [];
+      for (const [index, year] of years.entries()) {
+        const label = `Analyzing ${year} (${index + 1} of ${years.length})...`;
+        setProgress({ stage: 'api', label });
+        const analysis = await loadAnalysis(year, source, {
+          signal: requestSignal(),
+          onRetry: reportRetry,
+          onProgress: (update) => setProgress(update.label ? { ...update, label: `${year}: ${update.label}` } : update)
+        });
+        results.push({ year, analysis });
+      }
+      return results;
+    };
+
+    const show = (results, source) => {
+      if (isStaleRun(runId)) return;
+      setComparison(results);
+      setAnalysisSource(source);
+      setCurrentChartIndex(0);
+      setPhase('visualize');
+    };
+
+    const fail = (error) => {
+      if (isCancelled(error) || isStaleRun(runId)) return;
+      console.error('Error comparing years:', error);
+      setError('Failed to compare those years');
+      setPhase('error');
+    };
+
+    if (analysisSource === 'local') {
+      await loadAll('local').then(results => show(results, 'local')).catch(fail);
+      return;
+    }
+
+    try {
+      show(await loadAll('api'), 'api');
+    } catch (error) {
+      if (isCancelled(error) || isStaleRun(runId)) return;
+      console.error('Error comparing years, falling back to on-device analysis:', error);
+      setFallbackReason(describeApiError(error));
+      await loadAll('local').then(results => show(results, 'local')).catch(fail);
+    }
+  };
+
+  const handleOpenWrap = async (id) => {
+    const runId = startRun();
+    setError(null);
     try {
-      const response = await fetch(`${analysisApiUrl}/analyze`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ transcript, year, create_ai_summaries: createAiSummaries })
+      const wrap = await getWrap(id);
+      if (isStaleRun(runId)) return;
+      if (!wrap) throw new Error('That saved wrap no longer exists');
+
+      // Saved transcripts are WhatsApp-format text whatever the source, so the
+      // worker can re-parse one for on-device analysis of other periods. An
+      // anonymized one gets its senders' real names back as participant names.
+      const transcript = JSON.parse(await wrap.transcriptJson.text());
+      const realNames = wrap.pseudonyms &&
+        Object.fromEntries(Object.entries(wrap.pseudonyms).map(([pseudonym, name]) => [pseudonym, { name }]));
+      getChatWorker().restore('whatsapp', new File([transcript], 'transcript.txt', { type: 'text/plain' }), {
+        participants: realNames,
+        privacy: wrap.privacy
       });
 
-      if (!response.ok) throw new Error('Failed to fetch analysis data for year');
+      // Every saved period goes straight into the cache
+      resetAnalysisCache();
+      setComparison(null);
+      Object.entries(wrap.analyses).forEach(([savedPeriod, analysis]) => {
+        analysisCacheRef.current.set({ period: savedPeriod, source: wrap.analysisSource, aiSummaries: wrap.aiSummaries }, analysis);
+      });
 
-      const json = await response.json();
-      console.log('Analysis data for selected year:', json);
-      setAnalysisData(json);
+      const period = wrapPeriod(wrap);
+      setTranscriptJson(wrap.transcriptJson);
+      setPseudonyms(wrap.pseudonyms || null);
+      setPrivacy(wrap.privacy || DEFAULT_PRIVACY);
+      setAvailableYears(wrap.availableYears);
+      setChatSpan(wrap.span || spanFromYears(wrap.availableYears));
+      setSelectedPeriod(period);
+      setAnalysisData(wrap.analyses[period]);
+      setAnalysisSource(wrap.analysisSource);
+      setCreateAiSummaries(wrap.aiSummaries);
+      setOfflineMode(wrap.offline);
+      setFallbackReason(null);
+      setWrapDetails({ id: wrap.id, groupName: wrap.groupName, sourceId: wrap.sourceId, span: wrap.span });
+      // It's already saved; keep later periods with it
+      setSaveOnDevice(true);
       setPhase('visualize');
       setCurrentChartIndex(0);
     } catch (error) {
-      console.error('Error fetching data for year:', error);
-      setError('Failed to fetch data for year');
-      setPhase('error');
+      console.error('Could not open saved wrap:', error);
+      setError(error.message || 'Could not open that saved wrap');
+      refreshRecentWraps();
     }
   };
 
+  const handleDeleteWrap = async (id) => {
+    try {
+      await deleteWrap(id);
+    } catch (error) {
+      console.error('Could not delete saved wrap:', error);
+      setError('Could not delete that saved wrap');
+    }
+    refreshRecentWraps();
+  };
+
+  // Member profile: ranks come from the analysis on screen, words, emoji and
+  // hours from the worker (on device, whichever way the deck was analyzed)
+  const handleMemberClick = (member) => {
+    const requestId = ++profileRequestRef.current;
+    setProfile({ member, activity: null, loading: true, error: null });
+    getChatWorker().profile(selectedPeriod, member)
+      .then(activity => {
+        if (requestId === profileRequestRef.current) setProfile({ member, activity, loading: false, error: null });
+      })
+      .catch(error => {
+        if (requestId !== profileRequestRef.current || isCancelled(error)) return;
+        console.error('Building the member profile failed:', error);
+        setProfile({ member, activity: null, loading: false, error: `Couldn't read ${member}'s messages.` });
+      });
+  };
+
+  const closeProfile = () => {
+    profileRequestRef.current++;
+    setProfile(null);
+  };
+
   const handleDaySummaryClick = (dayIndex) => {
-    // Grab the Summaries item from analysisData
-    const chartDataSets = buildChartDataSets(analysisData) || [];
-    const summaryItem = chartDataSets.find(c => c.type === 'SummaryGrid');
+    // Grab the Summaries item from the deck
+    const summaryItem = deck.slides.find(c => c.type === 'SummaryGrid');
     if (!summaryItem || !summaryItem.summaries[dayIndex]) return;
   
     // Access chat_logs for that day
-    const logsForDay = summaryItem.summaries[dayIndex].chat_logs || [];
+    const { title: day, chat_logs: logsForDay = [] } = summaryItem.summaries[dayIndex];
     console.log('Opening drawer with logs:', logsForDay);
   
-    setDayLogs(logsForDay);
+    setDrawerDay(day);
+    setDayLogs([{ day, logs: logsForDay }]);
+    setDrawerHit(null);
     setDrawerOpen(true);
   };
-  
-  // Then render the side drawer
-  <DayChatLogsDrawer
-    isOpen={drawerOpen}
-    logs={dayLogs}
-    onClose={() => setDrawerOpen(false)}
-  />;
 
-  
+  // An Explore hit opens the drawer on its day, scrolled to the message
+  const handleOpenHit = async (hit, query) => {
+    const loaded = await getChatWorker().dayLogs(hit.day);
+    if (!loaded) return;
+    setDrawerDay(hit.day);
+    setDayLogs([loaded]);
+    setDrawerHit({ query, position: hit.position });
+    setDrawerOpen(true);
+  };
+
+  // The day before the first one in the drawer (-1) or after the last (1), from
+  // the transcript in the worker. Resolves to false when there isn't one.
+  const handleLoadDay = async (direction) => {
+    const edge = direction < 0 ? dayLogs[0] : dayLogs[dayLogs.length - 1];
+    const loaded = await getChatWorker().dayLogs(edge.day, direction);
+    if (!loaded) return false;
+    setDayLogs(current => (direction < 0 ? [loaded, ...current] : [...current, loaded]));
+    return true;
+  };
+
 
   const handleScroll = (e) => {
     if (isScrolling || !analysisData) return;
 
-    const chartDataSets = buildChartDataSets(analysisData);
-    if (!chartDataSets.length) return;
+    if (!deck.slides.length) return;
 
     setIsScrolling(true);
 
-    if (e.deltaY > 0 && currentChartIndex < chartDataSets.length - 1) {
+    if (e.deltaY > 0 && currentChartIndex < deck.slides.length - 1) {
       setCurrentChartIndex((prev) => prev + 1);
     } else if (e.deltaY < 0 && currentChartIndex > 0) {
       setCurrentChartIndex((prev) => prev - 1);
@@ -1045,56 +1108,68 @@ const App = () => {
               {error}
             </div>
           )}
-          <h1 className="text-3xl font-bold text-center mb-8">Groupchat Wrapped 2024</h1>
+          <h1 className="text-3xl font-bold text-center mb-8">{describeWrapTitle(null)}</h1>
           <img src="/giftbox_opening.gif" alt="Opening Giftbox" />
           {!connectionMethod ? (
             <div className="space-y-0">
               <p className="text-gray-600 mb-8 p-1" align="center">
-                It's been quite a year huh? Let's review! To get started, click the button below to import your groupchat data.
-                Don't worry - we won't save anything beyond this session.
+                It's been quite a year huh? Let's review! To get started, pick your chat app below and import your groupchat data.
+                Don't worry - we won't save anything beyond this session unless you ask us to.
               </p>
-              <button
-                onClick={() => setConnectionMethod('file')}
-                className="w-full p-6 text-left border-2 border-dashed border-gray-300 rounded-lg hover:border-blue-500 transition-colors"
-              >
-                <h2 className="text-xl font-semibold mb-2">Upload Chat File</h2>
-                <p className="text-gray-600">Export your chat from WhatsApp and upload the file</p>
-              </button>
+              <SourcePicker sources={getSources()} onSelect={setConnectionMethod} />
+              <RecentWraps wraps={recentWraps} onOpen={handleOpenWrap} onDelete={handleDeleteWrap} />
             </div>
           ) : (
             <div>
               <button
                 onClick={() => {
                   setConnectionMethod(null);
+                  setSelectedFile(null);
+                  setChatFile(null);
+                  setChatSummary(null);
+                  setTranscriptJson(null);
+                  setParticipantMap({});
+                  setPseudonyms(null);
+                  setRedactions(null);
+                  setMinimizedPreview(null);
                   setError(null);
                 }}
                 className="mb-6 text-gray-600 hover:text-gray-800"
               >
                 ← Back to options
               </button>
-              {connectionMethod === 'file' ? (
-                <div className="space-y-4">
-                  <p className="text-gray-600" align="center">
-                    <a
-                      href="https://faq.whatsapp.com/1180414079177245/?cms_platform=iphone&helpref=platform_switcher&locale=en_US"
-                      target="_blank"
-                      rel="noopener noreferrer"
-                    >
-                      To learn how to export your chat history from WhatsApp, click here.
-                    </a>{' '}
-                    You don't need to attach media.
-                  </p>
-                  <label className="block w-full px-4 py-8 border-2 border-dashed border-gray-300 rounded-lg text-center cursor-pointer hover:border-blue-500 transition-colors">
-                    <input
-                      type="file"
-                      accept=".txt"
-                      onChange={handleFileChange}
-                      className="hidden"
-                    />
-                    <span className="text-gray-600">
-                      {selectedFile ? selectedFile.name : 'Drop your WhatsApp chat file here or click to browse'}
-                    </span>
+              {getSource(connectionMethod) ? (
+                <SourceUpload
+                  source={getSource(connectionMethod)}
+                  selectedFile={selectedFile}
+                  chatFile={chatFile}
+                  chatSummary={chatSummary}
+                  isReadingFile={isReadingFile}
+                  progressText={isReadingFile ? describeProgress(progress) : null}
+                  onFile={handleFileChange}
+                  onCancel={handleCancel}
+                >
+                {chatSummary && (
+                  <ParticipantManager
+                    participants={chatSummary.participants}
+                    mapping={participantMap}
+                    busy={preparingTranscript}
+                    onChange={handleParticipantsChange}
+                  />
+                )}
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    id="offlineModeCheckbox"
+                    checked={offlineMode}
+                    onChange={(e) => setOfflineMode(e.target.checked)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <label htmlFor="offlineModeCheckbox" className="text-gray-700 text-sm">
+                    Offline mode: analyze on this device only. Your chat never leaves your browser, but there are no AI summaries.
                   </label>
+                </div>
+                {!offlineMode && (
                 <div className="flex items-center space-x-2">
                   <input
                     type="checkbox"
@@ -1108,16 +1183,42 @@ const App = () => {
                     If you'd still like to skip this part, check the box.
                   </label>
                 </div>
+                )}
+                {!offlineMode && chatSummary && (
+                  <RedactionPreview
+                    options={privacy}
+                    pseudonyms={pseudonyms}
+                    redactions={redactions}
+                    minimized={minimizedPreview}
+                    busy={preparingTranscript}
+                    onChange={handlePrivacyChange}
+                  />
+                )}
+                {isStorageAvailable() && (
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    id="saveOnDeviceCheckbox"
+                    checked={saveOnDevice}
+                    onChange={(e) => setSaveOnDevice(e.target.checked)}
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+                  />
+                  <label htmlFor="saveOnDeviceCheckbox" className="text-gray-700 text-sm">
+                    Save this wrap on this device so you can reopen it later without re-uploading. It stays in this browser and you can delete it from the start screen.
+                  </label>
+                </div>
+                )}
 
                   {selectedFile && (
                     <button
                       onClick={handleFileUpload}
-                      className="w-full px-4 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+                      disabled={!chatSummary || preparingTranscript}
+                      className="w-full px-4 py-3 bg-blue-600 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-blue-700 transition-colors"
                     >
                       Analyze Chat
                     </button>
                   )}
-                </div>
+                </SourceUpload>
               ) : (
                 null
               )}
@@ -1129,26 +1230,14 @@ const App = () => {
   }
 
   if (phase === 'loading') {
-    // Show a loading screen while waiting for available-years or analyze calls
-    return (
-      <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-50 flex items-center justify-center p-4">
-        <div className="text-center">
-          <svg className="animate-spin h-8 w-8 text-indigo-600 mx-auto mb-4" viewBox="0 0 24 24">
-            <circle className="opacity-25" cx="12" cy="12" r="10"
-                    stroke="currentColor" strokeWidth="4" fill="none"/>
-            <path className="opacity-75" fill="currentColor"
-                  d="M4 12a8 8 0 018-8v8H4z"/>
-          </svg>
-          <p className="text-indigo-600">Loading...</p>
-        </div>
-      </div>
-    );
+    // Show progress while the worker or the analysis API is busy
+    return <LoadingScreen progress={progress} onCancel={handleCancel} />;
   }
 
   if (phase === 'visualize') {
-    // Build out the chart items (Bar charts, Line charts, SummaryGrid, etc.)
-    const chartDataSets = buildChartDataSets(analysisData);
-    if (!chartDataSets || chartDataSets.length === 0) {
+    // The deck items (see ./slides)
+    const { slides: chartDataSets, diagnostics } = deck;
+    if (chartDataSets.length === 0) {
       return (
         <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-50 flex items-center justify-center p-4">
           <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 max-w-md">
@@ -1173,8 +1262,11 @@ const App = () => {
   
     // Safeguard the index of whichever chart or item is in view
     const safeCurrentIndex = Math.max(0, Math.min(currentChartIndex, chartDataSets.length - 1));
-    // The current chart or summary in the sequence
+    // The current chart or summary in the sequence, and what renders it
     const currentItem = chartDataSets[safeCurrentIndex];
+    const CurrentSlide = currentItem ? SLIDE_RENDERERS[currentItem.type] : null;
+    // Members open their profile from any chart (not in comparison decks)
+    const members = comparison ? null : membersOf(normalizedAnalysis);
     // Whether to show the "scroll down" indicator
     const showScrollIndicator = safeCurrentIndex < chartDataSets.length - 1;
   
@@ -1185,26 +1277,47 @@ const App = () => {
           className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-50 flex items-center justify-center p-8"
           onWheel={handleScroll}
         >
-          {/* Year dropdown (top-left) */}
-          <div className="fixed top-4 left-4 bg-white/80 backdrop-blur-sm rounded-lg p-2 shadow">
-            <label htmlFor="yearDropdown" className="block text-sm font-medium text-gray-700">
-              Select Year:
-            </label>
-            <select
-              id="yearDropdown"
-              value={selectedYear}
-              onChange={(e) => handleYearChange(e.target.value)}
-              className="mt-1 block w-full py-2 px-3 border border-gray-300 bg-white rounded-md shadow-sm 
-                         focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-            >
-              {availableYears.map((year) => (
-                <option key={year} value={year}>
-                  {year}
-                </option>
-              ))}
-            </select>
+          {/* Title and period picker (top-left) */}
+          <div className="fixed top-4 left-4 bg-white/80 backdrop-blur-sm rounded-lg p-2 shadow max-w-xs">
+            <h1 className="text-sm font-semibold text-gray-800 mb-1">
+              {comparison
+                ? `Groupchat Wrapped ${comparison.map(({ year }) => year).sort().join(' vs ')}`
+                : describeWrapTitle(selectedPeriod)}
+            </h1>
+            <PeriodPicker
+              years={availableYears}
+              span={chatSpan}
+              value={selectedPeriod}
+              onChange={handlePeriodChange}
+            />
+            <CompareYearsPicker
+              years={availableYears}
+              comparing={Boolean(comparison)}
+              onCompare={handleCompareYears}
+              onExit={() => {
+                setComparison(null);
+                setCurrentChartIndex(0);
+              }}
+            />
+            <button onClick={() => setExploring(true)} className="block mt-2 text-sm text-blue-600 hover:text-blue-800">
+              Explore the chat
+            </button>
+            {!comparison && (
+              <button onClick={() => setManagingTrackers(true)} className="block mt-2 text-sm text-blue-600 hover:text-blue-800">
+                Keyword trackers{trackers.length > 0 && ` (${trackers.length})`}
+              </button>
+            )}
           </div>
-  
+
+          {/* Where the numbers came from, when it wasn't the analysis server */}
+          {analysisSource === 'local' && (
+            <div className="fixed bottom-4 left-4 bg-white/80 backdrop-blur-sm rounded-lg px-4 py-2 text-sm text-gray-600 shadow">
+              {offlineMode
+                ? 'Analyzed on your device. Nothing was uploaded.'
+                : `${fallbackReason || "The analysis server couldn't be reached."} This was analyzed on your device instead (no AI summaries).`}
+            </div>
+          )}
+
           {/* "X of Y" chart indicator (top-right) */}
           <div className="fixed top-4 right-4 bg-white/80 backdrop-blur-sm rounded-full px-4 py-2 text-sm text-gray-600">
             {safeCurrentIndex + 1} of {chartDataSets.length}
@@ -1212,27 +1325,14 @@ const App = () => {
   
           {/* The main area where we display the current chart or summary */}
           <div className="w-full">
-            {/* We switch on item type: 'SummaryGrid', 'Bar'/'Line' chart, 'TextSummaryCard', etc. */}
-            {currentItem && (
-              currentItem.type === 'SummaryGrid' ? (
-                <DaySummariesGrid 
-                  summaries={currentItem.summaries} 
-                  isVisible 
-                  onDayClick={handleDaySummaryClick}    // <--- IMPORTANT for drawer
-                />
-              ) : currentItem.data ? (
-                <AnimatedChart 
-                  chart={currentItem} 
-                  isVisible 
-                  index={safeCurrentIndex} 
-                />
-              ) : currentItem.type === 'TextSummaryCard' ? (
-                <TextSummaryCard 
-                  title={currentItem.title} 
-                  summary={currentItem.summary} 
-                  isVisible 
-                />
-              ) : null
+            {CurrentSlide && (
+              <CurrentSlide
+                item={currentItem}
+                index={safeCurrentIndex}
+                onDayClick={handleDaySummaryClick}
+                members={members}
+                onMemberClick={members ? handleMemberClick : undefined}
+              />
             )}
           </div>
   
@@ -1240,11 +1340,52 @@ const App = () => {
           {showScrollIndicator && <ScrollIndicator showIndicator />}
         </div>
   
+        <DiagnosticsPanel issues={diagnostics} />
+
+        {profile && (
+          <MemberProfile
+            member={profile.member}
+            periodLabel={describePeriod(selectedPeriod)}
+            activity={profile.activity}
+            loading={profile.loading}
+            error={profile.error}
+            ranks={rankMember(normalizedAnalysis, profile.member)}
+            partner={closestPartner(normalizedAnalysis, profile.member)}
+            onClose={closeProfile}
+            onExport={(type) => handleExport('member-profile', type, { snapshot: true })}
+          />
+        )}
+
+        {managingTrackers && (
+          <TrackerManager
+            trackers={trackers}
+            unsaved={trackersUnsaved}
+            onChange={handleTrackersChange}
+            onClose={() => setManagingTrackers(false)}
+          />
+        )}
+
+        {exploring && (
+          <ExploreView
+            span={chatSpan}
+            onSearch={(options) => getChatWorker().search(options)}
+            onOpenHit={handleOpenHit}
+            onClose={() => {
+              setExploring(false);
+              setDrawerOpen(false);
+            }}
+          />
+        )}
+
         {/* The side drawer for day logs (placed outside the .min-h-screen container) */}
         <DayChatLogsDrawer
           isOpen={drawerOpen}
-          logs={dayLogs}
+          day={drawerDay}
+          days={dayLogs}
+          query={drawerHit?.query}
+          focus={drawerHit?.position}
           onClose={() => setDrawerOpen(false)}
+          onLoadDay={handleLoadDay}
         />
       </>
     );
@@ -1,8 +1,57 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
+import { MAX_FILE_SIZE } from './parsers/chatFile';
 
-test('renders learn react link', () => {
+// Jest can't load the worker (import.meta); tests drive its load() directly
+const mockLoad = jest.fn();
+jest.mock('./workers/chatWorkerClient', () => ({
+  createChatWorker: () => ({ load: (...args) => mockLoad(...args), cancel: () => {}, terminate: () => {} })
+}));
+
+beforeEach(() => {
+  mockLoad.mockReset();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+const dropOnWhatsApp = (file) => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: /upload chat file/i }));
+  fireEvent.drop(screen.getByText(/drop your whatsapp chat file/i), {
+    dataTransfer: { files: [file], types: ['Files'] }
+  });
+};
+
+test('renders the upload screen with the chat sources', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent(/groupchat wrapped/i);
+  expect(screen.getByText(/pick your chat app/i)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /whatsapp/i })).toBeInTheDocument();
+});
+
+test('rejects a dropped file the source does not accept', () => {
+  dropOnWhatsApp(new File(['x'], 'photo.png'));
+  expect(screen.getByText(/"photo.png" isn't a supported chat export/)).toBeInTheDocument();
+  expect(mockLoad).not.toHaveBeenCalled();
+});
+
+test('rejects a dropped file over the size limit', () => {
+  const file = new File(['x'], 'chat.txt');
+  Object.defineProperty(file, 'size', { value: MAX_FILE_SIZE + 1 });
+  dropOnWhatsApp(file);
+  expect(screen.getByText(/the limit is 200 MB/)).toBeInTheDocument();
+  expect(mockLoad).not.toHaveBeenCalled();
+});
+
+test('hands a valid file to the worker and disables the drop zone while it parses', () => {
+  mockLoad.mockReturnValue(new Promise(() => {}));
+  const file = new File(['[1/2/24, 10:00] Ana: hi'], 'chat.txt');
+  dropOnWhatsApp(file);
+
+  expect(mockLoad).toHaveBeenCalledWith('whatsapp', file, expect.any(Function));
+  expect(screen.getByText(/^chat.txt: /)).toBeInTheDocument();
+  expect(screen.getByLabelText(/^chat.txt: /)).toBeDisabled();
 });
@@ -0,0 +1,12 @@
+// Message records for the analysis tests, in the shape every parser produces
+
+// Local time, from "2024-03-05" and "23:15"
+const at = (day, time) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(year, month - 1, date, hours, minutes);
+};
+
+const message = (sender, day, time, text) => ({ date: at(day, time), sender, message: text, system: false });
+
+export { at, message };
@@ -0,0 +1,193 @@
+import { unbox } from './schema';
+
+// Anonymizing the transcript before it leaves the browser
+//
+// anonymizeMessages() gives every sender a stable pseudonym ("Member 1" is the
+// most active), swaps their names (and the names they had before being
+// renamed) for it inside messages too, and scrubs phone numbers, emails,
+// street addresses and any custom terms. The analysis API only ever sees the
+// result; restoreNames() puts the real names back into what it returns.
+
+const PSEUDONYM = /\bMember (\d+)\b/g;
+const MIN_MENTION_LENGTH = 3;
+
+const EMAIL = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// 7-15 digits, optionally with a country code, spaces, dots, dashes or brackets
+const PHONE = /(?<![\w+(])(?:\+|\(|\b)\d[\d\s().-]{5,}\d(?!\w)/g;
+const DATE_LIKE = /^\d{1,4}[./-]\d{1,2}[./-]\d{1,4}$/;
+// "221 Baker Street": capitalized, so "2 beers on the way" stays
+const ADDRESS = /\b\d{1,5}\s+(?:[A-Z][\w'.-]*\s+){1,4}(?:Street|St|Road|Rd|Avenue|Ave|Lane|Ln|Drive|Dr|Boulevard|Blvd|Court|Ct|Place|Pl|Way|Terrace|Close|Crescent|Square|Sq)\b/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches any of `terms` as a whole word, case-insensitively unless
+// `ignoreCase` is false
+const termPattern = (terms, { ignoreCase = true } = {}) => {
+  const sorted = [...new Set(terms.filter(Boolean))].sort((a, b) => b.length - a.length);
+  if (sorted.length === 0) return null;
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${sorted.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`,
+    ignoreCase ? 'giu' : 'gu'
+  );
+};
+
+const isPhoneNumber = (match) => {
+  const digits = match.replace(/\D/g, '').length;
+  return digits >= 7 && digits <= 15 && !DATE_LIKE.test(match.trim());
+};
+
+// { [sender]: pseudonym }, most active sender first
+const assignPseudonyms = (messages) => {
+  const counts = new Map();
+  messages.forEach(({ sender, system }) => {
+    if (!system && sender) counts.set(sender, (counts.get(sender) || 0) + 1);
+  });
+  return Object.fromEntries(
+    [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([sender], i) => [sender, `Member ${i + 1}`])
+  );
+};
+
+// How each sender may be mentioned in a message: their name, the names they
+// had in the export before a rename (`aliases`, see formerNames in
+// analysis/participants), and the first name of each when no one else shares
+// it ("Alice" for "Alice Smith"). Returns { mentions, exact }: names of
+// MIN_MENTION_LENGTH or more match in any case; shorter ones ("Al", "J") only
+// exactly, so they don't catch every "al" or "j".
+const mentionsOf = (pseudonyms, aliases) => {
+  // Current names first, so they win over someone's old name
+  const names = [
+    ...Object.keys(pseudonyms).map(sender => [sender, sender]),
+    ...Object.keys(pseudonyms).flatMap(sender => (aliases[sender] || []).map(alias => [alias, sender]))
+  ];
+
+  const firstNames = new Map();
+  names.forEach(([name, sender]) => {
+    const first = name.split(/\s+/)[0].toLowerCase();
+    if (first === name.toLowerCase() || first.length < MIN_MENTION_LENGTH) return;
+    firstNames.set(first, firstNames.has(first) && firstNames.get(first) !== sender ? null : sender);
+  });
+
+  const mentions = new Map();
+  const exact = new Map();
+  names.forEach(([name, sender]) => {
+    if (name.length < MIN_MENTION_LENGTH) {
+      if (!exact.has(name)) exact.set(name, pseudonyms[sender]);
+    } else if (!mentions.has(name.toLowerCase())) {
+      mentions.set(name.toLowerCase(), pseudonyms[sender]);
+    }
+  });
+  firstNames.forEach((sender, first) => {
+    if (sender && !mentions.has(first)) mentions.set(first, pseudonyms[sender]);
+  });
+  return { mentions, exact };
+};
+
+// Replace every match of `pattern` with `replace(match)` (or leave it when that
+// returns null), counting replacements under `counts[kind]`
+const scrub = (text, pattern, kind, counts, replace) => {
+  if (!pattern) return text;
+  return text.replace(pattern, (match) => {
+    const replacement = replace(match);
+    if (replacement === null) return match;
+    counts[kind] += 1;
+    return replacement;
+  });
+};
+
+// { messages, pseudonyms: { [pseudonym]: sender },
+//   counts: { names, phones, emails, addresses, terms } }. `aliases` lists the
+// export names each sender had before a rename: { [sender]: [name, ...] }.
+const anonymizeMessages = (messages, { terms = [], aliases = {} } = {}) => {
+  const bySender = assignPseudonyms(messages);
+  const { mentions, exact } = mentionsOf(bySender, aliases);
+  const mentionPattern = termPattern([...mentions.keys()]);
+  const exactPattern = termPattern([...exact.keys()], { ignoreCase: false });
+  const customPattern = termPattern(terms.map(term => term.trim()));
+  const counts = { names: 0, phones: 0, emails: 0, addresses: 0, terms: 0 };
+
+  const redact = (text) => {
+    let result = String(text || '');
+    result = scrub(result, customPattern, 'terms', counts, () => '[redacted]');
+    result = scrub(result, EMAIL, 'emails', counts, () => '[email]');
+    result = scrub(result, ADDRESS, 'addresses', counts, () => '[address]');
+    result = scrub(result, PHONE, 'phones', counts, (match) => (isPhoneNumber(match) ? '[phone]' : null));
+    result = scrub(result, mentionPattern, 'names', counts, (match) => mentions.get(match.toLowerCase()));
+    result = scrub(result, exactPattern, 'names', counts, (match) => exact.get(match));
+    return result;
+  };
+
+  return {
+    messages: messages.map(m => ({
+      ...m,
+      sender: m.sender && bySender[m.sender] ? bySender[m.sender] : m.sender,
+      message: redact(m.message)
+    })),
+    pseudonyms: Object.fromEntries(Object.entries(bySender).map(([sender, pseudonym]) => [pseudonym, sender])),
+    counts
+  };
+};
+
+// Up to `limit` messages as they'll be sent ({ sender, message }), preferring
+// ones where something other than the sender was replaced
+const previewRedactions = (original, anonymized, limit = 8) => {
+  const chat = anonymized
+    .map((m, i) => ({ m, changed: m.message !== original[i].message }))
+    .filter(({ m }) => !m.system && m.sender);
+  return [...chat.filter(({ changed }) => changed), ...chat.filter(({ changed }) => !changed)]
+    .slice(0, limit)
+    .map(({ m }) => ({ sender: m.sender, message: m.message }));
+};
+
+// Row fields that hold a sender
+const NAME_FIELDS = ['sender', 'reply_to'];
+
+// Applies `restore` to a string, or to each string of a boxed one (R/plumber
+// sends some scalars as one-element arrays)
+const mapStrings = (value, restore) => {
+  if (typeof value === 'string') return restore(value);
+  return Array.isArray(value) ? value.map(item => (typeof item === 'string' ? restore(item) : item)) : value;
+};
+
+// Put real names back into an analysis payload: sender fields that are a
+// pseudonym, and pseudonyms inside text: what the server writes about the
+// senders (captions, AI day summaries) and the chat log messages, whose
+// mentions were swapped for pseudonyms on the way out.
+const restoreNames = (analysis, pseudonyms) => {
+  if (!pseudonyms || Object.keys(pseudonyms).length === 0 || !analysis || typeof analysis !== 'object') return analysis;
+  const name = (value) => mapStrings(value, text => pseudonyms[text] || text);
+  const text = (value) => mapStrings(value, prose => prose.replace(PSEUDONYM, (match) => pseudonyms[match] || match));
+  const row = (item) => {
+    if (!item || typeof item !== 'object') return item;
+    const restored = { ...item };
+    NAME_FIELDS.forEach(field => {
+      if (field in item) restored[field] = name(item[field]);
+    });
+    return restored;
+  };
+  const logRow = (item) => (item && typeof item === 'object' && 'message' in item
+    ? { ...row(item), message: text(item.message) }
+    : row(item));
+
+  return Object.fromEntries(Object.entries(analysis).map(([key, section]) => {
+    if (!section || typeof section !== 'object' || Array.isArray(section)) return [key, section];
+    const restored = { ...section };
+    if (Array.isArray(section.data)) restored.data = section.data.map(row);
+    if (section.caption !== undefined) restored.caption = text(section.caption);
+    if (Array.isArray(section.day_summaries)) {
+      restored.day_summaries = section.day_summaries.map(day => {
+        if (!day || typeof day !== 'object') return day;
+        const content = unbox(day.content);
+        return {
+          ...day,
+          ...(content && typeof content === 'object' && { content: { ...content, summary: text(content.summary) } }),
+          ...(Array.isArray(day.chat_logs) && { chat_logs: day.chat_logs.map(logRow) })
+        };
+      });
+    }
+    return [key, restored];
+  }));
+};
+
+export { anonymizeMessages, previewRedactions, restoreNames };
@@ -0,0 +1,116 @@
+import { anonymizeMessages, previewRedactions, restoreNames } from './anonymize';
+
+const date = new Date(2024, 0, 3, 18, 0);
+const message = (sender, text) => ({ date, sender, message: text, system: false });
+
+const CHAT = [
+  { date, sender: null, message: 'Alice Smith added Bob', system: true },
+  message('Alice Smith', 'Bob, call me on +44 7700 900123 or alice@example.com'),
+  message('Bob', 'ok alice, see you at 221 Baker Street'),
+  message('Bob', 'Jo, are you coming? Ask Mom'),
+  message('Jo', 'yes! the Project Falcon meeting ran late'),
+  message('Alice Smith', 'joke of the day: "2 beers on the way" on 12/03/2024')
+];
+
+describe('anonymizeMessages', () => {
+  const { messages, pseudonyms, counts } = anonymizeMessages(CHAT, { terms: ['project falcon'], aliases: { Jo: ['Mom'] } });
+
+  test('gives each sender a pseudonym, most active first', () => {
+    expect(pseudonyms).toEqual({ 'Member 1': 'Alice Smith', 'Member 2': 'Bob', 'Member 3': 'Jo' });
+    expect(messages.map(m => m.sender)).toEqual([null, 'Member 1', 'Member 2', 'Member 2', 'Member 3', 'Member 1']);
+  });
+
+  test('scrubs names, first names, phone numbers, emails, addresses and custom terms', () => {
+    expect(messages[1].message).toBe('Member 2, call me on [phone] or [email]');
+    expect(messages[2].message).toBe('ok Member 1, see you at [address]');
+    expect(messages[4].message).toBe('yes! the [redacted] meeting ran late');
+    expect(counts).toEqual({ names: 6, phones: 1, emails: 1, addresses: 1, terms: 1 });
+  });
+
+  test('scrubs short names exactly and names from before a rename', () => {
+    expect(messages[3].message).toBe('Member 3, are you coming? Ask Member 3');
+    expect(messages[5].message).toBe('joke of the day: "2 beers on the way" on 12/03/2024');
+  });
+
+  test('leaves system messages with their text scrubbed but no pseudonym', () => {
+    expect(messages[0]).toMatchObject({ sender: null, message: 'Member 1 added Member 2', system: true });
+  });
+
+  test("doesn't give a first name shared by two senders to either of them", () => {
+    const { messages: scrubbed } = anonymizeMessages([message('Sam Lee', 'hi'), message('Sam Cole', 'where is Sam?')]);
+    expect(scrubbed[1].message).toBe('where is Sam?');
+  });
+});
+
+test('previewRedactions prefers messages where something was replaced', () => {
+  const { messages } = anonymizeMessages(CHAT);
+  const preview = previewRedactions(CHAT, messages, 2);
+  expect(preview).toEqual([
+    { sender: 'Member 1', message: 'Member 2, call me on [phone] or [email]' },
+    { sender: 'Member 2', message: 'ok Member 1, see you at [address]' }
+  ]);
+});
+
+describe('restoreNames', () => {
+  const pseudonyms = { 'Member 1': 'Alice Smith', 'Member 2': 'Bob' };
+
+  test('restores sender fields, boxed ones included, and captions', () => {
+    const restored = restoreNames({
+      manic: { data: [{ sender: 'Member 1', percent_manic: 40 }, { sender: ['Member 2'], percent_manic: 10 }], caption: 'Member 1 never sleeps.' },
+      reply_network: { data: [{ sender: 'Member 2', reply_to: 'Member 1', replies: 3 }] },
+      meta: { source: 'api' }
+    }, pseudonyms);
+
+    expect(restored.manic).toEqual({
+      data: [{ sender: 'Alice Smith', percent_manic: 40 }, { sender: ['Bob'], percent_manic: 10 }],
+      caption: 'Alice Smith never sleeps.'
+    });
+    expect(restored.reply_network.data).toEqual([{ sender: 'Bob', reply_to: 'Alice Smith', replies: 3 }]);
+    expect(restored.meta).toEqual({ source: 'api' });
+  });
+
+  test('restores AI summaries and chat logs, mentions in messages included', () => {
+    const restored = restoreNames({
+      top_ten_days: {
+        data: [{ day: '2024-01-03', chats: 5 }],
+        day_summaries: [{
+          date: '2024-01-03',
+          content: { summary: 'Member 2 planned the trip.' },
+          chat_logs: [{ sender: 'Member 2', date: '2024-01-03 18:00:00', message: 'Member 1, you in? Member 7 is' }]
+        }]
+      }
+    }, pseudonyms);
+
+    expect(restored.top_ten_days.day_summaries).toEqual([{
+      date: '2024-01-03',
+      content: { summary: 'Bob planned the trip.' },
+      chat_logs: [{ sender: 'Bob', date: '2024-01-03 18:00:00', message: 'Alice Smith, you in? Member 7 is' }]
+    }]);
+  });
+
+  test('restores boxed day summaries and chat logs', () => {
+    const restored = restoreNames({
+      top_ten_days: {
+        data: [{ day: ['2024-01-03'], chats: [5] }],
+        day_summaries: [{
+          date: ['2024-01-03'],
+          content: [{ summary: ['Member 2 planned the trip.'] }],
+          chat_logs: [{ sender: ['Member 2'], date: ['2024-01-03 18:00:00'], message: ['Member 1, you in?'] }]
+        }]
+      }
+    }, pseudonyms);
+
+    expect(restored.top_ten_days.day_summaries).toEqual([{
+      date: ['2024-01-03'],
+      content: { summary: ['Bob planned the trip.'] },
+      chat_logs: [{ sender: ['Bob'], date: ['2024-01-03 18:00:00'], message: ['Alice Smith, you in?'] }]
+    }]);
+  });
+
+  test('leaves non-pseudonym senders and payloads without pseudonyms alone', () => {
+    const analysis = { swears: { data: [{ sender: 'Member 9', swears_per_message: 0 }] } };
+    expect(restoreNames(analysis, pseudonyms).swears.data[0].sender).toBe('Member 9');
+    expect(restoreNames(analysis, null)).toBe(analysis);
+    expect(restoreNames(null, pseudonyms)).toBeNull();
+  });
+});
@@ -0,0 +1,235 @@
+import { validateAnalysis } from './schema';
+import { DAY_NAMES } from './engine';
+
+// Multi-year comparison deck
+//
+// Takes one analysis payload per year ([{ year, analysis }], any order) and
+// builds deck items in the same shape buildSlides produces: overlaid
+// or grouped charts with a "biggest change" caption each, an award-winners
+// card, and a summary card of all the callouts up front. Sections that failed
+// validation for a year are left out of that year's series.
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const TOP_MEMBERS = 10;
+
+const AWARDS = [
+  { key: 'manic', title: 'Most Manic', field: 'percent_manic', unit: '% late night' },
+  { key: 'most_ignored', title: 'Most Ignored', field: 'average_time_to_respond', unit: ' min to a reply' },
+  { key: 'novelist', title: 'Novelist', field: 'average_message_length', unit: ' chars per message' },
+  { key: 'swears', title: 'Potty Mouth', field: 'swears_per_message', unit: ' swears per message' },
+  { key: 'hangout', title: 'Chief Plan Maker', field: 'hangouts_per_message', unit: ' hangout mentions per message' }
+];
+
+// Rows of a year's normalized analysis (see buildComparisonDeck), or null
+// when the section failed validation
+const rowsFor = (analysis, key) => analysis?.[key]?.data ?? null;
+
+const yearColors = (count) =>
+  Array.from({ length: count }, (_, i) => `hsla(${(i * 360) / count + 210}, 70%, 55%, 0.7)`);
+
+const percentChange = (from, to) => (from > 0 ? ((to - from) / from) * 100 : null);
+// "12% more" / "30% fewer"
+const describeChange = (pct) => `${Math.abs(Math.round(pct))}% ${pct > 0 ? 'more' : 'fewer'}`;
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+// The entry with the largest absolute `magnitude(entry)`, ignoring nulls
+const biggest = (entries, magnitude) => entries.reduce((best, entry) => {
+  const value = magnitude(entry);
+  if (value === null || !Number.isFinite(value)) return best;
+  return !best || Math.abs(value) > Math.abs(best.value) ? { entry, value } : best;
+}, null);
+
+const monthlyComparison = (entries) => {
+  const series = entries.map(({ year, analysis }) => {
+    const rows = rowsFor(analysis, 'monthly_messages');
+    if (!rows) return null;
+    const counts = new Array(12).fill(0);
+    rows.forEach(row => {
+      const match = /^\d{4}-(\d{2})/.exec(row.date);
+      if (match) counts[Number(match[1]) - 1] += row.message_count;
+    });
+    return { year, counts, total: counts.reduce((sum, n) => sum + n, 0) };
+  }).filter(Boolean);
+  if (series.length < 2) return null;
+
+  const first = series[0];
+  const last = series[series.length - 1];
+  const callouts = [];
+  const totalChange = percentChange(first.total, last.total);
+  if (totalChange !== null && Math.round(totalChange) !== 0) {
+    callouts.push(`The chat sent ${describeChange(totalChange)} messages in ${last.year} than in ${first.year} ` +
+      `(${last.total.toLocaleString()} vs ${first.total.toLocaleString()}).`);
+  }
+  const swing = biggest(MONTH_LABELS.map((_, month) => month), month => last.counts[month] - first.counts[month]);
+  if (swing && swing.value !== 0) {
+    callouts.push(`${MONTH_LABELS[swing.entry]} saw the biggest swing: ${first.counts[swing.entry].toLocaleString()} messages in ` +
+      `${first.year}, ${last.counts[swing.entry].toLocaleString()} in ${last.year}.`);
+  }
+
+  const colors = yearColors(series.length);
+  return {
+    callouts,
+    item: {
+      title: 'Monthly Messages by Year',
+      type: 'Line',
+      data: {
+        labels: MONTH_LABELS,
+        datasets: series.map((s, i) => ({
+          label: String(s.year),
+          data: s.counts,
+          borderColor: colors[i],
+          backgroundColor: colors[i],
+          fill: false
+        }))
+      },
+      commentary: callouts.join(' ')
+    }
+  };
+};
+
+const dayOfWeekComparison = (entries) => {
+  const series = entries.map(({ year, analysis }) => {
+    const rows = rowsFor(analysis, 'day_of_week');
+    if (!rows) return null;
+    const byDay = new Map(rows.map(row => [row.day_of_week, row.avg_messages]));
+    return { year, values: DAY_NAMES.map(day => byDay.get(day) || 0) };
+  }).filter(Boolean);
+  if (series.length < 2) return null;
+
+  const first = series[0];
+  const last = series[series.length - 1];
+  const busiestDay = (s) => DAY_NAMES[s.values.indexOf(Math.max(...s.values))];
+  const callouts = [];
+  const shift = biggest(DAY_NAMES.map((_, day) => day), day => percentChange(first.values[day], last.values[day]));
+  if (shift && Math.round(shift.value) !== 0) {
+    callouts.push(`${DAY_NAMES[shift.entry]}s changed the most, with ${describeChange(shift.value)} messages on average ` +
+      `in ${last.year} than in ${first.year}.`);
+  }
+  if (busiestDay(first) !== busiestDay(last)) {
+    callouts.push(`The chattiest day moved from ${busiestDay(first)} to ${busiestDay(last)}.`);
+  }
+
+  const colors = yearColors(series.length);
+  return {
+    callouts,
+    item: {
+      title: 'Day of Week by Year',
+      type: 'Bar',
+      data: {
+        labels: DAY_NAMES,
+        datasets: series.map((s, i) => ({ label: String(s.year), data: s.values, backgroundColor: colors[i] }))
+      },
+      commentary: callouts.join(' ')
+    }
+  };
+};
+
+// Messages per member per year, summed from the quarterly split
+const memberComparison = (entries) => {
+  const series = entries.map(({ year, analysis }) => {
+    const rows = rowsFor(analysis, 'quarterly_contribution');
+    if (!rows) return null;
+    const totals = new Map();
+    rows.forEach(row => {
+      totals.set(row.sender, (totals.get(row.sender) || 0) + row.message_count);
+    });
+    const total = [...totals.values()].reduce((sum, n) => sum + n, 0);
+    return { year, totals, total };
+  }).filter(Boolean);
+  if (series.length < 2) return null;
+
+  const overall = new Map();
+  series.forEach(s => s.totals.forEach((count, sender) => overall.set(sender, (overall.get(sender) || 0) + count)));
+  const members = [...overall.entries()].sort((a, b) => b[1] - a[1]).slice(0, TOP_MEMBERS).map(([sender]) => sender);
+
+  const first = series[0];
+  const last = series[series.length - 1];
+  const share = (s, sender) => (s.total ? (s.totals.get(sender) || 0) / s.total : 0);
+  const callouts = [];
+  const mover = biggest(members, sender => share(last, sender) - share(first, sender));
+  if (mover && Math.round(mover.value * 100) !== 0) {
+    callouts.push(`${mover.entry} went from ${formatShare(share(first, mover.entry))} of the chat in ${first.year} ` +
+      `to ${formatShare(share(last, mover.entry))} in ${last.year}.`);
+  }
+  const newcomers = members.filter(sender => !first.totals.has(sender) && last.totals.has(sender));
+  if (newcomers.length > 0) {
+    callouts.push(`New since ${first.year}: ${newcomers.slice(0, 3).join(', ')}${newcomers.length > 3 ? ' and more' : ''}.`);
+  }
+
+  const colors = yearColors(series.length);
+  return {
+    callouts,
+    item: {
+      title: 'Messages per Member by Year',
+      type: 'Bar',
+      data: {
+        labels: members,
+        datasets: series.map((s, i) => ({
+          label: String(s.year),
+          data: members.map(sender => s.totals.get(sender) || 0),
+          backgroundColor: colors[i]
+        }))
+      },
+      commentary: callouts.join(' ')
+    }
+  };
+};
+
+const awardWinners = (entries) => {
+  const lines = [];
+  const callouts = [];
+
+  AWARDS.forEach(({ key, title, field, unit }) => {
+    const winners = entries.map(({ year, analysis }) => {
+      const rows = rowsFor(analysis, key);
+      if (!rows || rows.length === 0) return null;
+      const top = rows.reduce((best, row) => (!best || row[field] > best[field] ? row : best), null);
+      return { year, sender: top.sender, value: top[field] };
+    }).filter(Boolean);
+    if (winners.length === 0) return;
+
+    lines.push(`${title}: ${winners.map(w => `${w.year} ${w.sender} (${w.value}${unit})`).join(' · ')}`);
+
+    const first = winners[0];
+    const last = winners[winners.length - 1];
+    if (winners.length > 1 && first.sender !== last.sender) {
+      callouts.push(`${last.sender} took ${title} from ${first.sender}.`);
+    } else if (winners.length > 1 && winners.every(w => w.sender === first.sender)) {
+      callouts.push(`${first.sender} held ${title} every year.`);
+    }
+  });
+
+  if (lines.length === 0) return null;
+  return {
+    callouts,
+    item: { type: 'TextSummaryCard', title: 'Award Winners by Year', summary: lines.join('\n\n') }
+  };
+};
+
+const buildComparisonDeck = (analysesByYear) => {
+  const entries = [...analysesByYear]
+    .sort((a, b) => Number(a.year) - Number(b.year))
+    .map(({ year, analysis }) => ({ year, analysis: validateAnalysis(analysis).analysis }));
+  if (entries.length < 2) return [];
+
+  const parts = [
+    monthlyComparison(entries),
+    dayOfWeekComparison(entries),
+    memberComparison(entries),
+    awardWinners(entries)
+  ].filter(Boolean);
+
+  const callouts = parts.flatMap(part => part.callouts);
+  const years = entries.map(e => e.year);
+  const deck = [];
+  if (callouts.length > 0) {
+    deck.push({
+      type: 'TextSummaryCard',
+      title: `Biggest Changes, ${years[0]}–${years[years.length - 1]}`,
+      summary: callouts.map(callout => `• ${callout}`).join('\n')
+    });
+  }
+  return deck.concat(parts.map(part => part.item));
+};
+
+export { buildComparisonDeck };
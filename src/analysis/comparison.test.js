@@ -0,0 +1,84 @@
+import { buildComparisonDeck } from './comparison';
+
+const section = (data) => ({ data, caption: '' });
+
+const ANALYSIS_2022 = {
+  monthly_messages: section([{ date: '2022-01', message_count: 100 }, { date: '2022-06', message_count: 50 }]),
+  day_of_week: section([{ day_of_week: 'Monday', avg_messages: 10 }, { day_of_week: 'Friday', avg_messages: 5 }]),
+  quarterly_contribution: section([
+    { sender: 'Alice', date: '2022 Q1', message_count: 100 },
+    { sender: 'Bob', date: '2022 Q2', message_count: 50 }
+  ]),
+  manic: section([{ sender: 'Alice', percent_manic: 40 }, { sender: 'Bob', percent_manic: 10 }]),
+  // Broken this year: left out of the comparison
+  novelist: section([{ sender: 'Alice' }])
+};
+
+// Boxed and stringly-typed, the way the R server sometimes sends them
+const ANALYSIS_2023 = {
+  monthly_messages: section([{ date: ['2023-01'], message_count: ['90'] }, { date: '2023-06', message_count: '210' }]),
+  day_of_week: section([{ day_of_week: 'Monday', avg_messages: '10' }, { day_of_week: 'Friday', avg_messages: ['20'] }]),
+  quarterly_contribution: section([
+    { sender: 'Alice', date: '2023 Q1', message_count: 60 },
+    { sender: 'Alice', date: '2023 Q2', message_count: 40 },
+    { sender: ['Bob'], date: '2023 Q2', message_count: '100' },
+    { sender: 'Carol', date: '2023 Q3', message_count: 100 }
+  ]),
+  manic: section([{ sender: 'Alice', percent_manic: 20 }, { sender: 'Bob', percent_manic: ['50'] }]),
+  novelist: section([{ sender: 'Carol', average_message_length: 80.5 }])
+};
+
+describe('buildComparisonDeck', () => {
+  // Any order in, oldest first out
+  const deck = buildComparisonDeck([{ year: 2023, analysis: ANALYSIS_2023 }, { year: 2022, analysis: ANALYSIS_2022 }]);
+  const item = (title) => deck.find(entry => entry.title === title);
+
+  test('leads with every callout, then one item per comparison', () => {
+    expect(deck.map(entry => entry.title)).toEqual([
+      'Biggest Changes, 2022–2023',
+      'Monthly Messages by Year',
+      'Day of Week by Year',
+      'Messages per Member by Year',
+      'Award Winners by Year'
+    ]);
+    expect(deck[0].summary.split('\n')).toEqual([
+      '• The chat sent 100% more messages in 2023 than in 2022 (300 vs 150).',
+      '• Jun saw the biggest swing: 50 messages in 2022, 210 in 2023.',
+      '• Fridays changed the most, with 300% more messages on average in 2023 than in 2022.',
+      '• The chattiest day moved from Monday to Friday.',
+      '• Alice went from 67% of the chat in 2022 to 33% in 2023.',
+      '• New since 2022: Carol.',
+      '• Bob took Most Manic from Alice.'
+    ]);
+  });
+
+  test('overlays the years month by month', () => {
+    const monthly = item('Monthly Messages by Year');
+    expect(monthly.type).toBe('Line');
+    expect(monthly.data.labels).toHaveLength(12);
+    expect(monthly.data.datasets.map(d => [d.label, d.data[0], d.data[5]])).toEqual([['2022', 100, 50], ['2023', 90, 210]]);
+  });
+
+  test('groups members by year, busiest overall first', () => {
+    const members = item('Messages per Member by Year');
+    expect(members.data.labels).toEqual(['Alice', 'Bob', 'Carol']);
+    expect(members.data.datasets.map(d => d.data)).toEqual([[100, 50, 0], [100, 100, 100]]);
+  });
+
+  test('lists award winners per year, skipping years where a section failed', () => {
+    expect(item('Award Winners by Year').summary.split('\n\n')).toEqual([
+      'Most Manic: 2022 Alice (40% late night) · 2023 Bob (50% late night)',
+      'Novelist: 2023 Carol (80.5 chars per message)'
+    ]);
+  });
+
+  test('needs at least two years', () => {
+    expect(buildComparisonDeck([{ year: 2023, analysis: ANALYSIS_2023 }])).toEqual([]);
+  });
+
+  test('calls out a member who held an award every year', () => {
+    const manic = (sender) => ({ manic: section([{ sender, percent_manic: 30 }]) });
+    const awards = buildComparisonDeck([{ year: 2022, analysis: manic('Dana') }, { year: 2023, analysis: manic('Dana') }]);
+    expect(awards[0].summary).toBe('• Dana held Most Manic every year.');
+  });
+});
@@ -0,0 +1,42 @@
+// Emoji extraction for the on-device emoji stats.
+//
+// Emoji are matched as whole sequences, so skin tones (👍🏽), ZWJ sequences
+// (👨‍👩‍👧, ❤️‍🔥), flags (🇧🇷, 🏴󠁧󠁢󠁳󠁣󠁴󠁿) and keycaps (1️⃣) each count once rather than
+// as their component code points.
+
+const EMOJI_PATTERN = new RegExp([
+  // Flags: a pair of regional indicators
+  '\\p{Regional_Indicator}{2}',
+  // Keycaps
+  '[#*0-9]\\uFE0F?\\u20E3',
+  // A pictograph with optional variation selector / skin tone / tag sequence
+  // (subdivision flags), joined to more of the same by ZWJs
+  '\\p{Extended_Pictographic}(?:\\uFE0F|\\p{Emoji_Modifier})?[\\u{E0020}-\\u{E007F}]*' +
+    '(?:\\u200D\\p{Extended_Pictographic}(?:\\uFE0F|\\p{Emoji_Modifier})?)*'
+].join('|'), 'gu');
+
+const VARIATION_SELECTOR = /\uFE0F/g;
+const PRESENTATION_PATTERN = /^\p{Emoji_Presentation}$/u;
+const TEXT_DEFAULT_PATTERN = /(\p{Extended_Pictographic})(?!\p{Emoji_Modifier})/gu;
+
+// Canonical form: a variation selector after every pictograph that would
+// otherwise render as text, none anywhere else
+const qualify = (sequence) => {
+  const bare = sequence.replace(VARIATION_SELECTOR, '');
+  if (/\u20E3$/.test(bare)) return `${bare[0]}\uFE0F\u20E3`;
+  return bare.replace(TEXT_DEFAULT_PATTERN, char => (PRESENTATION_PATTERN.test(char) ? char : `${char}\uFE0F`));
+};
+
+// Emoji in `text`, in order. Characters that default to text presentation
+// (©, ™, ❤...) only count when sent with the emoji variation selector, and
+// sequences are normalized so ❤️‍🔥 typed with or without selectors is one emoji.
+const extractEmoji = (text) => {
+  const matches = String(text || '').match(EMOJI_PATTERN);
+  if (!matches) return [];
+
+  return matches
+    .filter(match => [...match].length > 1 || PRESENTATION_PATTERN.test(match))
+    .map(qualify);
+};
+
+export { extractEmoji };
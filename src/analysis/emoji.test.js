@@ -0,0 +1,28 @@
+import { extractEmoji } from './emoji';
+
+describe('extractEmoji', () => {
+  test('finds emoji in order, repeats included', () => {
+    expect(extractEmoji('good morning ☀️ 😂😂 see you at 8 🍕')).toEqual(['☀️', '😂', '😂', '🍕']);
+  });
+
+  test('counts skin tones, ZWJ sequences, flags and keycaps as one emoji each', () => {
+    expect(extractEmoji('👍🏽 👨‍👩‍👧 🇧🇷 🏴󠁧󠁢󠁳󠁣󠁴󠁿 1️⃣')).toEqual(['👍🏽', '👨‍👩‍👧', '🇧🇷', '🏴󠁧󠁢󠁳󠁣󠁴󠁿', '1️⃣']);
+  });
+
+  test('skips text-style symbols unless sent as emoji', () => {
+    expect(extractEmoji('© 2024 ™ I ❤ it')).toEqual([]);
+    expect(extractEmoji('I ❤️ it')).toEqual(['❤️']);
+    expect(extractEmoji('room 1 #2 *')).toEqual([]);
+  });
+
+  test('normalizes variation selectors so the same emoji always matches', () => {
+    expect(extractEmoji('❤‍🔥 ❤️‍🔥')).toEqual(['❤️‍🔥', '❤️‍🔥']);
+    expect(extractEmoji('😂️')).toEqual(['😂']);
+    expect(extractEmoji('1⃣')).toEqual(['1️⃣']);
+  });
+
+  test('returns nothing for empty or missing text', () => {
+    expect(extractEmoji('')).toEqual([]);
+    expect(extractEmoji(undefined)).toEqual([]);
+  });
+});
@@ -0,0 +1,684 @@
+import { hasMedia } from '../parsers/transcript';
+import { SWEAR_WORDS, HANGOUT_WORDS, buildKeywordPattern, countMatches } from './keywords';
+import { extractEmoji } from './emoji';
+import { mediaKinds, linkSites } from './media';
+import { ALL_TIME, dayKey, filterByPeriod, previousPeriod, describePeriod } from './periods';
+
+// On-device analysis engine
+//
+// Computes the same payload the /analyze endpoint returns, straight from the
+// parsed transcript, so the deck can be built with no network at all:
+//   { day_of_week: { data, caption }, monthly_messages: { data, caption }, ... }
+// There are no AI summaries here; notable days get a plain stats summary.
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MINUTE = 60 * 1000;
+// Rate-based awards ignore members with only a handful of messages
+const MIN_MESSAGES_FOR_AWARD = 5;
+// Replies slower than this are treated as "a day", so one dead week doesn't decide Most Ignored
+const MAX_RESPONSE_MINUTES = 24 * 60;
+// A message counts as a reply to the previous one if it comes this soon after
+const REPLY_WINDOW_MINUTES = 5;
+const NOTABLE_DAYS = 3;
+const TOP_EMOJI = 10;
+const TRENDING_EMOJI = 5;
+const MIN_SIGNATURE_USES = 3;
+const TOP_LINK_SITES = 5;
+const MOST_REACTED = 5;
+// Most-reacted messages are quoted up to this many characters
+const QUOTE_LENGTH = 120;
+// Media kinds that count towards Meme Lord. Android's kind-less "<Media
+// omitted>" ('media') could be anything, so it's left out.
+const MEME_KINDS = ['image', 'gif', 'sticker'];
+
+const swearPattern = buildKeywordPattern(SWEAR_WORDS);
+const hangoutPattern = buildKeywordPattern(HANGOUT_WORDS);
+
+const pad = (n) => String(n).padStart(2, '0');
+const monthKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+const quarterKey = (date) => `${date.getFullYear()} Q${Math.floor(date.getMonth() / 3) + 1}`;
+const formatTimestamp = (date) =>
+  `${dayKey(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+const formatHour = (hour) => `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`;
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const countBy = (items, keyFn) => {
+  const counts = new Map();
+  items.forEach(item => {
+    const key = keyFn(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+};
+
+const groupBy = (items, keyFn) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+};
+
+const topBy = (data, field) => data.reduce((best, d) => (!best || d[field] > best[field] ? d : best), null);
+
+const chatMessages = (messages) =>
+  (messages || []).filter(m => !m.system && m.sender).sort((a, b) => a.date - b.date);
+
+// Newest first, matching the order /available-years uses
+const getAvailableYears = (messages) =>
+  [...new Set(chatMessages(messages).map(m => m.date.getFullYear()))].sort((a, b) => b - a);
+
+// First and last day with messages, as { start, end } day strings
+const getDateSpan = (messages) => {
+  const chat = chatMessages(messages);
+  if (chat.length === 0) return null;
+  return { start: dayKey(chat[0].date), end: dayKey(chat[chat.length - 1].date) };
+};
+
+// Per-sender rate award: `valueFn(senderMessages)` for everyone with enough messages
+const senderAward = (messages, field, valueFn, minMessages = MIN_MESSAGES_FOR_AWARD) =>
+  [...groupBy(messages, m => m.sender).entries()]
+    .filter(([, senderMessages]) => senderMessages.length >= minMessages)
+    .map(([sender, senderMessages]) => ({ sender, [field]: valueFn(senderMessages) }));
+
+const dayOfWeek = (messages) => {
+  if (messages.length === 0) return { data: [], caption: '' };
+
+  const counts = countBy(messages, m => m.date.getDay());
+  // How many Mondays, Tuesdays... the chat spanned
+  const occurrences = new Array(7).fill(0);
+  const first = new Date(messages[0].date.getFullYear(), messages[0].date.getMonth(), messages[0].date.getDate());
+  const last = messages[messages.length - 1].date;
+  for (let day = first; day <= last; day.setDate(day.getDate() + 1)) {
+    occurrences[day.getDay()]++;
+  }
+
+  const data = DAY_NAMES.map((name, index) => ({
+    day_of_week: name,
+    avg_messages: round((counts.get(index) || 0) / Math.max(1, occurrences[index]), 1)
+  }));
+  const busiest = topBy(data, 'avg_messages');
+
+  return {
+    data,
+    caption: `${busiest.day_of_week} is the chattiest day of the week, averaging ${busiest.avg_messages} messages.`
+  };
+};
+
+// Message counts for every day-of-week x hour-of-day cell (168 rows)
+const hourlyActivity = (messages) => {
+  if (messages.length === 0) return { data: [], caption: '' };
+
+  const counts = countBy(messages, m => m.date.getDay() * 24 + m.date.getHours());
+  const data = DAY_NAMES.flatMap((name, day) =>
+    Array.from({ length: 24 }, (_, hour) => ({
+      day_of_week: name,
+      hour,
+      message_count: counts.get(day * 24 + hour) || 0
+    })));
+  const peak = topBy(data, 'message_count');
+
+  return {
+    data,
+    caption: `Peak chat time is ${peak.day_of_week}s around ${formatHour(peak.hour)}.`
+  };
+};
+
+const monthlyMessages = (messages) => {
+  const data = [...countBy(messages, m => monthKey(m.date)).entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, count]) => ({ date, message_count: count }));
+  const peak = topBy(data, 'message_count');
+
+  return {
+    data,
+    caption: peak ? `The chat peaked in ${peak.date} with ${peak.message_count.toLocaleString()} messages.` : ''
+  };
+};
+
+const avgMessagesSent = (messages) => {
+  const data = [...groupBy(messages, m => monthKey(m.date)).entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([month, monthMessages]) => ({
+      month,
+      avg_messages_sent: round(monthMessages.length / new Set(monthMessages.map(m => m.sender)).size, 1)
+    }));
+  const peak = topBy(data, 'avg_messages_sent');
+
+  return {
+    data,
+    caption: peak ? `In ${peak.month} each active member sent ${peak.avg_messages_sent} messages on average.` : ''
+  };
+};
+
+const quarterlyContribution = (messages) => {
+  const data = [...countBy(messages, m => `${m.sender}\u0000${quarterKey(m.date)}`).entries()]
+    .map(([key, count]) => {
+      const [sender, date] = key.split('\u0000');
+      return { sender, date, message_count: count };
+    });
+  const top = topBy(data, 'message_count');
+
+  return {
+    data,
+    caption: top ? `${top.sender} carried ${top.date} with ${top.message_count.toLocaleString()} messages.` : ''
+  };
+};
+
+// Each sender's change against the same stretch a year earlier
+const yearlyComparison = (allMessages, period) => {
+  const before = previousPeriod(period);
+  if (!before) return { data: [], caption: '' };
+
+  const current = countBy(filterByPeriod(allMessages, period), m => m.sender);
+  const previous = countBy(filterByPeriod(allMessages, before), m => m.sender);
+
+  const data = [...current.entries()]
+    .filter(([sender]) => previous.get(sender) >= MIN_MESSAGES_FOR_AWARD)
+    .map(([sender, count]) => ({
+      sender,
+      percent_change: round(((count - previous.get(sender)) / previous.get(sender)) * 100, 1)
+    }));
+  const riser = topBy(data.map(d => ({ ...d, magnitude: Math.abs(d.percent_change) })), 'magnitude');
+
+  return {
+    data,
+    caption: riser
+      ? `${riser.sender} changed the most since ${describePeriod(before)}: ${riser.percent_change > 0 ? '+' : ''}${riser.percent_change}%.`
+      : ''
+  };
+};
+
+// Stats-only stand-in for the AI day summaries
+const summarizeDay = (dayMessages) => {
+  const senders = [...countBy(dayMessages, m => m.sender).entries()].sort((a, b) => b[1] - a[1]);
+  const [peakHour] = [...countBy(dayMessages, m => m.date.getHours()).entries()].sort((a, b) => b[1] - a[1])[0];
+  const [leader, leaderCount] = senders[0];
+
+  return `${dayMessages.length} messages from ${senders.length} ${senders.length === 1 ? 'person' : 'people'}. ` +
+    `${leader} led the conversation with ${leaderCount} messages, and things peaked around ${formatHour(peakHour)}.`;
+};
+
+const toChatLog = (m) => ({ sender: m.sender, date: formatTimestamp(m.date), message: m.message });
+
+// One day's chat log ({ day, logs } in chat_logs' shape), for `day` itself or,
+// with `direction` -1 / 1, the nearest earlier / later day with messages.
+// null when there's no such day, or `day` isn't a YYYY-MM-DD day key.
+const dayLogs = (messages, day, direction = 0) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(day))) return null;
+  const chat = chatMessages(messages);
+  let target = day;
+  if (direction < 0) {
+    const earlier = chat.filter(m => dayKey(m.date) < day);
+    target = earlier.length > 0 ? dayKey(earlier[earlier.length - 1].date) : null;
+  } else if (direction > 0) {
+    const later = chat.find(m => dayKey(m.date) > day);
+    target = later ? dayKey(later.date) : null;
+  }
+  if (!target) return null;
+  const logs = chat.filter(m => dayKey(m.date) === target).map(toChatLog);
+  return logs.length > 0 ? { day: target, logs } : null;
+};
+
+// [[day, dayMessages]], busiest first
+const rankDays = (messages) =>
+  [...groupBy(messages, m => dayKey(m.date)).entries()].sort((a, b) => b[1].length - a[1].length);
+
+const topTenDays = (messages) => {
+  const ranked = rankDays(messages).slice(0, 10);
+  const data = ranked.map(([day, dayMessages]) => ({ day, chats: dayMessages.length }));
+
+  const day_summaries = ranked.slice(0, NOTABLE_DAYS).map(([day, dayMessages]) => ({
+    date: day,
+    content: { summary: summarizeDay(dayMessages) },
+    chat_logs: dayMessages.map(toChatLog)
+  }));
+
+  return {
+    data,
+    day_summaries,
+    caption: data.length ? `The busiest day was ${data[0].day}, with ${data[0].chats.toLocaleString()} messages.` : ''
+  };
+};
+
+const manic = (messages) => {
+  const data = senderAward(messages, 'percent_manic', senderMessages => {
+    const lateNight = senderMessages.filter(m => m.date.getHours() >= 22 || m.date.getHours() < 4).length;
+    return round((lateNight / senderMessages.length) * 100, 1);
+  });
+  const winner = topBy(data, 'percent_manic');
+
+  return {
+    data,
+    caption: winner ? `${winner.sender} sent ${winner.percent_manic}% of their messages between 10pm and 4am.` : ''
+  };
+};
+
+// Minutes until someone else replies, averaged over each sender's last message in a run
+const mostIgnored = (messages) => {
+  const waits = new Map();
+  for (let i = 0; i < messages.length - 1; i++) {
+    const current = messages[i];
+    const next = messages[i + 1];
+    if (next.sender === current.sender) continue;
+
+    const minutes = Math.min((next.date - current.date) / MINUTE, MAX_RESPONSE_MINUTES);
+    if (!waits.has(current.sender)) waits.set(current.sender, []);
+    waits.get(current.sender).push(minutes);
+  }
+
+  const data = [...waits.entries()]
+    .filter(([, senderWaits]) => senderWaits.length >= MIN_MESSAGES_FOR_AWARD)
+    .map(([sender, senderWaits]) => ({
+      sender,
+      average_time_to_respond: round(senderWaits.reduce((sum, w) => sum + w, 0) / senderWaits.length, 1)
+    }));
+  const winner = topBy(data, 'average_time_to_respond');
+
+  return {
+    data,
+    caption: winner ? `${winner.sender} waited ${winner.average_time_to_respond} minutes on average for a reply.` : ''
+  };
+};
+
+// How often each member answers each other member: a message from someone
+// else within REPLY_WINDOW_MINUTES of the previous one counts as a reply to it
+const replyNetwork = (messages) => {
+  const counts = new Map();
+  for (let i = 1; i < messages.length; i++) {
+    const previous = messages[i - 1];
+    const current = messages[i];
+    if (current.sender === previous.sender) continue;
+    if ((current.date - previous.date) / MINUTE > REPLY_WINDOW_MINUTES) continue;
+    const key = `${current.sender}\u0000${previous.sender}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const data = [...counts.entries()].map(([key, replies]) => {
+    const [sender, replyTo] = key.split('\u0000');
+    return { sender, reply_to: replyTo, replies };
+  });
+  const pairs = new Map();
+  data.forEach(({ sender, reply_to: replyTo, replies }) => {
+    const key = [sender, replyTo].sort().join(' & ');
+    pairs.set(key, (pairs.get(key) || 0) + replies);
+  });
+  const [duo, exchanges] = [...pairs.entries()].sort((a, b) => b[1] - a[1])[0] || [];
+
+  return {
+    data,
+    caption: duo ? `Best Duo: ${duo}, with ${exchanges.toLocaleString()} quick replies between them.` : ''
+  };
+};
+
+const novelist = (messages) => {
+  const textMessages = messages.filter(m => !hasMedia(m));
+  const data = senderAward(textMessages, 'average_message_length', senderMessages =>
+    round(senderMessages.reduce((sum, m) => sum + m.message.length, 0) / senderMessages.length, 1)
+  );
+  const winner = topBy(data, 'average_message_length');
+
+  return {
+    data,
+    caption: winner ? `${winner.sender} writes the longest messages: ${winner.average_message_length} characters on average.` : ''
+  };
+};
+
+const keywordAward = (messages, field, pattern, describe) => {
+  const data = senderAward(messages, field, senderMessages =>
+    round(senderMessages.reduce((sum, m) => sum + countMatches(m.message, pattern), 0) / senderMessages.length, 3)
+  );
+  const winner = topBy(data, field);
+
+  return { data, caption: winner && winner[field] > 0 ? describe(winner) : '' };
+};
+
+// Emoji counts overall, per sender and per month, shared by the emoji sections
+const countEmoji = (messages) => {
+  const overall = new Map();
+  const bySender = new Map();
+  const byMonth = new Map();
+  const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  messages.forEach(m => {
+    const found = extractEmoji(m.message);
+    if (!bySender.has(m.sender)) bySender.set(m.sender, new Map());
+    const month = monthKey(m.date);
+    if (!byMonth.has(month)) byMonth.set(month, new Map());
+    found.forEach(emoji => {
+      bump(overall, emoji);
+      bump(bySender.get(m.sender), emoji);
+      bump(byMonth.get(month), emoji);
+    });
+  });
+
+  const ranked = [...overall.entries()].sort((a, b) => b[1] - a[1]);
+  return { ranked, bySender, byMonth };
+};
+
+const topEmoji = ({ ranked }) => {
+  const data = ranked.slice(0, TOP_EMOJI).map(([emoji, count]) => ({ emoji, count }));
+  return {
+    data,
+    caption: data.length ? `${data[0].emoji} was the chat's favorite, sent ${data[0].count.toLocaleString()} times.` : ''
+  };
+};
+
+// Each member's most-used emoji; ties go to the one the rest of the chat uses least
+const signatureEmoji = ({ ranked, bySender }) => {
+  const overall = new Map(ranked);
+  const data = [...bySender.entries()]
+    .map(([sender, counts]) => {
+      const best = [...counts.entries()].reduce((top, entry) => {
+        if (!top || entry[1] > top[1]) return entry;
+        if (entry[1] === top[1] && overall.get(entry[0]) < overall.get(top[0])) return entry;
+        return top;
+      }, null);
+      return best && best[1] >= MIN_SIGNATURE_USES ? { sender, emoji: best[0], count: best[1] } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.count - a.count);
+
+  return { data, caption: '' };
+};
+
+const emojiRate = (messages, { bySender }) => {
+  const data = senderAward(messages, 'emoji_per_message', senderMessages => {
+    const counts = bySender.get(senderMessages[0].sender);
+    const total = [...counts.values()].reduce((sum, n) => sum + n, 0);
+    return round(total / senderMessages.length, 2);
+  });
+  const winner = topBy(data, 'emoji_per_message');
+
+  return {
+    data,
+    caption: winner && winner.emoji_per_message > 0
+      ? `${winner.sender} is the emoji enthusiast, with ${winner.emoji_per_message} emoji per message.`
+      : ''
+  };
+};
+
+// Monthly counts for the most used emoji
+const emojiTrend = ({ ranked, byMonth }) => {
+  const trending = ranked.slice(0, TRENDING_EMOJI).map(([emoji]) => emoji);
+  const months = [...byMonth.keys()].sort();
+  const data = trending.flatMap(emoji =>
+    months.map(month => ({ month, emoji, count: byMonth.get(month).get(emoji) || 0 })));
+  const peak = topBy(data.filter(d => d.emoji === trending[0]), 'count');
+
+  return {
+    data,
+    caption: peak && peak.count > 0 ? `${peak.emoji} peaked in ${peak.month} with ${peak.count.toLocaleString()} uses.` : ''
+  };
+};
+
+// Reactions received per message, and given per reactor and per emoji, shared
+// by the reaction sections. Only exports with reactions (Telegram, Slack,
+// Discord) have any; reactors are only known where the export names them.
+const countReactions = (messages) => {
+  const reacted = [];
+  const byReactor = new Map();
+  const byEmoji = new Map();
+  const bump = (map, key, by = 1) => map.set(key, (map.get(key) || 0) + by);
+
+  messages.forEach(m => {
+    if (!m.reactions) return;
+    const total = m.reactions.reduce((sum, { count }) => sum + count, 0);
+    m.reactions.forEach(({ emoji, count, from }) => {
+      bump(byEmoji, emoji, count);
+      from.forEach(name => bump(byReactor, name));
+    });
+    if (total > 0) reacted.push({ m, total });
+  });
+
+  return { reacted, byReactor, byEmoji };
+};
+
+const quote = (text) => (text.length > QUOTE_LENGTH ? `${text.slice(0, QUOTE_LENGTH - 1).trimEnd()}…` : text);
+
+// The messages with the most reactions, most first (earlier ones win ties)
+const mostReacted = ({ reacted }) => {
+  const data = [...reacted]
+    .sort((a, b) => b.total - a.total || a.m.date - b.m.date)
+    .slice(0, MOST_REACTED)
+    .map(({ m, total }) => ({
+      sender: m.sender,
+      date: dayKey(m.date),
+      message: quote(m.message),
+      reactions: total,
+      breakdown: [...m.reactions].sort((a, b) => b.count - a.count).map(r => `${r.emoji} ${r.count}`).join(', ')
+    }));
+  const [top] = data;
+
+  return {
+    data,
+    caption: top ? `${top.sender}'s message on ${top.date} got the most reactions: ${top.reactions.toLocaleString()}.` : ''
+  };
+};
+
+const topReactors = ({ byReactor }) => {
+  const data = [...byReactor.entries()].map(([sender, given]) => ({ sender, reactions_given: given }));
+  const winner = topBy(data, 'reactions_given');
+
+  return {
+    data,
+    caption: winner ? `${winner.sender} hands out the most reactions: ${winner.reactions_given.toLocaleString()} of them.` : ''
+  };
+};
+
+const reactionEmoji = ({ byEmoji }) => {
+  const data = [...byEmoji.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_EMOJI)
+    .map(([emoji, count]) => ({ emoji, count }));
+
+  return {
+    data,
+    caption: data.length ? `${data[0].emoji} is the go-to reaction, used ${data[0].count.toLocaleString()} times.` : ''
+  };
+};
+
+const MEDIA_LABELS = {
+  image: 'Photos',
+  gif: 'GIFs',
+  sticker: 'Stickers',
+  video: 'Videos',
+  voice: 'Voice notes',
+  audio: 'Audio files',
+  document: 'Documents',
+  contact: 'Contacts',
+  location: 'Locations',
+  media: 'Media (type unknown)',
+  other: 'Other files'
+};
+
+// Media kinds and linked sites per message, shared by the media sections.
+// `attachmentKinds` maps a zip's file names to their kind.
+const countMedia = (messages, attachmentKinds) => {
+  const kinds = new Map();
+  const bySender = new Map();
+  const links = new Map();
+  const bump = (map, key, by = 1) => map.set(key, (map.get(key) || 0) + by);
+
+  messages.forEach(m => {
+    const found = mediaKinds(m.message, attachmentKinds);
+    const sites = linkSites(m.message);
+    if (!bySender.has(m.sender)) bySender.set(m.sender, new Map());
+    found.forEach(kind => {
+      bump(kinds, kind);
+      bump(bySender.get(m.sender), kind);
+    });
+    sites.forEach(site => bump(links, `${m.sender}\u0000${site}`));
+  });
+
+  return { kinds, bySender, links };
+};
+
+const mediaMix = ({ kinds, links }) => {
+  const linkCount = [...links.values()].reduce((sum, n) => sum + n, 0);
+  const data = [...kinds.entries()]
+    .map(([kind, count]) => ({ kind: MEDIA_LABELS[kind] || kind, count }))
+    .concat(linkCount > 0 ? [{ kind: 'Links', count: linkCount }] : [])
+    .sort((a, b) => b.count - a.count);
+  const top = data[0];
+
+  return {
+    data,
+    caption: top ? `${top.kind} were shared most: ${top.count.toLocaleString()} of them.` : ''
+  };
+};
+
+// Per-sender count of the given media kinds, for everyone who sent any
+const mediaAward = ({ bySender }, field, countedKinds) => {
+  const data = [...bySender.entries()]
+    .map(([sender, counts]) => ({ sender, [field]: countedKinds.reduce((sum, kind) => sum + (counts.get(kind) || 0), 0) }))
+    .filter(row => row[field] > 0);
+  return { data, winner: topBy(data, field) };
+};
+
+const memeLord = (media) => {
+  const { data, winner } = mediaAward(media, 'memes_sent', MEME_KINDS);
+  return {
+    data,
+    caption: winner ? `${winner.sender} is the Meme Lord, with ${winner.memes_sent.toLocaleString()} photos, GIFs and stickers.` : ''
+  };
+};
+
+const podcaster = (media) => {
+  const { data, winner } = mediaAward(media, 'voice_notes', ['voice']);
+  return {
+    data,
+    caption: winner ? `${winner.sender} would rather talk than type: ${winner.voice_notes.toLocaleString()} voice notes.` : ''
+  };
+};
+
+const stickerSenders = (media) => {
+  const { data, winner } = mediaAward(media, 'stickers_sent', ['sticker']);
+  return {
+    data,
+    caption: winner ? `${winner.sender} sent the most stickers: ${winner.stickers_sent.toLocaleString()}.` : ''
+  };
+};
+
+// The stickers sent most, by the emoji or name the export gives them
+// (Telegram and Discord; WhatsApp's don't have one)
+const topStickers = (messages) => {
+  const data = [...countBy(messages.filter(m => m.sticker), m => m.sticker).entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_EMOJI)
+    .map(([sticker, count]) => ({ sticker, count }));
+
+  return {
+    data,
+    caption: data.length ? `The favorite sticker is ${data[0].sticker}, sent ${data[0].count.toLocaleString()} times.` : ''
+  };
+};
+
+// Links per sender and site; sites outside the chat's top few become "Other"
+const linkDumper = ({ links }) => {
+  const total = (rows, field) => {
+    const totals = new Map();
+    rows.forEach(row => totals.set(row[field], (totals.get(row[field]) || 0) + row.links));
+    return [...totals.entries()].sort((a, b) => b[1] - a[1]);
+  };
+
+  const rows = [...links.entries()].map(([key, count]) => {
+    const [sender, site] = key.split('\u0000');
+    return { sender, site, links: count };
+  });
+  const topSites = new Set(total(rows, 'site').slice(0, TOP_LINK_SITES).map(([site]) => site));
+
+  const merged = new Map();
+  rows.forEach(row => {
+    const site = topSites.has(row.site) ? row.site : 'Other';
+    const key = `${row.sender}\u0000${site}`;
+    if (!merged.has(key)) merged.set(key, { sender: row.sender, site, links: 0 });
+    merged.get(key).links += row.links;
+  });
+  const data = [...merged.values()];
+
+  const [winner, winnerLinks] = total(data, 'sender')[0] || [];
+  const [favorite] = winner ? total(data.filter(row => row.sender === winner), 'site')[0] : [];
+
+  return {
+    data,
+    caption: winner ? `${winner} dumped ${winnerLinks.toLocaleString()} links, mostly ${favorite}.` : ''
+  };
+};
+
+// `period` is a key from ./periods (a year, 'all' or a date range).
+// `onProgress` gets { stage: 'analyze', done, total, label } before each section.
+// `only` limits the payload to the listed section keys. `attachments` is the
+// zip's attachment list ({ name, kind }), used to tell attached files apart.
+const analyzeTranscript = (messages, { period = ALL_TIME, only = null, attachments = [], onProgress } = {}) => {
+  const allMessages = chatMessages(messages);
+  const periodMessages = filterByPeriod(allMessages, period);
+  let emojiCounts = null;
+  const emoji = () => emojiCounts || (emojiCounts = countEmoji(periodMessages));
+  let reactionCounts = null;
+  const reactions = () => reactionCounts || (reactionCounts = countReactions(periodMessages));
+  let mediaCounts = null;
+  const media = () => mediaCounts ||
+    (mediaCounts = countMedia(periodMessages, new Map(attachments.map(a => [a.name, a.kind]))));
+
+  const sections = [
+    ['day_of_week', 'Counting messages by day', () => dayOfWeek(periodMessages)],
+    ['hourly_activity', 'Mapping activity by hour', () => hourlyActivity(periodMessages)],
+    ['monthly_messages', 'Counting messages by month', () => monthlyMessages(periodMessages)],
+    ['avg_messages_sent', 'Averaging monthly activity', () => avgMessagesSent(periodMessages)],
+    ['quarterly_contribution', 'Splitting quarters by sender', () => quarterlyContribution(periodMessages)],
+    ['yearly_comparison', 'Comparing with last year', () => yearlyComparison(allMessages, period)],
+    ['top_ten_days', 'Finding notable days', () => topTenDays(periodMessages)],
+    ['manic', 'Computing awards: Most Manic', () => manic(periodMessages)],
+    ['most_ignored', 'Computing awards: Most Ignored', () => mostIgnored(periodMessages)],
+    ['reply_network', 'Mapping who replies to whom', () => replyNetwork(periodMessages)],
+    ['novelist', 'Computing awards: Novelist', () => novelist(periodMessages)],
+    ['swears', 'Computing awards: Swear Words', () => keywordAward(periodMessages, 'swears_per_message', swearPattern,
+      w => `${w.sender} swore the most, about ${w.swears_per_message} times per message.`)],
+    ['hangout', 'Computing awards: Hangouts', () => keywordAward(periodMessages, 'hangouts_per_message', hangoutPattern,
+      w => `${w.sender} is always trying to make plans, with ${w.hangouts_per_message} hangout mentions per message.`)],
+    ['top_emoji', 'Counting emoji', () => topEmoji(emoji())],
+    ['signature_emoji', 'Finding signature emoji', () => signatureEmoji(emoji())],
+    ['emoji_rate', 'Computing awards: Emoji', () => emojiRate(periodMessages, emoji())],
+    ['emoji_trend', 'Tracking emoji by month', () => emojiTrend(emoji())],
+    ['most_reacted', 'Finding the most reacted messages', () => mostReacted(reactions())],
+    ['top_reactors', 'Computing awards: Reactions', () => topReactors(reactions())],
+    ['reaction_emoji', 'Counting reactions', () => reactionEmoji(reactions())],
+    ['media_mix', 'Counting photos, voice notes and links', () => mediaMix(media())],
+    ['meme_lord', 'Computing awards: Meme Lord', () => memeLord(media())],
+    ['podcaster', 'Computing awards: Podcaster', () => podcaster(media())],
+    ['sticker_senders', 'Computing awards: Stickers', () => stickerSenders(media())],
+    ['top_stickers', 'Counting stickers', () => topStickers(periodMessages)],
+    ['link_dumper', 'Computing awards: Link Dumper', () => linkDumper(media())]
+  ].filter(([key]) => !only || only.includes(key));
+
+  const result = {};
+  sections.forEach(([key, label, compute], index) => {
+    if (onProgress) onProgress({ stage: 'analyze', done: index, total: sections.length, label });
+    result[key] = compute();
+  });
+  result.meta = { source: 'local', period, message_count: periodMessages.length };
+
+  return result;
+};
+
+export {
+  analyzeTranscript,
+  getAvailableYears,
+  getDateSpan,
+  chatMessages,
+  dayLogs,
+  rankDays,
+  dayKey,
+  monthKey,
+  formatTimestamp,
+  formatHour,
+  DAY_NAMES,
+  NOTABLE_DAYS
+};
@@ -0,0 +1,206 @@
+import { analyzeTranscript, getAvailableYears, getDateSpan, chatMessages, dayLogs, rankDays, formatHour } from './engine';
+import { at, message } from './__fixtures__/messages';
+
+// A late-night burst between Alice and Bob, a quiet Monday from Carol, and
+// the same week a year earlier
+const CHAT = [
+  { date: at('2022-03-05', '09:00'), sender: null, message: 'Alice created group "Road trip"', system: true },
+  ...['Alice', 'Alice', 'Alice', 'Alice', 'Alice', 'Bob', 'Bob', 'Bob', 'Bob', 'Bob', 'Bob', 'Bob', 'Bob']
+    .map((sender, i) => message(sender, '2022-03-05', `10:${String(i * 10).padStart(2, '0')}`, 'hi')),
+  ...Array.from({ length: 10 }, (_, i) =>
+    message(i % 2 ? 'Bob' : 'Alice', '2023-03-04', `23:${String(i).padStart(2, '0')}`, i % 2 ? 'lol' : 'dinner tonight?')),
+  message('Carol', '2023-03-06', '12:00', 'image omitted'),
+  message('Carol', '2023-03-06', '12:30', 'https://youtu.be/abc')
+];
+
+describe('analyzeTranscript', () => {
+  const result = analyzeTranscript(CHAT, { period: '2023' });
+
+  test('analyzes only the messages in the period', () => {
+    expect(result.meta).toEqual({ source: 'local', period: '2023', message_count: 12 });
+    expect(result.monthly_messages.data).toEqual([{ date: '2023-03', message_count: 12 }]);
+    expect(result.monthly_messages.caption).toBe('The chat peaked in 2023-03 with 12 messages.');
+  });
+
+  test('averages messages per weekday over every weekday the period spans', () => {
+    const byDay = Object.fromEntries(result.day_of_week.data.map(d => [d.day_of_week, d.avg_messages]));
+    expect(byDay).toMatchObject({ Saturday: 10, Sunday: 0, Monday: 2 });
+    expect(result.day_of_week.caption).toMatch(/^Saturday is the chattiest day/);
+  });
+
+  test('fills all 168 weekday and hour cells', () => {
+    expect(result.hourly_activity.data).toHaveLength(168);
+    expect(result.hourly_activity.caption).toBe('Peak chat time is Saturdays around 11pm.');
+  });
+
+  test('compares members who were active a year earlier', () => {
+    expect(result.yearly_comparison.data).toEqual([
+      { sender: 'Alice', percent_change: 0 },
+      { sender: 'Bob', percent_change: -37.5 }
+    ]);
+    expect(analyzeTranscript(CHAT, { period: '2022' }).yearly_comparison.data).toEqual([]);
+  });
+
+  test('ranks the busiest days with stats-only summaries and their logs', () => {
+    expect(result.top_ten_days.data).toEqual([{ day: '2023-03-04', chats: 10 }, { day: '2023-03-06', chats: 2 }]);
+    const [busiest] = result.top_ten_days.day_summaries;
+    expect(busiest.content.summary)
+      .toBe('10 messages from 2 people. Alice led the conversation with 5 messages, and things peaked around 11pm.');
+    expect(busiest.chat_logs[0]).toEqual({ sender: 'Alice', date: '2023-03-04 23:00:00', message: 'dinner tonight?' });
+  });
+
+  test('gives rate awards only to members with enough messages', () => {
+    expect(result.manic.data).toEqual([
+      { sender: 'Alice', percent_manic: 100 },
+      { sender: 'Bob', percent_manic: 100 }
+    ]);
+    expect(result.novelist.data.map(d => d.sender)).toEqual(['Alice', 'Bob']);
+    expect(result.hangout.data).toEqual([{ sender: 'Alice', hangouts_per_message: 2 }, { sender: 'Bob', hangouts_per_message: 0 }]);
+  });
+
+  test('counts quick replies between members', () => {
+    expect(result.reply_network.data).toEqual(expect.arrayContaining([
+      { sender: 'Bob', reply_to: 'Alice', replies: 5 },
+      { sender: 'Alice', reply_to: 'Bob', replies: 4 }
+    ]));
+  });
+
+  test('leaves media out of Novelist, captioned media included', () => {
+    const dave = [
+      ...Array.from({ length: 5 }, (_, i) => message('Dave', '2023-05-01', `10:0${i}`, 'hey')),
+      { ...message('Dave', '2023-05-01', '10:09', 'image omitted\na very long caption about the sunset'), media: true }
+    ];
+    expect(analyzeTranscript(dave, { only: ['novelist'] }).novelist.data)
+      .toEqual([{ sender: 'Dave', average_message_length: 3 }]);
+  });
+
+  test('counts emoji as whole sequences, overall, per member and per month', () => {
+    const party = [
+      ...Array.from({ length: 5 }, (_, i) => message('Erin', '2023-06-01', `10:0${i}`, i < 3 ? 'yes 👍🏽👍🏽' : 'ok 🎉')),
+      message('Finn', '2023-07-01', '10:00', '🎉 🇧🇷')
+    ];
+    const emoji = analyzeTranscript(party, { only: ['top_emoji', 'signature_emoji', 'emoji_rate', 'emoji_trend'] });
+
+    expect(emoji.top_emoji.data).toEqual([{ emoji: '👍🏽', count: 6 }, { emoji: '🎉', count: 3 }, { emoji: '🇧🇷', count: 1 }]);
+    expect(emoji.top_emoji.caption).toBe("👍🏽 was the chat's favorite, sent 6 times.");
+    expect(emoji.signature_emoji.data).toEqual([{ sender: 'Erin', emoji: '👍🏽', count: 6 }]);
+    expect(emoji.emoji_rate.data).toEqual([{ sender: 'Erin', emoji_per_message: 1.6 }]);
+    expect(emoji.emoji_trend.data.filter(row => row.emoji === '🎉')).toEqual([
+      { month: '2023-06', emoji: '🎉', count: 2 },
+      { month: '2023-07', emoji: '🎉', count: 1 }
+    ]);
+  });
+
+  test('ranks the most reacted messages, reactors and reaction emoji', () => {
+    const reacted = [
+      { ...message('Alice', '2023-03-04', '10:00', 'road trip!'), reactions: [{ emoji: '🔥', count: 1, from: ['Bob'] }] },
+      {
+        ...message('Bob', '2023-03-04', '10:05', 'x'.repeat(200)),
+        reactions: [{ emoji: '😂', count: 3, from: ['Alice', 'Carol'] }, { emoji: '🔥', count: 1, from: ['Alice'] }]
+      },
+      message('Carol', '2023-03-04', '10:10', 'nobody reacts to me')
+    ];
+    const result = analyzeTranscript(reacted, { only: ['most_reacted', 'top_reactors', 'reaction_emoji'] });
+
+    expect(result.most_reacted.data).toEqual([
+      { sender: 'Bob', date: '2023-03-04', message: `${'x'.repeat(119)}…`, reactions: 4, breakdown: '😂 3, 🔥 1' },
+      { sender: 'Alice', date: '2023-03-04', message: 'road trip!', reactions: 1, breakdown: '🔥 1' }
+    ]);
+    expect(result.most_reacted.caption).toBe("Bob's message on 2023-03-04 got the most reactions: 4.");
+    expect(result.top_reactors.data).toEqual([
+      { sender: 'Bob', reactions_given: 1 },
+      { sender: 'Alice', reactions_given: 2 },
+      { sender: 'Carol', reactions_given: 1 }
+    ]);
+    expect(result.top_reactors.caption).toBe('Alice hands out the most reactions: 2 of them.');
+    expect(result.reaction_emoji.data).toEqual([{ emoji: '😂', count: 3 }, { emoji: '🔥', count: 2 }]);
+  });
+
+  test('counts stickers per member and by sticker', () => {
+    const sticker = (sender, time, name) => ({ ...message(sender, '2023-03-04', time, 'sticker omitted'), media: true, sticker: name });
+    const stickers = [
+      sticker('Alice', '10:00', '👍'),
+      sticker('Alice', '10:01', '👍'),
+      sticker('Bob', '10:02', 'party parrot'),
+      message('Carol', '2023-03-04', '10:03', 'STK-20230304-WA0001.webp (file attached)')
+    ];
+    const result = analyzeTranscript(stickers, { only: ['sticker_senders', 'top_stickers'] });
+
+    expect(result.sticker_senders.data).toEqual([
+      { sender: 'Alice', stickers_sent: 2 },
+      { sender: 'Bob', stickers_sent: 1 },
+      { sender: 'Carol', stickers_sent: 1 }
+    ]);
+    expect(result.sticker_senders.caption).toBe('Alice sent the most stickers: 2.');
+    expect(result.top_stickers.data).toEqual([{ sticker: '👍', count: 2 }, { sticker: 'party parrot', count: 1 }]);
+  });
+
+  test("counts photos, GIFs and stickers as memes, but not Android's kind-less media", () => {
+    const memes = [
+      message('Alice', '2023-03-04', '10:00', 'image omitted'),
+      message('Alice', '2023-03-04', '10:01', 'GIF omitted'),
+      message('Bob', '2023-03-04', '10:02', '<Media omitted>'),
+      message('Bob', '2023-03-04', '10:03', '<Media omitted>'),
+      message('Bob', '2023-03-04', '10:04', 'sticker omitted')
+    ];
+    const result = analyzeTranscript(memes, { only: ['meme_lord'] });
+
+    expect(result.meme_lord.data).toEqual([{ sender: 'Alice', memes_sent: 2 }, { sender: 'Bob', memes_sent: 1 }]);
+    expect(result.meme_lord.caption).toBe('Alice is the Meme Lord, with 2 photos, GIFs and stickers.');
+  });
+
+  test('computes only the requested sections and reports progress before each', () => {
+    const onProgress = jest.fn();
+    const only = analyzeTranscript(CHAT, { only: ['manic', 'swears'], onProgress });
+
+    expect(Object.keys(only).sort()).toEqual(['manic', 'meta', 'swears']);
+    expect(onProgress.mock.calls.map(([update]) => update)).toEqual([
+      { stage: 'analyze', done: 0, total: 2, label: 'Computing awards: Most Manic' },
+      { stage: 'analyze', done: 1, total: 2, label: 'Computing awards: Swear Words' }
+    ]);
+  });
+
+  test('returns empty sections for an empty period', () => {
+    const empty = analyzeTranscript(CHAT, { period: '2021' });
+    expect(empty.meta.message_count).toBe(0);
+    expect(empty.day_of_week).toEqual({ data: [], caption: '' });
+    expect(empty.top_ten_days.data).toEqual([]);
+  });
+});
+
+test('chatMessages drops system messages and sorts by date', () => {
+  const messages = chatMessages([...CHAT].reverse());
+  expect(messages).toHaveLength(25);
+  expect(messages[0].date).toEqual(at('2022-03-05', '10:00'));
+});
+
+test('getAvailableYears lists years newest first, getDateSpan the first and last day', () => {
+  expect(getAvailableYears(CHAT)).toEqual([2023, 2022]);
+  expect(getDateSpan(CHAT)).toEqual({ start: '2022-03-05', end: '2023-03-06' });
+  expect(getDateSpan([])).toBeNull();
+});
+
+describe('dayLogs', () => {
+  test("returns a day's log, or the nearest earlier or later day with messages", () => {
+    expect(dayLogs(CHAT, '2023-03-06').logs.map(log => log.message)).toEqual(['image omitted', 'https://youtu.be/abc']);
+    expect(dayLogs(CHAT, '2023-03-05', -1).day).toBe('2023-03-04');
+    expect(dayLogs(CHAT, '2023-03-04', -1).day).toBe('2022-03-05');
+    expect(dayLogs(CHAT, '2023-03-04', 1).day).toBe('2023-03-06');
+  });
+
+  test('returns null past either end, on quiet days and for bad day keys', () => {
+    expect(dayLogs(CHAT, '2023-03-06', 1)).toBeNull();
+    expect(dayLogs(CHAT, '2022-03-05', -1)).toBeNull();
+    expect(dayLogs(CHAT, '2023-03-05')).toBeNull();
+    expect(dayLogs(CHAT, 'March 4')).toBeNull();
+  });
+});
+
+test('rankDays puts the busiest day first', () => {
+  expect(rankDays(chatMessages(CHAT)).map(([day, messages]) => [day, messages.length]))
+    .toEqual([['2022-03-05', 13], ['2023-03-04', 10], ['2023-03-06', 2]]);
+});
+
+test('formatHour writes 12-hour times', () => {
+  expect([0, 9, 12, 23].map(formatHour)).toEqual(['12am', '9am', '12pm', '11pm']);
+});
@@ -0,0 +1,46 @@
+// Keyword lists for the frequency awards computed on-device. Matching is
+// case-insensitive on word boundaries; entries ending in * match any suffix.
+
+const SWEAR_WORDS = [
+  'fuck*', 'shit*', 'damn*', 'bitch*', 'ass', 'asshole*', 'bastard*', 'crap*',
+  'dick*', 'piss*', 'bollocks', 'bloody', 'wtf', 'stfu', 'omfg', 'motherfuck*', 'goddamn*', 'hell'
+];
+
+const HANGOUT_WORDS = [
+  'hang', 'hangout*', 'hang out', 'meet up', 'meetup', 'get together', 'drinks', 'beer*',
+  'dinner', 'lunch', 'brunch', 'party', 'bbq', 'trip', 'weekend', 'tonight', 'come over',
+  'pull up', 'link up', 'catch up'
+];
+
+// Left out of "most-used words"
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'had', 'her', 'was', 'one', 'our',
+  'out', 'his', 'has', 'him', 'how', 'its', 'let', 'she', 'too', 'use', 'who', 'why', 'yes', 'yet', 'did',
+  'get', 'got', 'just', 'that', 'this', 'with', 'have', 'from', 'they', 'will', 'would', 'there', 'their',
+  'what', 'about', 'which', 'when', 'make', 'like', 'time', 'been', 'were', 'than', 'them', 'then', 'some',
+  'into', 'your', 'also', 'only', 'could', 'should', 'because', 'these', 'those', 'very', 'much', 'more',
+  'here', 'where', 'does', 'doing', 'dont', "don't", "i'm", 'im', "it's", "that's", "you're", "i'll",
+  "can't", 'cant', "didn't", "isn't", 'going', 'know', 'think', 'want', 'well', 'really', 'still', 'even',
+  'being', 'over', 'after', 'before', 'now', 'off', 'see', 'say', 'said', 'way', 'come', 'back', 'need',
+  'omitted', 'media', 'image', 'sticker', 'message', 'deleted', 'edited', 'http', 'https', 'www', 'com'
+]);
+
+const escapeRegExp = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build one global regex out of a keyword list
+const buildKeywordPattern = (words) => {
+  const alternatives = words.map(word => {
+    const wildcard = word.endsWith('*');
+    const base = escapeRegExp(wildcard ? word.slice(0, -1) : word).replace(/\s+/g, '\\s+');
+    return wildcard ? `${base}\\w*` : base;
+  });
+  return new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'gi');
+};
+
+const countMatches = (text, pattern) => {
+  pattern.lastIndex = 0;
+  const matches = String(text || '').match(pattern);
+  return matches ? matches.length : 0;
+};
+
+export { SWEAR_WORDS, HANGOUT_WORDS, STOP_WORDS, buildKeywordPattern, countMatches, escapeRegExp };
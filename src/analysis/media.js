@@ -0,0 +1,95 @@
+import { classifyAttachment } from '../parsers/chatFile';
+
+// Media, voice note and link detection for the on-device media stats.
+//
+// Exports mark media in a few ways, one per line of a message:
+//   "<Media omitted>"                          Android, without media (kind unknown)
+//   "image omitted", "sticker omitted"...      iOS without media, and our other importers
+//   "<attached: 00000012-PHOTO-2024-...jpg>"   iOS with media
+//   "IMG-20240103-WA0004.jpg (file attached)"  Android with media
+// Attached file names are looked up in the zip's attachment list when there is
+// one (see parsers/chatFile), otherwise classified from the name alone.
+
+const OMITTED_KINDS = {
+  image: 'image',
+  gif: 'gif',
+  sticker: 'sticker',
+  video: 'video',
+  // iOS doesn't tell voice notes from other audio; in a chat it's nearly always the former
+  audio: 'voice',
+  document: 'document',
+  'contact card': 'contact',
+  location: 'location'
+};
+
+const OMITTED_MARKER = /^(image|gif|sticker|video|audio|document|contact card|location) omitted$/i;
+const MEDIA_OMITTED = /^<media omitted>$/i;
+const ATTACHED_MARKER = /^<attached: ([^>]+)>$/i;
+const FILE_ATTACHED = /^(.+?) \(file attached\)$/i;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+
+// Display names for the sites links usually point at, keyed by domain
+const SITES = {
+  'youtube.com': 'YouTube',
+  'youtu.be': 'YouTube',
+  'instagram.com': 'Instagram',
+  'tiktok.com': 'TikTok',
+  'twitter.com': 'X / Twitter',
+  'x.com': 'X / Twitter',
+  'reddit.com': 'Reddit',
+  'redd.it': 'Reddit',
+  'facebook.com': 'Facebook',
+  'fb.watch': 'Facebook',
+  'spotify.com': 'Spotify',
+  'open.spotify.com': 'Spotify',
+  'music.apple.com': 'Apple Music',
+  'google.com': 'Google',
+  'maps.app.goo.gl': 'Google Maps',
+  'goo.gl': 'Google',
+  'amazon.com': 'Amazon',
+  'amzn.to': 'Amazon',
+  'linkedin.com': 'LinkedIn',
+  'wikipedia.org': 'Wikipedia'
+};
+
+// Second-level labels that belong to the suffix (bbc.co.uk, not co.uk)
+const SHARED_SUFFIXES = new Set(['co', 'com', 'org', 'net', 'gov', 'ac', 'edu']);
+
+const registrableDomain = (host) => {
+  const labels = host.split('.');
+  const keep = labels.length > 2 && SHARED_SUFFIXES.has(labels[labels.length - 2]) && labels[labels.length - 1].length === 2 ? 3 : 2;
+  return labels.slice(-keep).join('.');
+};
+
+// "YouTube", "Instagram"... or the bare domain for sites we don't name
+const siteOf = (url) => {
+  let host;
+  try {
+    host = new URL(/^https?:\/\//i.test(url) ? url : `http://${url}`).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  host = host.replace(/^(?:www|m|mobile|vm|vt)\./, '');
+  return SITES[host] || SITES[registrableDomain(host)] || registrableDomain(host);
+};
+
+const cleanLine = (line) => line.replace(/[\u200e\u200f]/g, '').trim();
+
+// Media kinds in one message: 'image', 'gif', 'sticker', 'video', 'voice',
+// 'audio', 'document', 'contact', 'location', 'other', or 'media' when the
+// export only says "<Media omitted>"
+const mediaKinds = (message, attachmentKinds = new Map()) =>
+  String(message || '').split('\n').map(cleanLine).map(line => {
+    if (MEDIA_OMITTED.test(line)) return 'media';
+    const omitted = OMITTED_MARKER.exec(line);
+    if (omitted) return OMITTED_KINDS[omitted[1].toLowerCase()];
+    const attached = ATTACHED_MARKER.exec(line) || FILE_ATTACHED.exec(line);
+    if (attached) return attachmentKinds.get(attached[1]) || classifyAttachment(attached[1]);
+    return null;
+  }).filter(Boolean);
+
+// Sites linked in one message, e.g. ['YouTube', 'bbc.co.uk']
+const linkSites = (message) =>
+  (String(message || '').match(URL_PATTERN) || []).map(siteOf).filter(Boolean);
+
+export { mediaKinds, linkSites };
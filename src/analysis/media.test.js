@@ -0,0 +1,45 @@
+import { mediaKinds, linkSites } from './media';
+
+describe('mediaKinds', () => {
+  test.each([
+    ['<Media omitted>', ['media']],
+    ['image omitted', ['image']],
+    ['GIF omitted', ['gif']],
+    ['sticker omitted', ['sticker']],
+    ['audio omitted', ['voice']],
+    ['Contact card omitted', ['contact']],
+    ['<attached: 00000012-PHOTO-2024-01-03-18-22-10.jpg>', ['image']],
+    ['PTT-20240103-WA0001.opus (file attached)', ['voice']],
+    ['just text', []]
+  ])('%s', (message, kinds) => {
+    expect(mediaKinds(message)).toEqual(kinds);
+  });
+
+  test('finds every marker in a message, captions and invisible marks aside', () => {
+    expect(mediaKinds('‎image omitted\ndocument omitted\nthe tickets')).toEqual(['image', 'document']);
+    expect(mediaKinds(undefined)).toEqual([]);
+  });
+
+  test("looks attached files up in the zip's attachment list first", () => {
+    const attachments = new Map([['recording.m4a', 'voice']]);
+    expect(mediaKinds('recording.m4a (file attached)', attachments)).toEqual(['voice']);
+    expect(mediaKinds('recording.m4a (file attached)')).toEqual(['audio']);
+  });
+});
+
+describe('linkSites', () => {
+  test('names well-known sites and falls back to the bare domain', () => {
+    expect(linkSites('https://www.youtube.com/watch?v=1 and https://youtu.be/2')).toEqual(['YouTube', 'YouTube']);
+    expect(linkSites('https://m.facebook.com/x www.bbc.co.uk/news https://blog.example.org/post'))
+      .toEqual(['Facebook', 'bbc.co.uk', 'example.org']);
+  });
+
+  test('stops a link at quotes and angle brackets', () => {
+    expect(linkSites('<https://open.spotify.com/track/1>')).toEqual(['Spotify']);
+  });
+
+  test('returns nothing for text without links', () => {
+    expect(linkSites('see you at 8')).toEqual([]);
+    expect(linkSites(null)).toEqual([]);
+  });
+});
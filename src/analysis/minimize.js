@@ -0,0 +1,55 @@
+import { SWEAR_WORDS, HANGOUT_WORDS, buildKeywordPattern, countMatches } from './keywords';
+import { extractEmoji } from './emoji';
+import { linkSites, mediaKinds } from './media';
+import { chatMessages, formatTimestamp, rankDays, NOTABLE_DAYS } from './engine';
+import { filterByPeriod } from './periods';
+import { toWhatsAppText } from '../parsers/transcript';
+
+// Data minimization
+//
+// Instead of the transcript, the analysis API can get one metadata row per
+// message, with no text at all:
+//
+//   { timestamp: '2024-01-03 18:22:10', sender, length, words, emoji,
+//     swears, plans, media: ['image'], sites: ['YouTube'] }
+//
+// which is everything the stat slides read. The only text that goes with it
+// is the transcript of each day the AI summarizes (dayWindows), and only when
+// AI summaries are on.
+
+const swearPattern = buildKeywordPattern(SWEAR_WORDS);
+const hangoutPattern = buildKeywordPattern(HANGOUT_WORDS);
+const WORD = /\S+/g;
+
+// `messages` are the real ones (lengths and counts come from them); `sent`
+// are the same messages as the API gets them, e.g. anonymized, for senders.
+// `attachments` is the zip's attachment list ({ name, kind }).
+const metadataRows = (messages, { sent = messages, attachments = [] } = {}) => {
+  const attachmentKinds = new Map(attachments.map(a => [a.name, a.kind]));
+  return messages
+    .map((m, i) => ({ m, sender: sent[i].sender }))
+    .filter(({ m }) => !m.system && m.sender)
+    .map(({ m, sender }) => {
+      const text = String(m.message || '');
+      return {
+        timestamp: formatTimestamp(m.date),
+        sender,
+        length: text.length,
+        words: (text.match(WORD) || []).length,
+        emoji: extractEmoji(text).length,
+        swears: countMatches(text, swearPattern),
+        plans: countMatches(text, hangoutPattern),
+        media: mediaKinds(text, attachmentKinds),
+        sites: linkSites(text)
+      };
+    });
+};
+
+// [{ date, transcript }] for the period's notable days: the only message text
+// sent in minimized mode, so the AI has something to summarize
+const dayWindows = (sent, period) =>
+  rankDays(filterByPeriod(chatMessages(sent), period))
+    .slice(0, NOTABLE_DAYS)
+    .map(([date, dayMessages]) => ({ date, transcript: toWhatsAppText(dayMessages) }));
+
+export { metadataRows, dayWindows };
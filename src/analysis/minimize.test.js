@@ -0,0 +1,55 @@
+import { metadataRows, dayWindows } from './minimize';
+import { anonymizeMessages } from './anonymize';
+import { at, message } from './__fixtures__/messages';
+
+const CHAT = [
+  { date: at('2024-01-03', '18:00'), sender: null, message: 'Alice added Bob', system: true },
+  message('Alice', '2024-01-03', '18:01', 'dinner tonight? 🍕🍕 https://maps.app.goo.gl/x'),
+  message('Bob', '2024-01-03', '18:02', 'damn, I am working late'),
+  message('Bob', '2024-01-03', '18:03', 'image omitted'),
+  message('Alice', '2024-01-04', '09:00', 'morning Bob'),
+  message('Bob', '2023-12-31', '23:59', 'happy new year')
+];
+
+describe('metadataRows', () => {
+  test('describes every chat message without its text', () => {
+    const rows = metadataRows(CHAT);
+    expect(rows).toHaveLength(5);
+    expect(rows[0]).toEqual({
+      timestamp: '2024-01-03 18:01:00',
+      sender: 'Alice',
+      length: 46,
+      words: 4,
+      emoji: 2,
+      swears: 0,
+      plans: 2,
+      media: [],
+      sites: ['Google Maps']
+    });
+    expect(rows[1]).toMatchObject({ sender: 'Bob', swears: 1, plans: 0 });
+    expect(rows[2]).toMatchObject({ media: ['image'], words: 2 });
+    rows.forEach(row => expect(JSON.stringify(row)).not.toMatch(/dinner|working|morning/));
+  });
+
+  test('takes senders from the messages as sent, counts from the real ones', () => {
+    const { messages: sent } = anonymizeMessages(CHAT);
+    const rows = metadataRows(CHAT, { sent });
+    expect(rows.map(row => row.sender)).toEqual(['Member 2', 'Member 1', 'Member 1', 'Member 2', 'Member 1']);
+    expect(rows[3].length).toBe('morning Bob'.length);
+  });
+
+  test("classifies attached files by the zip's attachment list", () => {
+    const rows = metadataRows([message('Alice', '2024-01-03', '18:00', '<attached: 00000001-note.m4a>')], {
+      attachments: [{ name: '00000001-note.m4a', kind: 'voice' }]
+    });
+    expect(rows[0].media).toEqual(['voice']);
+  });
+});
+
+test("dayWindows sends only the period's busiest days, as transcript text", () => {
+  const windows = dayWindows(CHAT, '2024');
+  expect(windows.map(window => window.date)).toEqual(['2024-01-03', '2024-01-04']);
+  expect(windows[0].transcript.split('\n')).toHaveLength(3);
+  expect(windows[1].transcript).toMatch(/Alice: morning Bob$/);
+  expect(dayWindows(CHAT, '2022')).toEqual([]);
+});
@@ -0,0 +1,171 @@
+// Reply network: who answers whom.
+//
+// Built from reply_network rows ({ sender, reply_to, replies }: `sender`
+// answered `reply_to` that many times). Pairs are undirected here; the
+// direction only matters for spotting members who answer one person almost
+// exclusively.
+
+const MIN_REPLIES_FOR_LOYALTY = 10;
+const LOYALTY_SHARE = 0.7;
+const LAYOUT_ITERATIONS = 300;
+
+const pairKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+
+// Weighted label propagation: each member joins the group its strongest ties
+// belong to, until nothing changes. Deterministic (members visit in activity
+// order, ties go to the smaller label) so the same chat always gets the same
+// clusters.
+const findClusters = (members, neighbours) => {
+  const labels = new Map(members.map((member, i) => [member, i]));
+  for (let round = 0; round < 20; round++) {
+    let changed = false;
+    members.forEach(member => {
+      const scores = new Map();
+      (neighbours.get(member) || new Map()).forEach((weight, other) => {
+        const label = labels.get(other);
+        scores.set(label, (scores.get(label) || 0) + weight);
+      });
+      if (scores.size === 0) return;
+      const [best] = [...scores.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0];
+      if (best !== labels.get(member) && scores.get(best) > (scores.get(labels.get(member)) || 0)) {
+        labels.set(member, best);
+        changed = true;
+      }
+    });
+    if (!changed) break;
+  }
+
+  const clusters = new Map();
+  members.forEach(member => {
+    const label = labels.get(member);
+    if (!clusters.has(label)) clusters.set(label, []);
+    clusters.get(label).push(member);
+  });
+  return [...clusters.values()].sort((a, b) => b.length - a.length);
+};
+
+// Summarize the reply rows, keeping the `maxMembers` most connected members:
+// { members: [{ name, replies, cluster }], pairs: [{ a, b, weight }],
+//   bestDuo: { a, b, weight } | null, loyal: [{ name, partner, share }],
+//   clusters: [[name, ...]] }
+const analyzeNetwork = (rows, { maxMembers = 20 } = {}) => {
+  const activity = new Map();
+  const pairs = new Map();
+  const given = new Map();
+
+  rows.forEach(({ sender, reply_to: replyTo, replies }) => {
+    if (!sender || !replyTo || sender === replyTo || !(replies > 0)) return;
+    activity.set(sender, (activity.get(sender) || 0) + replies);
+    activity.set(replyTo, (activity.get(replyTo) || 0) + replies);
+    const key = pairKey(sender, replyTo);
+    pairs.set(key, (pairs.get(key) || 0) + replies);
+    if (!given.has(sender)) given.set(sender, new Map());
+    given.get(sender).set(replyTo, (given.get(sender).get(replyTo) || 0) + replies);
+  });
+
+  const names = [...activity.entries()].sort((a, b) => b[1] - a[1]).slice(0, maxMembers).map(([name]) => name);
+  const kept = new Set(names);
+  const pairList = [...pairs.entries()]
+    .map(([key, weight]) => {
+      const [a, b] = key.split('\u0000');
+      return { a, b, weight };
+    })
+    .filter(pair => kept.has(pair.a) && kept.has(pair.b))
+    .sort((x, y) => y.weight - x.weight);
+
+  const neighbours = new Map();
+  pairList.forEach(({ a, b, weight }) => {
+    if (!neighbours.has(a)) neighbours.set(a, new Map());
+    if (!neighbours.has(b)) neighbours.set(b, new Map());
+    neighbours.get(a).set(b, weight);
+    neighbours.get(b).set(a, weight);
+  });
+  const clusters = findClusters(names, neighbours);
+  const clusterOf = new Map(clusters.flatMap((cluster, i) => cluster.map(name => [name, i])));
+
+  const loyal = names
+    .map(name => {
+      const answered = given.get(name);
+      if (!answered) return null;
+      const total = [...answered.values()].reduce((sum, n) => sum + n, 0);
+      const [partner, count] = [...answered.entries()].sort((a, b) => b[1] - a[1])[0];
+      return total >= MIN_REPLIES_FOR_LOYALTY && count / total >= LOYALTY_SHARE
+        ? { name, partner, share: count / total }
+        : null;
+    })
+    .filter(Boolean);
+
+  return {
+    members: names.map(name => ({ name, replies: activity.get(name), cluster: clusterOf.get(name) })),
+    pairs: pairList,
+    bestDuo: pairList[0] || null,
+    loyal,
+    clusters
+  };
+};
+
+// Force-directed layout (Fruchterman-Reingold) in the unit square. Starts
+// from a circle, so it's deterministic. Returns Map(name -> { x, y }).
+const layoutNetwork = (names, pairs, { iterations = LAYOUT_ITERATIONS } = {}) => {
+  const positions = new Map(names.map((name, i) => {
+    const angle = (2 * Math.PI * i) / Math.max(1, names.length);
+    return [name, { x: 0.5 + 0.4 * Math.cos(angle), y: 0.5 + 0.4 * Math.sin(angle) }];
+  }));
+  if (names.length < 3) return positions;
+
+  const k = 0.8 * Math.sqrt(1 / names.length);
+  const maxWeight = Math.max(1, ...pairs.map(pair => pair.weight));
+
+  for (let step = 0; step < iterations; step++) {
+    const temperature = 0.1 * (1 - step / iterations);
+    const moves = new Map(names.map(name => [name, { x: 0, y: 0 }]));
+
+    names.forEach((a, i) => {
+      names.slice(i + 1).forEach(b => {
+        const pa = positions.get(a);
+        const pb = positions.get(b);
+        const dx = pa.x - pb.x;
+        const dy = pa.y - pb.y;
+        const distance = Math.max(0.01, Math.hypot(dx, dy));
+        const force = (k * k) / distance;
+        moves.get(a).x += (dx / distance) * force;
+        moves.get(a).y += (dy / distance) * force;
+        moves.get(b).x -= (dx / distance) * force;
+        moves.get(b).y -= (dy / distance) * force;
+      });
+    });
+
+    pairs.forEach(({ a, b, weight }) => {
+      const pa = positions.get(a);
+      const pb = positions.get(b);
+      const dx = pa.x - pb.x;
+      const dy = pa.y - pb.y;
+      const distance = Math.max(0.01, Math.hypot(dx, dy));
+      const force = ((distance * distance) / k) * (0.2 + 0.8 * (weight / maxWeight));
+      moves.get(a).x -= (dx / distance) * force;
+      moves.get(a).y -= (dy / distance) * force;
+      moves.get(b).x += (dx / distance) * force;
+      moves.get(b).y += (dy / distance) * force;
+    });
+
+    names.forEach(name => {
+      const move = moves.get(name);
+      const length = Math.max(0.0001, Math.hypot(move.x, move.y));
+      const position = positions.get(name);
+      position.x += (move.x / length) * Math.min(length, temperature);
+      position.y += (move.y / length) * Math.min(length, temperature);
+    });
+  }
+
+  // Stretch to fill the square with a margin for labels
+  const xs = names.map(name => positions.get(name).x);
+  const ys = names.map(name => positions.get(name).y);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  positions.forEach(position => {
+    position.x = 0.1 + 0.8 * ((position.x - minX) / Math.max(0.0001, maxX - minX));
+    position.y = 0.1 + 0.8 * ((position.y - minY) / Math.max(0.0001, maxY - minY));
+  });
+  return positions;
+};
+
+export { analyzeNetwork, layoutNetwork };
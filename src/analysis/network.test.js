@@ -0,0 +1,86 @@
+import { analyzeNetwork, layoutNetwork } from './network';
+
+const row = (sender, replyTo, replies) => ({ sender, reply_to: replyTo, replies });
+
+// Two circles, Alice/Bob/Carol and Dana/Erin, joined by one weak tie
+const ROWS = [
+  row('Alice', 'Bob', 20),
+  row('Bob', 'Alice', 15),
+  row('Carol', 'Alice', 12),
+  row('Carol', 'Bob', 2),
+  row('Dana', 'Erin', 9),
+  row('Erin', 'Dana', 8),
+  row('Erin', 'Carol', 1)
+];
+
+describe('analyzeNetwork', () => {
+  const network = analyzeNetwork(ROWS);
+
+  test('ranks members by replies given and received', () => {
+    expect(network.members.map(m => [m.name, m.replies])).toEqual([
+      ['Alice', 47], ['Bob', 37], ['Erin', 18], ['Dana', 17], ['Carol', 15]
+    ]);
+  });
+
+  test('merges both directions of a pair and picks the Best Duo', () => {
+    expect(network.pairs[0]).toEqual({ a: 'Alice', b: 'Bob', weight: 35 });
+    expect(network.bestDuo).toBe(network.pairs[0]);
+    expect(network.pairs).toHaveLength(5);
+  });
+
+  test('finds members who answer one person almost exclusively', () => {
+    expect(network.loyal).toEqual([
+      { name: 'Alice', partner: 'Bob', share: 1 },
+      { name: 'Bob', partner: 'Alice', share: 1 },
+      { name: 'Carol', partner: 'Alice', share: 12 / 14 }
+    ]);
+  });
+
+  test('groups members into clusters by their strongest ties', () => {
+    expect(network.clusters).toEqual([['Alice', 'Bob', 'Carol'], ['Erin', 'Dana']]);
+    const clusterOf = Object.fromEntries(network.members.map(m => [m.name, m.cluster]));
+    expect(clusterOf).toEqual({ Alice: 0, Bob: 0, Carol: 0, Erin: 1, Dana: 1 });
+  });
+
+  test('keeps only the most connected members, and their pairs', () => {
+    const top = analyzeNetwork(ROWS, { maxMembers: 2 });
+    expect(top.members.map(m => m.name)).toEqual(['Alice', 'Bob']);
+    expect(top.pairs).toEqual([{ a: 'Alice', b: 'Bob', weight: 35 }]);
+  });
+
+  test('ignores self-replies, blanks and empty rows', () => {
+    const empty = analyzeNetwork([row('Alice', 'Alice', 5), row('', 'Bob', 3), row('Bob', 'Carol', 0)]);
+    expect(empty).toEqual({ members: [], pairs: [], bestDuo: null, loyal: [], clusters: [] });
+  });
+});
+
+describe('layoutNetwork', () => {
+  const { members, pairs } = analyzeNetwork(ROWS);
+  const names = members.map(m => m.name);
+
+  test('places every member inside the square, leaving a margin for labels', () => {
+    const positions = layoutNetwork(names, pairs, { iterations: 50 });
+    expect([...positions.keys()]).toEqual(names);
+    positions.forEach(({ x, y }) => {
+      [x, y].forEach(value => {
+        expect(value).toBeGreaterThanOrEqual(0.1 - 1e-9);
+        expect(value).toBeLessThanOrEqual(0.9 + 1e-9);
+      });
+    });
+  });
+
+  test('is deterministic and pulls close pairs together', () => {
+    const first = layoutNetwork(names, pairs, { iterations: 50 });
+    expect(layoutNetwork(names, pairs, { iterations: 50 })).toEqual(first);
+
+    const distance = (a, b) => Math.hypot(first.get(a).x - first.get(b).x, first.get(a).y - first.get(b).y);
+    expect(distance('Alice', 'Bob')).toBeLessThan(distance('Alice', 'Dana'));
+  });
+
+  test('leaves one or two members on the starting circle', () => {
+    const positions = layoutNetwork(['Alice', 'Bob'], [{ a: 'Alice', b: 'Bob', weight: 1 }]);
+    expect(positions.get('Alice')).toEqual({ x: 0.9, y: 0.5 });
+    expect(positions.get('Bob').x).toBeCloseTo(0.1);
+    expect(positions.get('Bob').y).toBeCloseTo(0.5);
+  });
+});
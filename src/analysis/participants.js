@@ -0,0 +1,93 @@
+// Participant mapping
+//
+// The same person often shows up under several senders: a phone number before
+// they were saved as a contact, a renamed contact, "You". The mapping is
+// keyed by sender as it appears in the export:
+//
+//   { [sender]: { name?, mergeInto?, exclude? } }
+//
+//   name       display name to use instead of the sender
+//   mergeInto  another sender this one is the same person as; takes that
+//              sender's display name (and exclusion)
+//   exclude    drop the sender's messages entirely (bots, system senders)
+//
+// applyParticipants() rewrites the transcript once, before anything is
+// analyzed, so every slide (and the chat logs) sees the same names.
+
+const PHONE_NUMBER = /^\+?[\d\s().-]{7,}$/;
+
+// Unsaved contacts show up as their number, e.g. "+44 7700 900123"
+const looksLikePhoneNumber = (sender) => PHONE_NUMBER.test(String(sender || '').trim());
+
+// The sender a merge chain ends at (a cycle stops where it started)
+const resolveSender = (mapping, sender) => {
+  const seen = new Set([sender]);
+  let current = sender;
+  while (mapping[current]?.mergeInto && !seen.has(mapping[current].mergeInto)) {
+    current = mapping[current].mergeInto;
+    seen.add(current);
+  }
+  return current;
+};
+
+const displayName = (mapping, sender) => {
+  const target = resolveSender(mapping, sender);
+  return (mapping[target]?.name || '').trim() || target;
+};
+
+const isExcluded = (mapping, sender) =>
+  Boolean(mapping[sender]?.exclude || mapping[resolveSender(mapping, sender)]?.exclude);
+
+const isIdentityMapping = (mapping) =>
+  !mapping || Object.keys(mapping).every(sender => !isExcluded(mapping, sender) && displayName(mapping, sender) === sender);
+
+// Reactors renamed the same way; excluded ones stay in the counts but are no
+// longer named
+const mapReactors = (reactions, mapping) => reactions.map(reaction => ({
+  ...reaction,
+  from: reaction.from.filter(name => !isExcluded(mapping, name)).map(name => displayName(mapping, name))
+}));
+
+// Messages with senders (and reactors) renamed and excluded senders dropped;
+// system messages pass through untouched
+const applyParticipants = (messages, mapping) => {
+  if (isIdentityMapping(mapping)) return messages;
+  return messages
+    .filter(m => m.system || !m.sender || !isExcluded(mapping, m.sender))
+    .map(m => (m.system || !m.sender ? m : {
+      ...m,
+      sender: displayName(mapping, m.sender),
+      ...(m.reactions && { reactions: mapReactors(m.reactions, mapping) })
+    }));
+};
+
+// The export senders each display name stands for, besides itself:
+// { [name]: [sender, ...] }, e.g. { 'Alice Smith': ['Alice', '+44 7700 900123'] },
+// so anonymizing can scrub the old names too. Excluded senders aren't listed.
+const formerNames = (mapping = {}) => {
+  const names = {};
+  Object.keys(mapping).forEach(sender => {
+    if (isExcluded(mapping, sender)) return;
+    const name = displayName(mapping, sender);
+    if (name !== sender) names[name] = [...(names[name] || []), sender];
+  });
+  return names;
+};
+
+// Who's left once the mapping is applied: [{ name, count, senders }] by count,
+// from summarizeTranscript's [{ name, count }]
+const mergedParticipants = (participants, mapping = {}) => {
+  const merged = new Map();
+  participants
+    .filter(({ name }) => !isExcluded(mapping, name))
+    .forEach(({ name, count }) => {
+      const display = displayName(mapping, name);
+      const entry = merged.get(display) || { name: display, count: 0, senders: [] };
+      entry.count += count;
+      entry.senders.push(name);
+      merged.set(display, entry);
+    });
+  return [...merged.values()].sort((a, b) => b.count - a.count);
+};
+
+export { applyParticipants, displayName, formerNames, isExcluded, isIdentityMapping, looksLikePhoneNumber, mergedParticipants };
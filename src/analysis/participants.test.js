@@ -0,0 +1,106 @@
+import {
+  applyParticipants,
+  displayName,
+  formerNames,
+  isExcluded,
+  isIdentityMapping,
+  looksLikePhoneNumber,
+  mergedParticipants
+} from './participants';
+
+const date = new Date(2024, 0, 3, 18, 0);
+const message = (sender, text, extra = {}) => ({ date, sender, message: text, system: false, ...extra });
+
+// "+44 7700 900123" is Alice before she was saved; "Mom" is renamed; the bot is dropped
+const MAPPING = {
+  '+44 7700 900123': { mergeInto: 'Alice' },
+  Alice: { name: 'Alice Smith' },
+  Mom: { name: 'Mum' },
+  Reminders: { exclude: true }
+};
+
+describe('displayName', () => {
+  test('follows merges to the name of the sender they end at', () => {
+    expect(displayName(MAPPING, '+44 7700 900123')).toBe('Alice Smith');
+    expect(displayName(MAPPING, 'Mom')).toBe('Mum');
+    expect(displayName(MAPPING, 'Bob')).toBe('Bob');
+  });
+
+  test('stops at a merge cycle and ignores blank names', () => {
+    const cycle = { A: { mergeInto: 'B' }, B: { mergeInto: 'A', name: '  ' } };
+    expect(displayName(cycle, 'A')).toBe('B');
+    expect(displayName(cycle, 'B')).toBe('A');
+  });
+});
+
+test('isExcluded covers senders merged into an excluded one', () => {
+  const mapping = { ...MAPPING, 'Reminder bot': { mergeInto: 'Reminders' } };
+  expect(isExcluded(mapping, 'Reminders')).toBe(true);
+  expect(isExcluded(mapping, 'Reminder bot')).toBe(true);
+  expect(isExcluded(mapping, 'Alice')).toBe(false);
+});
+
+test('isIdentityMapping is true only when nothing is renamed or excluded', () => {
+  expect(isIdentityMapping(undefined)).toBe(true);
+  expect(isIdentityMapping({ Alice: { name: 'Alice' }, Bob: {} })).toBe(true);
+  expect(isIdentityMapping({ Alice: { name: 'Al' } })).toBe(false);
+  expect(isIdentityMapping({ Bot: { exclude: true } })).toBe(false);
+});
+
+describe('applyParticipants', () => {
+  const messages = [
+    { date, sender: null, message: 'Alice added Mom', system: true },
+    message('+44 7700 900123', 'hi, new number'),
+    message('Mom', 'who is this?', { reactions: [{ emoji: '😂', count: 3, from: ['+44 7700 900123', 'Reminders', 'Bob'] }] }),
+    message('Reminders', 'Bin day tomorrow')
+  ];
+
+  test('renames and merges senders, drops excluded ones and keeps system messages', () => {
+    const mapped = applyParticipants(messages, MAPPING);
+    expect(mapped.map(m => [m.sender, m.message])).toEqual([
+      [null, 'Alice added Mom'],
+      ['Alice Smith', 'hi, new number'],
+      ['Mum', 'who is this?']
+    ]);
+  });
+
+  test('renames reactors too, unnaming excluded ones without changing the counts', () => {
+    const [, , mom] = applyParticipants(messages, MAPPING);
+    expect(mom.reactions).toEqual([{ emoji: '😂', count: 3, from: ['Alice Smith', 'Bob'] }]);
+    expect(messages[2].reactions[0].from).toHaveLength(3);
+  });
+
+  test('returns the transcript untouched for an identity mapping', () => {
+    expect(applyParticipants(messages, {})).toBe(messages);
+  });
+});
+
+test('formerNames lists the export senders behind each renamed or merged name', () => {
+  expect(formerNames(MAPPING)).toEqual({ 'Alice Smith': ['+44 7700 900123', 'Alice'], Mum: ['Mom'] });
+  expect(formerNames()).toEqual({});
+});
+
+test('mergedParticipants combines counts under the display name, busiest first', () => {
+  const participants = [
+    { name: 'Mom', count: 40 },
+    { name: 'Alice', count: 30 },
+    { name: '+44 7700 900123', count: 25 },
+    { name: 'Reminders', count: 100 }
+  ];
+  expect(mergedParticipants(participants, MAPPING)).toEqual([
+    { name: 'Alice Smith', count: 55, senders: ['Alice', '+44 7700 900123'] },
+    { name: 'Mum', count: 40, senders: ['Mom'] }
+  ]);
+  expect(mergedParticipants([{ name: 'Bob', count: 1 }])).toEqual([{ name: 'Bob', count: 1, senders: ['Bob'] }]);
+});
+
+test.each([
+  ['+44 7700 900123', true],
+  ['(555) 123-4567', true],
+  ['+1 555.123.4567', true],
+  ['Alice', false],
+  ['2024', false],
+  ['', false]
+])('looksLikePhoneNumber(%p) is %p', (sender, expected) => {
+  expect(looksLikePhoneNumber(sender)).toBe(expected);
+});
@@ -0,0 +1,186 @@
+// Analysis periods
+//
+// A period is identified by a string key, so it can be cached, saved and
+// passed around exactly like the plain years it generalizes:
+//   '2024'                    a calendar year
+//   'all'                     everything in the chat
+//   '2024-06-01..2024-08-31'  an inclusive date range (local days)
+
+const ALL_TIME = 'all';
+const RANGE_SEPARATOR = '..';
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (n) => String(n).padStart(2, '0');
+const dayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const parseDay = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+};
+
+const shiftDay = (day, { years = 0, months = 0, days = 0 }) => {
+  const date = parseDay(day);
+  return dayKey(new Date(date.getFullYear() + years, date.getMonth() + months, date.getDate() + days));
+};
+
+const rangeKey = (start, end) => `${start}${RANGE_SEPARATOR}${end}`;
+
+// { kind: 'year', year } | { kind: 'all' } | { kind: 'range', start, end }
+const parsePeriod = (key) => {
+  const value = String(key);
+  if (value === ALL_TIME) return { kind: 'all' };
+  if (value.includes(RANGE_SEPARATOR)) {
+    const [start, end] = value.split(RANGE_SEPARATOR);
+    return { kind: 'range', start, end };
+  }
+  return { kind: 'year', year: Number(value) };
+};
+
+// Error message for a custom range, or null when it's usable
+const validateRange = (start, end) => {
+  if (!DAY_PATTERN.test(start || '') || !DAY_PATTERN.test(end || '')) return 'Pick both a start and an end date';
+  if (start > end) return 'The start date has to be before the end date';
+  return null;
+};
+
+const filterByPeriod = (messages, key) => {
+  const period = parsePeriod(key);
+  if (period.kind === 'all') return messages;
+  if (period.kind === 'year') return messages.filter(m => m.date.getFullYear() === period.year);
+
+  const from = parseDay(period.start);
+  const until = parseDay(shiftDay(period.end, { days: 1 }));
+  return messages.filter(m => m.date >= from && m.date < until);
+};
+
+// Sort order for period keys, newest first: calendar years, then date ranges
+// by their last day, then all time
+const comparePeriods = (a, b) => {
+  const rank = (key) => {
+    const period = parsePeriod(key);
+    if (period.kind === 'year') return [0, String(period.year).padStart(4, '0')];
+    if (period.kind === 'range') return [1, `${period.end}${period.start}`];
+    return [2, ''];
+  };
+  const [kindA, valueA] = rank(a);
+  const [kindB, valueB] = rank(b);
+  return kindA - kindB || valueB.localeCompare(valueA);
+};
+
+// The same stretch a year earlier, for year-over-year comparisons
+const previousPeriod = (key) => {
+  const period = parsePeriod(key);
+  if (period.kind === 'all') return null;
+  if (period.kind === 'year') return String(period.year - 1);
+  return rangeKey(shiftDay(period.start, { years: -1 }), shiftDay(period.end, { years: -1 }));
+};
+
+// Every month from `first` to `last` ("2024-01"), inclusive, so charts can
+// show quiet months as 0
+const monthsBetween = (first, last) => {
+  const months = [];
+  let [year, month] = first.split('-').map(Number);
+  const [lastYear, lastMonth] = last.split('-').map(Number);
+  while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+    months.push(`${year}-${pad(month)}`);
+    month += 1;
+    if (month > 12) {
+      month = 1;
+      year += 1;
+    }
+  }
+  return months;
+};
+
+const formatDayLabel = (day, withYear = true) =>
+  parseDay(day).toLocaleDateString(undefined, { month: 'short', day: 'numeric', ...(withYear && { year: 'numeric' }) });
+
+// "2024", "All Time", "Summer 2024", "Mar 3 – Oct 19, 2024"
+const describePeriod = (key) => {
+  const period = parsePeriod(key);
+  if (period.kind === 'all') return 'All Time';
+  if (period.kind === 'year') return String(period.year);
+
+  const { start, end } = period;
+  const startYear = start.slice(0, 4);
+  if (start === `${startYear}-06-01` && end === `${startYear}-08-31`) return `Summer ${startYear}`;
+  if (start.slice(5) === '01-01' && end === `${startYear}-12-31`) return startYear;
+  const sameYear = startYear === end.slice(0, 4);
+  return `${formatDayLabel(start, !sameYear)} – ${formatDayLabel(end)}`;
+};
+
+const describeWrapTitle = (key) => (key === null || key === undefined
+  ? 'Groupchat Wrapped'
+  : `Groupchat Wrapped ${describePeriod(key)}`);
+
+// First and last day with messages, as { start, end } day strings
+const spanFromYears = (years) => {
+  const sorted = [...years].map(Number).sort((a, b) => a - b);
+  return { start: `${sorted[0]}-01-01`, end: `${sorted[sorted.length - 1]}-12-31` };
+};
+
+// Quick picks, resolved against the chat's own span so old exports still
+// get sensible ranges. `needsStart` presets ask for a start date first.
+const PRESETS = [
+  {
+    id: 'last-12-months',
+    label: 'Last 12 months',
+    resolve: ({ end }) => rangeKey(shiftDay(end, { years: -1, days: 1 }), end)
+  },
+  {
+    id: 'summer',
+    label: 'Summer (Jun–Aug)',
+    // The most recent summer the chat reached
+    resolve: ({ end }) => {
+      const endDate = parseDay(end);
+      const year = endDate.getMonth() >= 5 ? endDate.getFullYear() : endDate.getFullYear() - 1;
+      return rangeKey(`${year}-06-01`, `${year}-08-31`);
+    }
+  },
+  {
+    id: 'since',
+    label: 'Since the trip...',
+    needsStart: true,
+    resolve: ({ end }, start) => rangeKey(start, end)
+  },
+  {
+    id: 'all',
+    label: 'All time',
+    resolve: () => ALL_TIME
+  }
+];
+
+// First and last day of a period, inclusive; "all time" is the chat's `span`
+const periodBounds = (key, span) => {
+  const period = parsePeriod(key);
+  if (period.kind === 'year') return { start: `${period.year}-01-01`, end: `${period.year}-12-31` };
+  const { start, end } = period.kind === 'all' ? span : period;
+  return { start, end };
+};
+
+// Body fields /analyze takes for a period: `year` for calendar years, an
+// inclusive start_date/end_date otherwise
+const periodRequestFields = (key, span) => {
+  const period = parsePeriod(key);
+  if (period.kind === 'year') return { year: period.year };
+  const { start, end } = periodBounds(key, span);
+  return { start_date: start, end_date: end };
+};
+
+export {
+  ALL_TIME,
+  PRESETS,
+  dayKey,
+  monthsBetween,
+  rangeKey,
+  parsePeriod,
+  validateRange,
+  filterByPeriod,
+  previousPeriod,
+  describePeriod,
+  describeWrapTitle,
+  spanFromYears,
+  periodBounds,
+  periodRequestFields,
+  comparePeriods
+};
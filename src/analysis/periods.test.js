@@ -0,0 +1,114 @@
+import {
+  ALL_TIME,
+  PRESETS,
+  dayKey,
+  monthsBetween,
+  rangeKey,
+  parsePeriod,
+  validateRange,
+  filterByPeriod,
+  previousPeriod,
+  describePeriod,
+  describeWrapTitle,
+  spanFromYears,
+  periodBounds,
+  periodRequestFields,
+  comparePeriods
+} from './periods';
+
+const at = (day, hours = 12) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date, hours);
+};
+
+test('parsePeriod reads years, all time and ranges', () => {
+  expect(parsePeriod('2024')).toEqual({ kind: 'year', year: 2024 });
+  expect(parsePeriod(2024)).toEqual({ kind: 'year', year: 2024 });
+  expect(parsePeriod(ALL_TIME)).toEqual({ kind: 'all' });
+  expect(parsePeriod(rangeKey('2024-06-01', '2024-08-31'))).toEqual({ kind: 'range', start: '2024-06-01', end: '2024-08-31' });
+});
+
+test('validateRange wants two days in order', () => {
+  expect(validateRange('2024-06-01', '2024-08-31')).toBeNull();
+  expect(validateRange('2024-06-01', '2024-06-01')).toBeNull();
+  expect(validateRange('2024-06-01', '')).toBe('Pick both a start and an end date');
+  expect(validateRange('2024-08-31', '2024-06-01')).toBe('The start date has to be before the end date');
+});
+
+describe('filterByPeriod', () => {
+  const messages = ['2023-12-31', '2024-01-01', '2024-06-01', '2024-08-31', '2024-09-01'].map(day => ({ date: at(day, 23) }));
+  const days = (key) => filterByPeriod(messages, key).map(m => dayKey(m.date));
+
+  test('keeps a calendar year, or everything', () => {
+    expect(days('2024')).toEqual(['2024-01-01', '2024-06-01', '2024-08-31', '2024-09-01']);
+    expect(filterByPeriod(messages, ALL_TIME)).toBe(messages);
+  });
+
+  test('includes both ends of a range, late evenings included', () => {
+    expect(days('2024-06-01..2024-08-31')).toEqual(['2024-06-01', '2024-08-31']);
+  });
+});
+
+test('previousPeriod is the same stretch a year earlier', () => {
+  expect(previousPeriod('2024')).toBe('2023');
+  expect(previousPeriod('2024-06-01..2024-08-31')).toBe('2023-06-01..2023-08-31');
+  expect(previousPeriod('2024-02-29..2024-03-10')).toBe('2023-03-01..2023-03-10');
+  expect(previousPeriod(ALL_TIME)).toBeNull();
+});
+
+test('monthsBetween lists every month, across years', () => {
+  expect(monthsBetween('2023-11', '2024-02')).toEqual(['2023-11', '2023-12', '2024-01', '2024-02']);
+  expect(monthsBetween('2024-03', '2024-03')).toEqual(['2024-03']);
+  expect(monthsBetween('2024-03', '2024-01')).toEqual([]);
+});
+
+test('describePeriod names years, summers, whole years and ranges', () => {
+  expect(describePeriod('2024')).toBe('2024');
+  expect(describePeriod(ALL_TIME)).toBe('All Time');
+  expect(describePeriod('2024-06-01..2024-08-31')).toBe('Summer 2024');
+  expect(describePeriod('2024-01-01..2024-12-31')).toBe('2024');
+  expect(describePeriod('2024-03-03..2024-10-19')).toMatch(/2024$/);
+  expect(describePeriod('2023-12-20..2024-01-05')).toMatch(/2023.*2024/);
+  expect(describeWrapTitle('2024')).toBe('Groupchat Wrapped 2024');
+  expect(describeWrapTitle(null)).toBe('Groupchat Wrapped');
+});
+
+test('spanFromYears covers the first to the last year', () => {
+  expect(spanFromYears([2024, '2022', 2023])).toEqual({ start: '2022-01-01', end: '2024-12-31' });
+});
+
+test('periodBounds gives the first and last day of any period', () => {
+  const span = { start: '2021-05-02', end: '2024-10-19' };
+  expect(periodBounds('2024', span)).toEqual({ start: '2024-01-01', end: '2024-12-31' });
+  expect(periodBounds(ALL_TIME, span)).toEqual(span);
+  expect(periodBounds('2024-06-01..2024-08-31', span)).toEqual({ start: '2024-06-01', end: '2024-08-31' });
+});
+
+test('periodRequestFields sends years as a year and everything else as dates', () => {
+  const span = { start: '2021-05-02', end: '2024-10-19' };
+  expect(periodRequestFields('2024', span)).toEqual({ year: 2024 });
+  expect(periodRequestFields(ALL_TIME, span)).toEqual({ start_date: '2021-05-02', end_date: '2024-10-19' });
+  expect(periodRequestFields('2024-06-01..2024-08-31', span)).toEqual({ start_date: '2024-06-01', end_date: '2024-08-31' });
+});
+
+test('comparePeriods puts years first, newest first, then ranges, then all time', () => {
+  expect(['all', '2023', '2023-06-01..2023-08-31', '2024', '2024-06-01..2024-08-31', '2022'].sort(comparePeriods))
+    .toEqual(['2024', '2023', '2022', '2024-06-01..2024-08-31', '2023-06-01..2023-08-31', 'all']);
+});
+
+describe('PRESETS', () => {
+  const resolve = (id, span, start) => PRESETS.find(preset => preset.id === id).resolve(span, start);
+
+  test('resolve against the chat span', () => {
+    const span = { start: '2021-05-02', end: '2024-03-15' };
+    expect(resolve('last-12-months', span)).toBe('2023-03-16..2024-03-15');
+    expect(resolve('summer', span)).toBe('2023-06-01..2023-08-31');
+    expect(resolve('summer', { ...span, end: '2024-07-04' })).toBe('2024-06-01..2024-08-31');
+    expect(resolve('since', span, '2024-01-10')).toBe('2024-01-10..2024-03-15');
+    expect(resolve('all', span)).toBe(ALL_TIME);
+  });
+
+  test('ask for a start date only when they need one', () => {
+    expect(PRESETS.filter(preset => preset.needsStart).map(preset => preset.id)).toEqual(['since']);
+  });
+});
@@ -0,0 +1,117 @@
+import { hasMedia } from '../parsers/transcript';
+import { STOP_WORDS } from './keywords';
+import { extractEmoji } from './emoji';
+import { ALL_TIME, dayKey, filterByPeriod } from './periods';
+import { chatMessages, monthKey } from './engine';
+
+// Member profiles
+//
+// memberActivity() runs on device (in the chat worker) over one member's
+// messages: volume by month, active hours, favorite words and emoji, busiest
+// day. rankMember() reads the analysis payload the deck was built from,
+// normalized by validateAnalysis (see ./schema), to place them in every award
+// category.
+
+const TOP_WORDS = 10;
+const TOP_EMOJI = 5;
+const WORD_PATTERN = /[\p{L}\p{N}']+/gu;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+// Award categories a member can be ranked in. `sum` adds up a sender's rows
+// (for sections with several rows per sender); the rest have one row each.
+const CATEGORIES = [
+  { section: 'quarterly_contribution', field: 'message_count', sum: true, title: 'Messages sent', award: 'Top Talker' },
+  { section: 'manic', field: 'percent_manic', title: 'Late-night messages', award: 'Most Manic', unit: '%' },
+  { section: 'most_ignored', field: 'average_time_to_respond', title: 'Wait for a reply', award: 'Most Ignored', unit: ' min' },
+  { section: 'novelist', field: 'average_message_length', title: 'Message length', award: 'Groupchat Novelist', unit: ' chars' },
+  { section: 'swears', field: 'swears_per_message', title: 'Swearing', award: 'Potty Mouth', unit: ' per message' },
+  { section: 'hangout', field: 'hangouts_per_message', title: 'Making plans', award: 'Chief Plan Maker', unit: ' per message' },
+  { section: 'emoji_rate', field: 'emoji_per_message', title: 'Emoji', award: 'Emoji Enthusiast', unit: ' per message' },
+  { section: 'meme_lord', field: 'memes_sent', title: 'Photos, GIFs and stickers', award: 'Meme Lord' },
+  { section: 'podcaster', field: 'voice_notes', title: 'Voice notes', award: 'Podcaster' },
+  { section: 'sticker_senders', field: 'stickers_sent', title: 'Stickers', award: 'Sticker Addict' },
+  { section: 'top_reactors', field: 'reactions_given', title: 'Reactions given', award: 'Hype Squad' },
+  { section: 'link_dumper', field: 'links', sum: true, title: 'Links shared', award: 'Link Dumper' }
+];
+
+// Sections that failed validation aren't in the normalized payload
+const rowsOf = (analysisData, key) => analysisData?.[key]?.data || [];
+
+const topEntries = (counts, limit) =>
+  [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, limit);
+
+const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+// { member, messageCount, monthly: [{ month, count }], hours: [24 counts],
+//   words: [{ word, count }], emoji: [{ emoji, count }], busiestDay: { day, count } | null }
+const memberActivity = (messages, member, { period = ALL_TIME } = {}) => {
+  const mine = filterByPeriod(chatMessages(messages), period).filter(m => m.sender === member);
+
+  const months = new Map();
+  const days = new Map();
+  const words = new Map();
+  const emoji = new Map();
+  const hours = new Array(24).fill(0);
+
+  mine.forEach(m => {
+    bump(months, monthKey(m.date));
+    bump(days, dayKey(m.date));
+    hours[m.date.getHours()]++;
+    extractEmoji(m.message).forEach(e => bump(emoji, e));
+    if (hasMedia(m)) return;
+    (m.message.replace(URL_PATTERN, ' ').toLowerCase().match(WORD_PATTERN) || [])
+      .filter(word => word.length > 2 && !STOP_WORDS.has(word) && !/^\d+$/.test(word))
+      .forEach(word => bump(words, word));
+  });
+
+  const [busiest] = topEntries(days, 1);
+  return {
+    member,
+    messageCount: mine.length,
+    monthly: [...months.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([month, count]) => ({ month, count })),
+    hours,
+    words: topEntries(words, TOP_WORDS).map(([word, count]) => ({ word, count })),
+    emoji: topEntries(emoji, TOP_EMOJI).map(([e, count]) => ({ emoji: e, count })),
+    busiestDay: busiest ? { day: busiest[0], count: busiest[1] } : null
+  };
+};
+
+// Everyone who shows up in the payload's per-sender sections
+const membersOf = (analysisData) => new Set(
+  CATEGORIES.flatMap(({ section }) => rowsOf(analysisData, section).map(row => row.sender))
+);
+
+// [{ title, award, rank, of, value, unit, won }] for each category the member
+// appears in; `won` when they top it, alone or tied
+const rankMember = (analysisData, member) => CATEGORIES
+  .map(category => {
+    const totals = new Map();
+    rowsOf(analysisData, category.section).forEach(row => {
+      const value = row[category.field];
+      totals.set(row.sender, category.sum ? (totals.get(row.sender) || 0) + value : value);
+    });
+    if (!totals.has(member)) return null;
+
+    const ranked = [...totals.entries()].sort((a, b) => b[1] - a[1]);
+    // Nobody scored (e.g. no swearing at all): nothing to rank
+    if (ranked[0][1] === 0) return null;
+    const value = totals.get(member);
+    // Ties share a rank: 1, 1, 3
+    const rank = ranked.filter(([, other]) => other > value).length + 1;
+    return { ...category, rank, of: ranked.length, value, won: rank === 1 && value > 0 };
+  })
+  .filter(Boolean);
+
+// Who the member trades the most quick replies with, from reply_network
+const closestPartner = (analysisData, member) => {
+  const pairs = new Map();
+  rowsOf(analysisData, 'reply_network').forEach(row => {
+    const { sender, reply_to: replyTo } = row;
+    const other = sender === member ? replyTo : replyTo === member ? sender : null;
+    if (other) pairs.set(other, (pairs.get(other) || 0) + row.replies);
+  });
+  const [best] = topEntries(pairs, 1);
+  return best ? { name: best[0], replies: best[1] } : null;
+};
+
+export { memberActivity, membersOf, rankMember, closestPartner };
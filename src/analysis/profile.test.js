@@ -0,0 +1,109 @@
+import { memberActivity, membersOf, rankMember, closestPartner } from './profile';
+import { at, message } from './__fixtures__/messages';
+
+const CHAT = [
+  { date: at('2023-12-31', '22:00'), sender: null, message: 'Alice added Bob', system: true },
+  message('Alice', '2023-12-31', '23:00', 'pizza pizza tonight 🍕'),
+  message('Alice', '2024-01-05', '09:00', 'pizza again? https://pizza.example/menu'),
+  message('Alice', '2024-01-05', '09:30', 'image omitted'),
+  message('Alice', '2024-02-10', '21:15', 'coffee ☕☕'),
+  message('Bob', '2024-01-05', '09:05', 'always pizza')
+];
+
+// Normalized payload rows (see ./schema)
+const ANALYSIS = {
+  quarterly_contribution: {
+    data: [
+      { sender: 'Alice', date: '2024 Q1', message_count: 30 },
+      { sender: 'Alice', date: '2024 Q2', message_count: 10 },
+      { sender: 'Bob', date: '2024 Q1', message_count: 40 },
+      { sender: 'Carol', date: '2024 Q1', message_count: 25 }
+    ]
+  },
+  manic: { data: [{ sender: 'Alice', percent_manic: 12 }, { sender: 'Bob', percent_manic: 30 }, { sender: 'Carol', percent_manic: 5 }] },
+  swears: { data: [{ sender: 'Alice', swears_per_message: 0 }, { sender: 'Bob', swears_per_message: 0 }] },
+  reply_network: {
+    data: [
+      { sender: 'Alice', reply_to: 'Bob', replies: 4 },
+      { sender: 'Bob', reply_to: 'Alice', replies: 3 },
+      { sender: 'Carol', reply_to: 'Alice', replies: 5 },
+      { sender: 'Bob', reply_to: 'Carol', replies: 1 }
+    ]
+  }
+};
+
+describe('memberActivity', () => {
+  test("sums up one member's messages across the whole chat", () => {
+    const activity = memberActivity(CHAT, 'Alice');
+
+    expect(activity.messageCount).toBe(4);
+    expect(activity.monthly).toEqual([
+      { month: '2023-12', count: 1 },
+      { month: '2024-01', count: 2 },
+      { month: '2024-02', count: 1 }
+    ]);
+    expect(activity.hours[9]).toBe(2);
+    expect(activity.words[0]).toEqual({ word: 'pizza', count: 3 });
+    expect(activity.words.map(w => w.word)).not.toContain('example');
+    expect(activity.emoji).toEqual([{ emoji: '☕', count: 2 }, { emoji: '🍕', count: 1 }]);
+    expect(activity.busiestDay).toEqual({ day: '2024-01-05', count: 2 });
+  });
+
+  test('only looks at the period asked for', () => {
+    const activity = memberActivity(CHAT, 'Alice', { period: '2023' });
+    expect(activity.messageCount).toBe(1);
+    expect(activity.monthly).toEqual([{ month: '2023-12', count: 1 }]);
+    expect(activity.busiestDay).toEqual({ day: '2023-12-31', count: 1 });
+
+    expect(memberActivity(CHAT, 'Alice', { period: '2024-02-01..2024-02-29' }).messageCount).toBe(1);
+  });
+
+  test('comes back empty for someone with no messages in the period', () => {
+    const activity = memberActivity(CHAT, 'Bob', { period: '2023' });
+    expect(activity).toMatchObject({ messageCount: 0, monthly: [], words: [], emoji: [], busiestDay: null });
+  });
+});
+
+test('membersOf lists everyone in the per-sender sections', () => {
+  expect(membersOf(ANALYSIS)).toEqual(new Set(['Alice', 'Bob', 'Carol']));
+  expect(membersOf(null)).toEqual(new Set());
+});
+
+describe('rankMember', () => {
+  const byAward = (ranks) => Object.fromEntries(ranks.map(({ award, rank, of, value, won }) => [award, { rank, of, value, won }]));
+
+  test('places the member in every category they appear in', () => {
+    expect(byAward(rankMember(ANALYSIS, 'Bob'))).toEqual({
+      'Top Talker': { rank: 1, of: 3, value: 40, won: true },
+      'Most Manic': { rank: 1, of: 3, value: 30, won: true }
+    });
+    expect(byAward(rankMember(ANALYSIS, 'Carol'))['Most Manic']).toEqual({ rank: 3, of: 3, value: 5, won: false });
+  });
+
+  test('gives tied members the same rank', () => {
+    // Alice and Bob both sent 40 messages
+    expect(byAward(rankMember(ANALYSIS, 'Alice'))['Top Talker']).toEqual({ rank: 1, of: 3, value: 40, won: true });
+    expect(byAward(rankMember(ANALYSIS, 'Bob'))['Top Talker']).toEqual({ rank: 1, of: 3, value: 40, won: true });
+    expect(byAward(rankMember(ANALYSIS, 'Carol'))['Top Talker']).toEqual({ rank: 3, of: 3, value: 25, won: false });
+  });
+
+  test('skips categories where nobody scored', () => {
+    expect(rankMember(ANALYSIS, 'Alice').map(r => r.award)).not.toContain('Potty Mouth');
+  });
+
+  test('returns nothing for someone who is not in the payload', () => {
+    expect(rankMember(ANALYSIS, 'Dave')).toEqual([]);
+  });
+});
+
+describe('closestPartner', () => {
+  test('adds up replies in both directions', () => {
+    expect(closestPartner(ANALYSIS, 'Alice')).toEqual({ name: 'Bob', replies: 7 });
+    expect(closestPartner(ANALYSIS, 'Carol')).toEqual({ name: 'Alice', replies: 5 });
+  });
+
+  test('returns null for a member with no replies', () => {
+    expect(closestPartner(ANALYSIS, 'Dave')).toBeNull();
+    expect(closestPartner({}, 'Alice')).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+// Per-period analysis results for the chat on screen
+//
+// Results are keyed by period (see ./periods), where they came from ('api' or
+// 'local') and whether AI summaries were asked for. In-flight requests
+// (including background prefetches) are tracked too, so switching to a year
+// that's already loading waits for that request instead of sending another.
+// Make a fresh cache per transcript: late results from an old one land in
+// the old cache and never show up.
+
+const cacheKey = ({ period, source, aiSummaries }) =>
+  `${source}:${period}:${source === 'api' && aiSummaries ? 'ai' : 'plain'}`;
+
+const createResultCache = () => {
+  const results = new Map();
+  const pending = new Map();
+
+  const get = (params) => results.get(cacheKey(params));
+
+  const set = (params, data) => {
+    results.set(cacheKey(params), data);
+  };
+
+  // Resolve with the cached result, the request already on its way, or a new
+  // one started with `load`. Failed requests aren't cached.
+  const fetch = (params, load) => {
+    const key = cacheKey(params);
+    if (results.has(key)) return Promise.resolve(results.get(key));
+    if (!pending.has(key)) {
+      const request = load()
+        .then(data => {
+          results.set(key, data);
+          return data;
+        })
+        .finally(() => pending.delete(key));
+      pending.set(key, request);
+    }
+    return pending.get(key);
+  };
+
+  return { get, set, fetch };
+};
+
+export { createResultCache };
@@ -0,0 +1,52 @@
+import { createResultCache } from './resultCache';
+
+const params = { period: '2024', source: 'api', aiSummaries: true };
+
+test('keeps results apart by period, source and AI-summary setting', () => {
+  const cache = createResultCache();
+  cache.set(params, 'api with summaries');
+  cache.set({ ...params, aiSummaries: false }, 'api without summaries');
+  cache.set({ ...params, source: 'local' }, 'local');
+
+  expect(cache.get(params)).toBe('api with summaries');
+  expect(cache.get({ ...params, aiSummaries: false })).toBe('api without summaries');
+  expect(cache.get({ ...params, source: 'local' })).toBe('local');
+  expect(cache.get({ ...params, period: '2023' })).toBeUndefined();
+});
+
+test('ignores the AI-summary setting for local results', () => {
+  const cache = createResultCache();
+  cache.set({ ...params, source: 'local', aiSummaries: false }, 'local');
+  expect(cache.get({ ...params, source: 'local', aiSummaries: true })).toBe('local');
+});
+
+test('shares one in-flight request between callers for the same period', async () => {
+  const cache = createResultCache();
+  let resolve;
+  const load = jest.fn(() => new Promise(done => { resolve = done; }));
+
+  const first = cache.fetch(params, load);
+  const second = cache.fetch(params, load);
+  expect(load).toHaveBeenCalledTimes(1);
+
+  resolve('result');
+  await expect(first).resolves.toBe('result');
+  await expect(second).resolves.toBe('result');
+
+  await expect(cache.fetch(params, load)).resolves.toBe('result');
+  expect(load).toHaveBeenCalledTimes(1);
+});
+
+test('does not cache a failed request, so a retry loads again', async () => {
+  const cache = createResultCache();
+  const load = jest.fn()
+    .mockRejectedValueOnce(new Error('server asleep'))
+    .mockResolvedValueOnce('result');
+
+  await expect(cache.fetch(params, load)).rejects.toThrow('server asleep');
+  expect(cache.get(params)).toBeUndefined();
+
+  await expect(cache.fetch(params, load)).resolves.toBe('result');
+  expect(load).toHaveBeenCalledTimes(2);
+  expect(cache.get(params)).toBe('result');
+});
@@ -0,0 +1,268 @@
+// Declared shape of the /analyze payload (and of analyzeTranscript's output).
+//
+// Every section is { data: [row, ...], caption?: string }; `row` lists the
+// fields each data row must carry and their types. Sections are validated
+// independently so one malformed stat doesn't take the rest of the deck down.
+// Sections marked `required: false` are newer than some analysis servers; the
+// app computes them on device when the server leaves them out, and if that's
+// not possible their slides are just left out.
+
+const ANALYSIS_SCHEMA = {
+  day_of_week: {
+    title: 'Average Messages by Day of Week',
+    row: { day_of_week: 'string', avg_messages: 'number' }
+  },
+  hourly_activity: {
+    title: 'Activity by Hour and Day',
+    row: { day_of_week: 'string', hour: 'number', message_count: 'number' },
+    required: false
+  },
+  monthly_messages: {
+    title: 'Monthly Message Count',
+    row: { date: 'string', message_count: 'number' }
+  },
+  avg_messages_sent: {
+    title: 'Average Messages Sent per Month',
+    row: { month: 'string', avg_messages_sent: 'number' }
+  },
+  quarterly_contribution: {
+    title: 'Quarterly Message Contribution by Sender',
+    row: { sender: 'string', date: 'string', message_count: 'number' }
+  },
+  yearly_comparison: {
+    title: 'Year-Over-Year Message Change',
+    row: { sender: 'string', percent_change: 'number' }
+  },
+  top_ten_days: {
+    title: 'Top 10 Most Active Days',
+    row: { day: 'string', chats: 'number' },
+    // AI summaries are only present when requested
+    optional: {
+      day_summaries: {
+        title: 'Notable Days',
+        row: { date: 'string', content: 'object' }
+      }
+    }
+  },
+  manic: {
+    title: 'Most Manic Award',
+    row: { sender: 'string', percent_manic: 'number' }
+  },
+  most_ignored: {
+    title: 'Most Ignored Member :(',
+    row: { sender: 'string', average_time_to_respond: 'number' }
+  },
+  reply_network: {
+    title: 'Who Replies to Whom',
+    row: { sender: 'string', reply_to: 'string', replies: 'number' },
+    required: false
+  },
+  novelist: {
+    title: 'Groupchat Novelist Award',
+    row: { sender: 'string', average_message_length: 'number' }
+  },
+  swears: {
+    title: 'Swear Word Frequency',
+    row: { sender: 'string', swears_per_message: 'number' }
+  },
+  hangout: {
+    title: 'Hangout Discussion Frequency',
+    row: { sender: 'string', hangouts_per_message: 'number' }
+  },
+  top_emoji: {
+    title: 'Top Emoji',
+    row: { emoji: 'string', count: 'number' },
+    required: false
+  },
+  signature_emoji: {
+    title: 'Signature Emoji',
+    row: { sender: 'string', emoji: 'string', count: 'number' },
+    required: false
+  },
+  emoji_rate: {
+    title: 'Emoji Enthusiast Award',
+    row: { sender: 'string', emoji_per_message: 'number' },
+    required: false
+  },
+  emoji_trend: {
+    title: 'Emoji Trends',
+    row: { month: 'string', emoji: 'string', count: 'number' },
+    required: false
+  },
+  most_reacted: {
+    title: 'Most Reacted Messages',
+    row: { sender: 'string', date: 'string', message: 'string', reactions: 'number', breakdown: 'string' },
+    required: false
+  },
+  top_reactors: {
+    title: 'Hype Squad Award',
+    row: { sender: 'string', reactions_given: 'number' },
+    required: false
+  },
+  reaction_emoji: {
+    title: 'Favorite Reactions',
+    row: { emoji: 'string', count: 'number' },
+    required: false
+  },
+  media_mix: {
+    title: 'What Gets Shared',
+    row: { kind: 'string', count: 'number' },
+    required: false
+  },
+  meme_lord: {
+    title: 'Meme Lord Award',
+    row: { sender: 'string', memes_sent: 'number' },
+    required: false
+  },
+  podcaster: {
+    title: 'Podcaster Award',
+    row: { sender: 'string', voice_notes: 'number' },
+    required: false
+  },
+  sticker_senders: {
+    title: 'Sticker Addict Award',
+    row: { sender: 'string', stickers_sent: 'number' },
+    required: false
+  },
+  top_stickers: {
+    title: 'Top Stickers',
+    row: { sticker: 'string', count: 'number' },
+    required: false
+  },
+  link_dumper: {
+    title: 'Link Dumper Award',
+    row: { sender: 'string', site: 'string', links: 'number' },
+    required: false
+  }
+};
+
+// Sections the app can fill in on device when the analysis server leaves them out
+const OPTIONAL_SECTIONS = Object.keys(ANALYSIS_SCHEMA).filter(key => ANALYSIS_SCHEMA[key].required === false);
+
+// R/plumber sometimes boxes scalars as one-element arrays and numbers as strings
+const unbox = (value) => (Array.isArray(value) && value.length === 1 ? value[0] : value);
+
+const checkType = (value, type) => {
+  const v = unbox(value);
+  switch (type) {
+    case 'string':
+      return typeof v === 'string' || typeof v === 'number';
+    case 'number':
+      return (typeof v === 'number' && Number.isFinite(v)) ||
+        (typeof v === 'string' && v.trim() !== '' && Number.isFinite(Number(v)));
+    case 'object':
+      return v !== null && typeof v === 'object';
+    default:
+      return true;
+  }
+};
+
+const describeValue = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+// Validate rows against a row spec. Returns a list of problems (max a few, to
+// keep the diagnostics readable).
+const validateRows = (rows, rowSpec, path) => {
+  if (!Array.isArray(rows)) return [`${path} should be a list, got ${describeValue(rows)}`];
+
+  const problems = [];
+  rows.forEach((row, index) => {
+    if (problems.length >= 3) return;
+    if (row === null || typeof row !== 'object') {
+      problems.push(`${path}[${index}] should be an object, got ${describeValue(row)}`);
+      return;
+    }
+    Object.entries(rowSpec).forEach(([field, type]) => {
+      if (!(field in row)) problems.push(`${path}[${index}].${field} is missing`);
+      else if (!checkType(row[field], type)) {
+        problems.push(`${path}[${index}].${field} should be a ${type}, got ${describeValue(row[field])}`);
+      }
+    });
+  });
+  return problems;
+};
+
+// Validate one section. Returns { ok, errors, optional: { key: { ok, errors } } }
+const validateSection = (key, section) => {
+  const spec = ANALYSIS_SCHEMA[key];
+  if (section === undefined) {
+    if (spec.required === false) return { ok: true, errors: [], optional: {} };
+    return { ok: false, errors: [`${key} is missing from the response`], optional: {} };
+  }
+  if (section === null || typeof section !== 'object' || Array.isArray(section)) {
+    return { ok: false, errors: [`${key} should be an object, got ${describeValue(section)}`], optional: {} };
+  }
+
+  const errors = validateRows(section.data, spec.row, `${key}.data`);
+  if (section.caption !== undefined && section.caption !== null && !checkType(section.caption, 'string')) {
+    errors.push(`${key}.caption should be text, got ${describeValue(section.caption)}`);
+  }
+
+  const optional = {};
+  Object.entries(spec.optional || {}).forEach(([optionalKey, optionalSpec]) => {
+    if (section[optionalKey] === undefined || section[optionalKey] === null) return;
+    const optionalErrors = validateRows(section[optionalKey], optionalSpec.row, `${key}.${optionalKey}`);
+    optional[optionalKey] = { ok: optionalErrors.length === 0, errors: optionalErrors };
+  });
+
+  return { ok: errors.length === 0, errors, optional };
+};
+
+const normalizeValue = (value, type) => {
+  const v = unbox(value);
+  if (type === 'number') return Number(v);
+  if (type === 'string') return String(v);
+  return v;
+};
+
+// Copy of valid rows with every declared field unboxed and given its
+// declared type, so charts and awards get real numbers
+const normalizeRows = (rows, rowSpec) => rows.map(row => ({
+  ...row,
+  ...Object.fromEntries(Object.entries(rowSpec).map(([field, type]) => [field, normalizeValue(row[field], type)]))
+}));
+
+const normalizeSection = (key, section, result) => {
+  const spec = ANALYSIS_SCHEMA[key];
+  const normalized = { ...section, data: normalizeRows(section.data, spec.row) };
+  if (section.caption !== undefined && section.caption !== null) normalized.caption = normalizeValue(section.caption, 'string');
+  Object.entries(spec.optional || {}).forEach(([optionalKey, optionalSpec]) => {
+    const status = result.optional[optionalKey];
+    if (!status) return;
+    if (status.ok) normalized[optionalKey] = normalizeRows(section[optionalKey], optionalSpec.row);
+    else delete normalized[optionalKey];
+  });
+  return normalized;
+};
+
+// Validate the whole payload: { sections: { key: result }, issues: [{ section,
+// title, errors }], analysis }. `analysis` is the copy to render: valid
+// sections normalized (see normalizeRows), invalid ones and invalid optional
+// fields left out, anything outside the schema (e.g. `meta`) as it came.
+const validateAnalysis = (payload) => {
+  const sections = {};
+  const issues = [];
+  const analysis = { ...payload };
+
+  Object.keys(ANALYSIS_SCHEMA).forEach(key => {
+    const result = validateSection(key, payload ? payload[key] : undefined);
+    sections[key] = result;
+    if (!result.ok) issues.push({ section: key, title: ANALYSIS_SCHEMA[key].title, errors: result.errors });
+
+    Object.entries(result.optional).forEach(([optionalKey, optionalResult]) => {
+      if (!optionalResult.ok) {
+        issues.push({
+          section: `${key}.${optionalKey}`,
+          title: ANALYSIS_SCHEMA[key].optional[optionalKey].title,
+          errors: optionalResult.errors
+        });
+      }
+    });
+
+    if (result.ok && payload?.[key] !== undefined) analysis[key] = normalizeSection(key, payload[key], result);
+    else delete analysis[key];
+  });
+
+  return { sections, issues, analysis };
+};
+
+export { ANALYSIS_SCHEMA, OPTIONAL_SECTIONS, validateAnalysis, validateSection, unbox };
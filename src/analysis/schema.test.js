@@ -0,0 +1,93 @@
+import { ANALYSIS_SCHEMA, OPTIONAL_SECTIONS, validateAnalysis, validateSection } from './schema';
+
+// The R analysis server boxes scalars and sometimes sends numbers as strings
+const BOXED_PAYLOAD = {
+  day_of_week: { data: [{ day_of_week: ['Monday'], avg_messages: ['12.5'] }], caption: ['Mondays win.'] },
+  manic: { data: [{ sender: 'Alice', percent_manic: '40' }, { sender: ['Bob'], percent_manic: [12] }], caption: null },
+  top_ten_days: {
+    data: [{ day: '2023-12-31', chats: ['120'] }],
+    day_summaries: [{ date: ['2023-12-31'], content: [{ summary: 'New year' }] }]
+  },
+  meta: { source: 'api' }
+};
+
+describe('validateSection', () => {
+  test('accepts boxed values and numeric strings', () => {
+    expect(validateSection('manic', BOXED_PAYLOAD.manic)).toEqual({ ok: true, errors: [], optional: {} });
+  });
+
+  test('lists missing fields and wrong types, a few at a time', () => {
+    const { ok, errors } = validateSection('manic', {
+      data: [{ sender: 'Alice' }, { sender: 'Bob', percent_manic: 'lots' }, null, 5, { percent_manic: 1 }]
+    });
+    expect(ok).toBe(false);
+    expect(errors).toEqual([
+      'manic.data[0].percent_manic is missing',
+      'manic.data[1].percent_manic should be a number, got string',
+      'manic.data[2] should be an object, got null'
+    ]);
+  });
+
+  test('only complains about missing sections that are required', () => {
+    expect(validateSection('manic', undefined).errors).toEqual(['manic is missing from the response']);
+    expect(validateSection('top_emoji', undefined).ok).toBe(true);
+    expect(validateSection('manic', [1, 2]).errors).toEqual(['manic should be an object, got array']);
+  });
+
+  test('checks optional fields on their own', () => {
+    const result = validateSection('top_ten_days', { data: [], day_summaries: [{ date: '2023-12-31', content: 'text' }] });
+    expect(result.ok).toBe(true);
+    expect(result.optional.day_summaries).toEqual({
+      ok: false,
+      errors: ['top_ten_days.day_summaries[0].content should be a object, got string']
+    });
+  });
+});
+
+describe('validateAnalysis', () => {
+  test('collects issues for every broken section and optional field', () => {
+    const { issues } = validateAnalysis({ manic: { data: 'nope' }, top_ten_days: { data: [], day_summaries: {} } });
+    const sections = issues.map(issue => issue.section);
+    expect(sections).toContain('manic');
+    expect(sections).toContain('top_ten_days.day_summaries');
+    expect(sections).toContain('day_of_week');
+    expect(sections).not.toContain('top_emoji');
+    expect(issues.find(issue => issue.section === 'manic')).toEqual({
+      section: 'manic',
+      title: 'Most Manic Award',
+      errors: ['manic.data should be a list, got string']
+    });
+  });
+
+  test('normalizes valid sections: unboxed, numbers as numbers', () => {
+    const { analysis } = validateAnalysis(BOXED_PAYLOAD);
+
+    expect(analysis.day_of_week).toEqual({ data: [{ day_of_week: 'Monday', avg_messages: 12.5 }], caption: 'Mondays win.' });
+    expect(analysis.manic.data).toEqual([{ sender: 'Alice', percent_manic: 40 }, { sender: 'Bob', percent_manic: 12 }]);
+    expect(analysis.top_ten_days).toEqual({
+      data: [{ day: '2023-12-31', chats: 120 }],
+      day_summaries: [{ date: '2023-12-31', content: { summary: 'New year' } }]
+    });
+    expect(analysis.meta).toEqual({ source: 'api' });
+  });
+
+  test('leaves out invalid sections and optional fields, and keeps the raw payload as it was', () => {
+    const payload = { ...BOXED_PAYLOAD, manic: { data: [{ sender: 'Alice' }] }, top_ten_days: { data: [], day_summaries: 'x' } };
+    const { analysis } = validateAnalysis(payload);
+
+    expect(analysis.manic).toBeUndefined();
+    expect(analysis.top_ten_days).toEqual({ data: [] });
+    expect(payload.day_of_week.data[0].avg_messages).toEqual(['12.5']);
+  });
+
+  test('handles a missing payload', () => {
+    const { analysis, issues } = validateAnalysis(null);
+    expect(analysis).toEqual({});
+    expect(issues.length).toBe(Object.keys(ANALYSIS_SCHEMA).length - OPTIONAL_SECTIONS.length);
+  });
+});
+
+test('OPTIONAL_SECTIONS lists the sections older servers leave out', () => {
+  expect(OPTIONAL_SECTIONS).toEqual(expect.arrayContaining(['hourly_activity', 'reply_network', 'top_emoji', 'link_dumper']));
+  expect(OPTIONAL_SECTIONS).not.toContain('manic');
+});
@@ -0,0 +1,79 @@
+import { escapeRegExp } from './keywords';
+import { linkSites, mediaKinds } from './media';
+import { chatMessages, dayKey, formatTimestamp, monthKey } from './engine';
+import { monthsBetween } from './periods';
+
+// Full-transcript search for the Explore view
+//
+// searchMessages() runs in the chat worker over every message (not just the
+// period on screen), filtered by sender, date range and message type. Hits
+// carry their day and position in that day's log so the drawer can open the
+// conversation around them (see dayLogs in analysis/engine).
+
+const MESSAGE_TYPES = ['text', 'media', 'voice', 'link'];
+const MAX_HITS = 200;
+
+// 'voice' for voice notes, 'media' for other attachments, 'link' for
+// messages with a link, 'text' for everything else
+const messageType = (message, attachmentKinds) => {
+  const kinds = mediaKinds(message, attachmentKinds);
+  if (kinds.includes('voice')) return 'voice';
+  if (kinds.length > 0) return 'media';
+  return linkSites(message).length > 0 ? 'link' : 'text';
+};
+
+// Case-insensitive, and "road trip" also finds "road  trip" or a line break
+const queryPattern = (query) => {
+  const value = String(query || '').trim();
+  return value ? new RegExp(escapeRegExp(value).replace(/\s+/g, '\\s+'), 'gi') : null;
+};
+
+// { total, matches, hits: [{ day, position, sender, date, message, type }],
+//   timeline: [{ month, count }], senders }
+// `total` is how many messages matched and `matches` how many times the query
+// came up (the same as `total` without a query, which lists every message the
+// filters let through). `timeline` counts matches per month; only the newest
+// `limit` hits are returned.
+const searchMessages = (messages, { query, senders = [], from, to, types = [], limit = MAX_HITS } = {}, { attachments = [] } = {}) => {
+  const chat = chatMessages(messages);
+  const pattern = queryPattern(query);
+  const attachmentKinds = new Map(attachments.map(a => [a.name, a.kind]));
+  const senderFilter = new Set(senders);
+  const typeFilter = new Set(types);
+
+  const months = new Map();
+  const matched = [];
+  let matches = 0;
+  let day = null;
+  let position = -1;
+
+  chat.forEach(m => {
+    const key = dayKey(m.date);
+    position = key === day ? position + 1 : 0;
+    day = key;
+
+    if (senderFilter.size > 0 && !senderFilter.has(m.sender)) return;
+    if ((from && key < from) || (to && key > to)) return;
+    const type = messageType(m.message, attachmentKinds);
+    if (typeFilter.size > 0 && !typeFilter.has(type)) return;
+
+    const count = pattern ? (String(m.message || '').match(pattern) || []).length : 1;
+    if (count === 0) return;
+    matches += count;
+    months.set(monthKey(m.date), (months.get(monthKey(m.date)) || 0) + count);
+    matched.push({ day: key, position, sender: m.sender, date: formatTimestamp(m.date), message: m.message, type });
+  });
+
+  return {
+    total: matched.length,
+    matches,
+    hits: matched.slice(-limit).reverse(),
+    timeline: chat.length > 0
+      ? monthsBetween(monthKey(chat[0].date), monthKey(chat[chat.length - 1].date))
+        .map(month => ({ month, count: months.get(month) || 0 }))
+      : [],
+    senders: [...new Set(chat.map(m => m.sender))].sort((a, b) => a.localeCompare(b))
+  };
+};
+
+export { searchMessages, MESSAGE_TYPES };
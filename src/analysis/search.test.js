@@ -0,0 +1,69 @@
+import { searchMessages, MESSAGE_TYPES } from './search';
+import { at, message } from './__fixtures__/messages';
+
+const CHAT = [
+  message('Alice', '2024-01-03', '18:00', 'Road trip? Road\ntrip!'),
+  { date: at('2024-01-03', '18:01'), sender: null, message: 'Alice changed the group name to "road trip"', system: true },
+  message('Bob', '2024-01-03', '18:02', 'audio omitted'),
+  message('Carol', '2024-01-03', '18:05', 'route: https://maps.app.goo.gl/abc'),
+  message('Bob', '2024-03-10', '09:00', 'image omitted\nroad trip photos'),
+  message('Alice', '2024-03-10', '09:30', 'best road  trip ever')
+];
+
+test('MESSAGE_TYPES lists the type filters', () => {
+  expect(MESSAGE_TYPES).toEqual(['text', 'media', 'voice', 'link']);
+});
+
+describe('searchMessages', () => {
+  test('finds the query in any case and across spacing, newest hit first', () => {
+    const result = searchMessages(CHAT, { query: 'road trip' });
+    expect(result.total).toBe(3);
+    expect(result.matches).toBe(4);
+    expect(result.hits.map(hit => [hit.sender, hit.day, hit.position, hit.type])).toEqual([
+      ['Alice', '2024-03-10', 1, 'text'],
+      ['Bob', '2024-03-10', 0, 'media'],
+      ['Alice', '2024-01-03', 0, 'text']
+    ]);
+    expect(result.hits[2]).toMatchObject({ date: '2024-01-03 18:00:00', message: 'Road trip? Road\ntrip!' });
+  });
+
+  test('counts matches per month over the whole chat', () => {
+    expect(searchMessages(CHAT, { query: 'road trip' }).timeline).toEqual([
+      { month: '2024-01', count: 2 },
+      { month: '2024-02', count: 0 },
+      { month: '2024-03', count: 2 }
+    ]);
+  });
+
+  test('filters by sender, date range and message type', () => {
+    expect(searchMessages(CHAT, { senders: ['Bob'] }).hits.map(hit => hit.message))
+      .toEqual(['image omitted\nroad trip photos', 'audio omitted']);
+    expect(searchMessages(CHAT, { from: '2024-03-01', to: '2024-03-31' }).total).toBe(2);
+    expect(searchMessages(CHAT, { types: ['voice'] }).hits.map(hit => hit.sender)).toEqual(['Bob']);
+    expect(searchMessages(CHAT, { types: ['link'] }).hits.map(hit => hit.sender)).toEqual(['Carol']);
+    expect(searchMessages(CHAT, { types: ['text', 'media'], query: 'trip' }).total).toBe(3);
+  });
+
+  test("looks voice notes up in the zip's attachment list", () => {
+    const chat = [message('Bob', '2024-01-03', '18:00', '<attached: 00000001-note.m4a>')];
+    expect(searchMessages(chat, {}).hits[0].type).toBe('media');
+    expect(searchMessages(chat, {}, { attachments: [{ name: '00000001-note.m4a', kind: 'voice' }] }).hits[0].type).toBe('voice');
+  });
+
+  test('lists every message the filters let through without a query, up to the limit', () => {
+    const result = searchMessages(CHAT, { query: '  ', limit: 2 });
+    expect(result.total).toBe(5);
+    expect(result.matches).toBe(5);
+    expect(result.hits.map(hit => hit.sender)).toEqual(['Alice', 'Bob']);
+  });
+
+  test('lists the senders and treats regex characters literally', () => {
+    const result = searchMessages(CHAT, { query: 'trip?' });
+    expect(result.total).toBe(1);
+    expect(result.senders).toEqual(['Alice', 'Bob', 'Carol']);
+  });
+
+  test('returns nothing for an empty chat', () => {
+    expect(searchMessages([], { query: 'x' })).toEqual({ total: 0, matches: 0, hits: [], timeline: [], senders: [] });
+  });
+});
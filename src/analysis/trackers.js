@@ -0,0 +1,139 @@
+import { buildKeywordPattern, countMatches } from './keywords';
+import { chatMessages, monthKey } from './engine';
+import { ALL_TIME, filterByPeriod, monthsBetween } from './periods';
+
+// Custom keyword trackers
+//
+// Like the swears and hangout awards, but with the group's own words. A
+// tracker is { id, name, terms }, where each term is a keyword in the same
+// style as those lists ("bitcoin", "crypto*" for any ending, "to the moon")
+// or a regex written /like this/i. trackKeywords() counts them in the chat
+// worker for the period on screen; the results become extra deck slides (see
+// slides/trackers). Trackers are saved in this browser (storage/trackers) and
+// shared as JSON files:
+//
+//   { "version": 1, "trackers": [{ "name": "Crypto talk", "terms": ["bitcoin", "crypto*"] }] }
+
+const TRACKERS_VERSION = 1;
+const MAX_NAME_LENGTH = 60;
+const REGEX_TERM = /^\/(.+)\/([a-z]*)$/;
+
+let nextId = 0;
+const newTrackerId = () => `tracker-${Date.now().toString(36)}-${++nextId}`;
+
+const cleanTerms = (terms) => (Array.isArray(terms) ? terms : [])
+  .map(term => String(term).trim())
+  .filter(Boolean);
+
+// The regexes that count a tracker's terms: the plain keywords share one, each
+// /regex/ gets its own. Throws on a regex that doesn't compile.
+const trackerPatterns = (terms) => {
+  const keywords = [];
+  const patterns = [];
+  cleanTerms(terms).forEach(term => {
+    const regex = REGEX_TERM.exec(term);
+    if (!regex) {
+      keywords.push(term.toLowerCase());
+      return;
+    }
+    patterns.push(new RegExp(regex[1], `${regex[2].replace(/g/g, '')}g`));
+  });
+  if (keywords.length > 0) patterns.unshift(buildKeywordPattern(keywords));
+  return patterns;
+};
+
+// Error message for a tracker, or null when it's usable
+const validateTracker = ({ name, terms }) => {
+  if (!String(name || '').trim()) return 'Give the tracker a name';
+  if (String(name).trim().length > MAX_NAME_LENGTH) return `Keep the name under ${MAX_NAME_LENGTH} characters`;
+  if (cleanTerms(terms).length === 0) return 'Add at least one keyword';
+  for (const term of cleanTerms(terms)) {
+    const regex = REGEX_TERM.exec(term);
+    if (!regex) continue;
+    let pattern;
+    try {
+      pattern = new RegExp(regex[1], regex[2]);
+    } catch (error) {
+      return `${term} isn't a valid pattern: ${error.message}`;
+    }
+    // Empty matches would count every gap between letters
+    if (pattern.test('')) return `${term} matches empty text`;
+  }
+  return null;
+};
+
+const countTerms = (text, patterns) => patterns.reduce((sum, pattern) => sum + countMatches(text, pattern), 0);
+
+// [{ id, name, total, senders: [{ sender, mentions, messages, per_hundred }],
+//   monthly: [{ month, mentions }] }], one per valid tracker. Senders who never
+// said any of the terms are left out; `per_hundred` is mentions per 100 of
+// their messages.
+const trackKeywords = (messages, trackers, { period = ALL_TIME } = {}) => {
+  const periodMessages = filterByPeriod(chatMessages(messages), period);
+  const months = periodMessages.length > 0
+    ? monthsBetween(monthKey(periodMessages[0].date), monthKey(periodMessages[periodMessages.length - 1].date))
+    : [];
+  const sent = new Map();
+  periodMessages.forEach(m => sent.set(m.sender, (sent.get(m.sender) || 0) + 1));
+
+  return trackers
+    .filter(tracker => !validateTracker(tracker))
+    .map(({ id, name, terms }) => {
+      const patterns = trackerPatterns(terms);
+      const bySender = new Map();
+      const byMonth = new Map();
+      let total = 0;
+
+      periodMessages.forEach(m => {
+        const count = countTerms(m.message, patterns);
+        if (count === 0) return;
+        total += count;
+        bySender.set(m.sender, (bySender.get(m.sender) || 0) + count);
+        byMonth.set(monthKey(m.date), (byMonth.get(monthKey(m.date)) || 0) + count);
+      });
+
+      return {
+        id,
+        name: name.trim(),
+        total,
+        senders: [...bySender.entries()]
+          .map(([sender, mentions]) => ({
+            sender,
+            mentions,
+            messages: sent.get(sender),
+            per_hundred: Math.round((mentions / sent.get(sender)) * 1000) / 10
+          }))
+          .sort((a, b) => b.per_hundred - a.per_hundred || b.mentions - a.mentions),
+        monthly: months.map(month => ({ month, mentions: byMonth.get(month) || 0 }))
+      };
+    });
+};
+
+// The JSON file trackers are exported as (ids stay on this device)
+const serializeTrackers = (trackers) => JSON.stringify({
+  version: TRACKERS_VERSION,
+  trackers: trackers.map(({ name, terms }) => ({ name: String(name).trim(), terms: cleanTerms(terms) }))
+}, null, 2);
+
+// Trackers out of an exported file (or a bare array of them), with fresh ids.
+// Throws an Error saying what's wrong with the file.
+const parseTrackers = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("That file isn't valid JSON");
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.trackers;
+  if (!Array.isArray(list)) throw new Error("That file doesn't contain any trackers");
+  if (parsed.version > TRACKERS_VERSION) throw new Error('Those trackers were saved by a newer version of the app');
+
+  return list.map((entry, index) => {
+    const tracker = { id: newTrackerId(), name: String(entry?.name || '').trim(), terms: cleanTerms(entry?.terms) };
+    const problem = validateTracker(tracker);
+    if (problem) throw new Error(`Tracker ${index + 1}${tracker.name ? ` ("${tracker.name}")` : ''}: ${problem}`);
+    return tracker;
+  });
+};
+
+export { newTrackerId, validateTracker, trackKeywords, serializeTrackers, parseTrackers };
@@ -0,0 +1,86 @@
+import { newTrackerId, validateTracker, trackKeywords, serializeTrackers, parseTrackers } from './trackers';
+import { at, message } from './__fixtures__/messages';
+
+const CHAT = [
+  message('Bob', '2024-01-05', '10:00', 'Bitcoin to the moooon'),
+  message('Bob', '2024-01-05', '10:01', 'cryptocurrency is the future, BITCOIN too'),
+  message('Alice', '2024-01-05', '10:02', 'please stop'),
+  { date: at('2024-02-01', '09:00'), sender: null, message: 'Bob changed the subject to "bitcoin"', system: true },
+  message('Alice', '2024-03-02', '12:00', 'fine, I bought some bitcoin'),
+  message('Carol', '2024-03-02', '12:05', 'bitcoins? whatever'),
+  message('Bob', '2023-12-31', '23:00', 'bitcoin bitcoin')
+];
+
+const CRYPTO = { id: 'crypto', name: ' Crypto ', terms: ['bitcoin', 'crypto*', '/to the mo+n/i'] };
+
+describe('validateTracker', () => {
+  test('accepts a named tracker with keywords and working patterns', () => {
+    expect(validateTracker(CRYPTO)).toBeNull();
+  });
+
+  test('explains what is wrong with a tracker', () => {
+    expect(validateTracker({ name: ' ', terms: ['x'] })).toBe('Give the tracker a name');
+    expect(validateTracker({ name: 'x'.repeat(61), terms: ['x'] })).toBe('Keep the name under 60 characters');
+    expect(validateTracker({ name: 'Empty', terms: [' ', ''] })).toBe('Add at least one keyword');
+    expect(validateTracker({ name: 'Broken', terms: ['/(unclosed/'] })).toMatch(/^\/\(unclosed\/ isn't a valid pattern/);
+    expect(validateTracker({ name: 'Greedy', terms: ['/a*/'] })).toBe('/a*/ matches empty text');
+  });
+});
+
+describe('trackKeywords', () => {
+  const [crypto] = trackKeywords(CHAT, [CRYPTO], { period: '2024' });
+
+  test('counts whole keywords, wildcard endings and patterns in the period', () => {
+    expect(crypto).toMatchObject({ id: 'crypto', name: 'Crypto', total: 5 });
+  });
+
+  test('ranks senders by mentions per 100 of their messages', () => {
+    expect(crypto.senders).toEqual([
+      { sender: 'Bob', mentions: 4, messages: 2, per_hundred: 200 },
+      { sender: 'Alice', mentions: 1, messages: 2, per_hundred: 50 }
+    ]);
+  });
+
+  test('lists every month of the period, quiet ones included', () => {
+    expect(crypto.monthly).toEqual([
+      { month: '2024-01', mentions: 4 },
+      { month: '2024-02', mentions: 0 },
+      { month: '2024-03', mentions: 1 }
+    ]);
+  });
+
+  test('skips invalid trackers and handles empty periods', () => {
+    expect(trackKeywords(CHAT, [{ id: 'x', name: '', terms: ['bitcoin'] }])).toEqual([]);
+    expect(trackKeywords(CHAT, [CRYPTO], { period: '2022' })).toEqual([
+      { id: 'crypto', name: 'Crypto', total: 0, senders: [], monthly: [] }
+    ]);
+  });
+});
+
+describe('sharing trackers', () => {
+  test('exports names and keywords, never ids', () => {
+    expect(JSON.parse(serializeTrackers([CRYPTO]))).toEqual({
+      version: 1,
+      trackers: [{ name: 'Crypto', terms: ['bitcoin', 'crypto*', '/to the mo+n/i'] }]
+    });
+  });
+
+  test('imports an export or a bare list with fresh ids', () => {
+    const [imported] = parseTrackers(serializeTrackers([CRYPTO]));
+    expect(imported).toMatchObject({ name: 'Crypto', terms: CRYPTO.terms });
+    expect(imported.id).toMatch(/^tracker-/);
+    expect(parseTrackers('[{ "name": "Golf", "terms": ["golf", " "] }]')).toMatchObject([{ name: 'Golf', terms: ['golf'] }]);
+  });
+
+  test('explains files it cannot import', () => {
+    expect(() => parseTrackers('nope')).toThrow("That file isn't valid JSON");
+    expect(() => parseTrackers('{"version": 1}')).toThrow("That file doesn't contain any trackers");
+    expect(() => parseTrackers('{"version": 2, "trackers": []}')).toThrow('saved by a newer version');
+    expect(() => parseTrackers('[{ "name": "Golf" }, { "name": "", "terms": ["x"] }]'))
+      .toThrow('Tracker 1 ("Golf"): Add at least one keyword');
+  });
+});
+
+test('newTrackerId never repeats', () => {
+  expect(newTrackerId()).not.toBe(newTrackerId());
+});
@@ -0,0 +1,229 @@
+import { getAnalysisApiUrl } from './config';
+import { CancelledError } from '../errors';
+import { ANALYSIS_SCHEMA, unbox } from '../analysis/schema';
+import { periodBounds, periodRequestFields } from '../analysis/periods';
+
+// Analysis API client
+//
+// Wraps /available-years and /analyze with per-attempt timeouts, retries with
+// backoff for the 502/503/504s a cold Fly machine returns while it boots, and
+// cancellation through an AbortSignal. Failures are ApiErrors with a `code`
+// the UI can turn into a specific message (see describeApiError).
+//
+// Both send the chat as `transcript`, or, with data minimization (`minimized`),
+// as metadata rows under `messages` plus `day_windows` of text for the AI
+// summaries (see analysis/minimize).
+//
+// Older servers only know `year` and quietly analyze the whole chat when sent
+// start_date/end_date, so /analyze results are checked against the period
+// asked for; a mismatch is a WRONG_PERIOD error and the app falls back to
+// on-device analysis.
+
+const ERROR_CODES = {
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  SERVER: 'server',
+  EMPTY_YEARS: 'empty_years',
+  MALFORMED: 'malformed',
+  WRONG_PERIOD: 'wrong_period'
+};
+
+class ApiError extends Error {
+  constructor(code, message, { status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+const RETRYABLE_STATUSES = [502, 503, 504];
+const DEFAULT_RETRIES = 3;
+const BASE_BACKOFF_MS = 1000;
+const YEARS_TIMEOUT_MS = 30 * 1000;
+// AI summaries can take a while on big chats
+const ANALYZE_TIMEOUT_MS = 3 * 60 * 1000;
+
+// JSON request body as a Blob: the transcript (or metadata rows, under `key`)
+// arrives already encoded from the chat worker, so only the small extra fields
+// are stringified here. Undefined fields are left out, as JSON.stringify would.
+const buildRequestBody = (transcriptJson, fields = {}, { key = 'transcript' } = {}) => new Blob([
+  `{${JSON.stringify(key)}:`,
+  transcriptJson,
+  ...Object.entries(fields)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `,${JSON.stringify(key)}:${JSON.stringify(value)}`),
+  '}'
+], { type: 'application/json' });
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new CancelledError());
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new CancelledError());
+  }, { once: true });
+});
+
+// Exponential backoff with jitter: ~1s, 2s, 4s...
+const backoffDelay = (attempt) => BASE_BACKOFF_MS * 2 ** attempt * (0.75 + Math.random() * 0.5);
+
+// One attempt with its own timeout, tied to the caller's signal
+const attemptFetch = async (url, init, { signal, timeoutMs }) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const abortFromCaller = () => controller.abort();
+  signal?.addEventListener('abort', abortFromCaller, { once: true });
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (signal?.aborted) throw new CancelledError();
+    if (timedOut) {
+      throw new ApiError(ERROR_CODES.TIMEOUT, `Request to ${url} timed out after ${timeoutMs / 1000}s`, { cause: error });
+    }
+    throw new ApiError(ERROR_CODES.NETWORK, `Could not reach ${url}`, { cause: error });
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abortFromCaller);
+  }
+};
+
+const postJson = async (path, body, options = {}) => {
+  const {
+    signal,
+    timeoutMs,
+    retries = DEFAULT_RETRIES,
+    retryOnTimeout = false,
+    onRetry = () => {}
+  } = options;
+  const url = `${getAnalysisApiUrl()}${path}`;
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw new CancelledError();
+
+    let response;
+    try {
+      response = await attemptFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body
+      }, { signal, timeoutMs });
+    } catch (error) {
+      const retryable = error.code === ERROR_CODES.NETWORK || (retryOnTimeout && error.code === ERROR_CODES.TIMEOUT);
+      if (!retryable || attempt >= retries) throw error;
+      onRetry({ attempt: attempt + 1, retries, reason: error.code });
+      await wait(backoffDelay(attempt), signal);
+      continue;
+    }
+
+    if (response.ok) {
+      try {
+        return await response.json();
+      } catch (error) {
+        throw new ApiError(ERROR_CODES.MALFORMED, `${path} returned invalid JSON`, { status: response.status, cause: error });
+      }
+    }
+
+    if (RETRYABLE_STATUSES.includes(response.status) && attempt < retries) {
+      onRetry({ attempt: attempt + 1, retries, reason: response.status });
+      await wait(backoffDelay(attempt), signal);
+      continue;
+    }
+
+    throw new ApiError(ERROR_CODES.SERVER, `${path} failed with status ${response.status}`, { status: response.status });
+  }
+};
+
+const chatKey = (minimized) => (minimized ? 'messages' : 'transcript');
+
+const fetchAvailableYears = async (transcriptJson, { minimized = false, ...options } = {}) => {
+  const json = await postJson('/available-years', buildRequestBody(transcriptJson, {}, { key: chatKey(minimized) }), {
+    timeoutMs: YEARS_TIMEOUT_MS,
+    retryOnTimeout: true,
+    ...options
+  });
+
+  if (!json || !Array.isArray(json.available_years)) {
+    throw new ApiError(ERROR_CODES.MALFORMED, '/available-years response has no available_years list');
+  }
+  if (json.available_years.length === 0) {
+    throw new ApiError(ERROR_CODES.EMPTY_YEARS, 'No available years found');
+  }
+  return json.available_years;
+};
+
+const rowsOf = (section) => (Array.isArray(section?.data) ? section.data : []);
+
+// The first date in the response that falls outside `start`..`end`, if any:
+// busiest days and notable days to the day, monthly counts to the month
+const strayDate = (json, { start, end }) => {
+  const days = [
+    ...rowsOf(json.top_ten_days).map(row => row.day),
+    ...(Array.isArray(json.top_ten_days?.day_summaries) ? json.top_ten_days.day_summaries.map(day => day.date) : [])
+  ].map(day => String(unbox(day)).slice(0, 10));
+  const months = rowsOf(json.monthly_messages).map(row => String(unbox(row.date)).slice(0, 7));
+
+  return days.find(day => day < start || day > end)
+    || months.find(month => month < start.slice(0, 7) || month > end.slice(0, 7))
+    || null;
+};
+
+// `period` is a key from analysis/periods; `span` ({ start, end } days) is
+// needed to send "all time" as a date range. `dayWindows` ([{ date, transcript }])
+// only goes with minimized requests.
+const fetchAnalysis = async (transcriptJson, { period, span, createAiSummaries, minimized = false, dayWindows, ...options } = {}) => {
+  const json = await postJson(
+    '/analyze',
+    buildRequestBody(
+      transcriptJson,
+      { ...periodRequestFields(period, span), create_ai_summaries: createAiSummaries, day_windows: dayWindows },
+      { key: chatKey(minimized) }
+    ),
+    { timeoutMs: ANALYZE_TIMEOUT_MS, ...options }
+  );
+
+  if (!json || typeof json !== 'object' || !Object.keys(ANALYSIS_SCHEMA).some(section => section in json)) {
+    throw new ApiError(ERROR_CODES.MALFORMED, '/analyze response has none of the expected sections');
+  }
+  const stray = strayDate(json, periodBounds(period, span));
+  if (stray) {
+    throw new ApiError(ERROR_CODES.WRONG_PERIOD, `/analyze returned ${stray}, outside the period ${period}`);
+  }
+  return json;
+};
+
+const describeApiError = (error) => {
+  switch (error?.code) {
+    case ERROR_CODES.NETWORK:
+      return "We couldn't reach the analysis server. Check your connection, or try offline mode.";
+    case ERROR_CODES.TIMEOUT:
+      return 'The analysis server took too long to respond. It may be waking up; try again in a minute.';
+    case ERROR_CODES.SERVER:
+      return error.status >= 500
+        ? `The analysis server had a problem (error ${error.status}). Try again in a minute.`
+        : `The analysis server rejected the chat (error ${error.status}).`;
+    case ERROR_CODES.EMPTY_YEARS:
+      return "The analysis server didn't find any dated messages in this chat.";
+    case ERROR_CODES.MALFORMED:
+      return 'The analysis server sent back something we couldn\'t read.';
+    case ERROR_CODES.WRONG_PERIOD:
+      return "The analysis server doesn't support that date range yet.";
+    default:
+      return error?.message || 'Analysis failed';
+  }
+};
+
+export {
+  fetchAvailableYears,
+  fetchAnalysis,
+  describeApiError,
+  buildRequestBody,
+  ApiError,
+  ERROR_CODES
+};
@@ -0,0 +1,200 @@
+import { fetchAvailableYears, fetchAnalysis, describeApiError, buildRequestBody, ApiError, ERROR_CODES } from './client';
+import { isCancelled } from '../errors';
+
+const API_URL = 'https://api.example';
+const TRANSCRIPT_JSON = new Blob([JSON.stringify('[12/28/23, 9:16:40 AM] Alice: hi')], { type: 'application/json' });
+
+const respond = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => (typeof body === 'string' ? JSON.parse(body) : body)
+});
+
+// jsdom's Blob has no text()
+const readBlob = (blob) => new Promise(resolve => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.readAsText(blob);
+});
+
+// Let pending promise callbacks run between fake timer ticks
+const settle = async () => {
+  for (let i = 0; i < 10; i++) await Promise.resolve();
+};
+
+beforeEach(() => {
+  window.__APP_CONFIG__ = { analysisApiUrl: `${API_URL}/` };
+  global.fetch = jest.fn();
+});
+
+afterEach(() => {
+  delete window.__APP_CONFIG__;
+  delete global.fetch;
+  jest.useRealTimers();
+});
+
+describe('buildRequestBody', () => {
+  test('splices the encoded transcript in and leaves out undefined fields', async () => {
+    const body = buildRequestBody(TRANSCRIPT_JSON, { year: 2023, create_ai_summaries: true, day_windows: undefined });
+    expect(JSON.parse(await readBlob(body))).toEqual({
+      transcript: '[12/28/23, 9:16:40 AM] Alice: hi',
+      year: 2023,
+      create_ai_summaries: true
+    });
+  });
+
+  test('puts metadata rows under another key', async () => {
+    const rows = new Blob([JSON.stringify([{ sender: 'Alice' }])]);
+    expect(JSON.parse(await readBlob(buildRequestBody(rows, {}, { key: 'messages' })))).toEqual({ messages: [{ sender: 'Alice' }] });
+  });
+});
+
+describe('fetchAvailableYears', () => {
+  test('posts the transcript and returns the years', async () => {
+    fetch.mockResolvedValue(respond(200, { available_years: [2024, 2023] }));
+
+    await expect(fetchAvailableYears(TRANSCRIPT_JSON)).resolves.toEqual([2024, 2023]);
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe(`${API_URL}/available-years`);
+    expect(init.method).toBe('POST');
+    expect(JSON.parse(await readBlob(init.body))).toEqual({ transcript: '[12/28/23, 9:16:40 AM] Alice: hi' });
+  });
+
+  test('tells an empty year list apart from a malformed response', async () => {
+    fetch.mockResolvedValueOnce(respond(200, { available_years: [] }));
+    await expect(fetchAvailableYears(TRANSCRIPT_JSON)).rejects.toMatchObject({ code: ERROR_CODES.EMPTY_YEARS });
+
+    fetch.mockResolvedValueOnce(respond(200, { years: [2023] }));
+    await expect(fetchAvailableYears(TRANSCRIPT_JSON)).rejects.toMatchObject({ code: ERROR_CODES.MALFORMED });
+
+    fetch.mockResolvedValueOnce(respond(200, '<html>'));
+    await expect(fetchAvailableYears(TRANSCRIPT_JSON)).rejects.toMatchObject({ code: ERROR_CODES.MALFORMED });
+  });
+
+  test('retries the 503s a waking server returns, with backoff', async () => {
+    jest.useFakeTimers();
+    const onRetry = jest.fn();
+    fetch
+      .mockResolvedValueOnce(respond(503))
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(respond(200, { available_years: [2023] }));
+
+    const years = fetchAvailableYears(TRANSCRIPT_JSON, { onRetry });
+    for (let i = 0; i < 3; i++) {
+      await settle();
+      jest.runOnlyPendingTimers();
+    }
+
+    await expect(years).resolves.toEqual([2023]);
+    expect(onRetry.mock.calls.map(([retry]) => retry)).toEqual([
+      { attempt: 1, retries: 3, reason: 503 },
+      { attempt: 2, retries: 3, reason: ERROR_CODES.NETWORK }
+    ]);
+  });
+
+  test('gives up on other statuses and after the last retry', async () => {
+    fetch.mockResolvedValueOnce(respond(400));
+    await expect(fetchAvailableYears(TRANSCRIPT_JSON)).rejects.toMatchObject({ code: ERROR_CODES.SERVER, status: 400 });
+
+    fetch.mockResolvedValueOnce(respond(502));
+    await expect(fetchAvailableYears(TRANSCRIPT_JSON, { retries: 0 })).rejects.toMatchObject({ code: ERROR_CODES.SERVER, status: 502 });
+  });
+
+  test('times out a hung attempt', async () => {
+    jest.useFakeTimers();
+    fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    const years = fetchAvailableYears(TRANSCRIPT_JSON, { retries: 0, timeoutMs: 1000 });
+    jest.advanceTimersByTime(1000);
+    await expect(years).rejects.toMatchObject({ code: ERROR_CODES.TIMEOUT });
+  });
+
+  test('rejects with a CancelledError when the caller aborts', async () => {
+    const controller = new AbortController();
+    fetch.mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+
+    const years = fetchAvailableYears(TRANSCRIPT_JSON, { signal: controller.signal });
+    controller.abort();
+    const error = await years.catch(e => e);
+    expect(isCancelled(error)).toBe(true);
+  });
+});
+
+describe('fetchAnalysis', () => {
+  test('sends the period fields and returns the sections', async () => {
+    fetch.mockResolvedValue(respond(200, { day_of_week: { data: [], caption: '' } }));
+
+    await fetchAnalysis(TRANSCRIPT_JSON, { period: 'all', span: { start: '2023-01-01', end: '2023-12-31' }, createAiSummaries: false });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe(`${API_URL}/analyze`);
+    expect(JSON.parse(await readBlob(init.body))).toEqual({
+      transcript: '[12/28/23, 9:16:40 AM] Alice: hi',
+      start_date: '2023-01-01',
+      end_date: '2023-12-31',
+      create_ai_summaries: false
+    });
+  });
+
+  test('sends minimized chats as metadata rows with the day windows', async () => {
+    fetch.mockResolvedValue(respond(200, { manic: { data: [], caption: '' } }));
+    const rows = new Blob([JSON.stringify([{ sender: 'Alice' }])]);
+    const dayWindows = [{ date: '2023-12-28', transcript: 'Alice: hi' }];
+
+    await fetchAnalysis(rows, { period: '2023', createAiSummaries: true, minimized: true, dayWindows });
+    expect(JSON.parse(await readBlob(fetch.mock.calls[0][1].body))).toEqual({
+      messages: [{ sender: 'Alice' }],
+      year: 2023,
+      create_ai_summaries: true,
+      day_windows: dayWindows
+    });
+  });
+
+  test('accepts a response that stays inside the range asked for', async () => {
+    const analysis = {
+      monthly_messages: { data: [{ date: ['2024-06'], message_count: 40 }, { date: '2024-08-01', message_count: 12 }] },
+      top_ten_days: { data: [{ day: '2024-08-31', chats: 9 }], day_summaries: [{ date: ['2024-06-01'], content: {} }] }
+    };
+    fetch.mockResolvedValue(respond(200, analysis));
+    await expect(fetchAnalysis(TRANSCRIPT_JSON, { period: '2024-06-01..2024-08-31' })).resolves.toEqual(analysis);
+  });
+
+  test('rejects a response for more than the range asked for', async () => {
+    fetch.mockResolvedValue(respond(200, {
+      monthly_messages: { data: [{ date: '2024-06', message_count: 40 }] },
+      top_ten_days: { data: [{ day: '2024-06-03', chats: 9 }, { day: '2023-12-31', chats: 7 }] }
+    }));
+    await expect(fetchAnalysis(TRANSCRIPT_JSON, { period: '2024-06-01..2024-08-31' }))
+      .rejects.toMatchObject({ code: ERROR_CODES.WRONG_PERIOD });
+
+    fetch.mockResolvedValue(respond(200, { monthly_messages: { data: [{ date: '2024-09', message_count: 40 }] } }));
+    await expect(fetchAnalysis(TRANSCRIPT_JSON, { period: '2024-06-01..2024-08-31' }))
+      .rejects.toMatchObject({ code: ERROR_CODES.WRONG_PERIOD });
+  });
+
+  test('checks all time against the chat span', async () => {
+    fetch.mockResolvedValue(respond(200, { top_ten_days: { data: [{ day: '2022-12-31', chats: 9 }] } }));
+    await expect(fetchAnalysis(TRANSCRIPT_JSON, { period: 'all', span: { start: '2023-01-01', end: '2023-12-31' } }))
+      .rejects.toMatchObject({ code: ERROR_CODES.WRONG_PERIOD });
+  });
+
+  test('rejects a response without any known section', async () => {
+    fetch.mockResolvedValue(respond(200, { error: 'nope' }));
+    await expect(fetchAnalysis(TRANSCRIPT_JSON, { period: '2023' })).rejects.toMatchObject({ code: ERROR_CODES.MALFORMED });
+  });
+});
+
+test('describeApiError explains each failure', () => {
+  expect(describeApiError(new ApiError(ERROR_CODES.NETWORK, ''))).toMatch(/couldn't reach/);
+  expect(describeApiError(new ApiError(ERROR_CODES.TIMEOUT, ''))).toMatch(/took too long/);
+  expect(describeApiError(new ApiError(ERROR_CODES.SERVER, '', { status: 503 }))).toMatch(/had a problem \(error 503\)/);
+  expect(describeApiError(new ApiError(ERROR_CODES.SERVER, '', { status: 413 }))).toMatch(/rejected the chat \(error 413\)/);
+  expect(describeApiError(new ApiError(ERROR_CODES.EMPTY_YEARS, ''))).toMatch(/didn't find any dated messages/);
+  expect(describeApiError(new ApiError(ERROR_CODES.MALFORMED, ''))).toMatch(/couldn't read/);
+  expect(describeApiError(new ApiError(ERROR_CODES.WRONG_PERIOD, ''))).toMatch(/doesn't support that date range/);
+  expect(describeApiError(new Error('Boom'))).toBe('Boom');
+  expect(describeApiError(null)).toBe('Analysis failed');
+});
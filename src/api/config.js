@@ -0,0 +1,29 @@
+// Service URLs. Resolution order:
+//   1. runtime config: window.__APP_CONFIG__, set by public/config.js, which
+//      can be rewritten at deploy time without rebuilding
+//   2. build-time env: REACT_APP_* variables (the Docker build passes
+//      ANALYSIS_API_URL through as REACT_APP_ANALYSIS_API_URL)
+//   3. the defaults below
+
+const DEFAULTS = {
+  analysisApiUrl: 'https://groupchat-wrapped-analysis.fly.dev',
+  connectorApiUrl: 'http://localhost:3001'
+};
+
+const BUILD_CONFIG = {
+  analysisApiUrl: process.env.REACT_APP_ANALYSIS_API_URL,
+  connectorApiUrl: process.env.REACT_APP_CONNECTOR_API_URL
+};
+
+const stripTrailingSlash = (url) => url.replace(/\/+$/, '');
+
+const getConfigValue = (key) => {
+  const runtime = typeof window !== 'undefined' ? window.__APP_CONFIG__ || {} : {};
+  const value = runtime[key] || BUILD_CONFIG[key] || DEFAULTS[key];
+  return stripTrailingSlash(String(value));
+};
+
+const getAnalysisApiUrl = () => getConfigValue('analysisApiUrl');
+const getConnectorApiUrl = () => getConfigValue('connectorApiUrl');
+
+export { getAnalysisApiUrl, getConnectorApiUrl };
@@ -0,0 +1,90 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Drag-and-drop / click-to-browse target for chat exports. Validation is left
+// to the caller via `onFile`; this only deals with getting a File out of the
+// browser without it navigating away on a stray drop.
+const ChatDropZone = ({ accept = '.txt,.zip', label, fileName, detail, onFile, disabled = false }) => {
+  const [isDragging, setIsDragging] = useState(false);
+  const dragDepth = useRef(0);
+
+  // Dropping a file anywhere else on the page would open it in the tab
+  useEffect(() => {
+    const preventNavigation = (e) => {
+      if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')) {
+        e.preventDefault();
+      }
+    };
+    window.addEventListener('dragover', preventNavigation);
+    window.addEventListener('drop', preventNavigation);
+    return () => {
+      window.removeEventListener('dragover', preventNavigation);
+      window.removeEventListener('drop', preventNavigation);
+    };
+  }, []);
+
+  const handleDragEnter = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragDepth.current++;
+    if (!disabled) setIsDragging(true);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = disabled ? 'none' : 'copy';
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragDepth.current = Math.max(0, dragDepth.current - 1);
+    if (dragDepth.current === 0) setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragDepth.current = 0;
+    setIsDragging(false);
+    if (disabled) return;
+
+    const files = e.dataTransfer.files;
+    if (files && files[0]) onFile(files[0]);
+  };
+
+  const handleInputChange = (e) => {
+    if (e.target.files && e.target.files[0]) onFile(e.target.files[0]);
+    // Allow re-selecting the same file after fixing an error
+    e.target.value = '';
+  };
+
+  return (
+    <label
+      onDragEnter={handleDragEnter}
+      onDragOver={handleDragOver}
+      onDragLeave={handleDragLeave}
+      onDrop={handleDrop}
+      className={`block w-full px-4 py-8 border-2 border-dashed rounded-lg text-center transition-colors ${
+        disabled ? 'cursor-not-allowed opacity-60 border-gray-300' :
+        isDragging ? 'cursor-copy border-blue-500 bg-blue-50' : 'cursor-pointer border-gray-300 hover:border-blue-500'
+      }`}
+    >
+      <input
+        type="file"
+        accept={accept}
+        onChange={handleInputChange}
+        disabled={disabled}
+        className="hidden"
+      />
+      <span className="text-gray-600">
+        {isDragging ? 'Drop it!' : fileName || label}
+      </span>
+      {detail && !isDragging && (
+        <span className="block mt-2 text-sm text-gray-500">{detail}</span>
+      )}
+    </label>
+  );
+};
+
+export default ChatDropZone;
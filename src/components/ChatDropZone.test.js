@@ -0,0 +1,41 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import ChatDropZone from './ChatDropZone';
+
+const file = new File(['[1/2/24, 10:00] Ana: hi'], 'chat.txt', { type: 'text/plain' });
+const dataTransfer = { files: [file], types: ['Files'] };
+
+test('passes a dropped file to onFile', () => {
+  const onFile = jest.fn();
+  render(<ChatDropZone label="Drop your chat here" onFile={onFile} />);
+  const zone = screen.getByText('Drop your chat here');
+
+  fireEvent.dragEnter(zone, { dataTransfer });
+  expect(screen.getByText('Drop it!')).toBeInTheDocument();
+
+  fireEvent.drop(zone, { dataTransfer });
+  expect(onFile).toHaveBeenCalledWith(file);
+  expect(screen.getByText('Drop your chat here')).toBeInTheDocument();
+});
+
+test('passes a browsed file to onFile', () => {
+  const onFile = jest.fn();
+  render(<ChatDropZone label="Drop your chat here" onFile={onFile} />);
+
+  fireEvent.change(screen.getByLabelText('Drop your chat here'), { target: { files: [file] } });
+  expect(onFile).toHaveBeenCalledWith(file);
+});
+
+test('ignores drops and browsing while disabled', () => {
+  const onFile = jest.fn();
+  render(
+    <ChatDropZone label="Drop your chat here" fileName="chat.txt: Reading..." onFile={onFile} disabled />
+  );
+  const zone = screen.getByText('chat.txt: Reading...');
+
+  fireEvent.dragEnter(zone, { dataTransfer });
+  expect(screen.queryByText('Drop it!')).not.toBeInTheDocument();
+
+  fireEvent.drop(zone, { dataTransfer });
+  expect(onFile).not.toHaveBeenCalled();
+  expect(screen.getByLabelText('chat.txt: Reading...')).toBeDisabled();
+});
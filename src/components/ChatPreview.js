@@ -0,0 +1,59 @@
+import React from 'react';
+import { formatDay } from '../parsers/transcript';
+
+const PREVIEW_PARTICIPANTS = 8;
+
+// Shows what we parsed out of the picked file so users can confirm it's the
+// right chat before anything is analyzed. `summary` is the chat worker's
+// summarizeTranscript() of it; the messages themselves stay in the worker.
+const ChatPreview = ({ summary }) => {
+  const { messageCount, participants, firstDate, lastDate, preview } = summary;
+  const hiddenParticipants = participants.length - PREVIEW_PARTICIPANTS;
+
+  return (
+    <div className="p-4 bg-white/60 border border-gray-200 rounded-lg space-y-3 text-sm">
+      <div className="grid grid-cols-3 gap-2 text-center">
+        <div>
+          <div className="text-lg font-semibold">{messageCount.toLocaleString()}</div>
+          <div className="text-gray-500">messages</div>
+        </div>
+        <div>
+          <div className="text-lg font-semibold">{participants.length}</div>
+          <div className="text-gray-500">participants</div>
+        </div>
+        <div>
+          <div className="font-semibold">{formatDay(firstDate)}</div>
+          <div className="text-gray-500">to {formatDay(lastDate)}</div>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-gray-700 mb-1">Participants</h3>
+        <div className="flex flex-wrap gap-1">
+          {participants.slice(0, PREVIEW_PARTICIPANTS).map(({ name, count }) => (
+            <span key={name} className="px-2 py-0.5 bg-blue-50 text-blue-700 rounded-full">
+              {name} · {count.toLocaleString()}
+            </span>
+          ))}
+          {hiddenParticipants > 0 && (
+            <span className="px-2 py-0.5 text-gray-500">+{hiddenParticipants} more</span>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <h3 className="font-semibold text-gray-700 mb-1">First messages</h3>
+        <ul className="space-y-1">
+          {preview.map((msg, idx) => (
+            <li key={idx} className="truncate">
+              <span className="text-gray-400">{msg.date.toLocaleString()}</span>{' '}
+              <strong>{msg.sender}:</strong> {msg.message}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default ChatPreview;
@@ -0,0 +1,31 @@
+import { render, screen } from '@testing-library/react';
+import ChatPreview from './ChatPreview';
+
+const summary = (overrides = {}) => ({
+  messageCount: 1234,
+  participants: [{ name: 'Ana', count: 800 }, { name: 'Ben', count: 434 }],
+  firstDate: new Date(2024, 0, 2),
+  lastDate: new Date(2024, 5, 30),
+  preview: [
+    { date: new Date(2024, 0, 2, 10, 0), sender: 'Ana', message: 'happy new year' },
+    { date: new Date(2024, 0, 2, 10, 5), sender: 'Ben', message: 'you too' }
+  ],
+  ...overrides
+});
+
+test('shows the parsed counts and the first messages', () => {
+  render(<ChatPreview summary={summary()} />);
+  expect(screen.getByText((1234).toLocaleString())).toBeInTheDocument();
+  expect(screen.getByText('2')).toBeInTheDocument();
+  expect(screen.getByText(`Ana · ${(800).toLocaleString()}`)).toBeInTheDocument();
+  expect(screen.getByText('happy new year')).toBeInTheDocument();
+  expect(screen.getByText('you too')).toBeInTheDocument();
+});
+
+test('collapses participants past the first eight', () => {
+  const participants = Array.from({ length: 11 }, (_, i) => ({ name: `Member ${i + 1}`, count: 20 - i }));
+  render(<ChatPreview summary={summary({ participants })} />);
+  expect(screen.getByText('Member 8 · 13')).toBeInTheDocument();
+  expect(screen.queryByText(/^Member 9 ·/)).not.toBeInTheDocument();
+  expect(screen.getByText('+3 more')).toBeInTheDocument();
+});
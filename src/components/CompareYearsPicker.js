@@ -0,0 +1,71 @@
+import React, { useState } from 'react';
+
+// "Compare years" control under the period picker: tick two or more years to
+// get the comparison deck, or leave comparison mode
+const CompareYearsPicker = ({ years, comparing, onCompare, onExit }) => {
+  const [open, setOpen] = useState(false);
+  const [picked, setPicked] = useState([]);
+
+  if (years.length < 2) return null;
+
+  if (comparing) {
+    return (
+      <button onClick={onExit} className="mt-2 text-sm text-blue-600 hover:text-blue-800">
+        ← Back to one period
+      </button>
+    );
+  }
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => {
+          setPicked(years.slice(0, 2).map(String));
+          setOpen(true);
+        }}
+        className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+      >
+        Compare years...
+      </button>
+    );
+  }
+
+  const toggle = (year) => setPicked(current =>
+    current.includes(year) ? current.filter(y => y !== year) : [...current, year]);
+
+  return (
+    <div className="mt-2 space-y-1">
+      <p className="text-xs text-gray-600">Pick two or more years:</p>
+      <div className="flex flex-wrap gap-x-3 gap-y-1">
+        {years.map(String).map(year => (
+          <label key={year} className="flex items-center space-x-1 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={picked.includes(year)}
+              onChange={() => toggle(year)}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+            />
+            <span>{year}</span>
+          </label>
+        ))}
+      </div>
+      <div className="flex space-x-2 pt-1">
+        <button
+          onClick={() => {
+            setOpen(false);
+            onCompare(picked);
+          }}
+          disabled={picked.length < 2}
+          className="px-3 py-1 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700 disabled:opacity-50"
+        >
+          Compare
+        </button>
+        <button onClick={() => setOpen(false)} className="px-3 py-1 text-gray-600 text-sm hover:text-gray-800">
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CompareYearsPicker;
@@ -0,0 +1,273 @@
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { ChevronDown, ChevronUp, X } from 'lucide-react';
+import { escapeRegExp } from '../analysis/keywords';
+import Highlighted from './Highlighted';
+
+// Chat viewer for a notable day: message bubbles colored per sender, search
+// with highlighted hits, jump-to-hour, and earlier/later days loaded on
+// demand for context. `day` is the day that was opened; `days` is
+// [{ day, logs }] in date order (it and the days loaded around it), logs in
+// chat_logs' shape ({ sender, date, message }). `onLoadDay(direction)`
+// resolves to false when there's no earlier (-1) / later (1) day to add.
+// `query` pre-fills the search and `focus` (an index into the opened day's
+// logs) is the message to scroll to, for drawers opened from a search hit.
+// Full-screen on small screens; Esc closes it and Tab stays inside.
+
+const FOCUSABLE = 'button:not([disabled]), input, [tabindex]:not([tabindex="-1"])';
+
+// Stable per-name hue, so a sender keeps their color across days
+const senderHue = (name) => [...String(name)].reduce((hash, char) => (hash * 31 + char.codePointAt(0)) % 360, 7);
+
+// Hour (0-23) and "10:42" out of a log timestamp, local ("2024-01-05 22:42:10")
+// or the server's (which may say "10:42 PM")
+const parseTime = (date) => {
+  const match = /(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?/.exec(String(date || ''));
+  if (!match) return { hour: null, time: '' };
+  let hour = Number(match[1]) % 24;
+  if (match[3]) hour = (hour % 12) + (/p/i.test(match[3]) ? 12 : 0);
+  return { hour, time: `${String(hour).padStart(2, '0')}:${match[2]}` };
+};
+
+const formatHourLabel = (hour) => `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`;
+
+const DayChatLogsDrawer = ({ isOpen, day: openedDay, days, query: initialQuery = '', focus = null, onClose, onLoadDay }) => {
+  const drawerRef = useRef(null);
+  const listRef = useRef(null);
+  const searchRef = useRef(null);
+  // Distance from the bottom to keep when earlier messages are added above
+  const anchorRef = useRef(null);
+  const [query, setQuery] = useState('');
+  // The selected hit ("day:logIndex") and the message the drawer was opened on
+  const [hitKey, setHitKey] = useState(null);
+  const [focusKey, setFocusKey] = useState(null);
+  const [loading, setLoading] = useState(null);
+  const [exhausted, setExhausted] = useState({});
+  const [loadError, setLoadError] = useState(null);
+
+  // A new day opened: start over
+  useEffect(() => {
+    const key = focus === null ? null : `${openedDay}:${focus}`;
+    setQuery(initialQuery);
+    setHitKey(key);
+    setFocusKey(key);
+    setExhausted({});
+    setLoadError(null);
+    if (listRef.current) listRef.current.scrollTop = 0;
+  }, [openedDay, isOpen, initialQuery, focus]);
+
+  // Focus moves into the drawer while it's open and back afterwards
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const previous = document.activeElement;
+    searchRef.current?.focus();
+    return () => {
+      if (previous && typeof previous.focus === 'function') previous.focus();
+    };
+  }, [isOpen]);
+
+  useLayoutEffect(() => {
+    const list = listRef.current;
+    if (list && anchorRef.current !== null) {
+      list.scrollTop = list.scrollHeight - anchorRef.current;
+      anchorRef.current = null;
+    }
+  }, [days]);
+
+  const pattern = useMemo(
+    () => (query.trim() ? new RegExp(`(${escapeRegExp(query.trim())})`, 'gi') : null),
+    [query]
+  );
+
+  // Every message that matches, as "day:logIndex" keys in display order
+  const hits = useMemo(() => {
+    if (!pattern) return [];
+    return days.flatMap(({ day, logs }) => logs
+      .map((msg, logIndex) => (String(msg.message).match(pattern) ? `${day}:${logIndex}` : null))
+      .filter(Boolean));
+  }, [days, pattern]);
+  const currentHit = hits.includes(hitKey) ? hitKey : hits[0] || null;
+  const hitIndex = hits.indexOf(currentHit);
+
+  const scrollToMessage = (key) => {
+    const element = listRef.current?.querySelector(`[data-message="${key}"]`);
+    if (element) element.scrollIntoView({ block: 'center' });
+  };
+
+  useEffect(() => {
+    if (currentHit) scrollToMessage(currentHit);
+  }, [currentHit]);
+  useEffect(() => {
+    if (focusKey) scrollToMessage(focusKey);
+  }, [focusKey]);
+
+  const stepHit = (step) => setHitKey(hits[(hitIndex + step + hits.length) % hits.length]);
+
+  const loadDay = async (direction) => {
+    setLoading(direction);
+    setLoadError(null);
+    if (direction < 0 && listRef.current) anchorRef.current = listRef.current.scrollHeight - listRef.current.scrollTop;
+    try {
+      const found = await onLoadDay(direction);
+      if (!found) {
+        anchorRef.current = null;
+        setExhausted(current => ({ ...current, [direction]: true }));
+      }
+    } catch (error) {
+      anchorRef.current = null;
+      setLoadError("Couldn't load that day.");
+    } finally {
+      setLoading(null);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Escape') {
+      event.stopPropagation();
+      onClose();
+      return;
+    }
+    if (event.key !== 'Tab') return;
+    const focusable = [...drawerRef.current.querySelectorAll(FOCUSABLE)];
+    if (focusable.length === 0) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
+
+  const loadButton = (direction) => (
+    <button
+      onClick={() => loadDay(direction)}
+      disabled={loading !== null || exhausted[direction]}
+      className="w-full py-2 text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+    >
+      {exhausted[direction]
+        ? `No ${direction < 0 ? 'earlier' : 'later'} messages`
+        : loading === direction
+          ? 'Loading...'
+          : `Load ${direction < 0 ? 'previous' : 'next'} day`}
+    </button>
+  );
+
+  return (
+    <div
+      ref={drawerRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Chat logs"
+      aria-hidden={!isOpen}
+      onKeyDown={handleKeyDown}
+      className={`fixed inset-y-0 right-0 z-40 flex flex-col w-full md:w-1/3 md:min-w-[22rem] md:max-w-lg bg-gray-100 shadow-xl transform transition-all duration-300 ${
+        isOpen ? 'translate-x-0 visible' : 'translate-x-full invisible'
+      }`}
+    >
+      <div className="p-4 border-b bg-gray-50 space-y-3">
+        <div className="flex justify-between items-center">
+          <h2 className="text-lg font-bold">Chat Logs</h2>
+          <button className="p-1 text-gray-600 hover:text-gray-800" onClick={onClose} aria-label="Close chat logs">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            ref={searchRef}
+            type="search"
+            value={query}
+            placeholder="Search these messages"
+            onChange={(event) => setQuery(event.target.value)}
+            onKeyDown={(event) => {
+              if (event.key === 'Enter' && hits.length > 0) stepHit(event.shiftKey ? -1 : 1);
+            }}
+            className="flex-1 px-3 py-1.5 border border-gray-300 rounded-lg text-sm"
+            aria-label="Search chat logs"
+          />
+          {pattern && (
+            <>
+              <span className="text-xs text-gray-500 whitespace-nowrap">
+                {hits.length > 0 ? `${hitIndex + 1} of ${hits.length}` : 'No matches'}
+              </span>
+              <button onClick={() => stepHit(-1)} disabled={hits.length === 0} className="p-1 text-gray-600 disabled:text-gray-300" aria-label="Previous match">
+                <ChevronUp className="w-4 h-4" />
+              </button>
+              <button onClick={() => stepHit(1)} disabled={hits.length === 0} className="p-1 text-gray-600 disabled:text-gray-300" aria-label="Next match">
+                <ChevronDown className="w-4 h-4" />
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div ref={listRef} className="flex-1 overflow-y-auto px-3 pb-4">
+        {days.length === 0 || days.every(({ logs }) => logs.length === 0) ? (
+          <p className="p-4 text-gray-500">No chat logs found for this day.</p>
+        ) : (
+          <>
+            {onLoadDay && loadButton(-1)}
+            {days.map(({ day, logs }) => {
+              const hours = [...new Set(logs.map(msg => parseTime(msg.date).hour).filter(hour => hour !== null))];
+              return (
+                <section key={day} className="mb-2">
+                  <div className="sticky top-0 z-10 bg-gray-100/95 py-2">
+                    <div className="text-center">
+                      <span className="px-3 py-1 rounded-full bg-white text-xs font-semibold text-gray-600 shadow-sm">
+                        {day} · {logs.length.toLocaleString()} messages
+                      </span>
+                    </div>
+                    {hours.length > 1 && (
+                      <div className="flex flex-wrap justify-center gap-1 mt-2" aria-label={`Jump to an hour on ${day}`}>
+                        {hours.map(hour => (
+                          <button
+                            key={hour}
+                            onClick={() => scrollToMessage(`${day}:${logs.findIndex(msg => parseTime(msg.date).hour === hour)}`)}
+                            className="px-2 py-0.5 rounded bg-white text-xs text-gray-600 hover:bg-blue-50"
+                          >
+                            {formatHourLabel(hour)}
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+
+                  {logs.map((msg, logIndex) => {
+                    const key = `${day}:${logIndex}`;
+                    const hue = senderHue(msg.sender);
+                    const continues = logIndex > 0 && logs[logIndex - 1].sender === msg.sender;
+                    return (
+                      <div key={key} data-message={key} className={continues ? 'mt-0.5' : 'mt-3'}>
+                        <div
+                          className={`inline-block max-w-[85%] rounded-lg px-3 py-1.5 shadow-sm ${
+                            key === currentHit ? 'ring-2 ring-yellow-400' : key === focusKey ? 'ring-2 ring-blue-300' : ''
+                          }`}
+                          style={{ backgroundColor: `hsl(${hue}, 70%, 93%)` }}
+                        >
+                          {!continues && (
+                            <div className="text-xs font-semibold" style={{ color: `hsl(${hue}, 55%, 35%)` }}>
+                              {msg.sender}
+                            </div>
+                          )}
+                          <div className="text-sm text-gray-800 whitespace-pre-wrap break-words">
+                            <Highlighted text={msg.message} pattern={pattern} />
+                          </div>
+                          <div className="text-right text-[10px] text-gray-500">{parseTime(msg.date).time}</div>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </section>
+              );
+            })}
+            {onLoadDay && loadButton(1)}
+            {loadError && <p className="text-center text-sm text-red-600">{loadError}</p>}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DayChatLogsDrawer;
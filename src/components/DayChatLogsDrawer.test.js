@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import DayChatLogsDrawer from './DayChatLogsDrawer';
+
+const OPENED = {
+  day: '2024-01-05',
+  logs: [
+    { sender: 'Alice', date: '2024-01-05 09:00:00', message: 'Pizza tonight?' },
+    { sender: 'Bob', date: '2024-01-05 09:05:00', message: 'always' },
+    { sender: 'Alice', date: '2024-01-05 21:30:00', message: 'the pizza place is closed' }
+  ]
+};
+const EARLIER = {
+  day: '2024-01-04',
+  logs: [{ sender: 'Bob', date: '2024-01-04 18:00:00', message: 'who wants pizza tomorrow' }]
+};
+
+// Holds the loaded days like the app does: an earlier day is there to load,
+// a later one isn't
+const Drawer = ({ onClose = () => {}, onLoadDay }) => {
+  const [days, setDays] = useState([OPENED]);
+  const loadDay = onLoadDay || (async (direction) => {
+    if (direction > 0) return false;
+    setDays(current => [EARLIER, ...current]);
+    return true;
+  });
+  return <DayChatLogsDrawer isOpen day={OPENED.day} days={days} onClose={onClose} onLoadDay={loadDay} />;
+};
+
+beforeAll(() => {
+  // jsdom doesn't lay anything out
+  Element.prototype.scrollIntoView = jest.fn();
+});
+
+test('highlights search hits and steps through them', () => {
+  render(<Drawer />);
+  fireEvent.change(screen.getByLabelText('Search chat logs'), { target: { value: 'pizza' } });
+
+  expect(screen.getByText('Pizza', { selector: 'mark' })).toBeInTheDocument();
+  expect(screen.getByText('pizza', { selector: 'mark' })).toBeInTheDocument();
+  expect(screen.getByText('1 of 2')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Next match' }));
+  expect(screen.getByText('2 of 2')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Search chat logs'), { target: { value: 'sushi' } });
+  expect(screen.getByText('No matches')).toBeInTheDocument();
+  expect(screen.queryByText('pizza', { selector: 'mark' })).not.toBeInTheDocument();
+});
+
+test('starts from the query it was opened with', () => {
+  render(<DayChatLogsDrawer isOpen day={OPENED.day} days={[OPENED]} query="closed" focus={2} onClose={() => {}} />);
+  expect(screen.getByLabelText('Search chat logs')).toHaveValue('closed');
+  expect(screen.getByText('closed', { selector: 'mark' })).toBeInTheDocument();
+});
+
+test('closes on Escape', () => {
+  const onClose = jest.fn();
+  render(<Drawer onClose={onClose} />);
+  fireEvent.keyDown(screen.getByLabelText('Search chat logs'), { key: 'Escape' });
+  expect(onClose).toHaveBeenCalledTimes(1);
+});
+
+test('loads the days around the opened one until there are none left', async () => {
+  render(<Drawer />);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Load previous day' }));
+  expect(await screen.findByText('2024-01-04 · 1 messages')).toBeInTheDocument();
+  expect(screen.getByText('who wants pizza tomorrow')).toBeInTheDocument();
+  expect(await screen.findByRole('button', { name: 'Load previous day' })).toBeEnabled();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Load next day' }));
+  expect(await screen.findByRole('button', { name: 'No later messages' })).toBeDisabled();
+});
+
+test('says so when a day fails to load', async () => {
+  render(<Drawer onLoadDay={() => Promise.reject(new Error('worker gone'))} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Load next day' }));
+  expect(await screen.findByText("Couldn't load that day.")).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Load next day' })).toBeEnabled();
+});
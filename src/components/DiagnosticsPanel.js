@@ -0,0 +1,39 @@
+import React, { useState } from 'react';
+
+// Developer-only list of the analysis sections that failed validation or
+// couldn't be charted. Shown in development builds, or with ?debug in the URL.
+const isDiagnosticsEnabled = () =>
+  process.env.NODE_ENV === 'development' ||
+  new URLSearchParams(window.location.search).has('debug');
+
+const DiagnosticsPanel = ({ issues }) => {
+  const [open, setOpen] = useState(false);
+  if (!issues || issues.length === 0 || !isDiagnosticsEnabled()) return null;
+
+  return (
+    <div className="fixed bottom-4 right-4 max-w-md bg-white/90 backdrop-blur-sm rounded-lg shadow text-sm z-40">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full text-left px-4 py-2 font-medium text-amber-700"
+      >
+        {issues.length} section{issues.length === 1 ? '' : 's'} failed {open ? '▾' : '▸'}
+      </button>
+      {open && (
+        <ul className="px-4 pb-3 space-y-2 max-h-80 overflow-y-auto">
+          {issues.map(issue => (
+            <li key={issue.section}>
+              <div className="font-semibold text-gray-800">
+                {issue.title} <code className="text-xs text-gray-500">{issue.section}</code>
+              </div>
+              <ul className="list-disc ml-5 text-gray-600">
+                {issue.errors.map((error, index) => <li key={index}>{error}</li>)}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
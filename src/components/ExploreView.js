@@ -0,0 +1,238 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Bar } from 'react-chartjs-2';
+import { X } from 'lucide-react';
+import { escapeRegExp } from '../analysis/keywords';
+import { MESSAGE_TYPES } from '../analysis/search';
+import Highlighted from './Highlighted';
+
+// Explore mode: search the whole chat, filtered by sender, date range and
+// message type, with a per-month timeline of matches. Results come from the
+// chat worker through `onSearch(options)` (see analysis/search); clicking a
+// hit calls `onOpenHit(hit, query)` (a promise) to show the conversation
+// around it.
+
+const SEARCH_DELAY_MS = 300;
+const COLOR = 'rgba(54, 162, 235, 0.6)';
+
+const TYPE_LABELS = { text: 'Text', media: 'Photos & media', voice: 'Voice notes', link: 'Links' };
+
+const chartOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  animation: false,
+  plugins: { legend: { display: false } },
+  scales: { y: { beginAtZero: true, ticks: { precision: 0 } } }
+};
+
+// "2024-03" -> ['2024-03-01', '2024-03-31']
+const monthBounds = (month) => {
+  const [year, index] = month.split('-').map(Number);
+  const lastDay = new Date(year, index, 0).getDate();
+  return [`${month}-01`, `${month}-${String(lastDay).padStart(2, '0')}`];
+};
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+const ExploreView = ({ span, onSearch, onOpenHit, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [senders, setSenders] = useState([]);
+  const [types, setTypes] = useState([]);
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [error, setError] = useState(null);
+  const requestRef = useRef(0);
+  // The latest onSearch, so a new function from the parent doesn't re-run the search
+  const searchRef = useRef(onSearch);
+  searchRef.current = onSearch;
+
+  // Search once typing settles; only the latest request's results are shown
+  useEffect(() => {
+    const requestId = ++requestRef.current;
+    setSearching(true);
+    const timer = setTimeout(() => {
+      searchRef.current({ query, senders, types, from: from || undefined, to: to || undefined })
+        .then(found => {
+          if (requestId !== requestRef.current) return;
+          setResults(found);
+          setError(null);
+        })
+        .catch(searchError => {
+          if (requestId !== requestRef.current) return;
+          console.error('Searching the chat failed:', searchError);
+          setError("Couldn't search the chat.");
+        })
+        .finally(() => {
+          if (requestId === requestRef.current) setSearching(false);
+        });
+    }, SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, senders, types, from, to]);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const trimmed = query.trim();
+  const pattern = trimmed ? new RegExp(`(${escapeRegExp(trimmed).replace(/\s+/g, '\\s+')})`, 'gi') : null;
+
+  const openHit = (hit) => {
+    onOpenHit(hit, trimmed).catch(openError => {
+      console.error('Loading the conversation failed:', openError);
+      setError("Couldn't load that conversation.");
+    });
+  };
+
+  const showMonth = (elements) => {
+    if (elements.length === 0 || !results) return;
+    const [start, end] = monthBounds(results.timeline[elements[0].index].month);
+    setFrom(start);
+    setTo(end);
+  };
+
+  const inputClass = 'px-2 py-1 border border-gray-300 bg-white rounded-md text-sm';
+
+  return (
+    <div className="fixed inset-0 z-30 bg-gradient-to-br from-blue-50 to-indigo-50 overflow-y-auto">
+      <div className="max-w-4xl mx-auto p-4 md:p-8 space-y-4">
+        <div className="flex justify-between items-center">
+          <h2 className="text-2xl font-bold">Explore the chat</h2>
+          <button className="p-1 text-gray-600 hover:text-gray-800" onClick={onClose} aria-label="Back to the slides">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="bg-white/80 rounded-xl shadow p-4 space-y-3">
+          <input
+            type="search"
+            value={query}
+            autoFocus
+            placeholder='Search every message, e.g. "road trip"'
+            onChange={(event) => setQuery(event.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+            aria-label="Search the chat"
+          />
+
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <label className="text-gray-600" htmlFor="exploreFrom">From</label>
+            <input
+              id="exploreFrom"
+              type="date"
+              value={from}
+              min={span?.start}
+              max={span?.end}
+              onChange={(event) => setFrom(event.target.value)}
+              className={inputClass}
+            />
+            <label className="text-gray-600" htmlFor="exploreTo">to</label>
+            <input
+              id="exploreTo"
+              type="date"
+              value={to}
+              min={span?.start}
+              max={span?.end}
+              onChange={(event) => setTo(event.target.value)}
+              className={inputClass}
+            />
+            {(from || to) && (
+              <button
+                onClick={() => {
+                  setFrom('');
+                  setTo('');
+                }}
+                className="text-blue-600 hover:text-blue-800"
+              >
+                Any date
+              </button>
+            )}
+          </div>
+
+          <div className="flex flex-wrap gap-1 text-sm" aria-label="Message types">
+            {MESSAGE_TYPES.map(type => (
+              <button
+                key={type}
+                onClick={() => setTypes(current => toggle(current, type))}
+                aria-pressed={types.includes(type)}
+                className={`px-3 py-1 rounded-full ${types.includes(type) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              >
+                {TYPE_LABELS[type]}
+              </button>
+            ))}
+          </div>
+
+          {results && results.senders.length > 1 && (
+            <div className="flex flex-wrap gap-1 text-sm" aria-label="Senders">
+              {results.senders.map(sender => (
+                <button
+                  key={sender}
+                  onClick={() => setSenders(current => toggle(current, sender))}
+                  aria-pressed={senders.includes(sender)}
+                  className={`px-3 py-1 rounded-full ${senders.includes(sender) ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                >
+                  {sender}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {error && <p className="text-red-600">{error}</p>}
+
+        {results && (
+          <>
+            <div className="bg-white/80 rounded-xl shadow p-4">
+              <p className="text-sm text-gray-600 mb-2">
+                {trimmed
+                  ? `"${trimmed}" came up ${results.matches.toLocaleString()} ${results.matches === 1 ? 'time' : 'times'} in ${results.total.toLocaleString()} ${results.total === 1 ? 'message' : 'messages'}`
+                  : `${results.total.toLocaleString()} ${results.total === 1 ? 'message' : 'messages'}`}
+                {searching && ' · searching...'}
+              </p>
+              {results.timeline.length > 1 && (
+                <div className="h-40">
+                  <Bar
+                    data={{
+                      labels: results.timeline.map(({ month }) => month),
+                      datasets: [{ label: trimmed ? 'Mentions' : 'Messages', data: results.timeline.map(({ count }) => count), backgroundColor: COLOR }]
+                    }}
+                    options={{ ...chartOptions, onClick: (event, elements) => showMonth(elements) }}
+                  />
+                </div>
+              )}
+            </div>
+
+            <ul className="space-y-2">
+              {results.hits.map(hit => (
+                <li key={`${hit.day}:${hit.position}`}>
+                  <button
+                    onClick={() => openHit(hit)}
+                    className="w-full text-left bg-white/80 rounded-lg shadow-sm px-4 py-2 hover:bg-white"
+                  >
+                    <div className="flex justify-between text-xs text-gray-500">
+                      <span className="font-semibold text-gray-700">{hit.sender}</span>
+                      <span>{hit.date}</span>
+                    </div>
+                    <div className="text-sm text-gray-800 whitespace-pre-wrap break-words line-clamp-3">
+                      <Highlighted text={hit.message} pattern={pattern} />
+                    </div>
+                  </button>
+                </li>
+              ))}
+            </ul>
+            {results.total > results.hits.length && (
+              <p className="text-center text-sm text-gray-500">
+                Showing the newest {results.hits.length.toLocaleString()}. Narrow the search to see the rest.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ExploreView;
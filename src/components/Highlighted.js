@@ -0,0 +1,14 @@
+import React from 'react';
+
+// `text` with the matches of `pattern` marked. `pattern` needs a capture group
+// around the whole match (split() keeps captured parts at the odd indexes).
+const Highlighted = ({ text, pattern }) => {
+  if (!pattern) return text;
+  return String(text).split(pattern).map((part, i) => (
+    i % 2 === 1
+      ? <mark key={i} className="bg-yellow-200 rounded px-0.5">{part}</mark>
+      : <React.Fragment key={i}>{part}</React.Fragment>
+  ));
+};
+
+export default Highlighted;
@@ -0,0 +1,68 @@
+import React from 'react';
+
+const formatCount = (n) => {
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e4) return `${Math.round(n / 1e3)}k`;
+  return n.toLocaleString();
+};
+
+// Human-readable line for a worker/API progress update
+const describeProgress = (progress) => {
+  if (!progress) return 'Loading...';
+  const { stage, done = 0, total = 0, unit, label } = progress;
+
+  switch (stage) {
+    case 'read':
+      return 'Reading file...';
+    case 'parse':
+      return total && unit ? `Parsed ${formatCount(done)} of ${formatCount(total)} ${unit}` : 'Parsing chat...';
+    case 'serialize':
+      return 'Preparing transcript...';
+    case 'analyze':
+      return total ? `${label} (${done + 1} of ${total})` : label;
+    default:
+      return label || 'Loading...';
+  }
+};
+
+const progressFraction = (progress) => {
+  if (!progress || !progress.total) return null;
+  return Math.min(1, Math.max(0, progress.done / progress.total));
+};
+
+const LoadingScreen = ({ progress, onCancel }) => {
+  const fraction = progressFraction(progress);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-50 flex items-center justify-center p-4">
+      <div className="text-center w-full max-w-sm">
+        <svg className="animate-spin h-8 w-8 text-indigo-600 mx-auto mb-4" viewBox="0 0 24 24">
+          <circle className="opacity-25" cx="12" cy="12" r="10"
+                  stroke="currentColor" strokeWidth="4" fill="none"/>
+          <path className="opacity-75" fill="currentColor"
+                d="M4 12a8 8 0 018-8v8H4z"/>
+        </svg>
+        <p className="text-indigo-600">{describeProgress(progress)}</p>
+        {fraction !== null && (
+          <div className="mt-3 h-2 bg-indigo-100 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-indigo-600 transition-all duration-300"
+              style={{ width: `${Math.round(fraction * 100)}%` }}
+            />
+          </div>
+        )}
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="mt-6 text-sm text-gray-600 hover:text-gray-800"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export { describeProgress };
+export default LoadingScreen;
@@ -0,0 +1,175 @@
+import React, { useEffect } from 'react';
+import { Bar, Line } from 'react-chartjs-2';
+import { Camera, Copy, X } from 'lucide-react';
+import { formatDay } from '../parsers/transcript';
+import { formatHour } from '../analysis/engine';
+
+// One member's wrapped: volume over time, active hours, favorite words and
+// emoji, awards and ranks. Opened by clicking a member on a chart; the card
+// (#member-profile) is what gets exported, so members can share "their" wrap.
+
+const COLOR = 'rgba(54, 162, 235, 0.6)';
+
+// Charts here don't animate, so an export right after opening is complete
+const chartOptions = {
+  responsive: true,
+  maintainAspectRatio: true,
+  animation: false,
+  plugins: { legend: { display: false } }
+};
+
+const parseDay = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date);
+};
+
+const formatValue = ({ value, unit = '' }) => `${Number(value).toLocaleString()}${unit}`;
+
+const MemberProfile = ({ member, periodLabel, activity, loading, error, ranks, partner, onClose, onExport }) => {
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const awards = ranks.filter(rank => rank.won);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 overflow-y-auto" onClick={onClose}>
+      <div className="min-h-full flex items-center justify-center p-4">
+        <div className="relative w-full max-w-3xl" onClick={(event) => event.stopPropagation()}>
+          <div id="member-profile" className="bg-white rounded-xl shadow-xl p-8 space-y-6">
+            <div className="text-center">
+              <h2 className="text-2xl font-bold">{member}'s Groupchat Wrapped</h2>
+              <p className="text-gray-500">{periodLabel}</p>
+            </div>
+
+            {awards.length > 0 && (
+              <div className="flex flex-wrap justify-center gap-2">
+                {awards.map(award => (
+                  <span key={award.award} className="px-3 py-1 rounded-full bg-yellow-100 text-yellow-800 text-sm font-medium">
+                    🏆 {award.award}
+                  </span>
+                ))}
+              </div>
+            )}
+
+            {loading && <p className="text-center text-gray-500">Looking through {member}'s messages...</p>}
+            {error && <p className="text-center text-red-600">{error}</p>}
+
+            {activity && (
+              <>
+                <p className="text-center text-gray-700">
+                  {activity.messageCount.toLocaleString()} messages
+                  {activity.busiestDay && (
+                    <> · busiest day {formatDay(parseDay(activity.busiestDay.day))} ({activity.busiestDay.count.toLocaleString()} messages)</>
+                  )}
+                  {partner && <> · talks most with {partner.name}</>}
+                </p>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-600 mb-2">Messages by month</h3>
+                    <Line
+                      data={{
+                        labels: activity.monthly.map(m => m.month),
+                        datasets: [{ label: 'Messages', data: activity.monthly.map(m => m.count), borderColor: COLOR, fill: false }]
+                      }}
+                      options={chartOptions}
+                    />
+                  </div>
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-600 mb-2">Active hours</h3>
+                    <Bar
+                      data={{
+                        labels: activity.hours.map((_, hour) => formatHour(hour)),
+                        datasets: [{ label: 'Messages', data: activity.hours, backgroundColor: COLOR }]
+                      }}
+                      options={chartOptions}
+                    />
+                  </div>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-600 mb-2">Most-used words</h3>
+                    <div className="flex flex-wrap gap-2">
+                      {activity.words.map(({ word, count }) => (
+                        <span key={word} className="px-2 py-1 rounded bg-gray-100 text-gray-700 text-sm">
+                          {word} <span className="text-gray-400">{count}</span>
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-600 mb-2">Favorite emoji</h3>
+                    {activity.emoji.length > 0 ? (
+                      <div className="flex flex-wrap gap-4">
+                        {activity.emoji.map(({ emoji, count }) => (
+                          <span key={emoji} className="text-center">
+                            <span className="block text-3xl">{emoji}</span>
+                            <span className="text-xs text-gray-500">{count}</span>
+                          </span>
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="text-sm text-gray-500">No emoji, strictly business.</p>
+                    )}
+                  </div>
+                </div>
+              </>
+            )}
+
+            {ranks.length > 0 && (
+              <div>
+                <h3 className="text-sm font-semibold text-gray-600 mb-2">Where {member} ranks</h3>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-sm text-gray-700">
+                  {ranks.map(rank => (
+                    <div key={rank.section} className="flex justify-between">
+                      <span>{rank.title}</span>
+                      <span>
+                        #{rank.rank} of {rank.of} <span className="text-gray-400">({formatValue(rank)})</span>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div className="text-right">
+              <span className="text-gray-400 text-sm">Get your Groupchat Wrapped @ wrapped.chat</span>
+            </div>
+          </div>
+
+          <div className="absolute top-4 right-4 flex gap-2">
+            <button
+              onClick={() => onExport('clipboard')}
+              className="p-2 rounded-full bg-white/80 hover:bg-white transition-colors shadow-sm"
+              title="Copy to clipboard"
+            >
+              <Copy className="w-4 h-4 text-gray-600" />
+            </button>
+            <button
+              onClick={() => onExport('download')}
+              className="p-2 rounded-full bg-white/80 hover:bg-white transition-colors shadow-sm"
+              title="Download as PNG"
+            >
+              <Camera className="w-4 h-4 text-gray-600" />
+            </button>
+            <button
+              onClick={onClose}
+              className="p-2 rounded-full bg-white/80 hover:bg-white transition-colors shadow-sm"
+              title="Close"
+            >
+              <X className="w-4 h-4 text-gray-600" />
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MemberProfile;
@@ -0,0 +1,146 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+
+// Reply network drawn on a canvas (so it exports like the chart.js slides).
+// `data` comes from the replyNetwork slide transform: { nodes, links } with
+// positions in the unit square. Hovering (or tapping) a member highlights
+// their connections and lists who they talk to most.
+
+const BEST_DUO_COLOR = 'rgba(234, 179, 8, 0.9)';
+const LINK_COLOR = '107, 114, 128';
+const HIGHLIGHT_COLOR = '37, 99, 235';
+const TEXT_COLOR = '#374151';
+const MIN_RADIUS = 6;
+const MAX_RADIUS = 22;
+
+const nodeRadius = (node) => MIN_RADIUS + (MAX_RADIUS - MIN_RADIUS) * Math.sqrt(node.size);
+
+const toCanvas = (node, width, height) => ({ x: node.x * width, y: node.y * height });
+
+const draw = (canvas, { nodes, links }, width, height, focus) => {
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = width * ratio;
+  canvas.height = height * ratio;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const byName = new Map(nodes.map(node => [node.name, node]));
+  const touches = (link) => focus && (link.a === focus || link.b === focus);
+
+  // Faint links first so the strong and highlighted ones end up on top
+  [...links].sort((x, y) => x.strength - y.strength).forEach(link => {
+    const from = toCanvas(byName.get(link.a), width, height);
+    const to = toCanvas(byName.get(link.b), width, height);
+    let color = `rgba(${LINK_COLOR}, ${0.1 + 0.5 * link.strength})`;
+    if (link.best) color = BEST_DUO_COLOR;
+    if (focus) color = touches(link) ? `rgba(${HIGHLIGHT_COLOR}, ${0.3 + 0.7 * link.strength})` : `rgba(${LINK_COLOR}, 0.06)`;
+
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1 + 7 * link.strength;
+    ctx.stroke();
+  });
+
+  ctx.font = '12px Inter';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  nodes.forEach(node => {
+    const { x, y } = toCanvas(node, width, height);
+    const radius = nodeRadius(node);
+    const dimmed = focus && focus !== node.name && !links.some(link => touches(link) && (link.a === node.name || link.b === node.name));
+
+    ctx.globalAlpha = dimmed ? 0.3 : 1;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, 2 * Math.PI);
+    ctx.fillStyle = node.color;
+    ctx.fill();
+    ctx.lineWidth = focus === node.name ? 3 : 1.5;
+    ctx.strokeStyle = 'white';
+    ctx.stroke();
+    ctx.fillStyle = TEXT_COLOR;
+    ctx.fillText(node.name, x, y + radius + 4);
+    ctx.globalAlpha = 1;
+  });
+
+  // Key, bottom left
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.strokeStyle = BEST_DUO_COLOR;
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.moveTo(8, height - 12);
+  ctx.lineTo(32, height - 12);
+  ctx.stroke();
+  ctx.fillStyle = TEXT_COLOR;
+  ctx.fillText('Best Duo', 38, height - 12);
+  ctx.fillText('Thicker lines: more replies. Colors: circles of friends.', 100, height - 12);
+};
+
+const NetworkGraph = forwardRef(({ data }, ref) => {
+  const containerRef = useRef(null);
+  const canvasRef = useRef(null);
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [hovered, setHovered] = useState(null);
+  const [pinned, setPinned] = useState(null);
+  const focus = hovered || pinned;
+
+  useImperativeHandle(ref, () => canvasRef.current);
+
+  useEffect(() => {
+    const measure = () => {
+      const container = containerRef.current;
+      if (container) setSize({ width: container.clientWidth, height: container.clientHeight });
+    };
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, []);
+
+  useEffect(() => {
+    if (canvasRef.current && size.width > 0) draw(canvasRef.current, data, size.width, size.height, focus);
+  }, [data, size, focus]);
+
+  const nodeAt = (event) => {
+    const bounds = canvasRef.current.getBoundingClientRect();
+    const px = event.clientX - bounds.left;
+    const py = event.clientY - bounds.top;
+    const hit = data.nodes.find(node => {
+      const { x, y } = toCanvas(node, size.width, size.height);
+      return Math.hypot(px - x, py - y) <= nodeRadius(node) + 4;
+    });
+    return hit ? hit.name : null;
+  };
+
+  const partners = focus
+    ? data.links
+      .filter(link => link.a === focus || link.b === focus)
+      .sort((x, y) => y.weight - x.weight)
+      .slice(0, 3)
+      .map(link => `${link.a === focus ? link.b : link.a} (${link.weight.toLocaleString()})`)
+    : [];
+
+  return (
+    <div ref={containerRef} className="relative w-full h-full">
+      <canvas
+        ref={canvasRef}
+        className="w-full h-full cursor-pointer"
+        onPointerMove={(event) => setHovered(nodeAt(event))}
+        onPointerLeave={() => setHovered(null)}
+        onClick={(event) => {
+          const name = nodeAt(event);
+          setPinned(current => (current === name ? null : name));
+        }}
+      />
+      {focus && (
+        <div className="absolute top-2 left-2 bg-white/90 rounded-md shadow px-3 py-2 text-sm text-gray-700">
+          <span className="font-semibold">{focus}</span>
+          {partners.length > 0 && <> talks most with {partners.join(', ')}</>}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default NetworkGraph;
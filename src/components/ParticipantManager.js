@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { displayName, isExcluded, looksLikePhoneNumber, mergedParticipants } from '../analysis/participants';
+
+// Participant step between upload and analysis: every sender found in the
+// chat with their message count, where users can set display names, merge
+// senders that are the same person and exclude bots. `mapping` is the shape
+// analysis/participants expects; every change goes to `onChange`.
+// `participants` is summarizeTranscript's [{ name, count }] from the chat
+// worker.
+
+const NameInput = ({ sender, value, disabled, onCommit }) => {
+  const [draft, setDraft] = useState(value);
+  useEffect(() => setDraft(value), [value]);
+
+  // No colons: names end up in "[date] Name: message" transcript lines
+  const commit = () => {
+    const name = draft.replace(/:/g, '').trim();
+    if (name !== value) onCommit(name);
+  };
+
+  return (
+    <input
+      type="text"
+      value={draft}
+      placeholder={sender}
+      disabled={disabled}
+      onChange={(event) => setDraft(event.target.value)}
+      onBlur={commit}
+      onKeyDown={(event) => {
+        if (event.key === 'Enter') commit();
+      }}
+      className="w-full px-2 py-1 border border-gray-300 rounded disabled:bg-gray-100 disabled:text-gray-400"
+      aria-label={`Display name for ${sender}`}
+    />
+  );
+};
+
+const ParticipantManager = ({ participants, mapping, busy, onChange }) => {
+  if (participants.length < 2) return null;
+
+  const merged = mergedParticipants(participants, mapping);
+  const update = (sender, changes) => {
+    const entry = { ...mapping[sender], ...changes };
+    Object.keys(entry).forEach(key => {
+      if (!entry[key]) delete entry[key];
+    });
+    const next = { ...mapping, [sender]: entry };
+    if (Object.keys(entry).length === 0) delete next[sender];
+    onChange(next);
+  };
+
+  return (
+    <details className="p-4 bg-white/60 border border-gray-200 rounded-lg text-sm">
+      <summary className="cursor-pointer font-semibold text-gray-700">
+        Participants: {merged.length} {merged.length === 1 ? 'person' : 'people'}
+        {merged.length !== participants.length && ` (from ${participants.length} senders)`}
+        {busy && <span className="font-normal text-gray-500"> · updating...</span>}
+      </summary>
+      <p className="text-gray-500 mt-2 mb-3">
+        Same person under two names (a phone number, a renamed contact, "You")? Merge them. You can also
+        rename people or leave out bots. This applies to every slide.
+      </p>
+
+      <div className="max-h-80 overflow-y-auto">
+        <table className="w-full">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="font-normal pb-1">Sender</th>
+              <th className="font-normal pb-1">Show as</th>
+              <th className="font-normal pb-1">Same person as</th>
+              <th className="font-normal pb-1 text-center">Exclude</th>
+            </tr>
+          </thead>
+          <tbody>
+            {participants.map(({ name, count }) => {
+              const entry = mapping[name] || {};
+              const excluded = isExcluded(mapping, name);
+              return (
+                <tr key={name} className={excluded ? 'text-gray-400' : 'text-gray-700'}>
+                  <td className="py-1 pr-2 align-top">
+                    <div className="font-medium break-all">{name}</div>
+                    <div className="text-xs text-gray-400">
+                      {count.toLocaleString()} messages
+                      {looksLikePhoneNumber(name) && ' · unsaved number?'}
+                    </div>
+                  </td>
+                  <td className="py-1 pr-2 align-top">
+                    <NameInput
+                      sender={name}
+                      value={entry.mergeInto ? displayName(mapping, name) : entry.name || ''}
+                      disabled={Boolean(entry.mergeInto) || excluded}
+                      onCommit={(value) => update(name, { name: value })}
+                    />
+                  </td>
+                  <td className="py-1 pr-2 align-top">
+                    <select
+                      value={entry.mergeInto || ''}
+                      disabled={Boolean(entry.exclude)}
+                      onChange={(event) => update(name, { mergeInto: event.target.value })}
+                      className="w-full px-1 py-1 border border-gray-300 rounded bg-white"
+                      aria-label={`Merge ${name} into`}
+                    >
+                      <option value="">Nobody else</option>
+                      {participants
+                        .filter(other => other.name !== name)
+                        .map(other => (
+                          <option key={other.name} value={other.name}>{displayName(mapping, other.name)}</option>
+                        ))}
+                    </select>
+                  </td>
+                  <td className="py-1 align-top text-center">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(entry.exclude)}
+                      onChange={(event) => update(name, { exclude: event.target.checked })}
+                      className="h-4 w-4 mt-1"
+                      aria-label={`Exclude ${name}`}
+                    />
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </details>
+  );
+};
+
+export default ParticipantManager;
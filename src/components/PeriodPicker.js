@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { PRESETS, rangeKey, validateRange, describePeriod } from '../analysis/periods';
+
+const CUSTOM = 'custom';
+
+// Deck period dropdown: calendar years, quick presets and a custom date range.
+// Presets that need a start date ("since the trip") and custom ranges show
+// date inputs and only call onChange once applied.
+const PeriodPicker = ({ years, span, value, onChange }) => {
+  // Option waiting on dates: a preset id or CUSTOM
+  const [pending, setPending] = useState(null);
+  const [start, setStart] = useState('');
+  const [end, setEnd] = useState('');
+  const [rangeError, setRangeError] = useState(null);
+
+  const resolvedPresets = span
+    ? PRESETS.filter(preset => !preset.needsStart).map(preset => ({ preset, key: preset.resolve(span) }))
+    : [];
+  const isYear = years.some(year => String(year) === String(value));
+  const matchingPreset = resolvedPresets.find(({ key }) => key === String(value));
+  const selectValue = pending
+    ? `pending:${pending}`
+    : isYear ? `year:${value}` : matchingPreset ? `preset:${matchingPreset.preset.id}` : 'current';
+
+  const handleSelect = (option) => {
+    setRangeError(null);
+    const [kind, id] = option.split(':');
+    if (kind === 'year') {
+      setPending(null);
+      onChange(id);
+      return;
+    }
+    if (kind === 'preset') {
+      setPending(null);
+      onChange(PRESETS.find(p => p.id === id).resolve(span));
+      return;
+    }
+    // A custom range or a preset that needs a start date: ask for dates first
+    setPending(id);
+    setStart(span.start);
+    setEnd(span.end);
+  };
+
+  const handleApply = () => {
+    const rangeEnd = pending === CUSTOM ? end : span.end;
+    const problem = validateRange(start, rangeEnd);
+    if (problem) {
+      setRangeError(problem);
+      return;
+    }
+    const key = pending === CUSTOM
+      ? rangeKey(start, rangeEnd)
+      : PRESETS.find(p => p.id === pending).resolve(span, start);
+    setPending(null);
+    onChange(key);
+  };
+
+  const inputClass = 'mt-1 block w-full py-1 px-2 border border-gray-300 bg-white rounded-md text-sm';
+
+  return (
+    <div>
+      <label htmlFor="periodDropdown" className="block text-sm font-medium text-gray-700">
+        Period:
+      </label>
+      <select
+        id="periodDropdown"
+        value={selectValue}
+        onChange={(e) => handleSelect(e.target.value)}
+        className="mt-1 block w-full py-2 px-3 border border-gray-300 bg-white rounded-md shadow-sm
+                   focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+      >
+        {selectValue === 'current' && <option value="current">{describePeriod(value)}</option>}
+        <optgroup label="Years">
+          {years.map(year => (
+            <option key={year} value={`year:${year}`}>{year}</option>
+          ))}
+        </optgroup>
+        {span && (
+          <optgroup label="Ranges">
+            {PRESETS.map(preset => (
+              <option key={preset.id} value={preset.needsStart ? `pending:${preset.id}` : `preset:${preset.id}`}>
+                {preset.label}
+              </option>
+            ))}
+            <option value={`pending:${CUSTOM}`}>Custom range...</option>
+          </optgroup>
+        )}
+      </select>
+
+      {pending && (
+        <div className="mt-2 space-y-1">
+          <label className="block text-xs text-gray-600">
+            {pending === CUSTOM ? 'From' : 'Starting'}
+            <input
+              type="date"
+              value={start}
+              min={span.start}
+              max={span.end}
+              onChange={(e) => setStart(e.target.value)}
+              className={inputClass}
+            />
+          </label>
+          {pending === CUSTOM && (
+            <label className="block text-xs text-gray-600">
+              To
+              <input
+                type="date"
+                value={end}
+                min={span.start}
+                max={span.end}
+                onChange={(e) => setEnd(e.target.value)}
+                className={inputClass}
+              />
+            </label>
+          )}
+          {rangeError && <p className="text-xs text-red-600">{rangeError}</p>}
+          <div className="flex space-x-2 pt-1">
+            <button onClick={handleApply} className="px-3 py-1 bg-blue-600 text-white rounded-md text-sm hover:bg-blue-700">
+              Apply
+            </button>
+            <button
+              onClick={() => { setPending(null); setRangeError(null); }}
+              className="px-3 py-1 text-gray-600 text-sm hover:text-gray-800"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PeriodPicker;
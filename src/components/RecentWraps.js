@@ -0,0 +1,45 @@
+import React from 'react';
+import { Trash2 } from 'lucide-react';
+import { describePeriod } from '../analysis/periods';
+
+const formatSavedAt = (timestamp) =>
+  new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Upload screen list of wraps saved on this device, with open and delete
+const RecentWraps = ({ wraps, onOpen, onDelete }) => {
+  if (!wraps || wraps.length === 0) return null;
+
+  return (
+    <div className="mt-8">
+      <h2 className="text-lg font-semibold mb-1">Recent wraps</h2>
+      <p className="text-gray-500 text-sm mb-3">Saved on this device only. Delete them any time.</p>
+      <ul className="space-y-2">
+        {wraps.map(wrap => (
+          <li key={wrap.id} className="flex items-center border border-gray-200 rounded-lg bg-white/60">
+            <button
+              onClick={() => onOpen(wrap.id)}
+              className="flex-1 text-left px-4 py-3 hover:bg-white rounded-l-lg transition-colors"
+            >
+              <div className="font-medium">{wrap.groupName}</div>
+              <div className="text-xs text-gray-500">
+                {wrap.years.map(describePeriod).join(', ')}
+                {wrap.aiSummaries ? ' · AI summaries' : ''}
+                {' · saved '}{formatSavedAt(wrap.savedAt)}
+              </div>
+            </button>
+            <button
+              onClick={() => onDelete(wrap.id)}
+              className="p-3 text-gray-400 hover:text-red-600 transition-colors"
+              title="Delete this saved wrap"
+              aria-label={`Delete saved wrap for ${wrap.groupName}`}
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default RecentWraps;
@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+
+// Privacy step on the upload screen: whether to anonymize the transcript
+// before it's sent for analysis, custom terms to redact, whether to send
+// metadata rows instead of the transcript, and a preview of what actually
+// leaves the browser. `redactions`, `pseudonyms` and `minimized` come from the
+// chat worker (see analysis/anonymize and analysis/minimize).
+
+const PREVIEW_NAMES = 8;
+const REPLACED = /(\[(?:phone|email|address|redacted)\]|\bMember \d+\b)/;
+
+const COUNT_LABELS = [
+  ['names', 'name mention', 'name mentions'],
+  ['phones', 'phone number', 'phone numbers'],
+  ['emails', 'email', 'emails'],
+  ['addresses', 'address', 'addresses'],
+  ['terms', 'custom term', 'custom terms']
+];
+
+const describeCounts = (counts) => {
+  const parts = COUNT_LABELS
+    .filter(([key]) => counts[key] > 0)
+    .map(([key, one, many]) => `${counts[key].toLocaleString()} ${counts[key] === 1 ? one : many}`);
+  return parts.length > 0 ? `Replaced ${parts.join(', ')}.` : 'Nothing to scrub besides sender names.';
+};
+
+// Replaced bits highlighted, so it's obvious what was taken out
+const Highlighted = ({ text }) => text.split(REPLACED).map((part, i) => (
+  i % 2 === 1
+    ? <mark key={i} className="bg-yellow-100 text-yellow-800 rounded px-0.5">{part}</mark>
+    : <React.Fragment key={i}>{part}</React.Fragment>
+));
+
+const RedactionPreview = ({ options, pseudonyms, redactions, minimized, busy, onChange }) => {
+  const [term, setTerm] = useState('');
+
+  const addTerm = () => {
+    const value = term.trim();
+    setTerm('');
+    if (value && !options.terms.includes(value)) onChange({ ...options, terms: [...options.terms, value] });
+  };
+  const removeTerm = (value) => onChange({ ...options, terms: options.terms.filter(t => t !== value) });
+
+  const names = Object.entries(pseudonyms || {});
+
+  return (
+    <div className="p-4 bg-white/60 border border-gray-200 rounded-lg space-y-3 text-sm">
+      <div className="flex items-center space-x-2">
+        <input
+          type="checkbox"
+          id="anonymizeCheckbox"
+          checked={options.anonymize}
+          onChange={(event) => onChange({ ...options, anonymize: event.target.checked })}
+          className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+        />
+        <label htmlFor="anonymizeCheckbox" className="text-gray-700">
+          Anonymize before sending: names become pseudonyms and phone numbers, emails and addresses are removed
+          in your browser. Real names are put back when your results arrive.
+        </label>
+      </div>
+
+      <div className="flex items-center space-x-2">
+        <input
+          type="checkbox"
+          id="minimizeCheckbox"
+          checked={options.minimize}
+          onChange={(event) => onChange({ ...options, minimize: event.target.checked })}
+          className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+        />
+        <label htmlFor="minimizeCheckbox" className="text-gray-700">
+          Send as little as possible: just who sent each message, when, and how long it was, with no message text.
+          With AI summaries on, the messages from the few days being summarized are still sent.
+        </label>
+      </div>
+
+      {busy && <p className="text-gray-500">Updating the preview...</p>}
+
+      {!busy && options.minimize && minimized && (
+        <details>
+          <summary className="cursor-pointer font-semibold text-gray-700">
+            Preview the {minimized.rows.toLocaleString()} metadata rows
+          </summary>
+          <ul className="mt-2 space-y-1 font-mono text-xs bg-gray-50 rounded p-2">
+            {minimized.preview.map((row, idx) => (
+              <li key={idx} className="break-words">{JSON.stringify(row)}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {options.anonymize && (
+        <>
+          <div>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={term}
+                placeholder="Also remove... (a nickname, a workplace)"
+                onChange={(event) => setTerm(event.target.value)}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter') addTerm();
+                }}
+                className="flex-1 px-2 py-1 border border-gray-300 rounded"
+                aria-label="Custom term to redact"
+              />
+              <button
+                onClick={addTerm}
+                disabled={!term.trim()}
+                className="px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50"
+              >
+                Add
+              </button>
+            </div>
+            {options.terms.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {options.terms.map(value => (
+                  <span key={value} className="px-2 py-0.5 bg-gray-100 text-gray-700 rounded-full">
+                    {value}{' '}
+                    <button onClick={() => removeTerm(value)} className="text-gray-400 hover:text-gray-700" aria-label={`Stop redacting ${value}`}>
+                      ×
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {!busy && redactions && (
+            <details>
+              <summary className="cursor-pointer font-semibold text-gray-700">
+                {options.minimize ? 'Preview the anonymized messages' : 'Preview what gets sent'}
+              </summary>
+              <p className="text-gray-500 mt-2">{describeCounts(redactions.counts)}</p>
+              {names.length > 0 && (
+                <p className="text-gray-500 mt-1">
+                  {names.slice(0, PREVIEW_NAMES).map(([pseudonym, name]) => `${name} → ${pseudonym}`).join(', ')}
+                  {names.length > PREVIEW_NAMES && `, +${names.length - PREVIEW_NAMES} more`}
+                </p>
+              )}
+              <ul className="mt-2 space-y-1 font-mono text-xs bg-gray-50 rounded p-2">
+                {redactions.preview.map((line, idx) => (
+                  <li key={idx} className="break-words">
+                    <strong><Highlighted text={line.sender} />:</strong> <Highlighted text={line.message} />
+                  </li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RedactionPreview;
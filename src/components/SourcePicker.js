@@ -0,0 +1,19 @@
+import React from 'react';
+
+// Upload screen option list, one button per registered chat source
+const SourcePicker = ({ sources, onSelect }) => (
+  <div className="space-y-4">
+    {sources.map(source => (
+      <button
+        key={source.id}
+        onClick={() => onSelect(source.id)}
+        className="w-full p-6 text-left border-2 border-dashed border-gray-300 rounded-lg hover:border-blue-500 transition-colors"
+      >
+        <h2 className="text-xl font-semibold mb-2">{source.label}</h2>
+        <p className="text-gray-600">{source.description}</p>
+      </button>
+    ))}
+  </div>
+);
+
+export default SourcePicker;
@@ -0,0 +1,58 @@
+import React from 'react';
+import ChatDropZone from './ChatDropZone';
+import ChatPreview from './ChatPreview';
+import { acceptAttribute } from '../sources';
+import { summarizeAttachments } from '../parsers/chatFile';
+
+const describeAttachments = (chatFile) => {
+  if (!chatFile || !chatFile.attachments || chatFile.attachments.length === 0) return null;
+  const counts = Object.entries(summarizeAttachments(chatFile.attachments))
+    .map(([kind, count]) => `${count} ${kind}`)
+    .join(', ');
+  return `Found ${chatFile.transcriptName} and ${chatFile.attachments.length} attachments (${counts})`;
+};
+
+// Instructions, drop zone and preview for one chat source. Sources that bring
+// their own UI (e.g. a live connector) render their component instead.
+const SourceUpload = ({ source, selectedFile, chatFile, chatSummary, isReadingFile, progressText, onFile, onCancel, children }) => {
+  if (source.component) {
+    const Component = source.component;
+    return <Component />;
+  }
+
+  const { instructions } = source;
+
+  return (
+    <div className="space-y-4">
+      {instructions && (
+        <p className="text-gray-600" align="center">
+          <a
+            href={instructions.href}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            {instructions.linkText}
+          </a>{' '}
+          {instructions.note}
+        </p>
+      )}
+      <ChatDropZone
+        accept={acceptAttribute(source)}
+        label={source.dropLabel}
+        fileName={isReadingFile ? `${selectedFile?.name}: ${progressText || 'Reading...'}` : selectedFile?.name}
+        detail={describeAttachments(chatFile)}
+        onFile={onFile}
+        disabled={isReadingFile}
+      />
+      {isReadingFile && onCancel && (
+        <button onClick={onCancel} className="w-full text-sm text-gray-600 hover:text-gray-800">
+          Cancel
+        </button>
+      )}
+      {chatSummary && <ChatPreview summary={chatSummary} />}
+      {children}
+    </div>
+  );
+};
+
+export default SourceUpload;
@@ -0,0 +1,188 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Download, Upload, X } from 'lucide-react';
+import { newTrackerId, validateTracker, serializeTrackers, parseTrackers } from '../analysis/trackers';
+
+// Custom keyword trackers: create, edit and delete them, and share them as a
+// JSON file. Every change goes to `onChange` with the full list; `unsaved`
+// says the browser wouldn't store them, so exporting is the only way to keep
+// them.
+
+const EMPTY_DRAFT = { id: null, name: '', terms: '' };
+
+const downloadJson = (text, filename) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const TrackerManager = ({ trackers, unsaved, onChange, onClose }) => {
+  // The tracker being edited, with terms as one per line
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [problem, setProblem] = useState(null);
+  const [importNote, setImportNote] = useState(null);
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  const saveDraft = () => {
+    const tracker = {
+      id: draft.id || newTrackerId(),
+      name: draft.name.trim(),
+      terms: draft.terms.split('\n').map(term => term.trim()).filter(Boolean)
+    };
+    const error = validateTracker(tracker);
+    if (error) {
+      setProblem(error);
+      return;
+    }
+    onChange(trackers.some(existing => existing.id === tracker.id)
+      ? trackers.map(existing => (existing.id === tracker.id ? tracker : existing))
+      : [...trackers, tracker]);
+    setDraft(EMPTY_DRAFT);
+    setProblem(null);
+  };
+
+  // Imported trackers replace ones with the same name
+  const handleImport = async (file) => {
+    if (!file) return;
+    try {
+      const imported = parseTrackers(await file.text());
+      const names = new Set(imported.map(tracker => tracker.name.toLowerCase()));
+      onChange([...trackers.filter(tracker => !names.has(tracker.name.toLowerCase())), ...imported]);
+      setImportNote(`Imported ${imported.length} ${imported.length === 1 ? 'tracker' : 'trackers'}.`);
+    } catch (error) {
+      setImportNote(error.message);
+    } finally {
+      fileRef.current.value = '';
+    }
+  };
+
+  const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded text-sm';
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 overflow-y-auto" onClick={onClose}>
+      <div className="min-h-full flex items-center justify-center p-4">
+        <div className="relative w-full max-w-xl bg-white rounded-xl shadow-xl p-6 space-y-4" onClick={(event) => event.stopPropagation()}>
+          <div className="flex justify-between items-center">
+            <h2 className="text-xl font-bold">Keyword trackers</h2>
+            <button onClick={onClose} className="p-1 text-gray-600 hover:text-gray-800" aria-label="Close">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <p className="text-sm text-gray-600">
+            Track your group's inside jokes, a team, or any topic. Each tracker gets two slides: who brings it up
+            most, and how often it came up each month.
+          </p>
+
+          {trackers.length > 0 && (
+            <ul className="divide-y border rounded-lg">
+              {trackers.map(tracker => (
+                <li key={tracker.id} className="p-3 flex justify-between gap-3">
+                  <div className="min-w-0">
+                    <div className="font-semibold text-gray-800">{tracker.name}</div>
+                    <div className="text-xs text-gray-500 break-words">{tracker.terms.join(', ')}</div>
+                  </div>
+                  <div className="flex-shrink-0 space-x-3 text-sm">
+                    <button
+                      onClick={() => {
+                        setDraft({ id: tracker.id, name: tracker.name, terms: tracker.terms.join('\n') });
+                        setProblem(null);
+                      }}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => onChange(trackers.filter(existing => existing.id !== tracker.id))}
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-gray-700">{draft.id ? `Edit ${draft.name || 'tracker'}` : 'New tracker'}</h3>
+            <input
+              type="text"
+              value={draft.name}
+              placeholder='Name, e.g. "Crypto talk"'
+              onChange={(event) => setDraft({ ...draft, name: event.target.value })}
+              className={inputClass}
+              aria-label="Tracker name"
+            />
+            <textarea
+              value={draft.terms}
+              rows={4}
+              placeholder={'One keyword per line:\nbitcoin\ncrypto*\n/to the moo+n/i'}
+              onChange={(event) => setDraft({ ...draft, terms: event.target.value })}
+              className={`${inputClass} font-mono`}
+              aria-label="Tracker keywords"
+            />
+            <p className="text-xs text-gray-500">
+              Keywords match whole words, ignoring case. End one with * to match any ending, or write a regex
+              between slashes.
+            </p>
+            {problem && <p className="text-sm text-red-600">{problem}</p>}
+            <div className="flex gap-2">
+              <button onClick={saveDraft} className="px-4 py-1.5 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700">
+                {draft.id ? 'Save changes' : 'Add tracker'}
+              </button>
+              {draft.id && (
+                <button
+                  onClick={() => {
+                    setDraft(EMPTY_DRAFT);
+                    setProblem(null);
+                  }}
+                  className="px-3 py-1.5 text-gray-600 text-sm hover:text-gray-800"
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3 pt-2 border-t text-sm">
+            <button
+              onClick={() => downloadJson(serializeTrackers(trackers), 'groupchat-trackers.json')}
+              disabled={trackers.length === 0}
+              className="flex items-center gap-1 text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+            >
+              <Download className="w-4 h-4" /> Export as JSON
+            </button>
+            <button onClick={() => fileRef.current.click()} className="flex items-center gap-1 text-blue-600 hover:text-blue-800">
+              <Upload className="w-4 h-4" /> Import JSON
+            </button>
+            <input
+              ref={fileRef}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(event) => handleImport(event.target.files[0])}
+            />
+          </div>
+          {importNote && <p className="text-sm text-gray-600">{importNote}</p>}
+          {unsaved && (
+            <p className="text-sm text-yellow-700">
+              This browser won't save trackers, so they'll be gone when you close the page. Export them to keep them.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TrackerManager;
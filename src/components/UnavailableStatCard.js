@@ -0,0 +1,17 @@
+import React from 'react';
+
+// Stand-in slide for a section whose data came back malformed
+const UnavailableStatCard = ({ title, isVisible }) => (
+  <div className={`transition-all duration-700 ${isVisible ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-20'}`}>
+    <div className="bg-white/50 backdrop-blur-sm shadow-xl w-full max-w-4xl mx-auto rounded-xl">
+      <div className="p-8 text-center">
+        <h2 className="text-2xl font-bold mb-4">{title}</h2>
+        <p className="text-gray-500">
+          This stat couldn't be computed for your chat. Keep scrolling, the rest of your Wrapped is still here.
+        </p>
+      </div>
+    </div>
+  </div>
+);
+
+export default UnavailableStatCard;
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+import { getConnectorApiUrl } from '../api/config';
+
+// Live WhatsApp connection through the QR-code connector service
+const WhatsAppConnector = ({ onChatSelected }) => {
+  const [sessionId, setSessionId] = useState(null);
+  const [qrCode, setQrCode] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+
+  const initializeConnection = async () => {
+    console.log('Initializing WhatsApp connection...');
+    try {
+      setStatus('connecting');
+      const response = await fetch(`${getConnectorApiUrl()}/connect-whatsapp`, {
+        method: 'POST'
+      });
+      
+      if (!response.ok) throw new Error('Failed to connect to WhatsApp');
+      
+      const data = await response.json();
+      console.log('WhatsApp connect response:', data);
+      
+      if (data.qrCode && data.sessionId) {
+        setQrCode(data.qrCode);
+        setSessionId(data.sessionId);
+        setStatus('awaiting_scan');
+      } else {
+        throw new Error('No QR code or sessionId returned');
+      }
+    } catch (error) {
+      console.error('WhatsApp connect error:', error);
+      setError(error.message);
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {error && (
+        <div className="p-4 bg-red-50 text-red-700 rounded-lg">
+          {error}
+        </div>
+      )}
+
+      {qrCode ? (
+        <div className="text-center">
+          <img 
+            src={`data:image/png;base64,${qrCode}`} 
+            alt="WhatsApp QR Code"
+            className="mx-auto mb-4"
+          />
+          <p className="text-sm text-gray-600">
+            Scan this QR code with WhatsApp
+          </p>
+        </div>
+      ) : (
+        <button
+          onClick={initializeConnection}
+          disabled={status === 'connecting'}
+          className="w-full px-4 py-3 bg-green-600 text-white rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-green-700 transition-colors"
+        >
+          {status === 'connecting' ? 'Connecting...' : 'Connect to WhatsApp'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default WhatsAppConnector;
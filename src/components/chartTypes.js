@@ -0,0 +1,252 @@
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  RadialLinearScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  ArcElement,
+  Filler,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Bar, Line, Doughnut, Radar, Scatter } from 'react-chartjs-2';
+import { formatHour } from '../analysis/engine';
+import { heatColor } from '../slides/transforms';
+import NetworkGraph from './NetworkGraph';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  RadialLinearScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  ArcElement,
+  Filler,
+  Title,
+  Tooltip,
+  Legend
+);
+
+// Chart types AnimatedChart can draw, keyed by deck item `type`:
+//   component  react-chartjs-2 chart, or our own canvas-drawn one taking the
+//              same props
+//   options    (chart item) -> chart.js options
+//   plugins    inline plugins; anything the PNG export needs (labels, scales)
+//              is drawn onto the canvas rather than as HTML around it
+//   frame      classes for the chart's box
+
+const FONT = { family: 'Inter' };
+const LABEL_COLOR = '#4B5563';
+
+const baseOptions = {
+  responsive: true,
+  maintainAspectRatio: true,
+  plugins: {
+    legend: {
+      position: 'top',
+      labels: { font: FONT }
+    }
+  },
+  animation: {
+    duration: 1000,
+    easing: 'easeInOutQuart'
+  }
+};
+
+const axisOptions = () => ({
+  ...baseOptions,
+  scales: {
+    x: {
+      type: 'category',
+      display: true,
+    },
+    y: {
+      type: 'linear',
+      display: true,
+    }
+  }
+});
+
+// "Quiet -> Busy" color key under the heatmap
+const heatmapScalePlugin = {
+  id: 'heatmapScale',
+  afterDraw: (chart) => {
+    const { ctx, chartArea } = chart;
+    const width = 120;
+    const height = 8;
+    const x = chartArea.right - width;
+    const y = chart.height - height - 4;
+    const gradient = ctx.createLinearGradient(x, 0, x + width, 0);
+    [0, 0.5, 1].forEach(stop => gradient.addColorStop(stop, heatColor(stop)));
+
+    ctx.save();
+    ctx.fillStyle = gradient;
+    ctx.fillRect(x, y, width, height);
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.font = '12px Inter';
+    ctx.textBaseline = 'middle';
+    ctx.textAlign = 'right';
+    ctx.fillText('Quiet', x - 6, y + height / 2);
+    ctx.textAlign = 'left';
+    ctx.fillText('Busy', x + width + 6, y + height / 2);
+    ctx.restore();
+  }
+};
+
+// Member names next to scatter points (tooltips don't make it into exports)
+const pointLabelsPlugin = {
+  id: 'pointLabels',
+  afterDatasetsDraw: (chart) => {
+    const { ctx } = chart;
+    ctx.save();
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.font = '12px Inter';
+    ctx.textBaseline = 'middle';
+    chart.data.datasets.forEach((dataset, datasetIndex) => {
+      chart.getDatasetMeta(datasetIndex).data.forEach((point, index) => {
+        const label = dataset.data[index]?.label;
+        if (label) ctx.fillText(label, point.x + 9, point.y);
+      });
+    });
+    ctx.restore();
+  }
+};
+
+const CHART_TYPES = {
+  Bar: { component: Bar, options: axisOptions },
+  Line: { component: Line, options: axisOptions },
+  StackedBar: {
+    component: Bar,
+    options: () => ({
+      ...baseOptions,
+      scales: {
+        x: { type: 'category', stacked: true },
+        y: { type: 'linear', stacked: true }
+      }
+    })
+  },
+
+  // A stacked horizontal bar per day with one segment per hour (see
+  // slides/transforms activityHeatmap)
+  Heatmap: {
+    component: Bar,
+    plugins: [heatmapScalePlugin],
+    options: () => ({
+      ...baseOptions,
+      indexAxis: 'y',
+      layout: { padding: { bottom: 16 } },
+      scales: {
+        x: {
+          type: 'linear',
+          stacked: true,
+          min: 0,
+          max: 24,
+          grid: { display: false },
+          ticks: { stepSize: 3, callback: (hour) => formatHour(hour) }
+        },
+        y: { type: 'category', stacked: true, grid: { display: false } }
+      },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            title: (items) => `${items[0].label}s, ${formatHour(items[0].dataset.hour)}`,
+            label: (item) => `${item.dataset.counts[item.dataIndex].toLocaleString()} messages`
+          }
+        }
+      }
+    })
+  },
+
+  Doughnut: {
+    component: Doughnut,
+    frame: 'w-full max-w-xl mx-auto aspect-square',
+    options: () => ({
+      ...baseOptions,
+      plugins: {
+        legend: { position: 'right', labels: { font: FONT } },
+        tooltip: {
+          callbacks: {
+            label: (item) => {
+              const total = item.dataset.data.reduce((sum, n) => sum + n, 0);
+              return `${item.label}: ${item.raw.toLocaleString()} (${Math.round((item.raw / total) * 100)}%)`;
+            }
+          }
+        }
+      }
+    })
+  },
+
+  Radar: {
+    component: Radar,
+    frame: 'w-full max-w-xl mx-auto aspect-square',
+    options: () => ({
+      ...baseOptions,
+      scales: {
+        r: {
+          min: 0,
+          max: 100,
+          ticks: { display: false },
+          pointLabels: { font: { ...FONT, size: 13 } }
+        }
+      },
+      plugins: {
+        ...baseOptions.plugins,
+        tooltip: {
+          callbacks: {
+            label: (item) => `${item.dataset.label}: ${item.dataset.actual?.[item.dataIndex] ?? item.raw}`
+          }
+        }
+      }
+    })
+  },
+
+  Scatter: {
+    component: Scatter,
+    plugins: [pointLabelsPlugin],
+    options: (chart) => ({
+      ...baseOptions,
+      scales: {
+        x: { type: 'linear', title: { display: Boolean(chart.axes?.x), text: chart.axes?.x, font: FONT } },
+        y: { type: 'linear', title: { display: Boolean(chart.axes?.y), text: chart.axes?.y, font: FONT } }
+      },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: (item) => `${item.raw.label}: ${item.raw.x}, ${item.raw.y}`
+          }
+        }
+      }
+    })
+  },
+
+  // Drawn by NetworkGraph, not chart.js; it only reads `data`
+  Network: {
+    component: NetworkGraph,
+    options: () => ({})
+  }
+};
+
+// The member a click on a chart.js chart points at, if any: a bar or its
+// axis label, a doughnut slice, a line or radar series, a scatter point.
+// `members` is the set of names that count.
+const memberAt = (chart, event, elements, members) => {
+  const candidates = [];
+  if (elements.length > 0) {
+    const { datasetIndex, index } = elements[0];
+    const dataset = chart.data.datasets[datasetIndex];
+    candidates.push(dataset.data[index]?.label, chart.data.labels?.[index], dataset.label);
+  }
+  const axis = chart.scales?.x;
+  if (axis && axis.type === 'category' && event.y >= axis.top && event.y <= axis.bottom) {
+    candidates.push(chart.data.labels?.[axis.getValueForPixel(event.x)]);
+  }
+  return candidates.map(String).find(name => members.has(name)) || null;
+};
+
+export { CHART_TYPES, memberAt };
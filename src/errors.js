@@ -0,0 +1,13 @@
+// Shared error types
+
+// A request the user (or a newer request) cancelled. Callers usually just drop these.
+class CancelledError extends Error {
+  constructor(message = 'Cancelled') {
+    super(message);
+    this.name = 'CancelledError';
+  }
+}
+
+const isCancelled = (error) => error instanceof CancelledError || error?.name === 'CancelledError';
+
+export { CancelledError, isCancelled };
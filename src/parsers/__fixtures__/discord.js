@@ -0,0 +1,62 @@
+// DiscordChatExporter exports for the parser tests
+
+const JSON_EXPORT = {
+  guild: { id: '1', name: 'Friends' },
+  channel: { id: '2', type: 'GuildTextChat', name: 'road-trip' },
+  messages: [
+    {
+      id: '10',
+      type: 'GuildMemberJoin',
+      timestamp: '2023-12-28T09:15:02+00:00',
+      content: 'Joined the server.',
+      author: { id: '101', name: 'alice', nickname: 'Alice', isBot: false }
+    },
+    {
+      id: '11',
+      type: 'Default',
+      timestamp: '2023-12-28T09:16:40+00:00',
+      content: 'Who is in for the road trip?',
+      author: { id: '101', name: 'alice', nickname: 'Alice', isBot: false },
+      attachments: [],
+      stickers: []
+    },
+    {
+      id: '12',
+      type: 'Reply',
+      timestamp: '2023-12-28T09:17:05+00:00',
+      content: 'me, look at this car',
+      author: { id: '102', name: 'bob', isBot: false },
+      attachments: [{ id: '1', url: 'https://cdn.example/car.png', fileName: 'car.png' }],
+      stickers: [],
+      reactions: [
+        { emoji: { id: '', name: '🔥', code: 'fire', isAnimated: false }, count: 2, users: [{ id: '101', name: 'alice', nickname: 'Alice' }, { id: '103', name: 'carol' }] },
+        { emoji: { id: '777', name: 'vroom', code: 'vroom', isAnimated: false }, count: 1 }
+      ]
+    },
+    {
+      id: '13',
+      type: 'Default',
+      timestamp: '2023-12-28T09:17:30+00:00',
+      content: '',
+      author: { id: '103', name: 'carol', nickname: 'Carol', isBot: false },
+      attachments: [],
+      stickers: [{ id: '5', name: 'thumbs up' }]
+    },
+    {
+      id: '14',
+      type: 'Default',
+      timestamp: '2023-12-28T09:18:00+00:00',
+      content: 'Reminder: road trip in 3 days',
+      author: { id: '900', name: 'RemindBot', isBot: true }
+    }
+  ]
+};
+
+const CSV_EXPORT = [
+  '"AuthorID","Author","Date","Content","Attachments","Reactions"',
+  '"101","alice","2023-12-28T09:16:40+00:00","Who is in for the road trip?","",""',
+  '"102","bob","2023-12-28T09:17:05+00:00","me, obviously.\nCan we leave ""early""?","https://cdn.example/car.png,https://cdn.example/route.pdf","👍 (2),vroom (1)"',
+  '"103","carol","2023-12-28T09:17:30+00:00","","https://cdn.example/dance.gif",""'
+].join('\r\n');
+
+export { JSON_EXPORT, CSV_EXPORT };
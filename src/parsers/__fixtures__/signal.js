@@ -0,0 +1,14 @@
+// Signal backup tool output for the parser tests: signalbackup-tools'
+// bracketed headers mixed with signal-export's dashed ones
+
+const SIGNAL_BACKUP = [
+  '[2024-01-03 18:20:00] Alice created the group.',
+  '[2024-01-03 18:22:10] Alice: see you there',
+  '[2024-01-03 18:23] Bob: ![photo](media/2024-01-03_18-23.jpg)',
+  '2024-01-03 18:24:02 - Carol: multi-line',
+  'messages continue here',
+  '',
+  '[2024-01-03 18:25:00] Bob: voice memo ![voice](media/note.m4a) and a time: 8pm'
+].join('\r\n');
+
+export { SIGNAL_BACKUP };
@@ -0,0 +1,43 @@
+// A Slack workspace export, as the users.json and per-day channel files hold it
+
+const USERS = [
+  { id: 'U01', name: 'alice', real_name: 'Alice Smith', profile: { display_name: 'Alice', real_name: 'Alice Smith' } },
+  { id: 'U02', name: 'bob', real_name: 'Bob Jones', profile: { display_name: '', real_name: 'Bob Jones' } }
+];
+
+const GENERAL_DAY = [
+  { type: 'message', subtype: 'channel_join', user: 'U02', text: '<@U02> has joined the channel', ts: '1703754902.000100' },
+  {
+    type: 'message',
+    user: 'U01',
+    text: 'Who is in, <@U02>? Plan is on <https://example.com/plan|the doc> &amp; <#C02|random>',
+    ts: '1703755000.000200'
+  },
+  {
+    type: 'message',
+    user: 'U02',
+    text: 'the view',
+    files: [{ id: 'F1', name: 'view.jpg', mimetype: 'image/jpeg' }],
+    reactions: [
+      { name: 'heart_eyes', users: ['U01'], count: 1 },
+      { name: '+1', users: ['U01'], count: 1 },
+      { name: '+1::skin-tone-3', users: ['U03'], count: 1 },
+      { name: 'partyparrot', users: ['U01', 'U03'], count: 2 }
+    ],
+    ts: '1703755025.000300'
+  },
+  { type: 'message', subtype: 'bot_message', bot_id: 'B1', username: 'standup', text: 'Standup time!', ts: '1703755100.000400' }
+];
+
+const RANDOM_DAY = [
+  {
+    type: 'message',
+    user: 'U03',
+    user_profile: { display_name: 'Carol', real_name: 'Carol White' },
+    text: '',
+    files: [{ id: 'F2', subtype: 'slack_audio', mimetype: 'audio/webm' }],
+    ts: '1703754000.000100'
+  }
+];
+
+export { USERS, GENERAL_DAY, RANDOM_DAY };
@@ -0,0 +1,138 @@
+// Telegram Desktop result.json exports for the parser tests
+
+// One group chat: formatted text, media with and without captions, a poll,
+// reactions, service messages and two deleted accounts
+const GROUP_EXPORT = {
+  name: 'Road trip',
+  type: 'private_group',
+  id: 4242,
+  messages: [
+    {
+      id: 1,
+      type: 'service',
+      date: '2023-12-28T09:15:02',
+      date_unixtime: '1703754902',
+      actor: 'Alice Smith',
+      actor_id: 'user101',
+      action: 'create_group',
+      title: 'Road trip',
+      text: ''
+    },
+    {
+      id: 2,
+      type: 'message',
+      date: '2023-12-28T09:16:40',
+      date_unixtime: '1703755000',
+      from: 'Alice Smith',
+      from_id: 'user101',
+      text: ['Who is in for the ', { type: 'bold', text: 'road trip' }, '?']
+    },
+    {
+      id: 3,
+      type: 'message',
+      date: '2023-12-28T09:17:05',
+      date_unixtime: '1703755025',
+      from: 'Bob',
+      from_id: 'user102',
+      file: '(File not included. Change data exporting settings to download.)',
+      media_type: 'sticker',
+      sticker_emoji: '👍',
+      text: ''
+    },
+    {
+      id: 4,
+      type: 'message',
+      date: '2023-12-30T21:03:11',
+      date_unixtime: '1703970191',
+      from: 'Carol',
+      from_id: 'user103',
+      photo: '(File not included. Change data exporting settings to download.)',
+      width: 1280,
+      height: 960,
+      text: 'the view from the top'
+    },
+    {
+      id: 5,
+      type: 'message',
+      date: '2023-12-31T10:00:00',
+      date_unixtime: '1704016800',
+      from: 'Alice Smith',
+      from_id: 'user101',
+      poll: { question: 'Leave at 7?', closed: false, answers: [] },
+      text: ''
+    },
+    {
+      id: 6,
+      type: 'message',
+      date: '2023-12-31T12:00:00',
+      date_unixtime: '1704024000',
+      from: null,
+      from_id: 'user104',
+      text: 'I left already'
+    },
+    {
+      id: 7,
+      type: 'message',
+      date: '2023-12-31T12:01:00',
+      date_unixtime: '1704024060',
+      from: null,
+      from_id: 'user105',
+      text: 'me too'
+    },
+    {
+      id: 8,
+      type: 'message',
+      date: '2023-12-31T23:59:59',
+      date_unixtime: '1704067199',
+      from: 'Alice Smith',
+      from_id: 'user101',
+      text: 'Happy new year 🎉',
+      reactions: [
+        {
+          type: 'emoji',
+          count: 3,
+          emoji: '🎉',
+          recent: [
+            { from: 'Carol', from_id: 'user103', date: '2024-01-01T00:00:05' },
+            { from: 'Bob', from_id: 'user102', date: '2024-01-01T00:00:02' }
+          ]
+        },
+        { type: 'custom_emoji', count: 1, document_id: '5431' }
+      ]
+    },
+    {
+      id: 9,
+      type: 'service',
+      date: '2024-01-01T00:10:00',
+      date_unixtime: '1704067800',
+      actor: 'Bob',
+      actor_id: 'user102',
+      action: 'pin_message',
+      message_id: 8,
+      text: ''
+    }
+  ]
+};
+
+// A full account export: every chat, of which the busiest group is analyzed
+const ACCOUNT_EXPORT = {
+  about: 'Here is the data you requested.',
+  chats: {
+    about: 'This page lists all chats from this export.',
+    list: [
+      {
+        name: 'Saved Messages',
+        type: 'saved_messages',
+        messages: [1, 2, 3].map(id => ({ id, type: 'message', date: '2024-01-02T08:00:00', from: 'Me', text: 'note' }))
+      },
+      GROUP_EXPORT,
+      {
+        name: 'Book club',
+        type: 'private_supergroup',
+        messages: [{ id: 1, type: 'message', date: '2024-01-02T08:00:00', from: 'Dana', text: 'chapter 3?' }]
+      }
+    ]
+  }
+};
+
+export { GROUP_EXPORT, ACCOUNT_EXPORT };
@@ -0,0 +1,36 @@
+// WhatsApp exports for the parser tests, one per flavor. Invisible marks are
+// written as escapes so they survive editors.
+
+// iPhone: [DD/MM/YYYY, HH:MM:SS], system notices marked with U+200E
+const IOS_24H_DMY = [
+  '[28/12/2023, 09:15:02] Group Chat: \u200eMessages and calls are end-to-end encrypted. No one outside of this chat, not even WhatsApp, can read or listen to them.',
+  '[28/12/2023, 09:15:02] Alice Smith: \u200eAlice Smith created group "Road trip"',
+  '[28/12/2023, 09:16:40] Alice Smith: Who is in for the road trip?',
+  '[28/12/2023, 09:17:05] ~ Bob: Me!',
+  'Can we leave early though',
+  'like 7am',
+  '[30/12/2023, 21:03:11] Carol: \u200eimage omitted',
+  '[31/12/2023, 23:59:59] Alice Smith: Happy new year 🎉'
+].join('\n');
+
+// Android: M/D/YY, h:mm AM - ..., notices without a sender
+const ANDROID_12H_MDY = [
+  '12/28/23, 9:15 AM - Messages and calls are end-to-end encrypted. No one outside of this chat, not even WhatsApp, can read or listen to them. Tap to learn more.',
+  '12/28/23, 9:15 AM - Alice created group "Road trip"',
+  '12/28/23, 9:16 AM - Alice: Who is in for the road trip?',
+  '12/28/23, 12:05 PM - Bob: Me!',
+  'Can we leave early though',
+  '12/31/23, 12:30 AM - Carol: <Media omitted>',
+  '12/31/23, 11:59 PM - Alice changed the subject to "plans: NYE"',
+  '12/31/23, 11:59 PM - Alice: Happy new year'
+].join('\r\n');
+
+// Android with a 24h clock and DD/MM dates that only the order of the log gives away
+const ANDROID_24H_AMBIGUOUS = [
+  '01/02/2024, 08:00 - Alice: first',
+  '05/02/2024, 08:00 - Bob: second',
+  '11/02/2024, 08:00 - Alice: third',
+  '03/03/2024, 08:00 - Bob: fourth'
+].join('\n');
+
+export { IOS_24H_DMY, ANDROID_12H_MDY, ANDROID_24H_AMBIGUOUS };
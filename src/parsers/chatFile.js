@@ -0,0 +1,139 @@
+import JSZip from 'jszip';
+
+// Reading uploaded chat exports
+//
+// WhatsApp's "Export chat" produces either a bare .txt transcript or, on most
+// phones, a .zip holding `_chat.txt` (iOS) / `WhatsApp Chat with X.txt`
+// (Android) next to the attached media. Both end up as
+// { fileName, transcriptName, transcript, attachments }.
+
+const MEDIA_KINDS = {
+  image: ['jpg', 'jpeg', 'png', 'heic', 'heif'],
+  gif: ['gif'],
+  sticker: ['webp'],
+  video: ['mp4', 'mov', '3gp', 'mkv', 'webm'],
+  voice: ['opus'],
+  audio: ['m4a', 'mp3', 'aac', 'ogg', 'wav', 'amr'],
+  contact: ['vcf'],
+  document: ['pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'txt', 'zip', 'csv']
+};
+
+const getExtension = (name) => {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot + 1).toLowerCase();
+};
+
+const getBaseName = (path) => path.split('/').pop();
+
+// WhatsApp names attachments like "00000012-PHOTO-2024-01-03-18-22-10.jpg"
+// (iOS) or "IMG-20240103-WA0004.jpg" / "PTT-20240103-WA0001.opus" (Android),
+// which lets us tell stickers and voice notes apart from plain images/audio.
+const classifyAttachment = (name) => {
+  const upper = name.toUpperCase();
+  if (upper.includes('STICKER') || upper.startsWith('STK-')) return 'sticker';
+  if (upper.includes('-AUDIO-') || upper.startsWith('PTT-')) return 'voice';
+  if (upper.includes('-GIF-')) return 'gif';
+
+  const extension = getExtension(name);
+  const kind = Object.keys(MEDIA_KINDS).find(k => MEDIA_KINDS[k].includes(extension));
+  return kind || 'other';
+};
+
+const isZipFile = (file) =>
+  getExtension(file.name) === 'zip' ||
+  ['application/zip', 'application/x-zip-compressed'].includes(file.type);
+
+// Prefer the iOS `_chat.txt`, then Android's "WhatsApp Chat with ...", then
+// whatever .txt is longest (the transcript dwarfs any attached text files).
+// Resolves to { entry, transcript }, or null when there's no .txt at all.
+const findTranscript = async (entries) => {
+  const textEntries = entries.filter(entry => getExtension(entry.name) === 'txt');
+  if (textEntries.length === 0) return null;
+
+  const named =
+    textEntries.find(entry => getBaseName(entry.name) === '_chat.txt') ||
+    textEntries.find(entry => /^whatsapp chat/i.test(getBaseName(entry.name)));
+  if (named) return { entry: named, transcript: await named.async('string') };
+
+  const candidates = await Promise.all(textEntries.map(async entry => ({ entry, transcript: await entry.async('string') })));
+  return candidates.reduce((longest, candidate) =>
+    (candidate.transcript.length > longest.transcript.length ? candidate : longest));
+};
+
+const MAX_FILE_SIZE = 200 * 1024 * 1024;
+
+// Checks a picked/dropped file before we try to read it. Returns an error
+// message, or null when the file is acceptable.
+const validateChatFile = (file, { accept = ['txt', 'zip'], maxSize = MAX_FILE_SIZE } = {}) => {
+  if (!file) return 'No file selected.';
+  if (!accept.includes(getExtension(file.name))) {
+    return `"${file.name}" isn't a supported chat export. Please choose a ${accept.map(ext => `.${ext}`).join(' or ')} file.`;
+  }
+  if (file.size === 0) return `"${file.name}" is empty.`;
+  if (file.size > maxSize) {
+    return `"${file.name}" is ${Math.round(file.size / (1024 * 1024))} MB; the limit is ${Math.round(maxSize / (1024 * 1024))} MB.`;
+  }
+  return null;
+};
+
+const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (ev) => resolve(ev.target.result);
+  reader.onerror = () => reject(new Error('Failed to read file'));
+  reader.readAsText(file);
+});
+
+const readZipExport = async (file) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (error) {
+    console.error('Failed to unzip export:', error);
+    throw new Error("We couldn't open this zip file. Try exporting the chat again.");
+  }
+
+  const entries = Object.values(zip.files).filter(entry =>
+    !entry.dir && !entry.name.startsWith('__MACOSX/') && !getBaseName(entry.name).startsWith('.')
+  );
+
+  const found = await findTranscript(entries);
+  if (!found) {
+    throw new Error("This zip doesn't contain a chat transcript (.txt). Make sure it's a WhatsApp chat export.");
+  }
+
+  const { entry: transcriptEntry, transcript } = found;
+  const attachments = entries
+    .filter(entry => entry !== transcriptEntry)
+    .map(entry => ({
+      name: getBaseName(entry.name),
+      kind: classifyAttachment(getBaseName(entry.name))
+    }));
+
+  return {
+    fileName: file.name,
+    transcriptName: getBaseName(transcriptEntry.name),
+    transcript,
+    attachments
+  };
+};
+
+const readChatFile = async (file) => {
+  if (isZipFile(file)) return readZipExport(file);
+
+  const transcript = await readFileAsText(file);
+  return {
+    fileName: file.name,
+    transcriptName: file.name,
+    transcript,
+    attachments: []
+  };
+};
+
+// Counts per media kind, e.g. { image: 12, voice: 3, sticker: 7 }
+const summarizeAttachments = (attachments) =>
+  (attachments || []).reduce((counts, attachment) => {
+    counts[attachment.kind] = (counts[attachment.kind] || 0) + 1;
+    return counts;
+  }, {});
+
+export { readChatFile, readFileAsText, validateChatFile, classifyAttachment, summarizeAttachments, MAX_FILE_SIZE };
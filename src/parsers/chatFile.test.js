@@ -0,0 +1,100 @@
+import JSZip from 'jszip';
+import { readChatFile, validateChatFile, classifyAttachment, summarizeAttachments, MAX_FILE_SIZE } from './chatFile';
+
+const zipFile = async (files, name = 'export.zip') => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([path, content]) => zip.file(path, content));
+  return new File([await zip.generateAsync({ type: 'uint8array' })], name, { type: 'application/zip' });
+};
+
+describe('readChatFile', () => {
+  test('reads a bare transcript', async () => {
+    const chat = await readChatFile(new File(['12/28/23, 9:16 AM - Alice: hi'], 'chat.txt', { type: 'text/plain' }));
+    expect(chat).toEqual({
+      fileName: 'chat.txt',
+      transcriptName: 'chat.txt',
+      transcript: '12/28/23, 9:16 AM - Alice: hi',
+      attachments: []
+    });
+  });
+
+  test("finds iOS's _chat.txt and lists the attachments next to it", async () => {
+    const chat = await readChatFile(await zipFile({
+      'notes.txt': 'a much longer text file than the chat itself, attached to a message',
+      '_chat.txt': '[28/12/2023, 09:16:40] Alice: hi',
+      '00000012-PHOTO-2024-01-03-18-22-10.jpg': 'jpg',
+      '00000013-AUDIO-2024-01-03-18-22-11.opus': 'opus',
+      '__MACOSX/._chat.txt': 'resource fork',
+      '.DS_Store': 'finder'
+    }));
+
+    expect(chat.transcriptName).toBe('_chat.txt');
+    expect(chat.transcript).toBe('[28/12/2023, 09:16:40] Alice: hi');
+    expect(chat.attachments).toEqual([
+      { name: 'notes.txt', kind: 'document' },
+      { name: '00000012-PHOTO-2024-01-03-18-22-10.jpg', kind: 'image' },
+      { name: '00000013-AUDIO-2024-01-03-18-22-11.opus', kind: 'voice' }
+    ]);
+  });
+
+  test('finds an Android "WhatsApp Chat with" transcript', async () => {
+    const chat = await readChatFile(await zipFile({
+      'WhatsApp Chat with Road trip.txt': '12/28/23, 9:16 AM - Alice: hi',
+      'IMG-20240103-WA0004.jpg': 'jpg'
+    }));
+    expect(chat.transcriptName).toBe('WhatsApp Chat with Road trip.txt');
+  });
+
+  test('falls back to the longest text file when none is named like a transcript', async () => {
+    const chat = await readChatFile(await zipFile({
+      'short.txt': 'list',
+      'renamed.txt': '12/28/23, 9:16 AM - Alice: hi\n12/28/23, 9:17 AM - Bob: hello'
+    }));
+    expect(chat.transcriptName).toBe('renamed.txt');
+    expect(chat.attachments).toEqual([{ name: 'short.txt', kind: 'document' }]);
+  });
+
+  test('explains zips without a transcript and files that are not zips', async () => {
+    await expect(readChatFile(await zipFile({ 'IMG-1.jpg': 'jpg' }))).rejects.toThrow(/doesn't contain a chat transcript/);
+    await expect(readChatFile(new File(['not a zip'], 'broken.zip'))).rejects.toThrow(/couldn't open this zip/);
+  });
+});
+
+describe('validateChatFile', () => {
+  test('accepts transcripts and zips', () => {
+    expect(validateChatFile(new File(['x'], 'chat.txt'))).toBeNull();
+    expect(validateChatFile(new File(['x'], 'chat.ZIP'))).toBeNull();
+  });
+
+  test('rejects missing, unsupported, empty and oversized files', () => {
+    expect(validateChatFile(null)).toBe('No file selected.');
+    expect(validateChatFile(new File(['x'], 'photo.png'))).toMatch(/isn't a supported chat export/);
+    expect(validateChatFile(new File([], 'chat.txt'))).toBe('"chat.txt" is empty.');
+    expect(validateChatFile({ name: 'chat.zip', size: MAX_FILE_SIZE + 1 })).toMatch(/the limit is 200 MB/);
+    expect(validateChatFile(new File(['{}'], 'result.json'), { accept: ['json'] })).toBeNull();
+  });
+});
+
+describe('classifyAttachment', () => {
+  test.each([
+    ['00000012-PHOTO-2024-01-03-18-22-10.jpg', 'image'],
+    ['IMG-20240103-WA0004.jpg', 'image'],
+    ['00000020-STICKER-2024-01-03-18-22-10.webp', 'sticker'],
+    ['STK-20240103-WA0001.webp', 'sticker'],
+    ['PTT-20240103-WA0001.opus', 'voice'],
+    ['00000013-AUDIO-2024-01-03-18-22-11.opus', 'voice'],
+    ['00000014-GIF-2024-01-03-18-22-12.mp4', 'gif'],
+    ['VID-20240103-WA0002.mp4', 'video'],
+    ['song.mp3', 'audio'],
+    ['Alice.vcf', 'contact'],
+    ['tickets.pdf', 'document'],
+    ['mystery.bin', 'other']
+  ])('%s is %s', (name, kind) => {
+    expect(classifyAttachment(name)).toBe(kind);
+  });
+});
+
+test('summarizeAttachments counts attachments per kind', () => {
+  expect(summarizeAttachments([{ kind: 'image' }, { kind: 'voice' }, { kind: 'image' }])).toEqual({ image: 2, voice: 1 });
+  expect(summarizeAttachments(undefined)).toEqual({});
+});
@@ -0,0 +1,193 @@
+// DiscordChatExporter parser (JSON and CSV exports)
+//
+// JSON: { guild, channel, messages: [{ timestamp, type, content, author: { name, nickname, isBot }, attachments, stickers, reactions }] }
+// CSV:  "AuthorID","Author","Date","Content","Attachments","Reactions"
+//
+// Reactions are { emoji: { id, name }, count, users } in JSON (older exports
+// have no `users`) and "👍 (2),pepe (1)" in CSV. Server emoji have an id (or,
+// in CSV, a plain word for a name) and are written ":name:".
+
+const SYSTEM_TYPES = [
+  'RecipientAdd', 'RecipientRemove', 'Call', 'ChannelNameChange', 'ChannelIconChange',
+  'ChannelPinnedMessage', 'GuildMemberJoin', 'ThreadCreated', 'ThreadStarterMessage'
+];
+
+const IMAGE_EXTENSIONS = /\.(jpe?g|png|heic|webp)$/i;
+const VIDEO_EXTENSIONS = /\.(mp4|mov|webm|mkv)$/i;
+const AUDIO_EXTENSIONS = /\.(ogg|opus|mp3|m4a|wav)$/i;
+const GIF_EXTENSIONS = /\.gif$/i;
+
+const attachmentMarker = (fileName) => {
+  if (GIF_EXTENSIONS.test(fileName)) return 'GIF omitted';
+  if (IMAGE_EXTENSIONS.test(fileName)) return 'image omitted';
+  if (VIDEO_EXTENSIONS.test(fileName)) return 'video omitted';
+  if (AUDIO_EXTENSIONS.test(fileName)) return 'audio omitted';
+  return 'document omitted';
+};
+
+// Minimal RFC 4180 reader: quoted fields may hold commas, quotes ("") and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(cell => cell !== ''));
+};
+
+const reactionEmoji = (name, custom) => (custom ? `:${name}:` : name);
+
+const jsonReactions = (reactions) => (reactions || [])
+  .filter(reaction => reaction?.emoji?.name && reaction.count > 0)
+  .map(reaction => ({
+    emoji: reactionEmoji(reaction.emoji.name, Boolean(reaction.emoji.id)),
+    count: reaction.count,
+    from: (reaction.users || []).map(user => user.nickname || user.name).filter(Boolean)
+  }));
+
+const csvReactions = (cell) => String(cell || '')
+  .split(',')
+  .map(item => /^(.+?)\s*\((\d+)\)$/.exec(item.trim()))
+  .filter(Boolean)
+  .map(([, name, count]) => ({ emoji: reactionEmoji(name, /^\w+$/.test(name)), count: parseInt(count, 10), from: [] }))
+  .filter(reaction => reaction.count > 0);
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const buildMessage = ({ date, sender, content, attachments = [], stickers = [], reactions = [] }) => {
+  const parts = [
+    ...attachments.map(attachmentMarker),
+    ...stickers.map(() => 'sticker omitted'),
+    content
+  ].filter(Boolean);
+  if (!date || !sender || parts.length === 0) return null;
+  return {
+    date,
+    sender,
+    message: parts.join('\n'),
+    system: false,
+    media: attachments.length + stickers.length > 0,
+    ...(reactions.length > 0 && { reactions }),
+    ...(stickers[0]?.name && { sticker: stickers[0].name })
+  };
+};
+
+const fromJson = (data) => {
+  const messages = [];
+  const systemMessages = [];
+
+  data.messages.forEach(raw => {
+    const date = parseDate(raw.timestamp);
+    const sender = raw.author?.nickname || raw.author?.name;
+    if (!date) return;
+
+    if (SYSTEM_TYPES.includes(raw.type)) {
+      systemMessages.push({ date, sender: sender || null, message: raw.content || raw.type, system: true });
+      return;
+    }
+    // Bots (music bots, reminders...) aren't members of the group
+    if (raw.author?.isBot) return;
+
+    const message = buildMessage({
+      date,
+      sender,
+      content: raw.content,
+      attachments: (raw.attachments || []).map(a => a.fileName || a.url || ''),
+      stickers: raw.stickers || [],
+      reactions: jsonReactions(raw.reactions)
+    });
+    if (message) messages.push(message);
+  });
+
+  return {
+    messages,
+    systemMessages,
+    chatName: [data.guild?.name, data.channel?.name].filter(Boolean).join(' / ') || null
+  };
+};
+
+const fromCsv = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  const column = (name) => header.findIndex(h => h.trim().toLowerCase() === name);
+  const authorIdx = column('author');
+  const dateIdx = column('date');
+  const contentIdx = column('content');
+  const attachmentsIdx = column('attachments');
+  const reactionsIdx = column('reactions');
+  if (authorIdx === -1 || dateIdx === -1 || contentIdx === -1) return { messages: [], systemMessages: [] };
+
+  const messages = rows
+    .map(row => buildMessage({
+      date: parseDate(row[dateIdx]),
+      sender: row[authorIdx],
+      content: row[contentIdx],
+      attachments: attachmentsIdx === -1 ? [] : (row[attachmentsIdx] || '').split(',').map(s => s.trim()).filter(Boolean),
+      reactions: reactionsIdx === -1 ? [] : csvReactions(row[reactionsIdx])
+    }))
+    .filter(Boolean);
+
+  return { messages, systemMessages: [], chatName: null };
+};
+
+const parseDiscordExport = (text, { fileName = '' } = {}) => {
+  const trimmed = String(text || '').trimStart();
+  let result;
+
+  if (/\.csv$/i.test(fileName) || !trimmed.startsWith('{')) {
+    result = fromCsv(trimmed);
+  } else {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new Error("This file isn't valid JSON. Export the channel with DiscordChatExporter using the JSON or CSV format.");
+    }
+    if (!Array.isArray(data?.messages)) {
+      throw new Error("This doesn't look like a DiscordChatExporter file (no \"messages\" list found).");
+    }
+    result = fromJson(data);
+  }
+
+  result.messages.sort((a, b) => a.date - b.date);
+
+  return {
+    ...result,
+    participants: [...new Set(result.messages.map(m => m.sender))],
+    format: 'discord'
+  };
+};
+
+export { parseDiscordExport, parseCsv };
@@ -0,0 +1,67 @@
+import { parseDiscordExport, parseCsv } from './discord';
+import { JSON_EXPORT, CSV_EXPORT } from './__fixtures__/discord';
+
+describe('parseDiscordExport', () => {
+  test('parses a JSON export, preferring nicknames and skipping bots', () => {
+    const chat = parseDiscordExport(JSON.stringify(JSON_EXPORT), { fileName: 'road-trip.json' });
+
+    expect(chat.format).toBe('discord');
+    expect(chat.chatName).toBe('Friends / road-trip');
+    expect(chat.participants).toEqual(['Alice', 'bob', 'Carol']);
+    expect(chat.messages[0]).toEqual({
+      date: new Date('2023-12-28T09:16:40Z'),
+      sender: 'Alice',
+      message: 'Who is in for the road trip?',
+      system: false,
+      media: false
+    });
+    expect(chat.systemMessages).toEqual([
+      { date: new Date('2023-12-28T09:15:02Z'), sender: 'Alice', message: 'Joined the server.', system: true }
+    ]);
+  });
+
+  test('writes attachments and stickers as WhatsApp markers and flags them', () => {
+    const [, bob, carol] = parseDiscordExport(JSON.stringify(JSON_EXPORT)).messages;
+    expect(bob).toMatchObject({ message: 'image omitted\nme, look at this car', media: true });
+    expect(carol).toMatchObject({ message: 'sticker omitted', media: true });
+  });
+
+  test('keeps reactions, naming server emoji and the reactors the export lists', () => {
+    const [alice, bob, carol] = parseDiscordExport(JSON.stringify(JSON_EXPORT)).messages;
+    expect(bob.reactions).toEqual([
+      { emoji: '🔥', count: 2, from: ['Alice', 'carol'] },
+      { emoji: ':vroom:', count: 1, from: [] }
+    ]);
+    expect(alice).not.toHaveProperty('reactions');
+    expect(carol.sticker).toBe('thumbs up');
+  });
+
+  test('parses a CSV export with quoted, multi-line fields', () => {
+    const chat = parseDiscordExport(CSV_EXPORT, { fileName: 'road-trip.csv' });
+
+    expect(chat.chatName).toBeNull();
+    expect(chat.participants).toEqual(['alice', 'bob', 'carol']);
+    expect(chat.messages.map(m => m.message)).toEqual([
+      'Who is in for the road trip?',
+      'image omitted\ndocument omitted\nme, obviously.\nCan we leave "early"?',
+      'GIF omitted'
+    ]);
+    expect(chat.messages.map(m => m.media)).toEqual([false, true, true]);
+    expect(chat.messages[1].reactions).toEqual([
+      { emoji: '👍', count: 2, from: [] },
+      { emoji: ':vroom:', count: 1, from: [] }
+    ]);
+  });
+
+  test('explains files that are not DiscordChatExporter JSON', () => {
+    expect(() => parseDiscordExport('{ nope')).toThrow(/isn't valid JSON/);
+    expect(() => parseDiscordExport('{"channel": {}}')).toThrow(/no "messages" list/);
+  });
+});
+
+test('parseCsv handles quotes, commas, CRLF and blank lines', () => {
+  expect(parseCsv('a,"b, c","say ""hi"""\r\n\r\n"multi\nline",2,\n')).toEqual([
+    ['a', 'b, c', 'say "hi"'],
+    ['multi\nline', '2', '']
+  ]);
+});
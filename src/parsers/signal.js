@@ -0,0 +1,76 @@
+// Signal backup text parser
+//
+// Signal has no built-in chat export, so members use backup tools
+// (signalbackup-tools --exporttxt, signal-export). Their text/markdown output
+// puts one message per header line:
+//   [2024-01-03 18:22:10] Alice: see you there
+//   [2024-01-03 18:23] Bob: ![photo](media/2024-01-03_18-23.jpg)
+//   2024-01-03 18:24:02 - Carol: multi-line
+//   messages continue here
+
+const HEADER = /^\[?(\d{4})-(\d{2})-(\d{2})[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?\]?\s*(?:-\s*)?(.*)$/;
+const MARKDOWN_ATTACHMENT = /!\[[^\]]*\]\(([^)]+)\)/g;
+const PROGRESS_INTERVAL = 20000;
+
+const attachmentMarker = (path) => {
+  if (/\.gif$/i.test(path)) return 'GIF omitted';
+  if (/\.(jpe?g|png|heic|webp)$/i.test(path)) return 'image omitted';
+  if (/\.(mp4|mov|3gp)$/i.test(path)) return 'video omitted';
+  if (/\.(aac|m4a|opus|ogg|mp3)$/i.test(path)) return 'audio omitted';
+  return 'document omitted';
+};
+
+const parseSignalBackup = (text, options = {}) => {
+  const { includeSystem = false, onProgress } = options;
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const messages = [];
+  const systemMessages = [];
+  let current = null;
+
+  const flush = () => {
+    if (!current) return;
+    current.message = current.message
+      .replace(MARKDOWN_ATTACHMENT, (_, path) => {
+        current.media = true;
+        return attachmentMarker(path);
+      })
+      .trimEnd();
+    if (current.system) systemMessages.push(current);
+    if (!current.system || includeSystem) messages.push(current);
+    current = null;
+  };
+
+  lines.forEach((line, lineIndex) => {
+    if (onProgress && lineIndex % PROGRESS_INTERVAL === 0) {
+      onProgress({ stage: 'parse', done: lineIndex, total: lines.length, unit: 'lines' });
+    }
+
+    const match = HEADER.exec(line);
+    if (!match) {
+      if (current) current.message += `\n${line}`;
+      return;
+    }
+
+    flush();
+    const [, year, month, day, hours, minutes, seconds = '0', rest] = match;
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+    const separator = rest.indexOf(': ');
+
+    current = separator === -1
+      // Group updates, calls, safety number changes
+      ? { date, sender: null, message: rest.trim(), system: true }
+      : { date, sender: rest.slice(0, separator).trim(), message: rest.slice(separator + 2), system: false, media: false };
+  });
+  flush();
+
+  messages.sort((a, b) => a.date - b.date);
+
+  return {
+    messages,
+    systemMessages,
+    participants: [...new Set(messages.filter(m => !m.system).map(m => m.sender))],
+    format: 'signal'
+  };
+};
+
+export { parseSignalBackup };
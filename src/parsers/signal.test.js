@@ -0,0 +1,47 @@
+import { parseSignalBackup } from './signal';
+import { SIGNAL_BACKUP } from './__fixtures__/signal';
+
+describe('parseSignalBackup', () => {
+  test('parses both header styles, with and without seconds', () => {
+    const chat = parseSignalBackup(SIGNAL_BACKUP);
+
+    expect(chat.format).toBe('signal');
+    expect(chat.participants).toEqual(['Alice', 'Bob', 'Carol']);
+    expect(chat.messages.map(m => m.date)).toEqual([
+      new Date(2024, 0, 3, 18, 22, 10),
+      new Date(2024, 0, 3, 18, 23, 0),
+      new Date(2024, 0, 3, 18, 24, 2),
+      new Date(2024, 0, 3, 18, 25, 0)
+    ]);
+    expect(chat.messages[0]).toEqual({
+      date: new Date(2024, 0, 3, 18, 22, 10),
+      sender: 'Alice',
+      message: 'see you there',
+      system: false,
+      media: false
+    });
+  });
+
+  test('folds continuation lines into multi-line messages', () => {
+    const carol = parseSignalBackup(SIGNAL_BACKUP).messages.find(m => m.sender === 'Carol');
+    expect(carol.message).toBe('multi-line\nmessages continue here');
+  });
+
+  test('writes markdown attachments as WhatsApp markers and flags them', () => {
+    const [, photo, , memo] = parseSignalBackup(SIGNAL_BACKUP).messages;
+    expect(photo).toMatchObject({ message: 'image omitted', media: true });
+    expect(memo).toMatchObject({ sender: 'Bob', message: 'voice memo audio omitted and a time: 8pm', media: true });
+  });
+
+  test('keeps lines without a sender as system messages', () => {
+    const chat = parseSignalBackup(SIGNAL_BACKUP);
+    expect(chat.systemMessages.map(m => m.message)).toEqual(['Alice created the group.']);
+    expect(parseSignalBackup(SIGNAL_BACKUP, { includeSystem: true }).messages).toHaveLength(5);
+  });
+
+  test('reports progress by line', () => {
+    const onProgress = jest.fn();
+    parseSignalBackup(SIGNAL_BACKUP, { onProgress });
+    expect(onProgress).toHaveBeenCalledWith({ stage: 'parse', done: 0, total: 7, unit: 'lines' });
+  });
+});
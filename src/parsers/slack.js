@@ -0,0 +1,182 @@
+import JSZip from 'jszip';
+
+// Slack workspace export parser
+//
+// The export zip holds users.json and channels.json at the root, plus one
+// folder per channel with a JSON file per day:
+//   general/2024-01-03.json -> [{ type, subtype, user, user_profile, text, ts, files, reactions }]
+// Every channel in the export is merged into one transcript.
+
+const SYSTEM_SUBTYPES = [
+  'channel_join', 'channel_leave', 'channel_topic', 'channel_purpose', 'channel_name',
+  'channel_archive', 'channel_unarchive', 'group_join', 'group_leave', 'pinned_item', 'bot_add', 'bot_remove'
+];
+
+const fileMarker = (file) => {
+  const mimetype = file.mimetype || '';
+  if (file.subtype === 'slack_audio' || mimetype.startsWith('audio/')) return 'audio omitted';
+  if (mimetype === 'image/gif') return 'GIF omitted';
+  if (mimetype.startsWith('image/')) return 'image omitted';
+  if (mimetype.startsWith('video/')) return 'video omitted';
+  return 'document omitted';
+};
+
+// Reactions come as shortcodes ("+1", "joy::skin-tone-3"); common ones become
+// their emoji, the rest (including workspace custom emoji) stay ":name:"
+const REACTION_EMOJI = {
+  '+1': '👍',
+  thumbsup: '👍',
+  '-1': '👎',
+  thumbsdown: '👎',
+  joy: '😂',
+  rolling_on_the_floor_laughing: '🤣',
+  laughing: '😆',
+  smile: '😄',
+  sweat_smile: '😅',
+  heart: '❤️',
+  heart_eyes: '😍',
+  fire: '🔥',
+  tada: '🎉',
+  clap: '👏',
+  raised_hands: '🙌',
+  pray: '🙏',
+  eyes: '👀',
+  '100': '💯',
+  ok_hand: '👌',
+  wave: '👋',
+  muscle: '💪',
+  thinking_face: '🤔',
+  sob: '😭',
+  cry: '😢',
+  skull: '💀',
+  white_check_mark: '✅',
+  heavy_check_mark: '✔️',
+  x: '❌',
+  rocket: '🚀',
+  star: '⭐'
+};
+
+const reactionEmoji = (name) => {
+  const base = String(name).replace(/::skin-tone-\d$/, '');
+  return REACTION_EMOJI[base] || `:${base}:`;
+};
+
+// Reactions as the transcript records them; skin tone variants of one emoji
+// are counted together
+const parseReactions = (reactions, userNames) => {
+  const byEmoji = new Map();
+  (reactions || []).forEach(reaction => {
+    if (!reaction?.name || !(reaction.count > 0)) return;
+    const emoji = reactionEmoji(reaction.name);
+    const entry = byEmoji.get(emoji) || { emoji, count: 0, from: [] };
+    entry.count += reaction.count;
+    entry.from.push(...(reaction.users || []).map(id => userNames.get(id) || id));
+    byEmoji.set(emoji, entry);
+  });
+  return [...byEmoji.values()];
+};
+
+const buildUserNames = (users) => {
+  const names = new Map();
+  (users || []).forEach(user => {
+    const name = user.profile?.display_name || user.real_name || user.profile?.real_name || user.name;
+    if (user.id && name) names.set(user.id, name);
+  });
+  return names;
+};
+
+// Slack mrkdwn: <@U123>, <#C123|general>, <https://x.com|label>, &amp; etc.
+const cleanText = (text, userNames) =>
+  String(text || '')
+    .replace(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g, (_, id) => `@${userNames.get(id) || id}`)
+    .replace(/<#[A-Z0-9]+\|([^>]*)>/g, '#$1')
+    .replace(/<!(here|channel|everyone)>/g, '@$1')
+    .replace(/<(https?:[^|>]+)\|[^>]*>/g, '$1')
+    .replace(/<(https?:[^>]+)>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+const readSlackExport = async (file) => {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(file);
+  } catch (error) {
+    console.error('Failed to unzip Slack export:', error);
+    throw new Error("We couldn't open this zip file. Try downloading the Slack export again.");
+  }
+
+  const readJson = async (entry) => {
+    try {
+      return JSON.parse(await entry.async('string'));
+    } catch {
+      return null;
+    }
+  };
+
+  const entries = Object.values(zip.files).filter(entry => !entry.dir && entry.name.endsWith('.json'));
+  const usersEntry = entries.find(entry => /(^|\/)users\.json$/.test(entry.name));
+  const dayEntries = entries.filter(entry => /\/\d{4}-\d{2}-\d{2}\.json$/.test(entry.name));
+
+  const channels = {};
+  for (const entry of dayEntries) {
+    const parts = entry.name.split('/');
+    const channel = parts[parts.length - 2];
+    const dayMessages = await readJson(entry);
+    if (Array.isArray(dayMessages)) {
+      channels[channel] = (channels[channel] || []).concat(dayMessages);
+    }
+  }
+
+  return {
+    fileName: file.name,
+    transcriptName: file.name,
+    transcript: null,
+    users: usersEntry ? await readJson(usersEntry) : [],
+    channels,
+    attachments: []
+  };
+};
+
+const parseSlackExport = ({ users, channels }) => {
+  if (!channels || Object.keys(channels).length === 0) {
+    throw new Error("We couldn't find any channel folders in this zip. Make sure it's a Slack workspace export.");
+  }
+
+  const userNames = buildUserNames(users);
+  const messages = [];
+  const systemMessages = [];
+
+  Object.values(channels).forEach(channelMessages => {
+    channelMessages.forEach(raw => {
+      if (raw.type !== 'message' || !raw.ts) return;
+      const date = new Date(parseFloat(raw.ts) * 1000);
+      const sender = userNames.get(raw.user) || raw.user_profile?.display_name || raw.user_profile?.real_name || raw.user;
+      const text = cleanText(raw.text, userNames);
+
+      if (SYSTEM_SUBTYPES.includes(raw.subtype)) {
+        systemMessages.push({ date, sender: sender || null, message: text, system: true });
+        return;
+      }
+      if (raw.subtype === 'bot_message' || raw.bot_id || !sender) return;
+
+      const files = raw.files || [];
+      const message = [...files.map(fileMarker), text].filter(Boolean).join('\n');
+      if (!message) return;
+      const reactions = parseReactions(raw.reactions, userNames);
+      messages.push({ date, sender, message, system: false, media: files.length > 0, ...(reactions.length > 0 && { reactions }) });
+    });
+  });
+
+  messages.sort((a, b) => a.date - b.date);
+
+  return {
+    messages,
+    systemMessages,
+    participants: [...new Set(messages.map(m => m.sender))],
+    format: 'slack',
+    chatName: Object.keys(channels).map(name => `#${name}`).join(', ')
+  };
+};
+
+export { readSlackExport, parseSlackExport };
@@ -0,0 +1,58 @@
+import JSZip from 'jszip';
+import { readSlackExport, parseSlackExport } from './slack';
+import { USERS, GENERAL_DAY, RANDOM_DAY } from './__fixtures__/slack';
+
+describe('parseSlackExport', () => {
+  const chat = parseSlackExport({ users: USERS, channels: { general: GENERAL_DAY, random: RANDOM_DAY } });
+
+  test('merges every channel into one transcript without bots', () => {
+    expect(chat.format).toBe('slack');
+    expect(chat.chatName).toBe('#general, #random');
+    expect(chat.participants).toEqual(['Carol', 'Alice', 'Bob Jones']);
+    expect(chat.messages).toHaveLength(3);
+    expect(chat.systemMessages.map(m => m.sender)).toEqual(['Bob Jones']);
+  });
+
+  test('turns mrkdwn into plain text', () => {
+    expect(chat.messages[1]).toEqual({
+      date: new Date(1703755000000.2),
+      sender: 'Alice',
+      message: 'Who is in, @Bob Jones? Plan is on https://example.com/plan & #random',
+      system: false,
+      media: false
+    });
+  });
+
+  test('writes files as WhatsApp markers and flags them', () => {
+    expect(chat.messages[0]).toMatchObject({ sender: 'Carol', message: 'audio omitted', media: true });
+    expect(chat.messages[2]).toMatchObject({ sender: 'Bob Jones', message: 'image omitted\nthe view', media: true });
+  });
+
+  test('keeps reactions as emoji, skin tones counted together', () => {
+    expect(chat.messages[2].reactions).toEqual([
+      { emoji: '😍', count: 1, from: ['Alice'] },
+      { emoji: '👍', count: 2, from: ['Alice', 'U03'] },
+      { emoji: ':partyparrot:', count: 2, from: ['Alice', 'U03'] }
+    ]);
+    expect(chat.messages[1]).not.toHaveProperty('reactions');
+  });
+
+  test('explains exports without channels', () => {
+    expect(() => parseSlackExport({ users: USERS, channels: {} })).toThrow(/couldn't find any channel folders/);
+  });
+});
+
+test('readSlackExport collects the users and per-day channel files from the zip', async () => {
+  const zip = new JSZip();
+  zip.file('users.json', JSON.stringify(USERS));
+  zip.file('channels.json', '[]');
+  zip.file('general/2023-12-28.json', JSON.stringify(GENERAL_DAY));
+  zip.file('random/2023-12-28.json', JSON.stringify(RANDOM_DAY));
+  zip.file('random/2023-12-29.json', 'not json');
+  const file = new File([await zip.generateAsync({ type: 'uint8array' })], 'Workspace Slack export.zip');
+
+  const result = await readSlackExport(file);
+  expect(result.users).toEqual(USERS);
+  expect(result.channels).toEqual({ general: GENERAL_DAY, random: RANDOM_DAY });
+  expect(result.fileName).toBe('Workspace Slack export.zip');
+});
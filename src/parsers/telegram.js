@@ -0,0 +1,134 @@
+// Telegram Desktop "Export chat history" (JSON) parser
+//
+// result.json holds { name, type, messages: [...] } for a single chat, or
+// { chats: { list: [...] } } for a full account export. Message text is either
+// a plain string or an array mixing strings and entity objects
+// ({ type: 'bold', text: '...' }, { type: 'link', text: '...' }, ...).
+
+// Media becomes the same "<kind> omitted" markers WhatsApp writes, so media
+// stats treat both platforms alike. A caption follows its marker on the next
+// line, and the record is flagged `media` so nothing has to re-derive it.
+const MEDIA_MARKERS = {
+  sticker: 'sticker omitted',
+  animation: 'GIF omitted',
+  voice_message: 'audio omitted',
+  audio_file: 'audio omitted',
+  video_message: 'video omitted',
+  video_file: 'video omitted'
+};
+
+const flattenText = (text) => {
+  if (typeof text === 'string') return text;
+  if (!Array.isArray(text)) return '';
+  return text.map(part => (typeof part === 'string' ? part : part?.text || '')).join('');
+};
+
+const mediaMarker = (message) => {
+  if (message.media_type && MEDIA_MARKERS[message.media_type]) return MEDIA_MARKERS[message.media_type];
+  if (message.photo) return 'image omitted';
+  if (message.file) return 'document omitted';
+  if (message.poll) return `POLL: ${message.poll.question || ''}`.trim();
+  if (message.contact_information) return 'Contact card omitted';
+  if (message.location_information) return 'location omitted';
+  return '';
+};
+
+// Deleted accounts export with `from: null`; their `from_id` ("user123")
+// still tells them apart
+const senderName = (message) => {
+  if (message.from) return message.from;
+  return message.from_id ? `Deleted Account (${message.from_id})` : 'Deleted Account';
+};
+
+// Reactions as the transcript records them. Telegram only names the last few
+// reactors (`recent`); custom emoji and paid reactions have no emoji to count.
+const parseReactions = (reactions) => (Array.isArray(reactions) ? reactions : [])
+  .filter(reaction => reaction?.emoji && reaction.count > 0)
+  .map(reaction => ({ emoji: reaction.emoji, count: reaction.count, from: (reaction.recent || []).map(senderName) }));
+
+const parseDate = (message) => {
+  if (message.date_unixtime) return new Date(parseInt(message.date_unixtime, 10) * 1000);
+  // "2023-12-31T23:59:01" is local time, which is how Date parses it
+  const date = new Date(message.date);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// A full account export lists every chat; use the busiest group chat.
+const pickChat = (data) => {
+  if (Array.isArray(data?.messages)) return data;
+
+  const chats = data?.chats?.list;
+  if (!Array.isArray(chats) || chats.length === 0) return null;
+
+  const byMessages = (a, b) => (b.messages?.length || 0) - (a.messages?.length || 0);
+  const groups = chats.filter(chat => /group|supergroup/.test(chat.type || ''));
+  return [...(groups.length ? groups : chats)].sort(byMessages)[0];
+};
+
+const parseTelegramExport = (input, options = {}) => {
+  const { includeSystem = false } = options;
+
+  let data = input;
+  if (typeof input === 'string') {
+    try {
+      data = JSON.parse(input);
+    } catch {
+      throw new Error("This file isn't valid JSON. Make sure you exported the chat from Telegram Desktop in \"Machine-readable JSON\" format.");
+    }
+  }
+
+  const chat = pickChat(data);
+  if (!chat) {
+    throw new Error("We couldn't find any messages in this file. Make sure it's the result.json from Telegram Desktop's \"Export chat history\".");
+  }
+
+  const messages = [];
+  const systemMessages = [];
+
+  chat.messages.forEach(raw => {
+    const date = parseDate(raw);
+    if (!date) return;
+
+    if (raw.type === 'service') {
+      const notice = {
+        date,
+        sender: raw.actor || null,
+        message: [raw.actor, raw.action?.replace(/_/g, ' '), flattenText(raw.text)].filter(Boolean).join(' '),
+        system: true
+      };
+      systemMessages.push(notice);
+      if (includeSystem) messages.push(notice);
+      return;
+    }
+
+    const text = flattenText(raw.text);
+    const marker = mediaMarker(raw);
+    const message = [marker, text].filter(Boolean).join('\n');
+    if (!message) return;
+
+    const reactions = parseReactions(raw.reactions);
+    messages.push({
+      date,
+      sender: senderName(raw),
+      message,
+      system: false,
+      media: Boolean(marker) && !raw.poll,
+      ...(reactions.length > 0 && { reactions }),
+      ...(raw.sticker_emoji && { sticker: raw.sticker_emoji })
+    });
+  });
+
+  messages.sort((a, b) => a.date - b.date);
+
+  const participants = [...new Set(messages.filter(m => !m.system).map(m => m.sender))];
+
+  return {
+    messages,
+    systemMessages,
+    participants,
+    format: 'telegram',
+    chatName: chat.name || null
+  };
+};
+
+export { parseTelegramExport, flattenText };
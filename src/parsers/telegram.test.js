@@ -0,0 +1,87 @@
+import { parseTelegramExport, flattenText } from './telegram';
+import { hasMedia } from './transcript';
+import { GROUP_EXPORT, ACCOUNT_EXPORT } from './__fixtures__/telegram';
+
+describe('parseTelegramExport', () => {
+  test('parses a single chat export', () => {
+    const chat = parseTelegramExport(JSON.stringify(GROUP_EXPORT));
+
+    expect(chat.format).toBe('telegram');
+    expect(chat.chatName).toBe('Road trip');
+    expect(chat.messages).toHaveLength(7);
+    expect(chat.messages[0]).toEqual({
+      date: new Date(1703755000 * 1000),
+      sender: 'Alice Smith',
+      message: 'Who is in for the road trip?',
+      system: false,
+      media: false
+    });
+    expect(chat.participants).toEqual([
+      'Alice Smith',
+      'Bob',
+      'Carol',
+      'Deleted Account (user104)',
+      'Deleted Account (user105)'
+    ]);
+  });
+
+  test('keeps deleted accounts apart by their id', () => {
+    const { messages } = parseTelegramExport(GROUP_EXPORT);
+    expect(messages.filter(m => m.sender.startsWith('Deleted Account')).map(m => m.sender))
+      .toEqual(['Deleted Account (user104)', 'Deleted Account (user105)']);
+
+    const anonymous = { ...GROUP_EXPORT, messages: [{ ...GROUP_EXPORT.messages[5], from_id: undefined }] };
+    expect(parseTelegramExport(anonymous).messages[0].sender).toBe('Deleted Account');
+  });
+
+  test('writes media as WhatsApp markers and flags it, captions included', () => {
+    const { messages } = parseTelegramExport(GROUP_EXPORT);
+    const bob = messages.find(m => m.sender === 'Bob');
+    const carol = messages.find(m => m.sender === 'Carol');
+
+    expect(bob).toMatchObject({ message: 'sticker omitted', media: true });
+    expect(carol).toMatchObject({ message: 'image omitted\nthe view from the top', media: true });
+    expect(hasMedia(carol)).toBe(true);
+  });
+
+  test('keeps emoji reactions with the reactors Telegram names, and sticker emoji', () => {
+    const { messages } = parseTelegramExport(GROUP_EXPORT);
+    expect(messages.find(m => m.message.startsWith('Happy new year')).reactions)
+      .toEqual([{ emoji: '🎉', count: 3, from: ['Carol', 'Bob'] }]);
+    expect(messages.find(m => m.sender === 'Bob').sticker).toBe('👍');
+    expect(messages[0]).not.toHaveProperty('reactions');
+  });
+
+  test("writes polls as text, since they aren't media", () => {
+    const poll = parseTelegramExport(GROUP_EXPORT).messages.find(m => m.message.startsWith('POLL'));
+    expect(poll).toMatchObject({ message: 'POLL: Leave at 7?', media: false });
+    expect(hasMedia(poll)).toBe(false);
+  });
+
+  test('keeps service messages apart unless asked for them', () => {
+    const chat = parseTelegramExport(GROUP_EXPORT);
+    expect(chat.systemMessages.map(m => m.message)).toEqual(['Alice Smith create group', 'Bob pin message']);
+    expect(chat.messages.some(m => m.system)).toBe(false);
+
+    const withSystem = parseTelegramExport(GROUP_EXPORT, { includeSystem: true });
+    expect(withSystem.messages).toHaveLength(9);
+    expect(withSystem.participants).not.toContain(null);
+  });
+
+  test('picks the busiest group chat from a full account export', () => {
+    const chat = parseTelegramExport(ACCOUNT_EXPORT);
+    expect(chat.chatName).toBe('Road trip');
+    expect(chat.messages).toHaveLength(7);
+  });
+
+  test('explains files it cannot read', () => {
+    expect(() => parseTelegramExport('{ not json')).toThrow(/isn't valid JSON/);
+    expect(() => parseTelegramExport({ chats: { list: [] } })).toThrow(/couldn't find any messages/);
+  });
+});
+
+test('flattenText joins formatted text into a plain string', () => {
+  expect(flattenText(['see ', { type: 'link', text: 'example.com' }, { type: 'plain' }])).toBe('see example.com');
+  expect(flattenText('plain')).toBe('plain');
+  expect(flattenText(undefined)).toBe('');
+});
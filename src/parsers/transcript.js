@@ -0,0 +1,74 @@
+// Helpers for the normalized transcript shape every importer produces:
+// an array of { date: Date, sender: string, message: string, system: boolean }
+// in chronological order. Importers that know a message carries media (with
+// or without a caption) also set `media: true`. Where the export has them,
+// records also carry `reactions: [{ emoji, count, from }]` (`from` lists the
+// reactors the export names, which may be fewer than `count`, or none) and
+// `sticker`, the sent sticker's emoji or name.
+
+// Placeholders WhatsApp (and our other importers) write instead of media:
+// "<Media omitted>", "image omitted", "sticker omitted", "<attached: 00000012-PHOTO-...jpg>",
+// "IMG-20240103-WA0004.jpg (file attached)"
+const MEDIA_PLACEHOLDER = /^(?:<media omitted>|(?:image|video|audio|sticker|gif|document|contact card|location) omitted|<attached: [^>]+>|\S+ \(file attached\))$/i;
+
+const isMediaMessage = (message) => MEDIA_PLACEHOLDER.test(String(message || '').trim());
+
+// Whether a message record is media: its importer's flag when it set one,
+// otherwise a bare placeholder
+const hasMedia = (m) => m.media ?? isMediaMessage(m.message);
+
+const PREVIEW_MESSAGES = 5;
+
+// What the upload screen shows of a parsed chat: { messageCount, participants:
+// [{ name, count }] (busiest first), firstDate, lastDate, preview }, where
+// `preview` is the first few messages
+const summarizeTranscript = (messages) => {
+  const counts = new Map();
+  const preview = [];
+  let firstDate = null;
+  let lastDate = null;
+
+  (messages || []).forEach(({ date, sender, message, system }) => {
+    if (system) return;
+    if (sender) counts.set(sender, (counts.get(sender) || 0) + 1);
+    if (preview.length < PREVIEW_MESSAGES) preview.push({ date, sender, message });
+    if (!firstDate || date < firstDate) firstDate = date;
+    if (!lastDate || date > lastDate) lastDate = date;
+  });
+
+  const participants = [...counts.entries()]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    messageCount: participants.reduce((total, p) => total + p.count, 0),
+    participants,
+    firstDate,
+    lastDate,
+    preview
+  };
+};
+
+const formatDay = (date) =>
+  date ? date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }) : '';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "[12/31/23, 11:59:01 PM]" -- the US iOS export header, which the analysis
+// API already understands
+const formatHeaderDate = (date) => {
+  const hours = date.getHours() % 12 || 12;
+  const meridiem = date.getHours() < 12 ? 'AM' : 'PM';
+  return `[${date.getMonth() + 1}/${date.getDate()}/${pad(date.getFullYear() % 100)}, ` +
+    `${hours}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${meridiem}]`;
+};
+
+// Serialize normalized messages back into WhatsApp export text, so chats
+// imported from other platforms can go through the same /analyze pipeline.
+const toWhatsAppText = (messages) =>
+  (messages || [])
+    .filter(m => !m.system && m.sender)
+    .map(m => `${formatHeaderDate(m.date)} ${m.sender}: ${m.message}`)
+    .join('\n');
+
+export { summarizeTranscript, formatDay, toWhatsAppText, isMediaMessage, hasMedia, MEDIA_PLACEHOLDER };
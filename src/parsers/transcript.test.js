@@ -0,0 +1,35 @@
+import { summarizeTranscript, toWhatsAppText, isMediaMessage, hasMedia } from './transcript';
+
+const at = (minute) => new Date(2023, 11, 28, 9, minute);
+const MESSAGES = [
+  { date: at(0), sender: null, message: 'Alice created group "Road trip"', system: true },
+  ...['Alice', 'Bob', 'Alice', 'Carol', 'Alice', 'Bob'].map((sender, i) => ({
+    date: at(i + 1),
+    sender,
+    message: `message ${i + 1}`,
+    system: false
+  }))
+];
+
+test('summarizeTranscript counts messages per sender and keeps the first few as a preview', () => {
+  expect(summarizeTranscript(MESSAGES)).toEqual({
+    messageCount: 6,
+    participants: [{ name: 'Alice', count: 3 }, { name: 'Bob', count: 2 }, { name: 'Carol', count: 1 }],
+    firstDate: at(1),
+    lastDate: at(6),
+    preview: [1, 2, 3, 4, 5].map(n => ({ date: at(n), sender: MESSAGES[n].sender, message: `message ${n}` }))
+  });
+  expect(summarizeTranscript(null)).toMatchObject({ messageCount: 0, participants: [], firstDate: null, preview: [] });
+});
+
+test('toWhatsAppText writes US iOS headers and leaves out system messages', () => {
+  expect(toWhatsAppText(MESSAGES.slice(0, 2))).toBe('[12/28/23, 9:01:00 AM] Alice: message 1');
+});
+
+test('hasMedia prefers the importer flag over the message text', () => {
+  expect(isMediaMessage('<Media omitted>')).toBe(true);
+  expect(isMediaMessage('image omitted\nthe view')).toBe(false);
+  expect(hasMedia({ message: 'image omitted\nthe view', media: true })).toBe(true);
+  expect(hasMedia({ message: 'sticker omitted' })).toBe(true);
+  expect(hasMedia({ message: 'sticker omitted', media: false })).toBe(false);
+});
@@ -0,0 +1,228 @@
+// WhatsApp transcript parser
+//
+// Turns the text of a WhatsApp "Export chat" file into structured
+// { date, sender, message, system } records. Handles both export flavours:
+//
+//   iOS:     [31/12/2023, 23:59:01] Alice: Happy new year!
+//   Android: 12/31/23, 11:59 PM - Alice: Happy new year!
+//
+// with 12h/24h clocks, DD/MM vs MM/DD dates, multi-line messages and the
+// system notices WhatsApp sprinkles into the log.
+
+// Invisible marks WhatsApp inserts around names, timestamps and system notices
+const INVISIBLE_CHARS = /[\u200e\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g;
+// Spaces that show up between time and AM/PM depending on OS version
+const SPACE = '[\\s\\u00a0\\u202f]';
+
+const DATE = '(\\d{1,4}[./-]\\d{1,2}[./-]\\d{1,4})';
+const TIME = `(\\d{1,2}[:.]\\d{2}(?:[:.]\\d{2})?)(?:${SPACE}*([AaPp]\\.?${SPACE}?[Mm]\\.?))?`;
+
+const IOS_LINE = new RegExp(`^\\[${DATE},?${SPACE}+${TIME}\\]${SPACE}(.*)$`);
+const ANDROID_LINE = new RegExp(`^${DATE},?${SPACE}+${TIME}${SPACE}[-–]${SPACE}(.*)$`);
+
+const SYSTEM_PATTERNS = [
+  /messages (and calls )?are end-to-end encrypted/i,
+  /created (this )?group/i,
+  /changed (the subject|this group's (icon|description|settings))/i,
+  /changed the group (name|description)/i,
+  /deleted this group's icon/i,
+  /(added|removed) .+/i,
+  /^.+ (left|joined)$/i,
+  /joined using this group's invite link/i,
+  /security code (with .+ )?changed/i,
+  /changed (their|your) phone number/i,
+  /you're now an admin/i,
+  /disappearing messages/i,
+  /this message was deleted/i,
+  /you deleted this message/i
+];
+
+const DATE_ORDERS = ['DMY', 'MDY', 'YMD'];
+const PROGRESS_INTERVAL = 20000;
+
+const splitDate = (dateStr) => dateStr.split(/[./-]/).map(part => parseInt(part, 10));
+
+const normalizeYear = (year) => (year < 100 ? 2000 + year : year);
+
+const buildDate = ([a, b, c], order, [hours, minutes, seconds]) => {
+  let year, month, day;
+  if (order === 'YMD') [year, month, day] = [a, b, c];
+  else if (order === 'DMY') [day, month, year] = [a, b, c];
+  else [month, day, year] = [a, b, c];
+
+  year = normalizeYear(year);
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const date = new Date(year, month - 1, day, hours, minutes, seconds);
+  // Reject rollovers like 31/02
+  if (date.getMonth() !== month - 1) return null;
+  return date;
+};
+
+// Pick DMY/MDY/YMD from the date tokens themselves. Unambiguous values (a
+// 4-digit first part, a day over 12) decide it outright; otherwise prefer the
+// order that keeps the log chronological, falling back to `fallback`.
+const detectDateOrder = (dateTokens, fallback = 'MDY') => {
+  if (dateTokens.length === 0) return fallback;
+
+  const parts = dateTokens.map(splitDate);
+  if (parts.some(([first]) => first > 31)) return 'YMD';
+  if (parts.some(([first]) => first > 12)) return 'DMY';
+  if (parts.some(([, second]) => second > 12)) return 'MDY';
+
+  const countInversions = (order) => {
+    let inversions = 0;
+    let previous = null;
+    for (const tokenParts of parts) {
+      const date = buildDate(tokenParts, order, [0, 0, 0]);
+      if (previous && date && date < previous) inversions++;
+      if (date) previous = date;
+    }
+    return inversions;
+  };
+
+  const dmy = countInversions('DMY');
+  const mdy = countInversions('MDY');
+  if (dmy === mdy) return fallback;
+  return dmy < mdy ? 'DMY' : 'MDY';
+};
+
+const parseTime = (timeStr, meridiem) => {
+  const [hoursStr, minutesStr, secondsStr = '0'] = timeStr.split(/[:.]/);
+  let hours = parseInt(hoursStr, 10);
+  const minutes = parseInt(minutesStr, 10);
+  const seconds = parseInt(secondsStr, 10);
+
+  if (meridiem) {
+    const isPm = /^p/i.test(meridiem);
+    if (hours === 12) hours = isPm ? 12 : 0;
+    else if (isPm) hours += 12;
+  }
+
+  return [hours, minutes, seconds];
+};
+
+const matchHeader = (line) => {
+  const ios = IOS_LINE.exec(line);
+  if (ios) return { format: 'ios', match: ios };
+  const android = ANDROID_LINE.exec(line);
+  if (android) return { format: 'android', match: android };
+  return null;
+};
+
+const isSystemText = (text) => SYSTEM_PATTERNS.some(pattern => pattern.test(text));
+
+// Split "Sender: message" from the rest of a header line. Lines without a
+// sender (Android notices) or whose body starts with an invisible mark (iOS
+// notices) are system messages. Android notices can have a colon of their own
+// ('Alice changed the subject to "plans: NYE"'), so there a "sender" that
+// reads like a notice means the whole line is one.
+const splitSender = (rest, format) => {
+  const separator = rest.indexOf(': ');
+  if (separator === -1 || (format === 'android' && isSystemText(rest.slice(0, separator)))) {
+    return { sender: null, message: rest.replace(INVISIBLE_CHARS, '').trim(), system: true };
+  }
+
+  const rawMessage = rest.slice(separator + 2);
+  const sender = rest.slice(0, separator).replace(INVISIBLE_CHARS, '').replace(/^~\s*/, '').trim();
+  const message = rawMessage.replace(INVISIBLE_CHARS, '');
+  const hasSystemMark = /^[\u200e\u200f]/.test(rawMessage);
+
+  return {
+    sender,
+    message,
+    system: hasSystemMark && isSystemText(message)
+  };
+};
+
+// Parse a WhatsApp export. Options:
+//   dateOrder: force 'DMY' | 'MDY' | 'YMD' instead of auto-detecting
+//   fallbackDateOrder: used when the dates are ambiguous (default 'MDY')
+//   includeSystem: keep system messages in `messages` (default false)
+//   onProgress: called every few thousand lines with { stage, done, total, unit }
+const parseWhatsAppChat = (text, options = {}) => {
+  const { dateOrder: forcedOrder, fallbackDateOrder = 'MDY', includeSystem = false, onProgress } = options;
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+
+  // First pass: find message headers so we can detect the date order
+  const headers = [];
+  const formats = { ios: 0, android: 0 };
+  lines.forEach((rawLine, lineIndex) => {
+    const line = rawLine.replace(/^[\u200e\ufeff]+/, '');
+    const header = matchHeader(line);
+    if (header) {
+      headers.push({ lineIndex, ...header });
+      formats[header.format]++;
+    }
+  });
+
+  const dateOrder = DATE_ORDERS.includes(forcedOrder)
+    ? forcedOrder
+    : detectDateOrder(headers.map(h => h.match[1]), fallbackDateOrder);
+
+  // Second pass: build records, folding continuation lines into the previous message
+  const messages = [];
+  const systemMessages = [];
+  const unparsedLines = [];
+  let current = null;
+  let headerPointer = 0;
+
+  const flush = () => {
+    if (!current) return;
+    current.message = current.message.trimEnd();
+    if (current.system) systemMessages.push(current);
+    if (!current.system || includeSystem) messages.push(current);
+    current = null;
+  };
+
+  lines.forEach((line, lineIndex) => {
+    if (onProgress && lineIndex % PROGRESS_INTERVAL === 0) {
+      onProgress({ stage: 'parse', done: lineIndex, total: lines.length, unit: 'lines' });
+    }
+
+    const header = headers[headerPointer];
+    if (header && header.lineIndex === lineIndex) {
+      headerPointer++;
+      flush();
+
+      const [, dateStr, timeStr, meridiem, rest] = header.match;
+      const date = buildDate(splitDate(dateStr), dateOrder, parseTime(timeStr, meridiem));
+      if (!date) {
+        unparsedLines.push({ line: lineIndex + 1, text: line });
+        return;
+      }
+
+      current = { date, ...splitSender(rest, header.format) };
+      return;
+    }
+
+    if (current) {
+      current.message += `\n${line.replace(INVISIBLE_CHARS, '')}`;
+    } else if (line.trim()) {
+      unparsedLines.push({ line: lineIndex + 1, text: line });
+    }
+  });
+  flush();
+  if (onProgress) onProgress({ stage: 'parse', done: lines.length, total: lines.length, unit: 'lines' });
+
+  const participants = [...new Set(
+    messages.filter(m => !m.system && m.sender).map(m => m.sender)
+  )];
+
+  return {
+    messages,
+    systemMessages,
+    participants,
+    format: formats.ios >= formats.android ? 'ios' : 'android',
+    dateOrder,
+    unparsedLines
+  };
+};
+
+// Quick sniff used before committing to a full parse
+const looksLikeWhatsAppChat = (text) => {
+  const sample = String(text || '').slice(0, 5000).split(/\r?\n/).slice(0, 50);
+  return sample.some(line => matchHeader(line.replace(/^[\u200e\ufeff]+/, '')) !== null);
+};
+
+export { parseWhatsAppChat, looksLikeWhatsAppChat, detectDateOrder };
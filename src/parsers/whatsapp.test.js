@@ -0,0 +1,116 @@
+import { parseWhatsAppChat, looksLikeWhatsAppChat, detectDateOrder } from './whatsapp';
+import { IOS_24H_DMY, ANDROID_12H_MDY, ANDROID_24H_AMBIGUOUS } from './__fixtures__/whatsapp';
+
+describe('parseWhatsAppChat', () => {
+  test('parses an iOS export with a 24h clock and DD/MM dates', () => {
+    const chat = parseWhatsAppChat(IOS_24H_DMY);
+
+    expect(chat.format).toBe('ios');
+    expect(chat.dateOrder).toBe('DMY');
+    expect(chat.participants).toEqual(['Alice Smith', 'Bob', 'Carol']);
+    expect(chat.messages).toHaveLength(4);
+    expect(chat.messages[0]).toEqual({
+      date: new Date(2023, 11, 28, 9, 16, 40),
+      sender: 'Alice Smith',
+      message: 'Who is in for the road trip?',
+      system: false
+    });
+    expect(chat.messages[3].date).toEqual(new Date(2023, 11, 31, 23, 59, 59));
+    expect(chat.unparsedLines).toEqual([]);
+  });
+
+  test('folds continuation lines into multi-line messages', () => {
+    const bob = parseWhatsAppChat(IOS_24H_DMY).messages.find(m => m.sender === 'Bob');
+    expect(bob.message).toBe('Me!\nCan we leave early though\nlike 7am');
+  });
+
+  test('strips the "~" WhatsApp puts before unsaved contacts and invisible marks', () => {
+    const { messages } = parseWhatsAppChat(IOS_24H_DMY);
+    expect(messages.map(m => m.sender)).toContain('Bob');
+    expect(messages.find(m => m.sender === 'Carol').message).toBe('image omitted');
+  });
+
+  test('keeps iOS system notices out of the messages', () => {
+    const chat = parseWhatsAppChat(IOS_24H_DMY);
+    expect(chat.systemMessages).toHaveLength(2);
+    expect(chat.systemMessages.every(m => m.system)).toBe(true);
+    expect(parseWhatsAppChat(IOS_24H_DMY, { includeSystem: true }).messages).toHaveLength(6);
+  });
+
+  test('parses an Android export with a 12h clock and M/D/YY dates', () => {
+    const chat = parseWhatsAppChat(ANDROID_12H_MDY);
+
+    expect(chat.format).toBe('android');
+    expect(chat.dateOrder).toBe('MDY');
+    expect(chat.participants).toEqual(['Alice', 'Bob', 'Carol']);
+    expect(chat.messages.map(m => m.date)).toEqual([
+      new Date(2023, 11, 28, 9, 16),
+      new Date(2023, 11, 28, 12, 5),
+      new Date(2023, 11, 31, 0, 30),
+      new Date(2023, 11, 31, 23, 59)
+    ]);
+    expect(chat.messages[1].message).toBe('Me!\nCan we leave early though');
+  });
+
+  test('treats Android lines without a sender as system notices', () => {
+    const { systemMessages } = parseWhatsAppChat(ANDROID_12H_MDY);
+    expect(systemMessages.map(m => m.sender)).toEqual([null, null, null]);
+    expect(systemMessages[1].message).toBe('Alice created group "Road trip"');
+  });
+
+  test('keeps Android notices with a colon in them from becoming chat messages', () => {
+    const { systemMessages, participants } = parseWhatsAppChat(ANDROID_12H_MDY);
+    expect(systemMessages[2].message).toBe('Alice changed the subject to "plans: NYE"');
+    expect(participants).toEqual(['Alice', 'Bob', 'Carol']);
+  });
+
+  test('still reads Android messages that mention system-like words', () => {
+    const { messages } = parseWhatsAppChat('12/28/23, 9:16 AM - Alice: I added the snacks to the list');
+    expect(messages[0]).toMatchObject({ sender: 'Alice', message: 'I added the snacks to the list', system: false });
+  });
+
+  test('picks the date order that keeps an ambiguous log chronological', () => {
+    const chat = parseWhatsAppChat(ANDROID_24H_AMBIGUOUS);
+    expect(chat.dateOrder).toBe('DMY');
+    expect(chat.messages[3].date).toEqual(new Date(2024, 2, 3, 8, 0));
+  });
+
+  test('honors a forced date order', () => {
+    const chat = parseWhatsAppChat(ANDROID_24H_AMBIGUOUS, { dateOrder: 'MDY' });
+    expect(chat.messages[0].date).toEqual(new Date(2024, 0, 2, 8, 0));
+  });
+
+  test('reports lines before the first message and impossible dates as unparsed', () => {
+    const chat = parseWhatsAppChat('stray line\n31/02/2024, 10:00 - Alice: hi\n01/03/2024, 10:00 - Bob: hey', { dateOrder: 'DMY' });
+    expect(chat.unparsedLines.map(l => l.line)).toEqual([1, 2]);
+    expect(chat.messages).toHaveLength(1);
+  });
+
+  test('reports progress while parsing', () => {
+    const onProgress = jest.fn();
+    parseWhatsAppChat(ANDROID_12H_MDY, { onProgress });
+    expect(onProgress).toHaveBeenLastCalledWith({ stage: 'parse', done: 8, total: 8, unit: 'lines' });
+  });
+});
+
+describe('detectDateOrder', () => {
+  test('decides from unambiguous parts', () => {
+    expect(detectDateOrder(['2024-01-05'])).toBe('YMD');
+    expect(detectDateOrder(['25/12/2023'])).toBe('DMY');
+    expect(detectDateOrder(['12/25/2023'])).toBe('MDY');
+  });
+
+  test('falls back when nothing tells the orders apart', () => {
+    expect(detectDateOrder(['01/01/2024'])).toBe('MDY');
+    expect(detectDateOrder(['01/01/2024'], 'DMY')).toBe('DMY');
+    expect(detectDateOrder([], 'DMY')).toBe('DMY');
+  });
+});
+
+describe('looksLikeWhatsAppChat', () => {
+  test('recognizes both export flavors', () => {
+    expect(looksLikeWhatsAppChat(IOS_24H_DMY)).toBe(true);
+    expect(looksLikeWhatsAppChat(ANDROID_12H_MDY)).toBe(true);
+    expect(looksLikeWhatsAppChat('just some notes\nnothing here')).toBe(false);
+  });
+});
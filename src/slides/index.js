@@ -0,0 +1,339 @@
+import { registerSlide, configureSlides } from './registry';
+import {
+  sortedBar,
+  series,
+  bySender,
+  activityHeatmap,
+  slices,
+  memberShare,
+  stackedBar,
+  memberProfiles,
+  memberScatter,
+  replyNetwork
+} from './transforms';
+import { keywordTrackerSlides } from './trackers';
+
+// Built-in slides, in deck order
+
+const BLUE = 'rgba(54, 162, 235, 0.6)';
+
+registerSlide({
+  id: 'day_of_week',
+  section: 'day_of_week',
+  kind: 'Bar',
+  title: 'Average Messages by Day of Week',
+  transform: sortedBar({ labelField: 'day_of_week', valueField: 'avg_messages', label: 'Avg Messages by Day of Week', color: BLUE })
+});
+
+registerSlide({
+  id: 'hourly_activity',
+  section: 'hourly_activity',
+  kind: 'Heatmap',
+  title: 'When the Chat Comes Alive',
+  transform: activityHeatmap()
+});
+
+registerSlide({
+  id: 'monthly_messages',
+  section: 'monthly_messages',
+  kind: 'Line',
+  title: 'Monthly Message Count',
+  transform: series({ labelField: 'date', valueField: 'message_count', label: 'Messages per Month', color: 'rgba(255, 99, 132, 1)' })
+});
+
+registerSlide({
+  id: 'avg_messages_sent',
+  section: 'avg_messages_sent',
+  kind: 'Line',
+  title: 'Average Messages Sent per Month',
+  transform: series({ labelField: 'month', valueField: 'avg_messages_sent', label: 'Avg Messages per Month', color: 'rgba(75, 192, 192, 1)' })
+});
+
+registerSlide({
+  id: 'quarterly_contribution',
+  section: 'quarterly_contribution',
+  kind: 'Line',
+  title: 'Quarterly Message Contribution by Sender',
+  transform: bySender({ dateField: 'date', valueField: 'message_count' })
+});
+
+registerSlide({
+  id: 'message_share',
+  section: 'quarterly_contribution',
+  kind: 'Doughnut',
+  title: 'Who Does the Talking',
+  transform: memberShare()
+});
+
+registerSlide({
+  id: 'yearly_comparison',
+  section: 'yearly_comparison',
+  kind: 'Bar',
+  title: 'Year-Over-Year Message Change',
+  transform: sortedBar({ labelField: 'sender', valueField: 'percent_change', label: 'YoY % Change', color: 'rgba(153, 102, 255, 0.6)' })
+});
+
+registerSlide({
+  id: 'top_ten_days',
+  section: 'top_ten_days',
+  kind: 'Bar',
+  title: 'Top 10 Most Active Days',
+  transform: sortedBar({ labelField: 'day', valueField: 'chats', label: 'Number of Messages', color: 'rgba(255, 206, 86, 0.6)' })
+});
+
+// Top 3 days summaries. Optional (AI only), and checked per day so one bad
+// summary doesn't hide the others.
+registerSlide({
+  id: 'day_summaries',
+  section: 'top_ten_days',
+  field: 'day_summaries',
+  kind: 'SummaryGrid',
+  title: 'Notable Days',
+  transform: (daySummaries) => {
+    const summaries = (Array.isArray(daySummaries) ? daySummaries : [])
+      .filter(dayData => dayData && typeof dayData === 'object')
+      .map(dayData => ({
+        title: String(dayData.date || ''),
+        summary: String(dayData.content?.summary || ''),
+        chat_logs: Array.isArray(dayData.chat_logs) ? dayData.chat_logs : []
+      }))
+      .filter(summary => summary.title && summary.summary);
+    return summaries.length > 0 ? { summaries } : null;
+  },
+  commentary: () => undefined
+});
+
+registerSlide({
+  id: 'manic',
+  section: 'manic',
+  kind: 'Bar',
+  title: 'Most Manic Award',
+  transform: sortedBar({ labelField: 'sender', valueField: 'percent_manic', label: '% Messages (10pm-4am)', color: BLUE })
+});
+
+registerSlide({
+  id: 'most_ignored',
+  section: 'most_ignored',
+  kind: 'Bar',
+  title: 'Most Ignored Member :(',
+  transform: sortedBar({ labelField: 'sender', valueField: 'average_time_to_respond', label: 'Average Minutes Until Response', color: BLUE })
+});
+
+registerSlide({
+  id: 'reply_network',
+  section: 'reply_network',
+  kind: 'Network',
+  title: 'Who Replies to Whom',
+  transform: replyNetwork()
+});
+
+registerSlide({
+  id: 'novelist',
+  section: 'novelist',
+  kind: 'Bar',
+  title: 'Groupchat Novelist Award',
+  transform: sortedBar({ labelField: 'sender', valueField: 'average_message_length', label: 'Average Characters per Message', color: BLUE })
+});
+
+registerSlide({
+  id: 'swears',
+  section: 'swears',
+  kind: 'Bar',
+  title: 'Swear Word Frequency',
+  transform: sortedBar({ labelField: 'sender', valueField: 'swears_per_message', label: 'Swears per Message', color: 'rgba(255, 99, 132, 0.6)' })
+});
+
+registerSlide({
+  id: 'hangout',
+  section: 'hangout',
+  kind: 'Bar',
+  title: 'Hangout Discussion Frequency',
+  transform: sortedBar({ labelField: 'sender', valueField: 'hangouts_per_message', label: 'Hangout References per Message', color: 'rgba(75, 192, 192, 0.6)' })
+});
+
+registerSlide({
+  id: 'top_emoji',
+  section: 'top_emoji',
+  kind: 'Bar',
+  title: 'Top Emoji',
+  transform: sortedBar({ labelField: 'emoji', valueField: 'count', label: 'Times Sent', color: 'rgba(255, 206, 86, 0.6)' })
+});
+
+registerSlide({
+  id: 'signature_emoji',
+  section: 'signature_emoji',
+  kind: 'TextSummaryCard',
+  title: 'Signature Emoji',
+  transform: (section) => ({
+    summary: section.data
+      .map(row => `${row.sender}: ${row.emoji} (${row.count.toLocaleString()} times)`)
+      .join('\n')
+  })
+});
+
+registerSlide({
+  id: 'emoji_rate',
+  section: 'emoji_rate',
+  kind: 'Bar',
+  title: 'Emoji Enthusiast Award',
+  transform: sortedBar({ labelField: 'sender', valueField: 'emoji_per_message', label: 'Emoji per Message', color: 'rgba(255, 159, 64, 0.6)' })
+});
+
+registerSlide({
+  id: 'emoji_trend',
+  section: 'emoji_trend',
+  kind: 'Line',
+  title: 'Emoji Trends',
+  transform: bySender({ dateField: 'month', valueField: 'count', seriesField: 'emoji' })
+});
+
+// Reactions, from the exports that have them (Telegram, Slack, Discord)
+registerSlide({
+  id: 'most_reacted',
+  section: 'most_reacted',
+  kind: 'TextSummaryCard',
+  title: 'Most Reacted Messages',
+  transform: (section) => ({
+    summary: section.data
+      .map(row => `${row.sender}, ${row.date}: "${row.message}" (${row.breakdown})`)
+      .join('\n')
+  })
+});
+
+registerSlide({
+  id: 'top_reactors',
+  section: 'top_reactors',
+  kind: 'Bar',
+  title: 'Hype Squad Award',
+  transform: sortedBar({ labelField: 'sender', valueField: 'reactions_given', label: 'Reactions Given', color: 'rgba(255, 99, 132, 0.6)' })
+});
+
+registerSlide({
+  id: 'reaction_emoji',
+  section: 'reaction_emoji',
+  kind: 'Bar',
+  title: 'Favorite Reactions',
+  transform: sortedBar({ labelField: 'emoji', valueField: 'count', label: 'Times Reacted', color: 'rgba(255, 206, 86, 0.6)' })
+});
+
+// Media: photos, voice notes and links, from the export's markers and, for
+// zips, the attachment list
+registerSlide({
+  id: 'media_mix',
+  section: 'media_mix',
+  kind: 'Doughnut',
+  title: 'What Gets Shared',
+  transform: slices({ labelField: 'kind', valueField: 'count', label: 'Shared' })
+});
+
+registerSlide({
+  id: 'meme_lord',
+  section: 'meme_lord',
+  kind: 'Bar',
+  title: 'Meme Lord Award',
+  transform: sortedBar({ labelField: 'sender', valueField: 'memes_sent', label: 'Photos, GIFs and Stickers', color: 'rgba(255, 99, 132, 0.6)' })
+});
+
+registerSlide({
+  id: 'podcaster',
+  section: 'podcaster',
+  kind: 'Bar',
+  title: 'Podcaster Award',
+  transform: sortedBar({ labelField: 'sender', valueField: 'voice_notes', label: 'Voice Notes', color: 'rgba(153, 102, 255, 0.6)' })
+});
+
+registerSlide({
+  id: 'sticker_senders',
+  section: 'sticker_senders',
+  kind: 'Bar',
+  title: 'Sticker Addict Award',
+  transform: sortedBar({ labelField: 'sender', valueField: 'stickers_sent', label: 'Stickers Sent', color: 'rgba(75, 192, 192, 0.6)' })
+});
+
+registerSlide({
+  id: 'top_stickers',
+  section: 'top_stickers',
+  kind: 'Bar',
+  title: 'Top Stickers',
+  transform: sortedBar({ labelField: 'sticker', valueField: 'count', label: 'Times Sent', color: 'rgba(255, 206, 86, 0.6)' })
+});
+
+registerSlide({
+  id: 'link_dumper',
+  section: 'link_dumper',
+  kind: 'StackedBar',
+  title: 'Link Dumper Award',
+  transform: stackedBar({ groupField: 'sender', stackField: 'site', valueField: 'links' })
+});
+
+registerSlide({
+  id: 'link_sites',
+  section: 'link_dumper',
+  kind: 'Doughnut',
+  title: 'Where the Links Go',
+  transform: slices({
+    labelField: 'site',
+    valueField: 'links',
+    label: 'Links',
+    describe: (site, percent) => `${percent}% of the links shared pointed to ${site}.`
+  })
+});
+
+// Built from several award sections; members are the most active ones
+registerSlide({
+  id: 'personality_profiles',
+  section: 'quarterly_contribution',
+  kind: 'Radar',
+  title: 'Personality Profiles',
+  transform: memberProfiles({
+    metrics: [
+      { section: 'manic', field: 'percent_manic', label: 'Night Owl', unit: '% late night' },
+      { section: 'most_ignored', field: 'average_time_to_respond', label: 'Left on Read', unit: ' min to a reply' },
+      { section: 'novelist', field: 'average_message_length', label: 'Novelist', unit: ' chars per message' },
+      { section: 'swears', field: 'swears_per_message', label: 'Potty Mouth', unit: ' swears per message' },
+      { section: 'hangout', field: 'hangouts_per_message', label: 'Plan Maker', unit: ' hangout mentions per message' }
+    ]
+  }),
+  commentary: () => 'Each axis is scaled to the member who scored highest on it.'
+});
+
+registerSlide({
+  id: 'length_vs_response',
+  section: 'novelist',
+  kind: 'Scatter',
+  title: 'Long Messages, Long Waits?',
+  transform: memberScatter({
+    xField: 'average_message_length',
+    ySection: 'most_ignored',
+    yField: 'average_time_to_respond',
+    label: 'Members',
+    axes: { x: 'Average characters per message', y: 'Average minutes until a reply' },
+    color: BLUE,
+    describe: (r) => {
+      if (r > 0.3) return 'The more someone writes, the longer they wait for a reply.';
+      if (r < -0.3) return 'Long messages actually get answered faster.';
+      return "Message length doesn't seem to change how fast anyone gets a reply.";
+    }
+  })
+});
+
+// Custom keyword trackers, two slides each (see slides/trackers)
+registerSlide({
+  id: 'keyword_trackers',
+  title: 'Keyword Trackers',
+  items: ({ trackerResults }) => keywordTrackerSlides(trackerResults)
+});
+
+registerSlide({
+  id: 'outro',
+  kind: 'TextSummaryCard',
+  title: "That's all folks!",
+  summary: "We wish you and your groupchat the happiest of New Years! We like to have fun around here but all jokes aside, everyone in the groupchat is special, whether it's the guy who always posts videos you're not going to watch, or the old college bud with three kids that hasn't posted since the last one was born (cute pics though.) Shoot 'em a message and let em know you care. Share this Wrapped. Help us keep the lights on <3"
+});
+
+// Deployments can reorder or hide slides from public/config.js, e.g.
+//   slides: { order: ['manic', 'novelist'], disabled: ['swears'] }
+const runtimeSlideConfig = typeof window !== 'undefined' ? window.__APP_CONFIG__?.slides : null;
+if (runtimeSlideConfig) configureSlides(runtimeSlideConfig);
+
+export { registerSlide, configureSlides, getSlides, getSlide, buildSlides } from './registry';
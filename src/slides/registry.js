@@ -0,0 +1,132 @@
+import { ANALYSIS_SCHEMA, validateAnalysis } from '../analysis/schema';
+import { isValidArray } from './transforms';
+
+// Slide registry
+//
+// Each deck slide registers a descriptor:
+//   id          unique key, used for ordering and enabling/disabling
+//   kind        renderer: a chart type from components/chartTypes ('Bar',
+//               'StackedBar', 'Line', 'Heatmap', 'Doughnut', 'Radar', 'Scatter',
+//               'Network'),
+//               'SummaryGrid' or 'TextSummaryCard' (becomes the item's `type`)
+//   title       slide heading
+//   section     analysis payload key it reads (see analysis/schema); leave
+//               out for static slides
+//   field       optional sub-key of the section (e.g. 'day_summaries'); such
+//               slides are skipped when the field is absent
+//   transform(value, analysisData) -> the slide's content ({ data } for
+//               charts, { summaries } for SummaryGrid), or null to skip it.
+//               `value` is the section, or the field when `field` is set.
+//               Content may carry its own `commentary`.
+//   commentary(value) optional caption; defaults to the content's
+//               commentary, then the section's caption
+//   summary     body text for static TextSummaryCard slides
+//   items(context) for slides that aren't built from the payload: returns
+//               the deck items to show in this slide's place (any number,
+//               each with its own id and type), from the `context` given to
+//               buildSlides. Such slides need no kind.
+//   enabled     set false to hide the slide
+//
+// Slides show in registration order unless configureSlides() says otherwise.
+// A new award is one registerSlide call; the renderer only knows about kinds.
+
+const slides = [];
+let slideConfig = { order: [], disabled: [] };
+
+const registerSlide = (slide) => {
+  if (!slide?.id) throw new Error('Slides need an id');
+  if (!slide.kind && typeof slide.items !== 'function') throw new Error(`Slide "${slide.id}" needs a kind`);
+  if (slide.section && typeof slide.transform !== 'function') {
+    throw new Error(`Slide "${slide.id}" needs a transform`);
+  }
+
+  const existing = slides.findIndex(s => s.id === slide.id);
+  if (existing !== -1) slides.splice(existing, 1, slide);
+  else slides.push(slide);
+};
+
+// { order: [ids listed first, in this order], disabled: [ids to hide] }
+const configureSlides = ({ order = [], disabled = [] } = {}) => {
+  slideConfig = { order, disabled };
+};
+
+const getSlides = () => {
+  const rank = (slide) => {
+    const index = slideConfig.order.indexOf(slide.id);
+    return index === -1 ? slideConfig.order.length + slides.indexOf(slide) : index;
+  };
+  return slides
+    .filter(slide => slide.enabled !== false && !slideConfig.disabled.includes(slide.id))
+    .sort((a, b) => rank(a) - rank(b));
+};
+
+const getSlide = (id) => slides.find(slide => slide.id === id) || null;
+
+// Build the deck from an analysis payload. Each slide is validated and built
+// on its own: a malformed section becomes an "UnavailableCard" and the rest of
+// the deck still renders. Problems are appended to `diagnostics` as
+// { section, title, errors } for the DiagnosticsPanel. Transforms get the
+// normalized payload (see validateAnalysis), never the raw one; `context` is
+// passed to `items` slides, e.g. { trackerResults }.
+const buildSlides = (payload, diagnostics = [], context = {}) => {
+  if (!payload) return [];
+
+  const deck = [];
+  const validation = validateAnalysis(payload);
+  const analysisData = validation.analysis;
+  diagnostics.push(...validation.issues);
+
+  getSlides().forEach(slide => {
+    if (slide.items) {
+      try {
+        deck.push(...slide.items(context));
+      } catch (error) {
+        console.error(`Error building the ${slide.id} slides:`, error);
+      }
+      return;
+    }
+
+    const base = { id: slide.id, type: slide.kind, title: slide.title };
+    if (!slide.section) {
+      deck.push({ ...base, summary: slide.summary });
+      return;
+    }
+
+    const section = analysisData[slide.section];
+    const status = slide.field
+      ? validation.sections[slide.section].optional[slide.field]
+      : validation.sections[slide.section];
+    const unavailable = { ...base, type: 'UnavailableCard', section: slide.section };
+    const value = slide.field ? section?.[slide.field] : section;
+
+    if (status && !status.ok) {
+      deck.push(unavailable);
+      return;
+    }
+    // Optional extras (e.g. AI summaries) just don't show when absent
+    if (slide.field && (value === undefined || value === null)) return;
+    // Valid but empty (e.g. no previous year to compare against), or an
+    // optional section the server didn't send: nothing to show
+    if (!slide.field && !isValidArray(value?.data)) return;
+
+    try {
+      const content = slide.transform(value, analysisData);
+      if (!content) return;
+      let commentary = 'commentary' in content ? content.commentary : section.caption;
+      if (slide.commentary) commentary = slide.commentary(value);
+      deck.push({ ...base, ...content, commentary });
+    } catch (error) {
+      console.error(`Error building the ${slide.id} slide:`, error);
+      diagnostics.push({
+        section: slide.section,
+        title: slide.title || ANALYSIS_SCHEMA[slide.section]?.title,
+        errors: [`Building the slide failed: ${error.message}`]
+      });
+      deck.push(unavailable);
+    }
+  });
+
+  return deck;
+};
+
+export { registerSlide, configureSlides, getSlides, getSlide, buildSlides };
@@ -0,0 +1,123 @@
+import { registerSlide, configureSlides, getSlides, getSlide, buildSlides } from './registry';
+
+const rows = (section) => ({ data: { labels: section.data.map(row => row.sender), values: section.data.map(row => row.percent_manic) } });
+
+registerSlide({ id: 'intro', kind: 'TextSummaryCard', title: 'Hi', summary: 'Your year in chat' });
+registerSlide({ id: 'manic', kind: 'Bar', title: 'Most Manic', section: 'manic', transform: rows });
+registerSlide({
+  id: 'novelist',
+  kind: 'Bar',
+  title: 'Novelist',
+  section: 'novelist',
+  transform: () => ({ data: {}, commentary: 'From the transform' }),
+  commentary: () => 'From the slide'
+});
+registerSlide({
+  id: 'notable_days',
+  kind: 'SummaryGrid',
+  title: 'Notable Days',
+  section: 'top_ten_days',
+  field: 'day_summaries',
+  transform: (summaries) => ({ summaries })
+});
+registerSlide({
+  id: 'extras',
+  items: ({ extras = [] }) => extras.map(name => ({ id: `extra:${name}`, type: 'TextSummaryCard', title: name }))
+});
+registerSlide({
+  id: 'swears',
+  kind: 'Bar',
+  title: 'Swears',
+  section: 'swears',
+  transform: () => {
+    throw new Error('bad chart');
+  }
+});
+
+afterEach(() => configureSlides());
+
+describe('registerSlide', () => {
+  test('requires an id, a kind and, for section slides, a transform', () => {
+    expect(() => registerSlide({ kind: 'Bar' })).toThrow('Slides need an id');
+    expect(() => registerSlide({ id: 'x' })).toThrow('Slide "x" needs a kind');
+    expect(() => registerSlide({ id: 'x', kind: 'Bar', section: 'manic' })).toThrow('Slide "x" needs a transform');
+  });
+
+  test('replaces a slide registered again under the same id, keeping its place', () => {
+    registerSlide({ id: 'intro', kind: 'TextSummaryCard', title: 'Hello', summary: 'Your year in chat' });
+    expect(getSlides().map(slide => slide.id)).toEqual(['intro', 'manic', 'novelist', 'notable_days', 'extras', 'swears']);
+    expect(getSlide('intro').title).toBe('Hello');
+    expect(getSlide('nope')).toBeNull();
+  });
+});
+
+test('configureSlides reorders and hides slides', () => {
+  configureSlides({ order: ['swears', 'manic'], disabled: ['intro', 'extras'] });
+  expect(getSlides().map(slide => slide.id)).toEqual(['swears', 'manic', 'novelist', 'notable_days']);
+});
+
+describe('buildSlides', () => {
+  const PAYLOAD = {
+    manic: { data: [{ sender: ['Alice'], percent_manic: '40' }], caption: 'Alice stays up late.' },
+    novelist: { data: [{ sender: 'Bob', average_message_length: 12 }] },
+    top_ten_days: { data: [{ day: '2023-12-31', chats: 10 }], day_summaries: [{ date: '2023-12-31', content: { summary: 'NYE' } }] },
+    swears: { data: [{ sender: 'Bob', swears_per_message: 0.1 }] }
+  };
+
+  test('builds each slide from its normalized section, captions included', () => {
+    const deck = buildSlides(PAYLOAD);
+    expect(deck[0]).toEqual({ id: 'intro', type: 'TextSummaryCard', title: 'Hello', summary: 'Your year in chat' });
+    expect(deck[1]).toEqual({
+      id: 'manic',
+      type: 'Bar',
+      title: 'Most Manic',
+      data: { labels: ['Alice'], values: [40] },
+      commentary: 'Alice stays up late.'
+    });
+  });
+
+  test("prefers the slide's commentary over the transform's", () => {
+    expect(buildSlides(PAYLOAD).find(item => item.id === 'novelist').commentary).toBe('From the slide');
+  });
+
+  test('turns broken sections and failing transforms into unavailable cards with diagnostics', () => {
+    const diagnostics = [];
+    const deck = buildSlides({ ...PAYLOAD, manic: { data: [{ sender: 'Alice' }] } }, diagnostics);
+
+    expect(deck.find(item => item.id === 'manic')).toEqual({ id: 'manic', type: 'UnavailableCard', title: 'Most Manic', section: 'manic' });
+    expect(deck.find(item => item.id === 'swears').type).toBe('UnavailableCard');
+    expect(diagnostics).toEqual(expect.arrayContaining([
+      { section: 'manic', title: 'Most Manic Award', errors: ['manic.data[0].percent_manic is missing'] },
+      { section: 'swears', title: 'Swears', errors: ['Building the slide failed: bad chart'] }
+    ]));
+  });
+
+  test('shows optional fields when present and valid', () => {
+    const deck = buildSlides(PAYLOAD);
+    expect(deck.find(item => item.id === 'notable_days').summaries).toEqual([{ date: '2023-12-31', content: { summary: 'NYE' } }]);
+
+    const withoutSummaries = buildSlides({ ...PAYLOAD, top_ten_days: { data: [] } });
+    expect(withoutSummaries.find(item => item.id === 'notable_days')).toBeUndefined();
+
+    const broken = buildSlides({ ...PAYLOAD, top_ten_days: { data: [], day_summaries: [{ date: '2023-12-31' }] } });
+    expect(broken.find(item => item.id === 'notable_days').type).toBe('UnavailableCard');
+  });
+
+  test("puts an items slide's items in its place, and none when configured off", () => {
+    const ids = (deck) => deck.map(item => item.id);
+    const deck = buildSlides(PAYLOAD, [], { extras: ['a', 'b'] });
+    expect(ids(deck)).toEqual(['intro', 'manic', 'novelist', 'notable_days', 'extra:a', 'extra:b', 'swears']);
+    expect(ids(buildSlides(PAYLOAD))).not.toContain('extra:a');
+
+    configureSlides({ order: ['extras'], disabled: ['swears'] });
+    expect(ids(buildSlides(PAYLOAD, [], { extras: ['a'] }))).toEqual(['extra:a', 'intro', 'manic', 'novelist', 'notable_days']);
+    configureSlides({ disabled: ['extras'] });
+    expect(ids(buildSlides(PAYLOAD, [], { extras: ['a'] }))).not.toContain('extra:a');
+  });
+
+  test('skips empty sections and optional sections the server left out', () => {
+    const deck = buildSlides({ ...PAYLOAD, novelist: { data: [] } });
+    expect(deck.map(item => item.id)).not.toContain('novelist');
+    expect(buildSlides(null)).toEqual([]);
+  });
+});
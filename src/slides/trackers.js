@@ -0,0 +1,48 @@
+// Deck slides for custom keyword trackers (see analysis/trackers)
+//
+// Trackers aren't part of the analysis payload: each tracker's results become
+// a per-sender bar and a monthly trend line, in the same item shape
+// buildSlides produces. They're registered as one `items` slide (see
+// slides/index), so the slide config can move or hide them like any other.
+
+const BAR_COLOR = 'rgba(255, 159, 64, 0.6)';
+const LINE_COLOR = 'rgba(255, 159, 64, 1)';
+
+const plural = (count, one, many) => `${count.toLocaleString()} ${count === 1 ? one : many}`;
+
+const trackerSlides = ({ id, name, total, senders, monthly }) => {
+  if (total === 0) {
+    return [{ id: `${id}:empty`, type: 'TextSummaryCard', title: name, summary: `Nobody brought up ${name} this time.` }];
+  }
+
+  const [leader] = senders;
+  const [peak] = [...monthly].sort((a, b) => b.mentions - a.mentions);
+  return [
+    {
+      id: `${id}:senders`,
+      type: 'Bar',
+      title: `${name}: Who Brings It Up`,
+      data: {
+        labels: senders.map(row => row.sender),
+        datasets: [{ label: 'Mentions per 100 Messages', data: senders.map(row => row.per_hundred), backgroundColor: BAR_COLOR }]
+      },
+      commentary: `${leader.sender} can't stop talking about ${name}: ${plural(leader.mentions, 'mention', 'mentions')}, ` +
+        `${leader.per_hundred} per 100 messages.`
+    },
+    {
+      id: `${id}:monthly`,
+      type: 'Line',
+      title: `${name} Over Time`,
+      data: {
+        labels: monthly.map(row => row.month),
+        datasets: [{ label: 'Mentions', data: monthly.map(row => row.mentions), borderColor: LINE_COLOR, fill: false }]
+      },
+      commentary: `${plural(total, 'mention', 'mentions')} in all, peaking in ${peak.month} with ${peak.mentions.toLocaleString()}.`
+    }
+  ];
+};
+
+// Every tracker's slides, in the order the trackers were created
+const keywordTrackerSlides = (results) => (results || []).flatMap(trackerSlides);
+
+export { keywordTrackerSlides };
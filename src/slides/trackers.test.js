@@ -0,0 +1,60 @@
+import { keywordTrackerSlides } from './trackers';
+import { buildSlides, configureSlides } from '.';
+
+const CRYPTO = {
+  id: 'tracker-1',
+  name: 'Crypto',
+  total: 5,
+  senders: [
+    { sender: 'Bob', mentions: 4, messages: 20, per_hundred: 20 },
+    { sender: 'Alice', mentions: 1, messages: 10, per_hundred: 10 }
+  ],
+  monthly: [{ month: '2024-01', mentions: 1 }, { month: '2024-02', mentions: 4 }]
+};
+const QUIET = { id: 'tracker-2', name: 'Golf', total: 0, senders: [], monthly: [{ month: '2024-01', mentions: 0 }] };
+
+describe('keywordTrackerSlides', () => {
+  test('gives each tracker a per-sender bar and a monthly line', () => {
+    const [senders, monthly] = keywordTrackerSlides([CRYPTO]);
+    expect(senders).toMatchObject({
+      id: 'tracker-1:senders',
+      type: 'Bar',
+      title: 'Crypto: Who Brings It Up',
+      data: { labels: ['Bob', 'Alice'], datasets: [{ data: [20, 10] }] },
+      commentary: "Bob can't stop talking about Crypto: 4 mentions, 20 per 100 messages."
+    });
+    expect(monthly).toMatchObject({
+      id: 'tracker-1:monthly',
+      type: 'Line',
+      data: { labels: ['2024-01', '2024-02'], datasets: [{ data: [1, 4] }] },
+      commentary: '5 mentions in all, peaking in 2024-02 with 4.'
+    });
+  });
+
+  test("says so when nobody mentioned a tracker's keywords", () => {
+    expect(keywordTrackerSlides([QUIET])).toEqual([
+      { id: 'tracker-2:empty', type: 'TextSummaryCard', title: 'Golf', summary: 'Nobody brought up Golf this time.' }
+    ]);
+    expect(keywordTrackerSlides(null)).toEqual([]);
+  });
+});
+
+describe('in the deck', () => {
+  const ANALYSIS = { novelist: { data: [{ sender: 'Bob', average_message_length: 12 }] } };
+  const ids = (deck) => deck.map(item => item.id);
+
+  afterEach(() => configureSlides());
+
+  test('come right before the outro', () => {
+    expect(ids(buildSlides(ANALYSIS, [], { trackerResults: [CRYPTO, QUIET] })).slice(-4))
+      .toEqual(['tracker-1:senders', 'tracker-1:monthly', 'tracker-2:empty', 'outro']);
+  });
+
+  test('follow the slide config', () => {
+    configureSlides({ order: ['keyword_trackers'] });
+    expect(ids(buildSlides(ANALYSIS, [], { trackerResults: [QUIET] }))[0]).toBe('tracker-2:empty');
+
+    configureSlides({ disabled: ['keyword_trackers'] });
+    expect(ids(buildSlides(ANALYSIS, [], { trackerResults: [CRYPTO] }))).not.toContain('tracker-1:senders');
+  });
+});
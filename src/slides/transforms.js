@@ -0,0 +1,329 @@
+import { DAY_NAMES } from '../analysis/engine';
+import { analyzeNetwork, layoutNetwork } from '../analysis/network';
+
+// Reusable slide transforms: each factory returns a
+// transform(section, analysisData) -> { data } that turns an analysis
+// section's rows into chart.js data, or null when there's nothing to plot.
+// Both arguments come normalized (see validateAnalysis), so row fields
+// already have their declared types.
+
+const isValidArray = (arr) => Array.isArray(arr) && arr.length > 0;
+
+const safeGet = (obj, path, defaultValue = '') => {
+  try {
+    return path.split('.').reduce((acc, part) => acc?.[part], obj) ?? defaultValue;
+  } catch {
+    return defaultValue;
+  }
+};
+
+const sortBarData = (labels, data) => {
+  if (!isValidArray(labels) || !isValidArray(data) || labels.length !== data.length) {
+    return { sortedLabels: labels || [], sortedData: data || [] };
+  }
+  const pairs = labels.map((label, i) => [label, data[i]]);
+  pairs.sort((a, b) => b[1] - a[1]);
+  return {
+    sortedLabels: pairs.map(pair => pair[0]),
+    sortedData: pairs.map(pair => pair[1])
+  };
+};
+
+const generateDistinctColors = (count, alpha = 0.6) => {
+  const hueStep = 360 / count;
+  return Array.from({ length: count }, (_, i) => {
+    const hue = i * hueStep;
+    return `hsla(${hue}, 70%, 60%, ${alpha})`;
+  });
+};
+
+// Heatmap cell color for `share` of the busiest cell (0..1)
+const heatColor = (share) => `rgba(54, 162, 235, ${(0.06 + 0.94 * share).toFixed(2)})`;
+
+// Rows of another section, or null when it failed validation (and so isn't
+// in the normalized payload)
+const sectionRows = (analysisData, key) => analysisData?.[key]?.data ?? null;
+
+// Sum of `valueField` per distinct `labelField`, largest first, as [label, total] pairs
+const totalsBy = (rows, labelField = 'sender', valueField = 'message_count') => {
+  const totals = new Map();
+  rows.forEach(row => {
+    const label = safeGet(row, labelField);
+    totals.set(label, (totals.get(label) || 0) + safeGet(row, valueField, 0));
+  });
+  return [...totals.entries()].sort((a, b) => b[1] - a[1]);
+};
+
+// One dataset per distinct `seriesField` value (a sender by default)
+const groupBySender = (data, dateField = 'date', valueField = 'message_count', seriesField = 'sender') => {
+  if (!isValidArray(data)) return { dates: [], datasets: [] };
+
+  const senders = [...new Set(data.map(d => safeGet(d, seriesField)))].filter(Boolean);
+  const dates = [...new Set(data.map(d => safeGet(d, dateField)))].filter(Boolean).sort();
+  const colors = generateDistinctColors(senders.length);
+
+  const datasets = senders.map((sender, index) => {
+    const senderData = data.filter(d => safeGet(d, seriesField) === sender);
+    const values = dates.map(dt => {
+      const entry = senderData.find(x => safeGet(x, dateField) === dt);
+      return safeGet(entry, valueField, 0);
+    });
+
+    return {
+      label: sender,
+      data: values,
+      borderColor: colors[index],
+      backgroundColor: colors[index],
+      fill: false
+    };
+  });
+
+  return { dates, datasets };
+};
+
+// One bar per row, highest first (awards, day of week, top days...)
+const sortedBar = ({ labelField, valueField, label, color }) => (section) => {
+  const labels = section.data.map(d => safeGet(d, labelField));
+  const values = section.data.map(d => safeGet(d, valueField, 0));
+  const { sortedLabels, sortedData } = sortBarData(labels, values);
+
+  return {
+    data: {
+      labels: sortedLabels,
+      datasets: [{ label, data: sortedData, backgroundColor: color }]
+    }
+  };
+};
+
+// One line through the rows in their given (chronological) order
+const series = ({ labelField, valueField, label, color }) => (section) => ({
+  data: {
+    labels: section.data.map(d => safeGet(d, labelField)),
+    datasets: [{
+      label,
+      data: section.data.map(d => safeGet(d, valueField, 0)),
+      borderColor: color,
+      fill: false
+    }]
+  }
+});
+
+// One line per sender (or per `seriesField` value) over `dateField`
+const bySender = ({ dateField = 'date', valueField = 'message_count', seriesField = 'sender' } = {}) => (section) => {
+  const { dates, datasets } = groupBySender(section.data, dateField, valueField, seriesField);
+  if (dates.length === 0 || datasets.length === 0) return null;
+  return { data: { labels: dates, datasets } };
+};
+
+// Day-of-week x hour-of-day grid: one stacked horizontal bar per day, one
+// unit-wide segment per hour, shaded by message count (see the Heatmap chart type)
+const activityHeatmap = () => (section) => {
+  const counts = DAY_NAMES.map(() => new Array(24).fill(0));
+  section.data.forEach(row => {
+    const day = DAY_NAMES.indexOf(row.day_of_week);
+    if (day !== -1 && row.hour >= 0 && row.hour < 24) counts[day][row.hour] += row.message_count;
+  });
+  const max = Math.max(...counts.flat());
+  if (max === 0) return null;
+
+  return {
+    data: {
+      labels: DAY_NAMES,
+      datasets: Array.from({ length: 24 }, (_, hour) => ({
+        label: String(hour),
+        hour,
+        data: DAY_NAMES.map(() => 1),
+        counts: counts.map(dayCounts => dayCounts[hour]),
+        backgroundColor: counts.map(dayCounts => heatColor(dayCounts[hour] / max)),
+        borderColor: 'white',
+        borderWidth: 1,
+        barPercentage: 1,
+        categoryPercentage: 1
+      }))
+    }
+  };
+};
+
+// Doughnut of `valueField` totals per `labelField`, the long tail lumped into
+// `otherLabel`. `describe(leader, percent)` gives the commentary.
+const slices = ({ labelField, valueField, label, maxSlices = 8, otherLabel = 'Other', describe }) => (section) => {
+  const totals = totalsBy(section.data, labelField, valueField);
+  const rest = totals.slice(maxSlices - 1);
+  const shown = rest.length > 1
+    ? [...totals.slice(0, maxSlices - 1), [otherLabel, rest.reduce((sum, [, n]) => sum + n, 0)]]
+    : totals;
+  const total = shown.reduce((sum, [, n]) => sum + n, 0);
+  if (total === 0) return null;
+
+  const [leader, leaderCount] = shown[0];
+  return {
+    data: {
+      labels: shown.map(([name]) => name),
+      datasets: [{
+        label,
+        data: shown.map(([, n]) => n),
+        backgroundColor: generateDistinctColors(shown.length),
+        borderColor: 'white'
+      }]
+    },
+    ...(describe && { commentary: describe(leader, Math.round((leaderCount / total) * 100)) })
+  };
+};
+
+// Each member's share of all messages, small contributors lumped together
+const memberShare = ({ maxSlices = 8 } = {}) => slices({
+  labelField: 'sender',
+  valueField: 'message_count',
+  label: 'Messages',
+  maxSlices,
+  otherLabel: 'Everyone else',
+  describe: (leader, percent) => `${leader} sent ${percent}% of all messages.`
+});
+
+// One bar per `groupField` value, split into a stacked segment per
+// `stackField` value; bars sorted by their total
+const stackedBar = ({ groupField, stackField, valueField }) => (section) => {
+  const groups = totalsBy(section.data, groupField, valueField).map(([name]) => name);
+  const stacks = totalsBy(section.data, stackField, valueField).map(([name]) => name);
+  if (groups.length === 0) return null;
+
+  const colors = generateDistinctColors(stacks.length);
+  return {
+    data: {
+      labels: groups,
+      datasets: stacks.map((stack, i) => ({
+        label: stack,
+        data: groups.map(group => section.data
+          .filter(row => safeGet(row, groupField) === group && safeGet(row, stackField) === stack)
+          .reduce((sum, row) => sum + safeGet(row, valueField, 0), 0)),
+        backgroundColor: colors[i]
+      }))
+    }
+  };
+};
+
+// "Personality profiles": the most active members across the award metrics,
+// each axis scaled to the chat's top scorer
+const memberProfiles = ({ metrics, maxMembers = 5 }) => (section, analysisData) => {
+  const members = totalsBy(section.data).slice(0, maxMembers).map(([sender]) => sender);
+  const axes = metrics
+    .map(metric => {
+      const rows = sectionRows(analysisData, metric.section);
+      if (!isValidArray(rows)) return null;
+      const values = new Map(rows.map(row => [row.sender, safeGet(row, metric.field, 0)]));
+      const max = Math.max(...values.values());
+      return max > 0 ? { ...metric, values, max } : null;
+    })
+    .filter(Boolean);
+  if (members.length === 0 || axes.length < 3) return null;
+
+  const lines = generateDistinctColors(members.length, 1);
+  const fills = generateDistinctColors(members.length, 0.15);
+  return {
+    data: {
+      labels: axes.map(axis => axis.label),
+      datasets: members.map((sender, i) => ({
+        label: sender,
+        data: axes.map(axis => Math.round(((axis.values.get(sender) || 0) / axis.max) * 100)),
+        actual: axes.map(axis => (axis.values.has(sender) ? `${axis.values.get(sender)}${axis.unit}` : 'not enough messages')),
+        borderColor: lines[i],
+        backgroundColor: fills[i],
+        pointBackgroundColor: lines[i],
+        fill: true
+      }))
+    }
+  };
+};
+
+const correlation = (points) => {
+  const n = points.length;
+  const mean = (key) => points.reduce((sum, p) => sum + p[key], 0) / n;
+  const mx = mean('x');
+  const my = mean('y');
+  const cov = points.reduce((sum, p) => sum + (p.x - mx) * (p.y - my), 0);
+  const spread = Math.sqrt(points.reduce((sum, p) => sum + (p.x - mx) ** 2, 0) * points.reduce((sum, p) => sum + (p.y - my) ** 2, 0));
+  return spread > 0 ? cov / spread : 0;
+};
+
+// One labelled point per member, joining this section's `xField` with
+// `yField` from the `ySection` section
+const memberScatter = ({ xField, ySection, yField, label, axes, color, describe }) => (section, analysisData) => {
+  const yRows = sectionRows(analysisData, ySection);
+  if (!isValidArray(yRows)) return null;
+  const yBySender = new Map(yRows.map(row => [row.sender, safeGet(row, yField, 0)]));
+
+  const points = section.data
+    .map(row => ({ sender: row.sender, x: safeGet(row, xField, 0) }))
+    .filter(point => yBySender.has(point.sender))
+    .map(point => ({ x: point.x, y: yBySender.get(point.sender), label: point.sender }));
+  if (points.length < 2) return null;
+
+  return {
+    data: { datasets: [{ label, data: points, backgroundColor: color, pointRadius: 6, pointHoverRadius: 8 }] },
+    axes,
+    commentary: points.length >= 3 ? describe(correlation(points)) : undefined
+  };
+};
+
+const listNames = (names) =>
+  (names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names[0]);
+
+// Reply network for the Network chart type: laid-out members (sized by
+// activity, colored by cluster) and the pairs between them, with the Best
+// Duo, loyal repliers and clusters called out in the commentary
+const replyNetwork = ({ maxMembers = 20 } = {}) => (section) => {
+  const network = analyzeNetwork(section.data, { maxMembers });
+  if (network.members.length < 2 || !network.bestDuo) return null;
+
+  const positions = layoutNetwork(network.members.map(m => m.name), network.pairs);
+  const colors = generateDistinctColors(network.clusters.length, 1);
+  const maxReplies = Math.max(...network.members.map(m => m.replies));
+  const maxWeight = network.bestDuo.weight;
+  const { bestDuo } = network;
+
+  const callouts = [`${bestDuo.a} & ${bestDuo.b} are the Best Duo, with ${bestDuo.weight.toLocaleString()} quick replies between them.`];
+  network.loyal.slice(0, 2).forEach(({ name, partner, share }) => {
+    callouts.push(`${name} mostly talks to ${partner} (${Math.round(share * 100)}% of their replies).`);
+  });
+  const circles = network.clusters.filter(cluster => cluster.length > 1);
+  if (circles.length > 1) {
+    callouts.push(`The chat splits into ${circles.length} circles: ${circles.slice(0, 3).map(listNames).join('; ')}.`);
+  }
+
+  return {
+    data: {
+      nodes: network.members.map(member => ({
+        name: member.name,
+        replies: member.replies,
+        ...positions.get(member.name),
+        size: member.replies / maxReplies,
+        color: colors[member.cluster]
+      })),
+      links: network.pairs.map(pair => ({
+        ...pair,
+        strength: pair.weight / maxWeight,
+        best: pair === bestDuo
+      }))
+    },
+    commentary: callouts.join(' ')
+  };
+};
+
+export {
+  isValidArray,
+  safeGet,
+  sortBarData,
+  generateDistinctColors,
+  heatColor,
+  groupBySender,
+  sortedBar,
+  series,
+  bySender,
+  activityHeatmap,
+  slices,
+  memberShare,
+  stackedBar,
+  memberProfiles,
+  memberScatter,
+  replyNetwork
+};
@@ -0,0 +1,14 @@
+import { registerSource } from './registry';
+import WhatsAppConnector from '../components/WhatsAppConnector';
+
+// Sources with their own UI. Kept apart from ./index so the chat worker can
+// load the file importers without pulling in React components.
+
+// Live QR-code connection; needs the connector service running next to the app
+registerSource({
+  id: 'whatsapp-live',
+  label: 'Connect WhatsApp',
+  description: 'Scan a QR code to import a chat directly (experimental)',
+  component: WhatsAppConnector,
+  enabled: process.env.REACT_APP_ENABLE_WHATSAPP_CONNECT === 'true'
+});
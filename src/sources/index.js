@@ -0,0 +1,87 @@
+import { registerSource } from './registry';
+import { parseWhatsAppChat } from '../parsers/whatsapp';
+import { parseTelegramExport } from '../parsers/telegram';
+import { parseDiscordExport } from '../parsers/discord';
+import { readSlackExport, parseSlackExport } from '../parsers/slack';
+import { parseSignalBackup } from '../parsers/signal';
+
+// Built-in chat sources, in the order they appear on the upload screen
+
+registerSource({
+  id: 'whatsapp',
+  label: 'Upload Chat File',
+  description: 'Export your chat from WhatsApp and upload the file',
+  accept: ['txt', 'zip'],
+  dropLabel: 'Drop your WhatsApp chat file (.txt or .zip) here or click to browse',
+  instructions: {
+    href: 'https://faq.whatsapp.com/1180414079177245/?cms_platform=iphone&helpref=platform_switcher&locale=en_US',
+    linkText: 'To learn how to export your chat history from WhatsApp, click here.',
+    note: 'You can upload the .zip as-is; media is optional.'
+  },
+  normalize: (exported, { onProgress }) => parseWhatsAppChat(exported.transcript, { onProgress }),
+  nativeTranscript: true,
+  emptyError: "We couldn't find any messages in this file. Make sure it's a chat exported from WhatsApp (\"Export chat\" → \"Without media\")."
+});
+
+registerSource({
+  id: 'telegram',
+  label: 'Upload Telegram Export',
+  description: 'Export your chat history from Telegram Desktop as JSON and upload result.json',
+  accept: ['json'],
+  dropLabel: 'Drop your Telegram result.json here or click to browse',
+  instructions: {
+    href: 'https://telegram.org/blog/export-and-more',
+    linkText: 'In Telegram Desktop, open the chat, choose "Export chat history" and pick "Machine-readable JSON".',
+    note: "You don't need to include media."
+  },
+  normalize: (exported) => parseTelegramExport(exported.transcript),
+  emptyError: "We couldn't find any messages in this file. Make sure it's the result.json from Telegram Desktop's \"Export chat history\"."
+});
+
+registerSource({
+  id: 'discord',
+  label: 'Upload Discord Export',
+  description: 'Export a channel with DiscordChatExporter (JSON or CSV) and upload it',
+  accept: ['json', 'csv'],
+  dropLabel: 'Drop your DiscordChatExporter .json or .csv here or click to browse',
+  instructions: {
+    href: 'https://github.com/Tyrrrz/DiscordChatExporter',
+    linkText: 'Use DiscordChatExporter to export the channel as JSON or CSV.',
+    note: 'Bot messages are skipped.'
+  },
+  normalize: (exported) => parseDiscordExport(exported.transcript, { fileName: exported.fileName }),
+  emptyError: "We couldn't find any messages in this file. Make sure it's a channel export from DiscordChatExporter."
+});
+
+registerSource({
+  id: 'slack',
+  label: 'Upload Slack Export',
+  description: 'Upload a Slack workspace export zip; every channel in it is included',
+  accept: ['zip'],
+  dropLabel: 'Drop your Slack export .zip here or click to browse',
+  instructions: {
+    href: 'https://slack.com/help/articles/201658943-Export-your-workspace-data',
+    linkText: 'Workspace admins can export data from Settings & administration → Workspace settings.',
+    note: 'Upload the zip without unpacking it.'
+  },
+  read: readSlackExport,
+  normalize: (exported) => parseSlackExport(exported),
+  emptyError: "We couldn't find any messages in this export. Make sure it's a Slack workspace export zip."
+});
+
+registerSource({
+  id: 'signal',
+  label: 'Upload Signal Backup Text',
+  description: 'Convert a Signal backup to text (signalbackup-tools or signal-export) and upload it',
+  accept: ['txt', 'md'],
+  dropLabel: 'Drop your Signal chat .txt or .md here or click to browse',
+  instructions: {
+    href: 'https://github.com/bepaald/signalbackup-tools',
+    linkText: 'Signal has no chat export, so decrypt your backup with signalbackup-tools and export the chat as text.',
+    note: 'Only the text file is needed.'
+  },
+  normalize: (exported, { onProgress }) => parseSignalBackup(exported.transcript, { onProgress }),
+  emptyError: "We couldn't find any messages in this file. Lines should look like \"[2024-01-03 18:22:10] Alice: hi\"."
+});
+
+export { registerSource, getSources, getSource, acceptAttribute, loadChat } from './registry';
@@ -0,0 +1,65 @@
+import { readChatFile } from '../parsers/chatFile';
+import { toWhatsAppText } from '../parsers/transcript';
+
+// Chat source registry
+//
+// Each platform registers a descriptor:
+//   id            unique key, stored as App's `connectionMethod`
+//   label         button title on the upload screen
+//   description   one-liner under the title
+//   accept        file extensions the drop zone takes, e.g. ['txt', 'zip']
+//   dropLabel     drop zone placeholder
+//   instructions  { href, linkText, note } shown above the drop zone
+//   read(file)    optional, defaults to readChatFile (plain text or WhatsApp zip)
+//   normalize(exported, { file, onProgress }) -> { messages, systemMessages, participants, format }
+//   nativeTranscript  true when the raw text can go to the analysis API as-is
+//   emptyError    message when the file parses but has no messages
+//   component     optional React component rendered instead of the drop zone
+//   enabled       set false to hide the source
+//
+// Adding a platform means writing a normalizer and calling registerSource;
+// the upload screen is built from getSources().
+
+const sources = [];
+
+const registerSource = (source) => {
+  if (!source?.id) throw new Error('Chat sources need an id');
+  if (!source.component && typeof source.normalize !== 'function') {
+    throw new Error(`Chat source "${source.id}" needs a normalize function`);
+  }
+
+  const existing = sources.findIndex(s => s.id === source.id);
+  if (existing !== -1) sources.splice(existing, 1, source);
+  else sources.push(source);
+};
+
+const getSources = () => sources.filter(source => source.enabled !== false);
+
+const getSource = (id) => sources.find(source => source.id === id) || null;
+
+const acceptAttribute = (source) => (source?.accept || []).map(ext => `.${ext}`).join(',');
+
+// Read and normalize a file with the given source. Resolves to
+// { exported, parsed, transcript } where `transcript` is what the analysis API gets.
+// `onProgress` receives { stage, done, total, unit } updates.
+const loadChat = async (source, file, onProgress = () => {}) => {
+  onProgress({ stage: 'read', done: 0, total: file.size, unit: 'bytes' });
+  const exported = await (source.read || readChatFile)(file);
+
+  onProgress({ stage: 'parse', done: 0, total: 0 });
+  const parsed = source.normalize(exported, { file, onProgress });
+
+  if (!parsed || !Array.isArray(parsed.messages) || parsed.messages.length === 0) {
+    throw new Error(source.emptyError || "We couldn't find any messages in this file.");
+  }
+
+  if (!source.nativeTranscript) onProgress({ stage: 'serialize', done: 0, total: parsed.messages.length, unit: 'messages' });
+
+  return {
+    exported,
+    parsed,
+    transcript: source.nativeTranscript ? exported.transcript : toWhatsAppText(parsed.messages)
+  };
+};
+
+export { registerSource, getSources, getSource, acceptAttribute, loadChat };
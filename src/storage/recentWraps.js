@@ -0,0 +1,109 @@
+import { comparePeriods } from '../analysis/periods';
+
+// "Recent wraps": analyzed chats saved in this browser's IndexedDB
+//
+// Strictly opt-in. Nothing is written unless the member ticks "save on this
+// device", and every saved wrap can be deleted from the upload screen. A wrap
+// is keyed by a SHA-256 of its transcript, so re-analyzing the same export
+// updates the existing entry instead of adding a duplicate.
+//
+// Record: { id, groupName, sourceId, savedAt, availableYears, span, years,
+//           lastPeriod, aiSummaries, analysisSource,
+//           analyses: { [period]: analysisData }, transcriptJson: Blob }
+// `years` lists the analyzed period keys (see analysis/periods), newest first
+// (see comparePeriods); `lastPeriod` is the one viewed last.
+
+const DB_NAME = 'groupchat-wrapped';
+const DB_VERSION = 1;
+const STORE = 'wraps';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const isStorageAvailable = () => typeof indexedDB !== 'undefined';
+
+let dbPromise = null;
+const openDb = () => {
+  if (!isStorageAvailable()) return Promise.reject(new Error('This browser has no IndexedDB'));
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    dbPromise = promisify(request).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, run) => {
+  const db = await openDb();
+  return promisify(run(db.transaction(STORE, mode).objectStore(STORE)));
+};
+
+const hashTranscript = async (transcriptJson) => {
+  const digest = await crypto.subtle.digest('SHA-256', await transcriptJson.arrayBuffer());
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Best name we have for the group: the export's own chat name, else the file
+// name without WhatsApp's "WhatsApp Chat with" prefix and the extension
+const describeGroupName = (chatFile, chatSummary) => {
+  if (chatSummary?.chatName) return chatSummary.chatName;
+  const fileName = chatFile?.transcriptName || chatFile?.fileName || '';
+  const name = fileName.replace(/\.[^.]+$/, '').replace(/^WhatsApp Chat (with|-)\s*/i, '').trim();
+  return name || 'Untitled chat';
+};
+
+// Save one period's analysis, merging it into the wrap if it already exists.
+// Resolves with the wrap's id; pass it back in to skip hashing next time.
+const saveWrap = async ({ id: knownId, transcriptJson, period, analysisData, ...details }) => {
+  const id = knownId || await hashTranscript(transcriptJson);
+  const existing = await withStore('readonly', store => store.get(id));
+  const analyses = { ...(existing?.analyses || {}), [period]: analysisData };
+
+  const record = {
+    ...existing,
+    ...details,
+    id,
+    savedAt: Date.now(),
+    analyses,
+    years: Object.keys(analyses).sort(comparePeriods),
+    lastPeriod: period,
+    transcriptJson
+  };
+  await withStore('readwrite', store => store.put(record));
+  return id;
+};
+
+// Summaries for the list, newest first, without the heavy fields
+const listWraps = async () => {
+  const records = await withStore('readonly', store => store.getAll());
+  return records
+    .map(({ analyses, transcriptJson, ...summary }) => summary)
+    .sort((a, b) => b.savedAt - a.savedAt);
+};
+
+const getWrap = (id) => withStore('readonly', store => store.get(id));
+
+// The period to reopen a wrap on: the one viewed last, or for wraps saved
+// before that was kept, the newest
+const wrapPeriod = (wrap) => (wrap.lastPeriod !== undefined && wrap.analyses[wrap.lastPeriod]
+  ? wrap.lastPeriod
+  : Object.keys(wrap.analyses).sort(comparePeriods)[0]);
+
+const deleteWrap = (id) => withStore('readwrite', store => store.delete(id));
+
+export {
+  isStorageAvailable,
+  describeGroupName,
+  saveWrap,
+  listWraps,
+  getWrap,
+  wrapPeriod,
+  deleteWrap
+};
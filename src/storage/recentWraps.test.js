@@ -0,0 +1,23 @@
+import { describeGroupName, wrapPeriod } from './recentWraps';
+
+describe('wrapPeriod', () => {
+  const analyses = { all: {}, '2023': {}, '2024': {}, '2024-06-01..2024-08-31': {} };
+
+  test('reopens a wrap on the period viewed last', () => {
+    expect(wrapPeriod({ analyses, lastPeriod: '2023' })).toBe('2023');
+    expect(wrapPeriod({ analyses, lastPeriod: 'all' })).toBe('all');
+  });
+
+  test('falls back to the newest year for wraps saved without one', () => {
+    expect(wrapPeriod({ analyses, years: ['all', '2024-06-01..2024-08-31', '2024', '2023'] })).toBe('2024');
+    expect(wrapPeriod({ analyses: { all: {}, '2024-06-01..2024-08-31': {} } })).toBe('2024-06-01..2024-08-31');
+    expect(wrapPeriod({ analyses, lastPeriod: '2019' })).toBe('2024');
+  });
+});
+
+test('describeGroupName prefers the chat name, then a tidied file name', () => {
+  expect(describeGroupName({ transcriptName: 'result.json' }, { chatName: 'Road trip' })).toBe('Road trip');
+  expect(describeGroupName({ transcriptName: 'WhatsApp Chat with Road trip.txt' }, {})).toBe('Road trip');
+  expect(describeGroupName({ fileName: 'WhatsApp Chat - Family.zip' }, null)).toBe('Family');
+  expect(describeGroupName(null, null)).toBe('Untitled chat');
+});
@@ -0,0 +1,40 @@
+// Custom keyword trackers (see analysis/trackers), kept in this browser's
+// localStorage so they're there for every chat and every year. They hold only
+// names and keywords, never messages.
+
+const STORAGE_KEY = 'groupchat-wrapped:trackers';
+
+const storage = () => {
+  try {
+    return typeof localStorage === 'undefined' ? null : localStorage;
+  } catch {
+    // Some browsers throw just for touching localStorage with storage blocked
+    return null;
+  }
+};
+
+// The saved trackers, or [] when there are none or they can't be read
+const loadTrackers = () => {
+  try {
+    const saved = JSON.parse(storage()?.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(tracker => tracker?.id && Array.isArray(tracker.terms)) : [];
+  } catch (error) {
+    console.warn('Could not read saved trackers:', error);
+    return [];
+  }
+};
+
+// False when the browser won't store them (private mode, full disk)
+const saveTrackers = (trackers) => {
+  try {
+    const store = storage();
+    if (!store) return false;
+    store.setItem(STORAGE_KEY, JSON.stringify(trackers));
+    return true;
+  } catch (error) {
+    console.warn('Could not save trackers:', error);
+    return false;
+  }
+};
+
+export { loadTrackers, saveTrackers };
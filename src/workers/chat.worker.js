@@ -0,0 +1,168 @@
+/* eslint-disable no-restricted-globals */
+import { getSource, loadChat } from '../sources';
+import { analyzeTranscript, dayLogs, getAvailableYears, getDateSpan } from '../analysis/engine';
+import { memberActivity } from '../analysis/profile';
+import { applyParticipants, formerNames } from '../analysis/participants';
+import { anonymizeMessages, previewRedactions } from '../analysis/anonymize';
+import { metadataRows, dayWindows } from '../analysis/minimize';
+import { searchMessages } from '../analysis/search';
+import { trackKeywords } from '../analysis/trackers';
+import { summarizeTranscript, toWhatsAppText } from '../parsers/transcript';
+
+// Chat worker: parses uploads and runs on-device analysis off the main thread.
+//
+// Requests:  { id, type: 'load', sourceId, file } | { id, type: 'analyze', period, only? }
+//            | { id, type: 'profile', period, member } | { id, type: 'participants', mapping }
+//            | { id, type: 'privacy', options: { anonymize, terms, minimize } }
+//            | { id, type: 'minimized', period, windows } | { id, type: 'day', day, direction }
+//            | { id, type: 'search', options: { query, senders, from, to, types } }
+//            | { id, type: 'trackers', period, trackers }
+// Replies:   { id, type: 'progress', progress } | { id, type: 'result', result } | { id, type: 'error', message }
+//
+// The parsed messages (and a zip's attachment list) stay here between
+// requests so 'analyze' doesn't have to ship the transcript back and forth;
+// 'load' only returns a summary of them (see summarizeTranscript).
+// 'participants' swaps in renamed/merged senders (see analysis/participants)
+// for every later request; the parsed originals are kept to re-map from.
+// 'privacy' only changes what the analysis API gets (see analysis/anonymize
+// and analysis/minimize): on-device analysis always reads the real messages.
+
+let parsedMessages = null;
+let parsedTranscript = null;
+let loadedMessages = null;
+let loadedAttachments = [];
+let participantMapping = {};
+let privacy = null;
+// The messages as the analysis API gets them, and their metadata rows when minimizing
+let sentMessages = null;
+let metadataJson = null;
+
+// JSON-encode the transcript (or metadata rows) here, once; the main thread
+// splices this Blob into request bodies instead of stringifying megabytes per
+// request.
+const encodeJson = (value) => new Blob([JSON.stringify(value)], { type: 'application/json' });
+
+const handlers = {
+  load: async ({ sourceId, file }, reportProgress) => {
+    const source = getSource(sourceId);
+    if (!source) throw new Error(`Unknown chat source "${sourceId}"`);
+
+    const { exported, parsed, transcript } = await loadChat(source, file, reportProgress);
+    parsedMessages = parsed.messages;
+    parsedTranscript = transcript;
+    participantMapping = {};
+    privacy = null;
+    loadedMessages = parsed.messages;
+    loadedAttachments = exported.attachments || [];
+    sentMessages = parsed.messages;
+    metadataJson = null;
+
+    return {
+      exported: { ...exported, transcript: undefined, users: undefined, channels: undefined },
+      summary: { ...summarizeTranscript(parsed.messages), format: parsed.format, chatName: parsed.chatName || null },
+      transcriptJson: encodeJson(transcript),
+      availableYears: getAvailableYears(parsed.messages),
+      span: getDateSpan(parsed.messages)
+    };
+  },
+
+  analyze: async ({ period, only }, reportProgress) => {
+    if (!loadedMessages) throw new Error('No chat loaded');
+    return analyzeTranscript(loadedMessages, { period, only, attachments: loadedAttachments, onProgress: reportProgress });
+  },
+
+  profile: async ({ period, member }) => {
+    if (!loadedMessages) throw new Error('No chat loaded');
+    return memberActivity(loadedMessages, member, { period });
+  },
+
+  // A day's chat log for the logs drawer (see dayLogs in analysis/engine)
+  day: async ({ day, direction }) => {
+    if (!loadedMessages) throw new Error('No chat loaded');
+    return dayLogs(loadedMessages, day, direction);
+  },
+
+  // Explore view search over the whole chat (see analysis/search)
+  search: async ({ options }) => {
+    if (!loadedMessages) throw new Error('No chat loaded');
+    return searchMessages(loadedMessages, options, { attachments: loadedAttachments });
+  },
+
+  // Custom keyword tracker counts for the deck (see analysis/trackers)
+  trackers: async ({ period, trackers }) => {
+    if (!loadedMessages) throw new Error('No chat loaded');
+    return trackKeywords(loadedMessages, trackers, { period });
+  },
+
+  // Re-map senders (see analysis/participants)
+  participants: async ({ mapping }) => {
+    if (!parsedMessages) throw new Error('No chat loaded');
+    participantMapping = mapping || {};
+    loadedMessages = applyParticipants(parsedMessages, mapping);
+    return outgoing();
+  },
+
+  privacy: async ({ options }) => {
+    if (!parsedMessages) throw new Error('No chat loaded');
+    privacy = options;
+    return outgoing();
+  },
+
+  // Minimized request parts: the metadata rows, plus the notable days' text
+  // for the AI when `windows` is set
+  minimized: async ({ period, windows }) => {
+    if (!metadataJson) throw new Error('Data minimization is off');
+    return { metadataJson, dayWindows: windows ? dayWindows(sentMessages, period) : undefined };
+  }
+};
+
+// What the analysis API gets under the current mapping and privacy options:
+// { transcriptJson, availableYears, span, pseudonyms, redactions, minimized },
+// where `pseudonyms` maps back to real names and `redactions` is
+// { counts, preview } (both null when not anonymizing), and `minimized` is
+// { rows, preview } when minimizing. Years and span come along because
+// excluding someone can shorten the chat.
+const outgoing = () => {
+  const result = {
+    availableYears: getAvailableYears(loadedMessages),
+    span: getDateSpan(loadedMessages),
+    pseudonyms: null,
+    redactions: null,
+    minimized: null
+  };
+
+  if (privacy?.anonymize) {
+    const { messages, pseudonyms, counts } = anonymizeMessages(loadedMessages, {
+      terms: privacy.terms,
+      aliases: formerNames(participantMapping)
+    });
+    sentMessages = messages;
+    result.transcriptJson = encodeJson(toWhatsAppText(messages));
+    result.pseudonyms = pseudonyms;
+    result.redactions = { counts, preview: previewRedactions(loadedMessages, messages) };
+  } else {
+    sentMessages = loadedMessages;
+    result.transcriptJson = encodeJson(loadedMessages === parsedMessages ? parsedTranscript : toWhatsAppText(loadedMessages));
+  }
+
+  metadataJson = null;
+  if (privacy?.minimize) {
+    const rows = metadataRows(loadedMessages, { sent: sentMessages, attachments: loadedAttachments });
+    metadataJson = encodeJson(rows);
+    result.minimized = { rows: rows.length, preview: rows.slice(0, 3) };
+  }
+  return result;
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, type, ...payload } = data;
+  const reportProgress = (progress) => self.postMessage({ id, type: 'progress', progress });
+
+  try {
+    if (!handlers[type]) throw new Error(`Unknown request "${type}"`);
+    const result = await handlers[type](payload, reportProgress);
+    self.postMessage({ id, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message || 'Something went wrong' });
+  }
+};
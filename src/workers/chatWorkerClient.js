@@ -0,0 +1,169 @@
+import { CancelledError } from '../errors';
+
+// Main-thread side of chat.worker.js
+//
+// createChatWorker() returns { load, restore, analyze, profile, setParticipants,
+// setPrivacy, minimized, dayLogs, search, trackers, cancel, terminate }.
+// Requests resolve with the worker's result and stream progress to `onProgress`.
+// cancel() terminates the worker outright (parsing is synchronous, so there's
+// no gentler way to stop it) and rejects whatever was in flight with a
+// CancelledError; the next request spins up a fresh worker and, if needed,
+// reloads the last file (and re-applies the participant mapping and privacy
+// options) so analysis can carry on.
+
+const createChatWorker = () => {
+  let worker = null;
+  let nextId = 0;
+  let loaded = false;
+  let lastLoad = null;
+  let reloading = null;
+  // Worker settings to re-send after a reload: request type -> payload
+  let settings = {};
+  const pending = new Map();
+
+  const rejectAll = (error) => {
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+  };
+
+  const spawn = () => {
+    worker = new Worker(new URL('./chat.worker.js', import.meta.url));
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+
+      if (data.type === 'progress') {
+        request.onProgress(data.progress);
+      } else if (data.type === 'result') {
+        pending.delete(data.id);
+        request.resolve(data.result);
+      } else if (data.type === 'error') {
+        pending.delete(data.id);
+        request.reject(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      console.error('Chat worker crashed:', event);
+      worker.terminate();
+      worker = null;
+      loaded = false;
+      rejectAll(new Error('The chat processor crashed. The file may be too large for this device.'));
+    };
+  };
+
+  const request = (type, payload, onProgress = () => {}) => new Promise((resolve, reject) => {
+    if (!worker) spawn();
+    const id = ++nextId;
+    pending.set(id, { resolve, reject, onProgress });
+    worker.postMessage({ id, type, ...payload });
+  });
+
+  // Parse `file` with the given source; resolves with { exported, summary,
+  // transcriptJson, availableYears, span }, where `summary` is the chat's
+  // summarizeTranscript() plus its format and chatName
+  const load = async (sourceId, file, onProgress) => {
+    lastLoad = { sourceId, file };
+    settings = {};
+    loaded = false;
+    const result = await request('load', { sourceId, file }, onProgress);
+    loaded = true;
+    return result;
+  };
+
+  // Point the worker at a file without parsing it yet (e.g. a saved wrap's
+  // transcript); the next request loads it, then applies `participants` and
+  // `privacy` as setParticipants and setPrivacy would
+  const restore = (sourceId, file, { participants, privacy } = {}) => {
+    lastLoad = { sourceId, file };
+    settings = {
+      ...(participants && { participants: { mapping: participants } }),
+      ...(privacy && { privacy: { options: privacy } })
+    };
+    loaded = false;
+  };
+
+  const ensureLoaded = async (onProgress) => {
+    if (loaded) return;
+    if (!lastLoad) throw new Error('No chat loaded');
+    // Concurrent requests (e.g. prefetches) share one reload
+    reloading = reloading || (async () => {
+      const current = settings;
+      await load(lastLoad.sourceId, lastLoad.file, onProgress);
+      settings = current;
+      for (const [type, payload] of Object.entries(current)) await request(type, payload);
+    })().finally(() => { reloading = null; });
+    await reloading;
+  };
+
+  // `only`: section keys to compute (see analyzeTranscript), default all
+  const analyze = async (period, onProgress, { only } = {}) => {
+    await ensureLoaded(onProgress);
+    return request('analyze', { period, only }, onProgress);
+  };
+
+  // One member's activity for the profile view (see analysis/profile)
+  const profile = async (period, member) => {
+    await ensureLoaded();
+    return request('profile', { period, member });
+  };
+
+  // { day, logs } for `day`, or the nearest earlier (-1) / later (1) day with
+  // messages; null when there's none
+  const dayLogs = async (day, direction = 0) => {
+    await ensureLoaded();
+    return request('day', { day, direction });
+  };
+
+  // Explore view results (see analysis/search)
+  const search = async (options) => {
+    await ensureLoaded();
+    return request('search', { options });
+  };
+
+  // Keyword tracker results for `period` (see analysis/trackers)
+  const trackers = async (period, list) => {
+    await ensureLoaded();
+    return request('trackers', { period, trackers: list });
+  };
+
+  const configure = async (type, payload) => {
+    settings = { ...settings, [type]: payload };
+    await ensureLoaded();
+    return request(type, payload);
+  };
+
+  // Both resolve to what the analysis API should get from now on:
+  // { transcriptJson, availableYears, span, pseudonyms, redactions }
+
+  // Rename, merge or exclude senders (see analysis/participants) for every
+  // later request
+  const setParticipants = (mapping) => configure('participants', { mapping });
+
+  // { anonymize, terms, minimize }: anonymize the transcript the API gets
+  // (see analysis/anonymize), or send metadata rows instead (analysis/minimize)
+  const setPrivacy = (options) => configure('privacy', { options });
+
+  // With minimization on: { metadataJson, dayWindows }; `windows` asks for
+  // the text of `period`'s notable days (AI summaries)
+  const minimized = async ({ period, windows = false } = {}) => {
+    await ensureLoaded();
+    return request('minimized', { period, windows });
+  };
+
+  const cancel = () => {
+    if (!worker) return;
+    worker.terminate();
+    worker = null;
+    loaded = false;
+    rejectAll(new CancelledError());
+  };
+
+  const terminate = () => {
+    cancel();
+    lastLoad = null;
+  };
+
+  return { load, restore, analyze, profile, setParticipants, setPrivacy, minimized, dayLogs, search, trackers, cancel, terminate };
+};
+
+export { createChatWorker };